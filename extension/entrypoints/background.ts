@@ -1,40 +1,19 @@
-type VideoFormat = {
-  format_id?: string
-  ext?: string
-  format_note?: string
-  resolution?: string
-  width?: number
-  height?: number
-  fps?: number
-  vcodec?: string
-  acodec?: string
-  filesize?: number
-  filesize_approx?: number
-  tbr?: number
-}
-
-type VideoInfo = {
-  title?: string
-  thumbnail?: string
-  duration?: number
-  formats?: VideoFormat[]
-}
-
-type VideoInfoCacheEntry = {
-  url: string
-  status: 'pending' | 'ready' | 'error'
-  fetchedAt: number
-  info?: VideoInfo
-  error?: string
-}
+import type { DownloadQuality, VideoInfo, VideoInfoCacheEntry } from '../utils/types'
 
 const PORT_RANGE_START = 27100
 const PORT_RANGE_END = 27120
 const STATUS_TIMEOUT_MS = 800
 const INFO_TIMEOUT_MS = 60000
+const ENQUEUE_TIMEOUT_MS = 10000
 const CACHE_TTL_MS = 5 * 60 * 1000
+// Each info request runs yt-dlp in the app, page scans can ask for dozens
+const INFO_CONCURRENCY = 2
+const CONTEXT_MENU_ID = 'vidbee-download-link'
 
 const pendingRequests = new Map<string, Promise<void>>()
+const infoQueue: string[] = []
+let activeInfoRequests = 0
+let cacheWrite: Promise<void> = Promise.resolve()
 const defaultIconPaths = {
   16: 'icon/16.png',
   32: 'icon/32.png',
@@ -65,12 +44,25 @@ const setActionIcon = (status: 'default' | 'loading' | 'success', tabId?: number
   void browser.action.setIcon(options)
 }
 
-const fetchJson = async <T>(url: string, timeoutMs: number): Promise<T> => {
+const fetchJson = async <T>(
+  url: string,
+  timeoutMs: number,
+  apiKey?: string,
+  body?: unknown
+): Promise<T> => {
   const controller = new AbortController()
   const timeoutId = setTimeout(() => controller.abort('timeout'), timeoutMs)
 
   try {
-    const response = await fetch(url, { signal: controller.signal })
+    const response = await fetch(url, {
+      signal: controller.signal,
+      method: body === undefined ? 'GET' : 'POST',
+      headers: {
+        ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+        ...(body === undefined ? {} : { 'Content-Type': 'application/json' })
+      },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    })
     const data = (await response.json().catch(() => null)) as (T & { error?: string }) | null
     if (!response.ok) {
       const message = data && typeof data === 'object' && 'error' in data ? data.error : null
@@ -108,26 +100,69 @@ const findAvailablePort = async (): Promise<number | null> => {
   return null
 }
 
-const requestVideoInfo = async (targetUrl: string): Promise<VideoInfo> => {
+// Generated in VidBee under Settings > Advanced and pasted into the popup
+const getApiKey = async (): Promise<string> => {
+  const data = await browser.storage.local.get('apiKey')
+  return typeof data.apiKey === 'string' ? data.apiKey : ''
+}
+
+const resolveApi = async (): Promise<{ baseUrl: string; apiKey: string }> => {
+  const apiKey = await getApiKey()
+  if (!apiKey) {
+    throw new Error('Invalid API key')
+  }
+
   const port = await findAvailablePort()
   if (!port) {
     throw new Error('VidBee app not found on localhost.')
   }
 
-  const baseUrl = `http://127.0.0.1:${port}`
-  const tokenResponse = await fetchJson<{ token?: string }>(`${baseUrl}/token`, STATUS_TIMEOUT_MS)
-  if (!tokenResponse.token) {
-    throw new Error('Failed to acquire token from VidBee.')
-  }
+  return { baseUrl: `http://127.0.0.1:${port}`, apiKey }
+}
 
+const requestVideoInfo = async (targetUrl: string): Promise<VideoInfo> => {
+  const { baseUrl, apiKey } = await resolveApi()
   return fetchJson<VideoInfo>(
-    `${baseUrl}/video-info?url=${encodeURIComponent(targetUrl)}&token=${encodeURIComponent(
-      tokenResponse.token
-    )}`,
-    INFO_TIMEOUT_MS
+    `${baseUrl}/video-info?url=${encodeURIComponent(targetUrl)}`,
+    INFO_TIMEOUT_MS,
+    apiKey
   )
 }
 
+const buildFormat = (type: 'video' | 'audio', quality: DownloadQuality): string | undefined => {
+  if (quality === 'default') {
+    return undefined
+  }
+  if (type === 'audio') {
+    return 'bestaudio'
+  }
+  if (quality === 'best') {
+    return 'bestvideo+bestaudio/best'
+  }
+  return `bestvideo[height<=${quality}]+bestaudio/best[height<=${quality}]`
+}
+
+/**
+ * Queues the URLs in VidBee one by one and reports which ones it refused.
+ */
+const enqueueDownloads = async (
+  urls: string[],
+  type: 'video' | 'audio',
+  quality: DownloadQuality
+): Promise<{ queued: number; failed: string[] }> => {
+  const { baseUrl, apiKey } = await resolveApi()
+  const format = buildFormat(type, quality)
+  const failed: string[] = []
+  for (const url of urls) {
+    try {
+      await fetchJson(`${baseUrl}/downloads`, ENQUEUE_TIMEOUT_MS, apiKey, { url, type, format })
+    } catch {
+      failed.push(url)
+    }
+  }
+  return { queued: urls.length - failed.length, failed }
+}
+
 const getCacheMap = async (): Promise<Record<string, VideoInfoCacheEntry>> => {
   const data = await browser.storage.local.get('videoInfoCacheByUrl')
   const map = data.videoInfoCacheByUrl as Record<string, VideoInfoCacheEntry> | undefined
@@ -152,36 +187,47 @@ const loadCache = async (url: string): Promise<VideoInfoCacheEntry | null> => {
   return cache
 }
 
-const saveCacheEntry = async (cache: VideoInfoCacheEntry): Promise<void> => {
-  const map = await getCacheMap()
-  pruneCache(map)
-  map[cache.url] = cache
-  await browser.storage.local.set({ videoInfoCacheByUrl: map })
+// Writes are chained so parallel requests do not overwrite each other's entries
+const saveCacheEntry = (cache: VideoInfoCacheEntry): Promise<void> => {
+  cacheWrite = cacheWrite
+    .catch(() => undefined)
+    .then(async () => {
+      const map = await getCacheMap()
+      pruneCache(map)
+      map[cache.url] = cache
+      await browser.storage.local.set({ videoInfoCacheByUrl: map })
+    })
+  return cacheWrite
 }
 
-const fetchAndCache = async (url: string, tabId?: number): Promise<void> => {
+const fetchAndCache = async (url: string, tabId?: number, updateIcon = true): Promise<void> => {
   if (pendingRequests.has(url)) {
     return pendingRequests.get(url) as Promise<void>
   }
 
   const task = (async () => {
+    const setIcon = (status: 'default' | 'loading' | 'success') => {
+      if (updateIcon) {
+        setActionIcon(status, tabId)
+      }
+    }
     const existing = await loadCache(url)
     if (existing?.status === 'ready') {
-      setActionIcon('success', tabId)
+      setIcon('success')
       return
     }
 
-    setActionIcon('loading', tabId)
+    setIcon('loading')
     await saveCacheEntry({ url, status: 'pending', fetchedAt: Date.now() })
 
     try {
       const info = await requestVideoInfo(url)
       await saveCacheEntry({ url, status: 'ready', fetchedAt: Date.now(), info })
-      setActionIcon('success', tabId)
+      setIcon('success')
     } catch (error) {
       const message = error instanceof Error ? error.message : 'Failed to fetch video info.'
       await saveCacheEntry({ url, status: 'error', fetchedAt: Date.now(), error: message })
-      setActionIcon('default', tabId)
+      setIcon('default')
     }
   })()
 
@@ -193,11 +239,86 @@ const fetchAndCache = async (url: string, tabId?: number): Promise<void> => {
   }
 }
 
+// Page links are looked up in the background without touching the toolbar icon
+const runInfoQueue = (): void => {
+  while (activeInfoRequests < INFO_CONCURRENCY && infoQueue.length > 0) {
+    const url = infoQueue.shift() as string
+    activeInfoRequests += 1
+    void fetchAndCache(url, undefined, false).finally(() => {
+      activeInfoRequests -= 1
+      runInfoQueue()
+    })
+  }
+}
+
+const queueInfoRequests = (urls: string[]): void => {
+  for (const url of urls) {
+    if (!infoQueue.includes(url) && !pendingRequests.has(url)) {
+      infoQueue.push(url)
+    }
+  }
+  runInfoQueue()
+}
+
+const handleContextMenuLink = async (linkUrl: string, tabId?: number): Promise<void> => {
+  setActionIcon('loading', tabId)
+  // Throws without an app answering on localhost or without an API key
+  const result = await enqueueDownloads([linkUrl], 'video', 'default').catch(() => null)
+  if (result && result.queued > 0) {
+    setActionIcon('success', tabId)
+    return
+  }
+  // The deep link still hands the URL to the app when the API is missing or refused it,
+  // e.g. with a 401 for a wrong key
+  setActionIcon('default', tabId)
+  await browser.tabs.create({
+    url: `vidbee://download?url=${encodeURIComponent(linkUrl)}`,
+    active: false
+  })
+}
+
+type BackgroundMessage =
+  | { type: 'video-info:fetch'; url?: string }
+  | { type: 'media-links:info'; urls?: string[] }
+  | {
+      type: 'media-links:send'
+      urls?: string[]
+      mediaType?: 'video' | 'audio'
+      quality?: DownloadQuality
+    }
+
 export default defineBackground(() => {
-  browser.runtime.onMessage.addListener((message: { type?: string; url?: string }, sender) => {
-    if (message.type !== 'video-info:fetch' || !message.url) {
+  browser.runtime.onInstalled.addListener(() => {
+    browser.contextMenus.create({
+      id: CONTEXT_MENU_ID,
+      title: browser.i18n.getMessage('downloadLinkWithVidBee'),
+      contexts: ['link']
+    })
+  })
+
+  browser.contextMenus.onClicked.addListener((info, tab) => {
+    if (info.menuItemId === CONTEXT_MENU_ID && info.linkUrl) {
+      void handleContextMenuLink(info.linkUrl, tab?.id)
+    }
+  })
+
+  browser.runtime.onMessage.addListener((message: BackgroundMessage, sender, sendResponse) => {
+    if (message.type === 'video-info:fetch' && message.url) {
+      void fetchAndCache(message.url, sender.tab?.id)
       return
     }
-    void fetchAndCache(message.url, sender.tab?.id)
+    if (message.type === 'media-links:info' && message.urls) {
+      queueInfoRequests(message.urls)
+      return
+    }
+    if (message.type === 'media-links:send' && message.urls) {
+      enqueueDownloads(message.urls, message.mediaType ?? 'video', message.quality ?? 'default')
+        .then((result) => sendResponse(result))
+        .catch((error: unknown) =>
+          sendResponse({ error: error instanceof Error ? error.message : 'Failed to queue' })
+        )
+      // Keeps the channel open for the async response
+      return true
+    }
   })
 })
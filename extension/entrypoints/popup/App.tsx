@@ -1,27 +1,9 @@
 import { useEffect, useMemo, useState } from 'react'
+import { formatBytes, formatDuration } from '../../utils/format'
+import { type MediaLink, scanTabForMediaLinks } from '../../utils/media-links'
+import type { VideoFormat, VideoInfo, VideoInfoCacheEntry } from '../../utils/types'
 import './App.css'
-
-type VideoFormat = {
-  format_id?: string
-  ext?: string
-  format_note?: string
-  resolution?: string
-  width?: number
-  height?: number
-  fps?: number
-  vcodec?: string
-  acodec?: string
-  filesize?: number
-  filesize_approx?: number
-  tbr?: number
-}
-
-type VideoInfo = {
-  title?: string
-  thumbnail?: string
-  duration?: number
-  formats?: VideoFormat[]
-}
+import MediaLinks from './MediaLinks'
 
 const CACHE_TTL_MS = 60 * 60 * 1000
 
@@ -30,29 +12,6 @@ const isValidHttpUrl = (value?: string): boolean => {
   return value.startsWith('http://') || value.startsWith('https://')
 }
 
-const formatDuration = (value?: number): string => {
-  if (!value || value <= 0) return 'Unknown'
-  const totalSeconds = Math.round(value)
-  const hours = Math.floor(totalSeconds / 3600)
-  const minutes = Math.floor((totalSeconds % 3600) / 60)
-  const seconds = totalSeconds % 60
-  const paddedMinutes = hours > 0 ? String(minutes).padStart(2, '0') : String(minutes)
-  const paddedSeconds = String(seconds).padStart(2, '0')
-  return hours > 0 ? `${hours}:${paddedMinutes}:${paddedSeconds}` : `${minutes}:${paddedSeconds}`
-}
-
-const formatBytes = (value?: number): string => {
-  if (!value || value <= 0) return '-'
-  const units = ['B', 'KB', 'MB', 'GB']
-  let size = value
-  let unitIndex = 0
-  while (size >= 1024 && unitIndex < units.length - 1) {
-    size /= 1024
-    unitIndex += 1
-  }
-  return `${size.toFixed(size >= 100 || unitIndex === 0 ? 0 : 1)} ${units[unitIndex]}`
-}
-
 const isVideoFormat = (format: VideoFormat): boolean => {
   if (format.vcodec && format.vcodec !== 'none') {
     return true
@@ -64,14 +23,6 @@ const isAudioFormat = (format: VideoFormat): boolean => {
   return Boolean(format.acodec && format.acodec !== 'none' && !isVideoFormat(format))
 }
 
-type VideoInfoCacheEntry = {
-  url: string
-  status: 'pending' | 'ready' | 'error'
-  fetchedAt: number
-  info?: VideoInfo
-  error?: string
-}
-
 type VideoGroup = {
   label: string
   height: number
@@ -88,8 +39,13 @@ const loadCachedInfo = async (url: string): Promise<VideoInfoCacheEntry | null>
   return cached
 }
 
+const API_KEY_ERROR = 'Invalid API key'
+
 const sanitizeError = (error: string): string => {
   const message = error.toLowerCase()
+  if (message.includes(API_KEY_ERROR.toLowerCase())) {
+    return API_KEY_ERROR
+  }
   if (
     message.includes('localhost') ||
     message.includes('fetch') ||
@@ -108,6 +64,9 @@ function App() {
   const [loading, setLoading] = useState(false)
   const [currentUrl, setCurrentUrl] = useState<string>('')
   const [retryTrigger, setRetryTrigger] = useState(0)
+  const [apiKeyInput, setApiKeyInput] = useState('')
+  const [mediaLinks, setMediaLinks] = useState<MediaLink[]>([])
+  const [view, setView] = useState<'current' | 'links'>('current')
 
   useEffect(() => {
     let active = true
@@ -156,6 +115,15 @@ function App() {
       targetState.url = targetUrl
       setCurrentUrl(targetUrl)
 
+      if (tab.id !== undefined) {
+        // Pages the extension cannot script, like the web store, just have no links
+        scanTabForMediaLinks(tab.id, targetUrl)
+          .then((links) => {
+            if (active) setMediaLinks(links)
+          })
+          .catch(() => undefined)
+      }
+
       const cached = await loadCachedInfo(targetUrl)
       const shouldBypassCache = retryTrigger > 0
       if (cached && !shouldBypassCache) {
@@ -288,18 +256,38 @@ function App() {
     setRetryTrigger((count) => count + 1)
   }
 
+  const handleSaveApiKey = async () => {
+    const apiKey = apiKeyInput.trim()
+    if (!apiKey) return
+    await browser.storage.local.set({ apiKey })
+    setApiKeyInput('')
+    setRetryTrigger((count) => count + 1)
+  }
+
   const isInvalidPageError = error === 'Please open a valid video page first.'
   const isClientConnectionError = Boolean(error?.includes('Client connection failed'))
+  const isApiKeyError = error === API_KEY_ERROR
   const errorTitle = isInvalidPageError
     ? 'Open a video page'
     : isClientConnectionError
       ? 'Connect the VidBee app'
-      : 'Something went wrong'
+      : isApiKeyError
+        ? 'Add your API key'
+        : 'Something went wrong'
   const errorDescription = isInvalidPageError
     ? 'Navigate to a supported video page, then try again.'
     : isClientConnectionError
       ? 'The extension needs the VidBee desktop app to be running.'
-      : 'Try again in a moment.'
+      : isApiKeyError
+        ? 'Generate a key in VidBee under Settings > Advanced > Local API key and paste it here.'
+        : 'Try again in a moment.'
+
+  // Search and channel pages are not videos themselves, their links are what the user wants
+  useEffect(() => {
+    if (error && error !== API_KEY_ERROR && mediaLinks.length > 0) {
+      setView('links')
+    }
+  }, [error, mediaLinks.length])
 
   const renderStatus = () => {
     if (loading)
@@ -333,14 +321,35 @@ function App() {
         <h1>VidBee</h1>
         {renderStatus()}
       </header>
-      {loading && (
+      {mediaLinks.length > 0 && (
+        <nav className="view-tabs">
+          <button
+            type="button"
+            className={view === 'current' ? 'active' : undefined}
+            onClick={() => setView('current')}
+          >
+            This page
+          </button>
+          <button
+            type="button"
+            className={view === 'links' ? 'active' : undefined}
+            onClick={() => setView('links')}
+          >
+            Links on page ({mediaLinks.length})
+          </button>
+        </nav>
+      )}
+
+      {view === 'links' && mediaLinks.length > 0 && <MediaLinks links={mediaLinks} />}
+
+      {view === 'current' && loading && (
         <div className="loading-container">
           <div className="spinner" />
           <div className="loading-text">Analyzing video...</div>
         </div>
       )}
 
-      {!loading && error && (
+      {view === 'current' && !loading && error && (
         <div className="error-container">
           <div className="error-header">
             <h2 className="error-title">{errorTitle}</h2>
@@ -377,6 +386,25 @@ function App() {
                 </a>
               </div>
             </div>
+          ) : isApiKeyError ? (
+            <div className="action-card">
+              <p className="action-title">API key</p>
+              <input
+                type="password"
+                className="api-key-input"
+                value={apiKeyInput}
+                placeholder="Paste the key from VidBee"
+                onChange={(event) => setApiKeyInput(event.target.value)}
+              />
+              <button
+                type="button"
+                className="secondary-button"
+                disabled={!apiKeyInput.trim()}
+                onClick={() => void handleSaveApiKey()}
+              >
+                Save and retry
+              </button>
+            </div>
           ) : (
             <div className="action-card">
               <p className="action-title">Try again</p>
@@ -393,7 +421,7 @@ function App() {
         </div>
       )}
 
-      {!loading && !error && info && (
+      {view === 'current' && !loading && !error && info && (
         <>
           <section className="video-info">
             <div className="video-details">
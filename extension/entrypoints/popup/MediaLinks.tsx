@@ -0,0 +1,216 @@
+import { useEffect, useState } from 'react'
+import { formatDuration } from '../../utils/format'
+import type { MediaLink } from '../../utils/media-links'
+import type { DownloadQuality, VideoInfoCacheEntry } from '../../utils/types'
+
+type SendResult = { queued: number; failed: string[] } | { error: string }
+
+const qualityOptions: Array<{ value: DownloadQuality; label: string }> = [
+  { value: 'default', label: 'App default' },
+  { value: 'best', label: 'Best' },
+  { value: '1080', label: '1080p' },
+  { value: '720', label: '720p' },
+  { value: '480', label: '480p' }
+]
+
+const getHost = (url: string): string => {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '')
+  } catch {
+    return url
+  }
+}
+
+const loadCacheMap = async (): Promise<Record<string, VideoInfoCacheEntry>> => {
+  const data = await browser.storage.local.get('videoInfoCacheByUrl')
+  return (data.videoInfoCacheByUrl as Record<string, VideoInfoCacheEntry> | undefined) ?? {}
+}
+
+const describeSendError = (error: string): string =>
+  error.toLowerCase().includes('api key')
+    ? 'Add your VidBee API key on the "This page" tab first.'
+    : 'Could not reach the VidBee app. Make sure it is running.'
+
+function MediaLinks({ links }: { links: MediaLink[] }) {
+  const [infoByUrl, setInfoByUrl] = useState<Record<string, VideoInfoCacheEntry>>({})
+  const [selected, setSelected] = useState<Set<string>>(
+    () => new Set(links.map((link) => link.url))
+  )
+  const [mediaType, setMediaType] = useState<'video' | 'audio'>('video')
+  const [quality, setQuality] = useState<DownloadQuality>('default')
+  const [sending, setSending] = useState(false)
+  const [result, setResult] = useState<SendResult | null>(null)
+
+  useEffect(() => {
+    let active = true
+    const handleStorageChange = (
+      changes: Record<string, browser.storage.StorageChange>,
+      areaName: string
+    ) => {
+      const change = changes.videoInfoCacheByUrl
+      if (!active || areaName !== 'local' || !change?.newValue) return
+      setInfoByUrl(change.newValue as Record<string, VideoInfoCacheEntry>)
+    }
+
+    browser.storage.onChanged.addListener(handleStorageChange)
+    void loadCacheMap().then((map) => {
+      if (!active) return
+      setInfoByUrl(map)
+      const missing = links
+        .map((link) => link.url)
+        .filter((url) => map[url]?.status !== 'ready' && map[url]?.status !== 'pending')
+      if (missing.length > 0) {
+        void browser.runtime.sendMessage({ type: 'media-links:info', urls: missing })
+      }
+    })
+
+    return () => {
+      active = false
+      browser.storage.onChanged.removeListener(handleStorageChange)
+    }
+  }, [links])
+
+  // Links VidBee could not read stay listed but cannot be sent
+  const isUnavailable = (url: string) => infoByUrl[url]?.status === 'error'
+  const sendable = links.filter((link) => selected.has(link.url) && !isUnavailable(link.url))
+  const available = links.filter((link) => !isUnavailable(link.url))
+  const allSelected = available.length > 0 && sendable.length === available.length
+
+  const toggle = (url: string) => {
+    setSelected((prev) => {
+      const next = new Set(prev)
+      if (next.has(url)) {
+        next.delete(url)
+      } else {
+        next.add(url)
+      }
+      return next
+    })
+  }
+
+  const toggleAll = () => {
+    setSelected(allSelected ? new Set() : new Set(available.map((link) => link.url)))
+  }
+
+  const handleSend = async () => {
+    setSending(true)
+    setResult(null)
+    try {
+      const response = (await browser.runtime.sendMessage({
+        type: 'media-links:send',
+        urls: sendable.map((link) => link.url),
+        mediaType,
+        quality
+      })) as SendResult
+      setResult(response)
+      if ('failed' in response) {
+        setSelected(new Set(response.failed))
+      }
+    } catch (error) {
+      setResult({ error: error instanceof Error ? error.message : 'Failed to queue' })
+    } finally {
+      setSending(false)
+    }
+  }
+
+  return (
+    <section className="media-links">
+      <div className="media-links-toolbar">
+        <label className="media-links-select-all">
+          <input type="checkbox" checked={allSelected} onChange={toggleAll} />
+          Select all
+        </label>
+        <span>
+          {sendable.length} of {links.length} selected
+        </span>
+      </div>
+
+      <ul className="media-link-list">
+        {links.map((link) => {
+          const entry = infoByUrl[link.url]
+          const unavailable = entry?.status === 'error'
+          const title = entry?.info?.title || link.text || link.url
+          const thumbnail = entry?.info?.thumbnail || link.thumbnail
+          const meta =
+            entry?.status === 'ready'
+              ? `${getHost(link.url)} • ${formatDuration(entry.info?.duration)}`
+              : unavailable
+                ? 'Not downloadable'
+                : `${getHost(link.url)} • Checking…`
+          return (
+            <li key={link.url}>
+              <label className={`media-link${unavailable ? ' unavailable' : ''}`}>
+                <input
+                  type="checkbox"
+                  checked={selected.has(link.url) && !unavailable}
+                  disabled={unavailable}
+                  onChange={() => toggle(link.url)}
+                />
+                {thumbnail ? (
+                  <img className="media-link-thumbnail" src={thumbnail} alt="" />
+                ) : (
+                  <div className="media-link-thumbnail" />
+                )}
+                <div className="media-link-details">
+                  <span className="media-link-title" title={link.url}>
+                    {title}
+                  </span>
+                  <span className="media-link-meta">{meta}</span>
+                </div>
+              </label>
+            </li>
+          )
+        })}
+      </ul>
+
+      <div className="media-links-options">
+        <select
+          value={mediaType}
+          onChange={(event) => {
+            const nextType = event.target.value as 'video' | 'audio'
+            setMediaType(nextType)
+            // Audio only offers the app default or the best stream
+            if (nextType === 'audio' && quality !== 'default') {
+              setQuality('best')
+            }
+          }}
+        >
+          <option value="video">Video</option>
+          <option value="audio">Audio only</option>
+        </select>
+        <select
+          value={quality}
+          onChange={(event) => setQuality(event.target.value as DownloadQuality)}
+        >
+          {(mediaType === 'audio' ? qualityOptions.slice(0, 2) : qualityOptions).map((option) => (
+            <option key={option.value} value={option.value}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      <button
+        type="button"
+        className="primary-button"
+        disabled={sending || sendable.length === 0}
+        onClick={() => void handleSend()}
+      >
+        {sending ? 'Sending…' : `Send ${sendable.length} to VidBee`}
+      </button>
+
+      {result &&
+        ('error' in result ? (
+          <div className="error-banner">{describeSendError(result.error)}</div>
+        ) : (
+          <div className={result.failed.length > 0 ? 'error-banner' : 'success-banner'}>
+            {result.failed.length > 0
+              ? `Queued ${result.queued}, VidBee refused ${result.failed.length}. The refused links are still selected.`
+              : `Queued ${result.queued} in VidBee.`}
+          </div>
+        ))}
+    </section>
+  )
+}
+
+export default MediaLinks
@@ -0,0 +1,209 @@
+export type PageLink = {
+  url: string
+  text?: string
+  thumbnail?: string
+}
+
+export type MediaLink = {
+  // Canonical URL sent to VidBee, also the key of the video info cache
+  url: string
+  text?: string
+  thumbnail?: string
+}
+
+// Search and channel pages can hold hundreds of links
+const MAX_MEDIA_LINKS = 100
+
+const DIRECT_MEDIA_PATTERN = /\.(mp4|webm|mkv|mov|m4v|mp3|m4a|ogg|opus|flac|wav|m3u8)$/i
+
+// Second path segments that are SoundCloud pages rather than tracks
+const SOUNDCLOUD_RESERVED = new Set([
+  'sets',
+  'likes',
+  'followers',
+  'following',
+  'tracks',
+  'albums',
+  'reposts',
+  'popular-tracks',
+  'comments'
+])
+
+// First path segments that are SoundCloud site sections rather than users
+const SOUNDCLOUD_SECTIONS = new Set(['you', 'discover', 'search', 'charts', 'stations', 'pages'])
+
+const matchHost = (host: string, domain: string): boolean =>
+  host === domain || host.endsWith(`.${domain}`)
+
+/**
+ * Returns the canonical URL of a link VidBee can download, or null for anything else.
+ * Embed and short-link forms map to the watch page so duplicates collapse.
+ */
+export const recognizeMediaUrl = (raw: string): string | null => {
+  let url: URL
+  try {
+    url = new URL(raw)
+  } catch {
+    return null
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    return null
+  }
+  const host = url.hostname.toLowerCase().replace(/^(www|m)\./, '')
+  const path = url.pathname
+  let match: RegExpMatchArray | null
+
+  if (matchHost(host, 'youtube.com') || matchHost(host, 'youtube-nocookie.com')) {
+    const id =
+      (path === '/watch' ? url.searchParams.get('v') : null) ??
+      path.match(/^\/(?:shorts|embed|live|v)\/([\w-]{11})/)?.[1]
+    return id && /^[\w-]{11}$/.test(id) ? `https://www.youtube.com/watch?v=${id}` : null
+  }
+  if (host === 'youtu.be') {
+    match = path.match(/^\/([\w-]{11})/)
+    return match ? `https://www.youtube.com/watch?v=${match[1]}` : null
+  }
+  if (matchHost(host, 'vimeo.com')) {
+    match = path.match(/^\/(?:video\/)?(\d+)/)
+    return match ? `https://vimeo.com/${match[1]}` : null
+  }
+  if (matchHost(host, 'dailymotion.com') || host === 'dai.ly') {
+    match = path.match(/^\/(?:embed\/)?(?:video\/)?([a-z0-9]{6,})/i)
+    return match && (host === 'dai.ly' || path.includes('/video/'))
+      ? `https://www.dailymotion.com/video/${match[1]}`
+      : null
+  }
+  if (matchHost(host, 'tiktok.com')) {
+    match = path.match(/^\/(@[^/]+)\/video\/(\d+)/)
+    return match ? `https://www.tiktok.com/${match[1]}/video/${match[2]}` : null
+  }
+  if (matchHost(host, 'twitch.tv')) {
+    match = path.match(/^\/videos\/(\d+)/)
+    if (match) {
+      return `https://www.twitch.tv/videos/${match[1]}`
+    }
+    match =
+      host === 'clips.twitch.tv'
+        ? path.match(/^\/([\w-]+)$/)
+        : path.match(/^\/[^/]+\/clip\/([\w-]+)/)
+    return match ? `https://clips.twitch.tv/${match[1]}` : null
+  }
+  if (matchHost(host, 'bilibili.com')) {
+    match = path.match(/^\/video\/(BV\w+|av\d+)/i)
+    return match ? `https://www.bilibili.com/video/${match[1]}` : null
+  }
+  if (matchHost(host, 'x.com') || matchHost(host, 'twitter.com')) {
+    match = path.match(/^\/([^/]+)\/status\/(\d+)/)
+    return match ? `https://x.com/${match[1]}/status/${match[2]}` : null
+  }
+  if (matchHost(host, 'instagram.com')) {
+    match = path.match(/^\/(?:[^/]+\/)?(reel|p|tv)\/([\w-]+)/)
+    return match ? `https://www.instagram.com/${match[1]}/${match[2]}/` : null
+  }
+  if (host === 'v.redd.it') {
+    match = path.match(/^\/(\w+)/)
+    return match ? `https://v.redd.it/${match[1]}` : null
+  }
+  if (matchHost(host, 'reddit.com')) {
+    // Comment permalinks share the post id, so a thread collapses into one entry
+    match = path.match(/^\/(?:r\/[^/]+\/)?comments\/(\w+)/)
+    return match ? `https://www.reddit.com/comments/${match[1]}` : null
+  }
+  if (matchHost(host, 'soundcloud.com') && host !== 'api.soundcloud.com') {
+    match = path.match(/^\/([^/]+)\/([^/]+)\/?$/)
+    return match && !SOUNDCLOUD_SECTIONS.has(match[1]) && !SOUNDCLOUD_RESERVED.has(match[2])
+      ? `https://soundcloud.com/${match[1]}/${match[2]}`
+      : null
+  }
+  if (matchHost(host, 'bandcamp.com')) {
+    match = path.match(/^\/track\/([\w-]+)/)
+    return match ? `https://${host}/track/${match[1]}` : null
+  }
+  if (host === 'streamable.com') {
+    match = path.match(/^\/(?:e\/)?(\w+)$/)
+    return match ? `https://streamable.com/${match[1]}` : null
+  }
+  if (matchHost(host, 'nicovideo.jp')) {
+    match = path.match(/^\/watch\/((?:sm|so|nm)\d+)/)
+    return match ? `https://www.nicovideo.jp/watch/${match[1]}` : null
+  }
+  if (matchHost(host, 'facebook.com') || host === 'fb.watch') {
+    if (host === 'fb.watch') {
+      return `https://fb.watch${path}`
+    }
+    const id = path.startsWith('/watch') ? url.searchParams.get('v') : null
+    if (id) {
+      return `https://www.facebook.com/watch/?v=${id}`
+    }
+    match = path.match(/^\/(?:[^/]+\/)?(?:videos|reel)\/(\d+)/)
+    return match ? `https://www.facebook.com/watch/?v=${match[1]}` : null
+  }
+  if (DIRECT_MEDIA_PATTERN.test(path)) {
+    return `${url.origin}${path}${url.search}`
+  }
+  return null
+}
+
+/**
+ * Runs in the page through `scripting.executeScript`, so it must not reference anything
+ * outside its own body.
+ */
+const collectPageLinks = (): PageLink[] => {
+  const links: PageLink[] = []
+  for (const anchor of Array.from(document.querySelectorAll<HTMLAnchorElement>('a[href]'))) {
+    const text = (anchor.getAttribute('title') || anchor.getAttribute('aria-label') || '')
+      .trim()
+      .slice(0, 200)
+    links.push({
+      url: anchor.href,
+      text: text || anchor.innerText?.trim().split('\n')[0]?.slice(0, 200),
+      thumbnail: anchor.querySelector('img')?.currentSrc || undefined
+    })
+  }
+  for (const frame of Array.from(document.querySelectorAll<HTMLIFrameElement>('iframe[src]'))) {
+    links.push({ url: frame.src, text: frame.title || undefined })
+  }
+  for (const media of Array.from(
+    document.querySelectorAll<HTMLMediaElement | HTMLSourceElement>(
+      'video[src], audio[src], video source[src], audio source[src]'
+    )
+  )) {
+    links.push({ url: media.src })
+  }
+  return links
+}
+
+/**
+ * Lists the downloadable links on a tab, deduplicated and without the page itself.
+ * Entries keep the first non-empty link text and thumbnail seen for them.
+ */
+export const scanTabForMediaLinks = async (
+  tabId: number,
+  pageUrl: string
+): Promise<MediaLink[]> => {
+  const results = await browser.scripting.executeScript({
+    target: { tabId, allFrames: false },
+    func: collectPageLinks
+  })
+  const pageLinks = (results[0]?.result ?? []) as PageLink[]
+  const currentUrl = recognizeMediaUrl(pageUrl)
+  const byUrl = new Map<string, MediaLink>()
+
+  for (const link of pageLinks) {
+    const url = recognizeMediaUrl(link.url)
+    if (!url || url === currentUrl) {
+      continue
+    }
+    const existing = byUrl.get(url)
+    if (existing) {
+      existing.text ||= link.text
+      existing.thumbnail ||= link.thumbnail
+      continue
+    }
+    if (byUrl.size >= MAX_MEDIA_LINKS) {
+      break
+    }
+    byUrl.set(url, { url, text: link.text || undefined, thumbnail: link.thumbnail })
+  }
+  return Array.from(byUrl.values())
+}
@@ -0,0 +1,163 @@
+import { GM_getValue, GM_setValue, GM_xmlhttpRequest } from '$'
+
+// The app listens on the first free port of this range
+const PORT_RANGE_START = 27100
+const PORT_RANGE_END = 27120
+const DISCOVERY_TIMEOUT_MS = 800
+const REQUEST_TIMEOUT_MS = 60_000
+
+export interface VideoFormat {
+  format_id: string
+  ext: string
+  height?: number
+  fps?: number
+  vcodec?: string
+  acodec?: string
+  filesize?: number
+  filesize_approx?: number
+}
+
+export interface VideoInfo {
+  title: string
+  thumbnail?: string
+  duration?: number
+  formats: VideoFormat[]
+}
+
+export interface DownloadState {
+  status: 'pending' | 'downloading' | 'processing' | 'completed' | 'error' | 'cancelled' | 'paused'
+  title?: string
+  progress?: { percent: number; currentSpeed?: string; eta?: string }
+  error?: string
+  errorCategory?: string
+  savedFileName?: string
+}
+
+export class ApiError extends Error {
+  constructor(
+    message: string,
+    readonly status: number
+  ) {
+    super(message)
+  }
+}
+
+interface Response {
+  status: number
+  body: unknown
+}
+
+// Userscript requests bypass CORS and mixed content rules, unlike fetch from the page
+function request(
+  method: 'GET' | 'POST',
+  url: string,
+  options: { apiKey?: string; body?: unknown; timeout?: number } = {}
+): Promise<Response> {
+  return new Promise((resolve, reject) => {
+    const headers: Record<string, string> = {}
+    if (options.apiKey) {
+      headers.Authorization = `Bearer ${options.apiKey}`
+    }
+    if (options.body !== undefined) {
+      headers['Content-Type'] = 'application/json'
+    }
+    GM_xmlhttpRequest({
+      method,
+      url,
+      headers,
+      data: options.body === undefined ? undefined : JSON.stringify(options.body),
+      timeout: options.timeout ?? REQUEST_TIMEOUT_MS,
+      onload: (response) => {
+        let body: unknown = null
+        try {
+          body = JSON.parse(response.responseText)
+        } catch {
+          // Non-JSON answers are reported through the status code
+        }
+        resolve({ status: response.status, body })
+      },
+      onerror: () => reject(new Error('Request failed')),
+      ontimeout: () => reject(new Error('Request timed out'))
+    })
+  })
+}
+
+async function isVidBeeListening(port: number): Promise<boolean> {
+  try {
+    const { status, body } = await request('GET', `http://127.0.0.1:${port}/status`, {
+      timeout: DISCOVERY_TIMEOUT_MS
+    })
+    const payload = body as { ok?: boolean; app?: string } | null
+    return status === 200 && payload?.ok === true && payload.app === 'vidbee'
+  } catch {
+    return false
+  }
+}
+
+/**
+ * Finds the local API of the running app, trying the port that answered last time first.
+ * Returns null when the app is not running or its API is turned off.
+ */
+export async function discoverApp(): Promise<string | null> {
+  const lastPort = GM_getValue<number | null>('apiPort', null)
+  if (lastPort && (await isVidBeeListening(lastPort))) {
+    return `http://127.0.0.1:${lastPort}`
+  }
+  for (let port = PORT_RANGE_START; port <= PORT_RANGE_END; port += 1) {
+    if (port !== lastPort && (await isVidBeeListening(port))) {
+      GM_setValue('apiPort', port)
+      return `http://127.0.0.1:${port}`
+    }
+  }
+  return null
+}
+
+export function getApiKey(): string {
+  return GM_getValue<string>('apiKey', '')
+}
+
+export function setApiKey(apiKey: string): void {
+  GM_setValue('apiKey', apiKey.trim())
+}
+
+async function authorizedRequest(
+  method: 'GET' | 'POST',
+  url: string,
+  body?: unknown
+): Promise<unknown> {
+  const response = await request(method, url, { apiKey: getApiKey(), body })
+  if (response.status < 200 || response.status >= 300) {
+    const message = (response.body as { error?: string } | null)?.error
+    throw new ApiError(message || `VidBee answered with HTTP ${response.status}`, response.status)
+  }
+  return response.body
+}
+
+export async function fetchVideoInfo(baseUrl: string, videoUrl: string): Promise<VideoInfo> {
+  return (await authorizedRequest(
+    'GET',
+    `${baseUrl}/video-info?url=${encodeURIComponent(videoUrl)}`
+  )) as VideoInfo
+}
+
+export async function enqueueDownload(
+  baseUrl: string,
+  options: { url: string; type: 'video' | 'audio'; format?: string }
+): Promise<string> {
+  const { id } = (await authorizedRequest('POST', `${baseUrl}/downloads`, options)) as {
+    id: string
+  }
+  return id
+}
+
+export async function fetchDownloadState(baseUrl: string, id: string): Promise<DownloadState> {
+  const { item } = (await authorizedRequest(
+    'GET',
+    `${baseUrl}/downloads/${encodeURIComponent(id)}`
+  )) as { item: DownloadState }
+  return item
+}
+
+export function openDeepLink(videoUrl: string): void {
+  window.location.href = `vidbee://download?url=${encodeURIComponent(videoUrl)}`
+}
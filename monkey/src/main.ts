@@ -1,4 +1,8 @@
 import './style.css'
+import { GM_registerMenuCommand } from '$'
+import { getApiKey, setApiKey } from './api'
+import { createPanel } from './panel'
+import { isSiteEnabled, registerSiteMenu } from './sites'
 
 // Get current video URL
 // yt-dlp can handle all URLs directly, so we just return the current URL
@@ -6,10 +10,26 @@ function getVideoUrl(): string | null {
   return window.location.href
 }
 
+function closePanel(): void {
+  document.getElementById('vidbee-panel')?.remove()
+}
+
+// Open the panel for the current page, or close it when it is already open
+function togglePanel(container: HTMLElement, videoUrl: string): void {
+  if (document.getElementById('vidbee-panel')) {
+    closePanel()
+    return
+  }
+  const panel = createPanel(videoUrl, closePanel)
+  panel.id = 'vidbee-panel'
+  container.appendChild(panel)
+}
+
 // Temporarily hide button
 function hideButtonTemporarily(): void {
   const container = document.getElementById('vidbee-download-btn')
   if (container) {
+    closePanel()
     container.classList.add('vidbee-hidden')
     // Auto restore after 5 seconds
     setTimeout(() => {
@@ -71,15 +91,14 @@ function createVidBeeButton(): void {
   let clickTimer: number | null = null
   let clickCount = 0
 
-  // Handle main button click event - single click for download
+  // Handle main button click event - single click opens the download panel
   button.addEventListener('click', () => {
     clickCount++
 
     if (clickCount === 1) {
       clickTimer = window.setTimeout(() => {
-        // Single click - trigger download
-        const vidbeeUrl = `vidbee://download?url=${encodeURIComponent(videoUrl)}`
-        window.location.href = vidbeeUrl
+        // Single click - pick a format and download
+        togglePanel(container, videoUrl)
         clickCount = 0
       }, 300)
     } else if (clickCount === 2) {
@@ -100,16 +119,15 @@ function createVidBeeButton(): void {
   document.body.appendChild(container)
 }
 
-// Initialize when page loads
-function init(): void {
-  // Wait for page to fully load
-  if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', createVidBeeButton)
-  } else {
-    createVidBeeButton()
+let watchingNavigation = false
+
+// Handle SPA navigation (when navigating between videos on sites like YouTube, Bilibili, etc.)
+function watchNavigation(): void {
+  if (watchingNavigation) {
+    return
   }
+  watchingNavigation = true
 
-  // Handle SPA navigation (when navigating between videos on sites like YouTube, Bilibili, etc.)
   let lastUrl = location.href
   let urlCheckTimer: number | null = null
 
@@ -122,6 +140,9 @@ function init(): void {
       if (oldButton) {
         oldButton.remove()
       }
+      if (!isSiteEnabled(window.location.hostname)) {
+        return
+      }
       // Wait a bit for the page to update (different sites have different update speeds)
       const hostname = window.location.hostname
       const delay = hostname.includes('bilibili.com') ? 800 : 500
@@ -143,4 +164,35 @@ function init(): void {
   })
 }
 
+// Show the button when the site is in the list, also called after the list changed
+function applySiteSetting(): void {
+  if (isSiteEnabled(window.location.hostname)) {
+    createVidBeeButton()
+    watchNavigation()
+  } else {
+    document.getElementById('vidbee-download-btn')?.remove()
+  }
+}
+
+// Initialize when page loads
+function init(): void {
+  registerSiteMenu(applySiteSetting)
+  GM_registerMenuCommand('Set VidBee API key…', () => {
+    const value = window.prompt(
+      'VidBee API key, from Settings → Advanced → Local API key',
+      getApiKey()
+    )
+    if (value !== null) {
+      setApiKey(value)
+    }
+  })
+
+  // The script matches every page, the site list decides where the button shows
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', applySiteSetting)
+  } else {
+    applySiteSetting()
+  }
+}
+
 init()
@@ -0,0 +1,298 @@
+import {
+  ApiError,
+  type DownloadState,
+  discoverApp,
+  enqueueDownload,
+  fetchDownloadState,
+  fetchVideoInfo,
+  getApiKey,
+  openDeepLink,
+  setApiKey,
+  type VideoFormat
+} from './api'
+
+const POLL_INTERVAL_MS = 1000
+
+interface FormatChoice {
+  label: string
+  type: 'video' | 'audio'
+  // Left out to use the quality configured in VidBee
+  format?: string
+}
+
+function createElement<K extends keyof HTMLElementTagNameMap>(
+  tag: K,
+  className?: string,
+  text?: string
+): HTMLElementTagNameMap[K] {
+  const element = document.createElement(tag)
+  if (className) {
+    element.className = className
+  }
+  if (text !== undefined) {
+    element.textContent = text
+  }
+  return element
+}
+
+function createButton(label: string, onClick: () => void, primary = false): HTMLButtonElement {
+  const button = createElement(
+    'button',
+    primary ? 'vidbee-panel-button vidbee-panel-primary' : 'vidbee-panel-button',
+    label
+  )
+  button.type = 'button'
+  button.addEventListener('click', onClick)
+  return button
+}
+
+function formatSize(bytes: number): string {
+  return bytes >= 1024 ** 3
+    ? `${(bytes / 1024 ** 3).toFixed(1)} GB`
+    : `${Math.max(1, Math.round(bytes / 1024 ** 2))} MB`
+}
+
+// One entry per available video height, best first, plus the app default and audio only
+function buildFormatChoices(formats: VideoFormat[]): FormatChoice[] {
+  const largestByHeight = new Map<number, number>()
+  for (const format of formats) {
+    if (!format.height || format.vcodec === 'none') {
+      continue
+    }
+    const size = format.filesize ?? format.filesize_approx ?? 0
+    largestByHeight.set(format.height, Math.max(largestByHeight.get(format.height) ?? 0, size))
+  }
+  const heights = Array.from(largestByHeight.keys()).sort((a, b) => b - a)
+
+  return [
+    { label: 'VidBee default quality', type: 'video' },
+    ...heights.map((height): FormatChoice => {
+      const size = largestByHeight.get(height) ?? 0
+      return {
+        label: size > 0 ? `${height}p (~${formatSize(size)})` : `${height}p`,
+        type: 'video',
+        format: `bestvideo[height<=${height}]+bestaudio/best[height<=${height}]`
+      }
+    }),
+    { label: 'Audio only', type: 'audio' }
+  ]
+}
+
+function describeProgress(state: DownloadState): string {
+  switch (state.status) {
+    case 'pending':
+      return 'Waiting in the VidBee queue…'
+    case 'paused':
+      return 'Paused in VidBee'
+    case 'processing':
+      return 'Processing…'
+    case 'downloading': {
+      const parts = [`${Math.round(state.progress?.percent ?? 0)}%`]
+      if (state.progress?.currentSpeed) {
+        parts.push(state.progress.currentSpeed)
+      }
+      if (state.progress?.eta) {
+        parts.push(`ETA ${state.progress.eta}`)
+      }
+      return parts.join(' · ')
+    }
+    default:
+      return ''
+  }
+}
+
+/**
+ * Builds the panel that picks a format, queues the video in the running app and follows
+ * its progress. Falls back to the deep link when the app cannot be reached.
+ */
+export function createPanel(videoUrl: string, onClose: () => void): HTMLElement {
+  const panel = createElement('div', 'vidbee-panel')
+  const header = createElement('div', 'vidbee-panel-header')
+  const heading = createElement('span', 'vidbee-panel-heading', 'VidBee')
+  const closeButton = createButton('×', onClose)
+  closeButton.className = 'vidbee-panel-close'
+  closeButton.setAttribute('aria-label', 'Close')
+  header.append(heading, closeButton)
+  const body = createElement('div', 'vidbee-panel-body')
+  panel.append(header, body)
+
+  let baseUrl: string | null = null
+
+  const show = (...children: HTMLElement[]) => {
+    body.replaceChildren(...children)
+  }
+
+  const showMessage = (text: string, ...actions: HTMLButtonElement[]) => {
+    const actionRow = createElement('div', 'vidbee-panel-actions')
+    actionRow.append(...actions)
+    show(createElement('p', 'vidbee-panel-text', text), actionRow)
+  }
+
+  const deepLinkButton = () => createButton('Open in VidBee', () => openDeepLink(videoUrl))
+
+  const showOffline = () => {
+    showMessage(
+      'VidBee is not running, or its local API is off.',
+      createButton('Retry', () => void connect()),
+      createButton('Open in VidBee', () => openDeepLink(videoUrl), true)
+    )
+  }
+
+  const showApiKeyForm = (rejected: boolean) => {
+    const input = createElement('input', 'vidbee-panel-input')
+    input.type = 'password'
+    input.placeholder = 'API key'
+    input.value = getApiKey()
+    const save = () => {
+      if (input.value.trim()) {
+        setApiKey(input.value)
+        void loadFormats()
+      }
+    }
+    input.addEventListener('keydown', (event) => {
+      if (event.key === 'Enter') {
+        save()
+      }
+    })
+    const actionRow = createElement('div', 'vidbee-panel-actions')
+    actionRow.append(deepLinkButton(), createButton('Save', save, true))
+    show(
+      createElement(
+        'p',
+        'vidbee-panel-text',
+        rejected
+          ? 'VidBee rejected the API key. Copy it again from Settings → Advanced → Local API key.'
+          : 'Paste the key from VidBee Settings → Advanced → Local API key.'
+      ),
+      input,
+      actionRow
+    )
+    input.focus()
+  }
+
+  const handleError = (error: unknown) => {
+    if (error instanceof ApiError && error.status === 401) {
+      showApiKeyForm(Boolean(getApiKey()))
+      return
+    }
+    if (error instanceof ApiError) {
+      showMessage(
+        error.message,
+        createButton('Retry', () => void loadFormats()),
+        deepLinkButton()
+      )
+      return
+    }
+    showOffline()
+  }
+
+  const followDownload = (id: string, title: string) => {
+    const titleElement = createElement('p', 'vidbee-panel-title', title)
+    const bar = createElement('div', 'vidbee-progress')
+    const fill = createElement('div', 'vidbee-progress-fill')
+    bar.append(fill)
+    const status = createElement('p', 'vidbee-panel-text', 'Queued in VidBee')
+    show(titleElement, bar, status)
+
+    const poll = async () => {
+      if (!panel.isConnected || !baseUrl) {
+        return
+      }
+      let state: DownloadState
+      try {
+        state = await fetchDownloadState(baseUrl, id)
+      } catch (error) {
+        if (error instanceof ApiError) {
+          handleError(error)
+        } else {
+          status.textContent = 'Lost the connection to VidBee'
+          window.setTimeout(() => void poll(), POLL_INTERVAL_MS * 5)
+        }
+        return
+      }
+
+      if (state.status === 'completed') {
+        fill.style.width = '100%'
+        bar.classList.add('vidbee-progress-done')
+        status.textContent = state.savedFileName
+          ? `Saved ${state.savedFileName}`
+          : 'Download finished'
+        return
+      }
+      if (state.status === 'error' || state.status === 'cancelled') {
+        bar.classList.add('vidbee-progress-failed')
+        status.textContent =
+          state.status === 'cancelled' ? 'Cancelled in VidBee' : state.error || 'Download failed'
+        return
+      }
+      if (state.title) {
+        titleElement.textContent = state.title
+      }
+      fill.style.width = `${Math.min(100, state.progress?.percent ?? 0)}%`
+      status.textContent = describeProgress(state)
+      window.setTimeout(() => void poll(), POLL_INTERVAL_MS)
+    }
+    void poll()
+  }
+
+  const loadFormats = async () => {
+    if (!baseUrl) {
+      return
+    }
+    if (!getApiKey()) {
+      showApiKeyForm(false)
+      return
+    }
+    showMessage('Reading the available formats…')
+    try {
+      const info = await fetchVideoInfo(baseUrl, videoUrl)
+      const choices = buildFormatChoices(info.formats ?? [])
+      const select = createElement('select', 'vidbee-panel-select')
+      choices.forEach((choice, index) => {
+        select.append(new Option(choice.label, String(index)))
+      })
+      const download = async () => {
+        const choice = choices[Number(select.value)]
+        if (!baseUrl || !choice) {
+          return
+        }
+        try {
+          const id = await enqueueDownload(baseUrl, {
+            url: videoUrl,
+            type: choice.type,
+            format: choice.format
+          })
+          followDownload(id, info.title)
+        } catch (error) {
+          handleError(error)
+        }
+      }
+      const actionRow = createElement('div', 'vidbee-panel-actions')
+      actionRow.append(
+        deepLinkButton(),
+        createButton('Download', () => void download(), true)
+      )
+      show(createElement('p', 'vidbee-panel-title', info.title), select, actionRow)
+    } catch (error) {
+      handleError(error)
+    }
+  }
+
+  const connect = async () => {
+    showMessage('Looking for VidBee…')
+    baseUrl = await discoverApp()
+    if (!panel.isConnected) {
+      return
+    }
+    if (!baseUrl) {
+      // Without the app the deep link is the only way in, it starts VidBee when installed
+      showOffline()
+      openDeepLink(videoUrl)
+      return
+    }
+    await loadFormats()
+  }
+
+  void connect()
+  return panel
+}
@@ -0,0 +1,96 @@
+import { GM_getValue, GM_registerMenuCommand, GM_setValue, GM_unregisterMenuCommand } from '$'
+
+// Domains the button shows on until the user edits the list, subdomains included
+export const DEFAULT_SITES = [
+  'youtube.com',
+  'bilibili.com',
+  'tiktok.com',
+  'vimeo.com',
+  'dailymotion.com',
+  'twitch.tv',
+  'twitter.com',
+  'x.com',
+  'instagram.com',
+  'facebook.com',
+  'fb.com',
+  'reddit.com',
+  'soundcloud.com',
+  'nicovideo.jp',
+  'kick.com',
+  'bandcamp.com',
+  'mixcloud.com'
+]
+
+function normalizeSite(value: string): string {
+  return value
+    .trim()
+    .toLowerCase()
+    .replace(/^[a-z]+:\/\//, '')
+    .replace(/^\*\./, '')
+    .replace(/\/.*$/, '')
+}
+
+export function getSites(): string[] {
+  return GM_getValue<string[]>('sites', DEFAULT_SITES)
+}
+
+function saveSites(sites: string[]): void {
+  GM_setValue('sites', Array.from(new Set(sites.map(normalizeSite).filter(Boolean))))
+}
+
+function findSite(hostname: string): string | undefined {
+  const host = hostname.toLowerCase()
+  return getSites().find((site) => host === site || host.endsWith(`.${site}`))
+}
+
+export function isSiteEnabled(hostname: string): boolean {
+  return findSite(hostname) !== undefined
+}
+
+let menuCommandIds: Array<ReturnType<typeof GM_registerMenuCommand>> = []
+
+/**
+ * Adds the userscript manager menu entries that edit the site list. The script matches
+ * every page, the list decides where the button appears.
+ */
+export function registerSiteMenu(onChange: () => void): void {
+  for (const id of menuCommandIds) {
+    GM_unregisterMenuCommand(id)
+  }
+  const hostname = window.location.hostname
+  const site = findSite(hostname)
+  const changed = () => {
+    registerSiteMenu(onChange)
+    onChange()
+  }
+
+  menuCommandIds = [
+    site
+      ? GM_registerMenuCommand(`Hide VidBee button on ${site}`, () => {
+          saveSites(getSites().filter((entry) => entry !== site))
+          changed()
+        })
+      : GM_registerMenuCommand(`Show VidBee button on ${hostname.replace(/^www\./, '')}`, () => {
+          saveSites([...getSites(), hostname.replace(/^www\./, '')])
+          changed()
+        })
+  ]
+
+  const editId = GM_registerMenuCommand('Edit VidBee sites…', () => {
+    const value = window.prompt(
+      'Domains the VidBee button shows on, separated by commas. Subdomains are included.',
+      getSites().join(', ')
+    )
+    if (value === null) {
+      return
+    }
+    saveSites(value.trim() ? value.split(',') : [])
+    changed()
+  })
+
+  const resetId = GM_registerMenuCommand('Reset VidBee sites', () => {
+    saveSites(DEFAULT_SITES)
+    changed()
+  })
+  menuCommandIds.push(editId, resetId)
+}
@@ -0,0 +1,11 @@
+CREATE TABLE `download_queue` (
+	`id` text PRIMARY KEY NOT NULL,
+	`state` text NOT NULL,
+	`position` integer NOT NULL,
+	`options` text NOT NULL,
+	`item` text NOT NULL,
+	`created_at` integer NOT NULL,
+	`updated_at` integer NOT NULL
+);
+--> statement-breakpoint
+CREATE INDEX `download_queue_position_idx` ON `download_queue` (`position`);
\ No newline at end of file
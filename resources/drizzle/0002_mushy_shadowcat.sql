@@ -0,0 +1 @@
+ALTER TABLE `download_history` ADD `error_category` text;
\ No newline at end of file
@@ -0,0 +1 @@
+ALTER TABLE `subscriptions` ADD `post_processing_preset` text;
\ No newline at end of file
@@ -0,0 +1,10 @@
+ALTER TABLE `subscriptions` ADD `download_type` text;--> statement-breakpoint
+ALTER TABLE `subscriptions` ADD `quality` text;--> statement-breakpoint
+ALTER TABLE `subscriptions` ADD `format_selector` text;--> statement-breakpoint
+ALTER TABLE `subscriptions` ADD `subtitle_languages` text;--> statement-breakpoint
+ALTER TABLE `subscriptions` ADD `embed_subs` integer;--> statement-breakpoint
+ALTER TABLE `subscriptions` ADD `embed_thumbnail` integer;--> statement-breakpoint
+ALTER TABLE `subscriptions` ADD `embed_metadata` integer;--> statement-breakpoint
+ALTER TABLE `subscriptions` ADD `embed_chapters` integer;--> statement-breakpoint
+ALTER TABLE `subscriptions` ADD `max_duration` integer;--> statement-breakpoint
+ALTER TABLE `subscriptions` ADD `max_file_size` integer;
\ No newline at end of file
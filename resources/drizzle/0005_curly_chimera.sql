@@ -0,0 +1,6 @@
+ALTER TABLE `subscriptions` ADD `exclude_keywords` text;--> statement-breakpoint
+ALTER TABLE `subscriptions` ADD `title_pattern` text;--> statement-breakpoint
+ALTER TABLE `subscriptions` ADD `description_pattern` text;--> statement-breakpoint
+ALTER TABLE `subscriptions` ADD `min_duration` integer;--> statement-breakpoint
+ALTER TABLE `subscriptions` ADD `published_after` integer;--> statement-breakpoint
+ALTER TABLE `subscriptions` ADD `max_items_per_run` integer;
\ No newline at end of file
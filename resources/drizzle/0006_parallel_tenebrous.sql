@@ -0,0 +1,2 @@
+ALTER TABLE `subscriptions` ADD `feed_type` text DEFAULT 'rss' NOT NULL;--> statement-breakpoint
+UPDATE `subscriptions` SET `feed_type` = 'ytdlp', `feed_url` = 'https://space.bilibili.com/' || substr(`feed_url`, 40) || '/video' WHERE `feed_url` LIKE 'https://rsshub.app/bilibili/user/video/%' AND substr(`feed_url`, 40) <> '' AND substr(`feed_url`, 40) NOT GLOB '*[^0-9]*';
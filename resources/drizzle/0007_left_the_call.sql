@@ -0,0 +1,2 @@
+ALTER TABLE `subscriptions` ADD `check_interval` integer;--> statement-breakpoint
+ALTER TABLE `subscriptions` ADD `consecutive_failures` integer DEFAULT 0 NOT NULL;
\ No newline at end of file
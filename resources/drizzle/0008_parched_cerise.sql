@@ -0,0 +1,13 @@
+CREATE TABLE `subscription_backfill_items` (
+	`subscription_id` text NOT NULL,
+	`item_id` text NOT NULL,
+	`title` text NOT NULL,
+	`url` text NOT NULL,
+	`published_at` integer,
+	`position` integer NOT NULL,
+	`queued` integer NOT NULL,
+	PRIMARY KEY(`subscription_id`, `item_id`)
+);
+--> statement-breakpoint
+CREATE INDEX `subscription_backfill_items_subscription_idx` ON `subscription_backfill_items` (`subscription_id`);--> statement-breakpoint
+ALTER TABLE `subscriptions` ADD `backfill` text;
\ No newline at end of file
@@ -0,0 +1,11 @@
+CREATE TABLE `download_archive` (
+	`extractor` text NOT NULL,
+	`video_id` text NOT NULL,
+	`title` text,
+	`url` text,
+	`history_id` text,
+	`downloaded_at` integer NOT NULL,
+	PRIMARY KEY(`extractor`, `video_id`)
+);
+--> statement-breakpoint
+CREATE INDEX `download_archive_url_idx` ON `download_archive` (`url`);
\ No newline at end of file
@@ -0,0 +1 @@
+ALTER TABLE `download_history` ADD `file_missing` integer;
\ No newline at end of file
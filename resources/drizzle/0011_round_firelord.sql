@@ -0,0 +1 @@
+ALTER TABLE `subscriptions` ADD `media_library` integer;
\ No newline at end of file
@@ -0,0 +1,2 @@
+ALTER TABLE `download_history` ADD `sponsor_block_summary` text;--> statement-breakpoint
+ALTER TABLE `subscriptions` ADD `sponsor_block` text;
\ No newline at end of file
@@ -0,0 +1 @@
+ALTER TABLE `subscriptions` ADD `auto_record_live` integer;
\ No newline at end of file
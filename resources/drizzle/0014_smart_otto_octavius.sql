@@ -0,0 +1,4 @@
+ALTER TABLE `download_history` ADD `subtitles_only` integer;--> statement-breakpoint
+ALTER TABLE `download_history` ADD `subtitle_files` text;--> statement-breakpoint
+ALTER TABLE `subscriptions` ADD `auto_subtitles` integer;--> statement-breakpoint
+ALTER TABLE `subscriptions` ADD `subtitle_format` text;
\ No newline at end of file
@@ -0,0 +1,5 @@
+CREATE TABLE `download_queue_settings` (
+	`key` text PRIMARY KEY NOT NULL,
+	`value` text NOT NULL,
+	`updated_at` integer NOT NULL
+);
@@ -0,0 +1,33 @@
+-- Full-text index over the searchable history columns. It stores the history id instead of
+-- pointing at rowids, which VACUUM may renumber on a table with a TEXT primary key.
+DROP TRIGGER IF EXISTS `download_history_fts_insert`;--> statement-breakpoint
+DROP TRIGGER IF EXISTS `download_history_fts_delete`;--> statement-breakpoint
+DROP TRIGGER IF EXISTS `download_history_fts_update`;--> statement-breakpoint
+DROP TABLE IF EXISTS `download_history_fts`;--> statement-breakpoint
+CREATE VIRTUAL TABLE `download_history_fts` USING fts5(
+	id UNINDEXED,
+	title,
+	description,
+	channel,
+	uploader,
+	tags,
+	tokenize = 'unicode61 remove_diacritics 2'
+);--> statement-breakpoint
+CREATE TRIGGER `download_history_fts_insert` AFTER INSERT ON `download_history`
+BEGIN
+	INSERT INTO download_history_fts (id, title, description, channel, uploader, tags)
+	VALUES (new.id, new.title, new.description, new.channel, new.uploader, new.tags);
+END;--> statement-breakpoint
+CREATE TRIGGER `download_history_fts_delete` AFTER DELETE ON `download_history`
+BEGIN
+	DELETE FROM download_history_fts WHERE id = old.id;
+END;--> statement-breakpoint
+CREATE TRIGGER `download_history_fts_update`
+AFTER UPDATE OF id, title, description, channel, uploader, tags ON `download_history`
+BEGIN
+	DELETE FROM download_history_fts WHERE id = old.id;
+	INSERT INTO download_history_fts (id, title, description, channel, uploader, tags)
+	VALUES (new.id, new.title, new.description, new.channel, new.uploader, new.tags);
+END;--> statement-breakpoint
+INSERT INTO download_history_fts (id, title, description, channel, uploader, tags)
+SELECT id, title, description, channel, uploader, tags FROM download_history;
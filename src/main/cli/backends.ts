@@ -0,0 +1,361 @@
+import crypto from 'node:crypto'
+import { EventEmitter } from 'node:events'
+import type {
+  DownloadHistoryItem,
+  DownloadItem,
+  DownloadOptions,
+  PlaylistDownloadOptions,
+  PlaylistDownloadResult,
+  SubscriptionCheckResult,
+  SubscriptionRule
+} from '../../shared/types'
+import { type ApiEvent, apiEventStream } from '../lib/api-event-stream'
+import { downloadEngine } from '../lib/download-engine'
+import { ffmpegManager } from '../lib/ffmpeg-manager'
+import { historyManager } from '../lib/history-manager'
+import { subscriptionManager } from '../lib/subscription-manager'
+import { subscriptionScheduler } from '../lib/subscription-scheduler'
+import { type CreateSubscriptionOptions, createSubscription } from '../lib/subscription-sources'
+import { ytdlpManager } from '../lib/ytdlp-manager'
+import { settingsManager } from '../settings'
+
+const PORT_RANGE_START = 27100
+const PORT_RANGE_END = 27120
+const DISCOVERY_TIMEOUT_MS = 1000
+const STREAMED_EVENT_TYPES = [
+  'download-added',
+  'download-started',
+  'download-progress',
+  'download-processing',
+  'download-completed',
+  'download-error',
+  'download-cancelled'
+]
+
+export interface CliEvent {
+  type: string
+  data: unknown
+}
+
+export type CliDownloadLookup =
+  | { state: 'queue'; item: DownloadItem }
+  | { state: 'history'; item: DownloadHistoryItem }
+
+/**
+ * What the CLI commands need from VidBee. The standalone backend drives the engine in this
+ * process, the remote one sends everything to the running app through the local API.
+ * Download events are emitted as `event` with a {@link CliEvent}.
+ */
+export interface CliBackend extends EventEmitter {
+  readonly mode: 'standalone' | 'remote'
+  enqueue(options: DownloadOptions): Promise<string>
+  enqueuePlaylist(options: PlaylistDownloadOptions): Promise<PlaylistDownloadResult>
+  cancel(id: string): Promise<void>
+  getDownload(id: string): Promise<CliDownloadLookup | null>
+  listSubscriptions(): Promise<SubscriptionRule[]>
+  addSubscription(options: CreateSubscriptionOptions): Promise<SubscriptionRule>
+  checkSubscriptions(id?: string): Promise<SubscriptionCheckResult[]>
+  listHistory(): Promise<DownloadHistoryItem[]>
+  close(): void
+}
+
+export class RemoteUnavailableError extends Error {}
+
+const createDownloadId = (): string =>
+  `download_${Date.now()}_${Math.random().toString(36).substring(7)}`
+
+class StandaloneBackend extends EventEmitter implements CliBackend {
+  readonly mode = 'standalone'
+
+  private readonly forwardEvent = (event: ApiEvent) => {
+    this.emit('event', { type: event.type, data: event.data } satisfies CliEvent)
+  }
+
+  async initialize(prepareEngine: boolean): Promise<void> {
+    if (prepareEngine) {
+      // Failures are logged by the managers; downloads report a missing binary themselves
+      await ffmpegManager.initialize().catch(() => undefined)
+      await ytdlpManager.initialize().catch(() => undefined)
+      // The GUI resumes its persisted queue on its next launch, the CLI only runs what it adds
+      downloadEngine.startBandwidthSchedule()
+    }
+    apiEventStream.attach()
+    apiEventStream.on('event', this.forwardEvent)
+  }
+
+  async enqueue(options: DownloadOptions): Promise<string> {
+    const id = createDownloadId()
+    downloadEngine.startDownload(id, options)
+    return id
+  }
+
+  enqueuePlaylist(options: PlaylistDownloadOptions): Promise<PlaylistDownloadResult> {
+    return downloadEngine.startPlaylistDownload(options)
+  }
+
+  async cancel(id: string): Promise<void> {
+    downloadEngine.cancelDownload(id)
+  }
+
+  async getDownload(id: string): Promise<CliDownloadLookup | null> {
+    const pending = downloadEngine.getPendingDownloads().find((item) => item.id === id)
+    if (pending) {
+      return { state: 'queue', item: pending }
+    }
+    const historyItem = historyManager.getHistoryById(id)
+    return historyItem ? { state: 'history', item: historyItem } : null
+  }
+
+  async listSubscriptions(): Promise<SubscriptionRule[]> {
+    return subscriptionManager.getAll()
+  }
+
+  async addSubscription(options: CreateSubscriptionOptions): Promise<SubscriptionRule> {
+    // The process exits after the command, `subscriptions check` runs the first check
+    return createSubscription(options, false)
+  }
+
+  checkSubscriptions(id?: string): Promise<SubscriptionCheckResult[]> {
+    return subscriptionScheduler.checkNow(id)
+  }
+
+  async listHistory(): Promise<DownloadHistoryItem[]> {
+    return historyManager.getHistory()
+  }
+
+  close(): void {
+    apiEventStream.off('event', this.forwardEvent)
+    downloadEngine.shutdown()
+  }
+}
+
+class RemoteBackend extends EventEmitter implements CliBackend {
+  readonly mode = 'remote'
+  private readonly streamController = new AbortController()
+  private closed = false
+
+  constructor(
+    private readonly baseUrl: string,
+    private readonly apiKey: string
+  ) {
+    super()
+  }
+
+  /**
+   * Opens the event stream and resolves once the app has acknowledged it, so no event of a
+   * download queued afterwards can be missed.
+   */
+  async initialize(): Promise<void> {
+    const response = await fetch(`${this.baseUrl}/events?types=${STREAMED_EVENT_TYPES.join(',')}`, {
+      headers: { Accept: 'text/event-stream', Authorization: `Bearer ${this.apiKey}` },
+      signal: this.streamController.signal
+    }).catch((error) => {
+      throw new RemoteUnavailableError(error instanceof Error ? error.message : String(error))
+    })
+    if (response.status === 401) {
+      throw new RemoteUnavailableError('The running app rejected the API key')
+    }
+    if (!response.ok || !response.body) {
+      throw new RemoteUnavailableError(`Event stream failed with HTTP ${response.status}`)
+    }
+
+    const reader = response.body.getReader()
+    await new Promise<void>((resolve, reject) => {
+      let ready = false
+      const onMessage = (type: string, data: string) => {
+        if (type === 'ready' || type === 'reset') {
+          if (!ready) {
+            ready = true
+            resolve()
+          }
+          return
+        }
+        try {
+          const parsed = JSON.parse(data) as { data?: unknown }
+          this.emit('event', { type, data: parsed.data } satisfies CliEvent)
+        } catch {
+          // Ignore malformed frames
+        }
+      }
+      void this.readEventStream(reader, onMessage).then(
+        () => {
+          if (!ready) {
+            reject(new RemoteUnavailableError('Event stream closed before it was ready'))
+          } else if (!this.closed) {
+            this.emit('disconnected')
+          }
+        },
+        (error) => {
+          if (this.closed) {
+            return
+          }
+          if (!ready) {
+            reject(new RemoteUnavailableError(String(error)))
+          } else {
+            this.emit('disconnected')
+          }
+        }
+      )
+    })
+  }
+
+  private async readEventStream(
+    reader: ReadableStreamDefaultReader<Uint8Array>,
+    onMessage: (type: string, data: string) => void
+  ): Promise<void> {
+    const decoder = new TextDecoder()
+    let buffer = ''
+    for (;;) {
+      const { done, value } = await reader.read()
+      if (done) {
+        return
+      }
+      buffer += decoder.decode(value, { stream: true })
+      let boundary = buffer.indexOf('\n\n')
+      while (boundary !== -1) {
+        const frame = buffer.slice(0, boundary)
+        buffer = buffer.slice(boundary + 2)
+        let type = 'message'
+        const data: string[] = []
+        for (const line of frame.split('\n')) {
+          if (line.startsWith('event:')) {
+            type = line.slice('event:'.length).trim()
+          } else if (line.startsWith('data:')) {
+            data.push(line.slice('data:'.length).trim())
+          }
+        }
+        if (data.length > 0) {
+          onMessage(type, data.join('\n'))
+        }
+        boundary = buffer.indexOf('\n\n')
+      }
+    }
+  }
+
+  private async request<T>(method: string, path: string, body?: unknown): Promise<T> {
+    let response: Response
+    try {
+      response = await fetch(`${this.baseUrl}${path}`, {
+        method,
+        headers: {
+          Authorization: `Bearer ${this.apiKey}`,
+          ...(body === undefined ? {} : { 'Content-Type': 'application/json' })
+        },
+        body: body === undefined ? undefined : JSON.stringify(body)
+      })
+    } catch (error) {
+      throw new RemoteUnavailableError(error instanceof Error ? error.message : String(error))
+    }
+    const payload = (await response.json().catch(() => ({}))) as { error?: string }
+    if (!response.ok) {
+      throw new Error(payload.error ?? `Request failed with HTTP ${response.status}`)
+    }
+    return payload as T
+  }
+
+  async enqueue(options: DownloadOptions): Promise<string> {
+    const { id } = await this.request<{ id: string }>('POST', '/downloads', options)
+    return id
+  }
+
+  enqueuePlaylist(options: PlaylistDownloadOptions): Promise<PlaylistDownloadResult> {
+    return this.request<PlaylistDownloadResult>('POST', '/playlists', options)
+  }
+
+  async cancel(id: string): Promise<void> {
+    await this.request('POST', `/downloads/${encodeURIComponent(id)}/cancel`).catch(() => undefined)
+  }
+
+  async getDownload(id: string): Promise<CliDownloadLookup | null> {
+    try {
+      return await this.request<CliDownloadLookup>('GET', `/downloads/${encodeURIComponent(id)}`)
+    } catch (error) {
+      if (error instanceof RemoteUnavailableError) {
+        throw error
+      }
+      return null
+    }
+  }
+
+  async listSubscriptions(): Promise<SubscriptionRule[]> {
+    const { items } = await this.request<{ items: SubscriptionRule[] }>('GET', '/subscriptions')
+    return items
+  }
+
+  addSubscription(options: CreateSubscriptionOptions): Promise<SubscriptionRule> {
+    return this.request<SubscriptionRule>('POST', '/subscriptions', options)
+  }
+
+  async checkSubscriptions(id?: string): Promise<SubscriptionCheckResult[]> {
+    const { results } = await this.request<{ results: SubscriptionCheckResult[] }>(
+      'POST',
+      '/subscriptions/check',
+      { id }
+    )
+    return results
+  }
+
+  async listHistory(): Promise<DownloadHistoryItem[]> {
+    const { items } = await this.request<{ items: DownloadHistoryItem[] }>('GET', '/history')
+    return items
+  }
+
+  close(): void {
+    this.closed = true
+    this.streamController.abort()
+  }
+}
+
+const isVidbeeListening = async (port: number): Promise<boolean> => {
+  try {
+    const response = await fetch(`http://127.0.0.1:${port}/status`, {
+      signal: AbortSignal.timeout(DISCOVERY_TIMEOUT_MS)
+    })
+    const body = (await response.json()) as { ok?: boolean; app?: string }
+    return body.ok === true && (body.app === undefined || body.app === 'vidbee')
+  } catch {
+    return false
+  }
+}
+
+/**
+ * Drives the engine in this process. Commands that only read the database skip the
+ * yt-dlp and ffmpeg setup with `prepareEngine` false.
+ */
+export const createStandaloneBackend = async (prepareEngine: boolean): Promise<CliBackend> => {
+  const backend = new StandaloneBackend()
+  await backend.initialize(prepareEngine)
+  return backend
+}
+
+/**
+ * Port of the running app's local API, null when no app is running.
+ */
+export const findLocalApiPort = async (): Promise<number | null> => {
+  for (let port = PORT_RANGE_START; port <= PORT_RANGE_END; port += 1) {
+    if (await isVidbeeListening(port)) {
+      return port
+    }
+  }
+  return null
+}
+
+/**
+ * Connects to the local API of the running app. Without an API key one is generated, since the
+ * CLI shares the settings file with the app; `onKeyGenerated` lets the caller mention it.
+ */
+export const createRemoteBackend = async (
+  port: number,
+  onKeyGenerated: () => void
+): Promise<CliBackend> => {
+  let apiKey = settingsManager.get('apiKey')
+  if (!apiKey) {
+    apiKey = crypto.randomBytes(24).toString('hex')
+    settingsManager.set('apiKey', apiKey)
+    onKeyGenerated()
+  }
+
+  const backend = new RemoteBackend(`http://127.0.0.1:${port}`, apiKey)
+  await backend.initialize()
+  return backend
+}
@@ -0,0 +1,531 @@
+import fs from 'node:fs'
+import path from 'node:path'
+import { parseArgs } from 'node:util'
+import { app } from 'electron'
+import log from 'electron-log/main'
+import type { DownloadHistoryItem, SubscriptionRule } from '../../shared/types'
+import {
+  buildAudioFormatPreference,
+  buildVideoFormatPreference
+} from '../../shared/utils/format-preferences'
+import { resolveSiteSettings } from '../../shared/utils/site-rules'
+import { serializeHistoryCsv } from '../lib/history-export'
+import { settingsManager } from '../settings'
+import {
+  type CliBackend,
+  createRemoteBackend,
+  createStandaloneBackend,
+  findLocalApiPort,
+  RemoteUnavailableError
+} from './backends'
+import { acquireCliLock, CliLockedError, releaseCliLock } from './lock'
+import { DownloadTracker } from './progress'
+
+export const CLI_FLAG = '--cli'
+
+const EXIT_OK = 0
+const EXIT_FAILURE = 1
+const EXIT_USAGE = 2
+const EXIT_UNAVAILABLE = 3
+const EXIT_INTERRUPTED = 130
+
+const USAGE = `Usage: vidbee --cli <command> [options]
+
+Commands:
+  download <url...>            Download one or more videos
+      --audio                  Download audio only
+      --format <selector>      yt-dlp format selector, defaults to the quality in Settings
+      --out <dir>              Download folder, defaults to the one in Settings
+      --force                  Download videos the download archive already lists
+  playlist <url>               Download a playlist
+      --range <start-end>      Entries to download, e.g. 1-10 or 5-
+      --audio, --format, --out As for download
+      --force                  As for download
+  subscriptions list           List subscriptions
+      --json                   Print JSON
+  subscriptions add <url>      Subscribe to a channel, playlist or feed
+      --audio, --format        Download profile, defaults to Settings
+      --out <dir>              Download folder
+      --interval <minutes>     Check interval, defaults to Settings
+      --tag <tag>              Tag for downloads, can be repeated
+  subscriptions check [id]     Check all subscriptions, or one by id or title
+      --no-wait                Do not wait for the downloads the check queued
+  history list                 List download history
+      --status <status>        Only entries with this status, e.g. completed or error
+      --limit <n>              Number of entries, default 20
+      --json                   Print JSON
+  history export               Export the download history
+      --format <json|csv>      Output format, default json
+      --out <file>             Write to a file instead of stdout
+
+When VidBee is already running, commands are sent to it and its window shows the downloads.
+Exit codes: 0 success, 1 failure, 2 usage error, 3 running app unreachable, 130 interrupted.`
+
+class UsageError extends Error {}
+
+type ParsedCommand = {
+  command: string
+  subcommand?: string
+  positionals: string[]
+  values: Record<string, string | boolean | string[] | undefined>
+}
+
+const downloadOptions = {
+  audio: { type: 'boolean' },
+  format: { type: 'string' },
+  out: { type: 'string' }
+} as const
+
+const commandOptions = {
+  download: { ...downloadOptions, force: { type: 'boolean' } },
+  playlist: { ...downloadOptions, range: { type: 'string' }, force: { type: 'boolean' } },
+  'subscriptions list': { json: { type: 'boolean' } },
+  'subscriptions add': {
+    ...downloadOptions,
+    interval: { type: 'string' },
+    tag: { type: 'string', multiple: true }
+  },
+  'subscriptions check': { 'no-wait': { type: 'boolean' } },
+  'history list': {
+    status: { type: 'string' },
+    limit: { type: 'string' },
+    json: { type: 'boolean' }
+  },
+  'history export': { format: { type: 'string' }, out: { type: 'string' } }
+} as const
+
+type CommandName = keyof typeof commandOptions
+
+const isCommandName = (value: string): value is CommandName => value in commandOptions
+
+const parseCommand = (argv: string[]): ParsedCommand | null => {
+  const [command, maybeSubcommand] = argv
+  if (!command || command === 'help' || command === '--help' || command === '-h') {
+    return null
+  }
+  const hasSubcommand = command === 'subscriptions' || command === 'history'
+  const name = hasSubcommand ? `${command} ${maybeSubcommand ?? ''}` : command
+  if (!isCommandName(name)) {
+    throw new UsageError(`Unknown command: ${name.trim()}`)
+  }
+  try {
+    const { values, positionals } = parseArgs({
+      args: argv.slice(hasSubcommand ? 2 : 1),
+      options: commandOptions[name],
+      allowPositionals: true,
+      strict: true
+    })
+    return {
+      command,
+      subcommand: hasSubcommand ? maybeSubcommand : undefined,
+      positionals,
+      values: values as ParsedCommand['values']
+    }
+  } catch (error) {
+    throw new UsageError(error instanceof Error ? error.message : String(error))
+  }
+}
+
+const readUrl = (value: string): string => {
+  const trimmed = value.trim()
+  if (!/^https?:\/\//i.test(trimmed)) {
+    throw new UsageError(`Not an http(s) URL: ${value}`)
+  }
+  return trimmed
+}
+
+// The running app only accepts absolute folders, a relative one is taken from the shell's cwd
+const readOutDir = (value: unknown): string | undefined =>
+  typeof value === 'string' && value ? path.resolve(value) : undefined
+
+const readPositiveInteger = (value: string | undefined, name: string): number | undefined => {
+  if (value === undefined) {
+    return undefined
+  }
+  const parsed = Number(value)
+  if (!Number.isInteger(parsed) || parsed <= 0) {
+    throw new UsageError(`--${name} expects a positive whole number`)
+  }
+  return parsed
+}
+
+const parseRange = (value?: string): { startIndex?: number; endIndex?: number } => {
+  if (!value) {
+    return {}
+  }
+  const match = value.trim().match(/^(\d*)-(\d*)$|^(\d+)$/)
+  if (!match) {
+    throw new UsageError('--range expects <start>-<end>, e.g. 1-10, 5- or -20')
+  }
+  if (match[3]) {
+    const index = Number(match[3])
+    return { startIndex: index, endIndex: index }
+  }
+  return {
+    startIndex: match[1] ? Number(match[1]) : undefined,
+    endIndex: match[2] ? Number(match[2]) : undefined
+  }
+}
+
+const resolveFormat = (url: string, type: 'video' | 'audio', format?: string): string => {
+  if (format?.trim()) {
+    return format.trim()
+  }
+  const settings = resolveSiteSettings(settingsManager.getAll(), { url })
+  return type === 'video'
+    ? buildVideoFormatPreference(settings)
+    : buildAudioFormatPreference(settings)
+}
+
+const padColumns = (rows: string[][]): string => {
+  const widths = rows[0]?.map((_, column) =>
+    Math.max(...rows.map((row) => row[column]?.length ?? 0))
+  )
+  return rows
+    .map((row) =>
+      row
+        .map((cell, column) => (column === row.length - 1 ? cell : cell.padEnd(widths[column])))
+        .join('  ')
+    )
+    .join('\n')
+}
+
+const formatDate = (timestamp?: number): string =>
+  timestamp ? new Date(timestamp).toISOString().slice(0, 16).replace('T', ' ') : '-'
+
+const printJson = (value: unknown): void => {
+  process.stdout.write(`${JSON.stringify(value, null, 2)}\n`)
+}
+
+const findSubscription = (
+  subscriptions: SubscriptionRule[],
+  query: string
+): SubscriptionRule | undefined => {
+  const normalized = query.trim().toLowerCase()
+  return (
+    subscriptions.find((subscription) => subscription.id === query) ??
+    subscriptions.find((subscription) => subscription.title.toLowerCase() === normalized) ??
+    // Short id prefixes as printed by `subscriptions list`
+    (normalized.length >= 4
+      ? subscriptions.find((subscription) => subscription.id.startsWith(normalized))
+      : undefined)
+  )
+}
+
+interface CliRun {
+  backend: CliBackend
+  tracker: DownloadTracker
+}
+
+const waitForDownloads = async ({ tracker }: CliRun): Promise<number> => {
+  if (tracker.getWatchedIds().length === 0) {
+    return EXIT_OK
+  }
+  const result = await tracker.wait()
+  if (result.failed.length > 0) {
+    process.stderr.write(
+      `${result.failed.length} of ${result.failed.length + result.completed.length} downloads failed\n`
+    )
+    return EXIT_FAILURE
+  }
+  return EXIT_OK
+}
+
+const runDownload = async (run: CliRun, parsed: ParsedCommand): Promise<number> => {
+  if (parsed.positionals.length === 0) {
+    throw new UsageError('download expects at least one URL')
+  }
+  const urls = parsed.positionals.map(readUrl)
+  const type = parsed.values.audio ? 'audio' : 'video'
+  for (const url of urls) {
+    const id = await run.backend.enqueue({
+      url,
+      type,
+      format: resolveFormat(url, type, parsed.values.format as string | undefined),
+      customDownloadPath: readOutDir(parsed.values.out),
+      origin: 'manual',
+      ignoreArchive: parsed.values.force === true || undefined
+    })
+    run.tracker.watch(id, url)
+  }
+  return waitForDownloads(run)
+}
+
+const runPlaylist = async (run: CliRun, parsed: ParsedCommand): Promise<number> => {
+  if (parsed.positionals.length !== 1) {
+    throw new UsageError('playlist expects one URL')
+  }
+  const type = parsed.values.audio ? 'audio' : 'video'
+  const url = readUrl(parsed.positionals[0])
+  const result = await run.backend.enqueuePlaylist({
+    url,
+    type,
+    format: resolveFormat(url, type, parsed.values.format as string | undefined),
+    customDownloadPath: readOutDir(parsed.values.out),
+    ignoreArchive: parsed.values.force === true || undefined,
+    ...parseRange(parsed.values.range as string | undefined)
+  })
+  if (result.skippedCount > 0) {
+    process.stdout.write(
+      `Skipping ${result.skippedCount} entries already in the download archive, use --force to download them\n`
+    )
+  }
+  if (result.entries.length === 0) {
+    process.stderr.write(
+      result.skippedCount > 0
+        ? 'Every entry in that range is already in the download archive\n'
+        : 'The playlist has no entries in that range\n'
+    )
+    return result.skippedCount > 0 ? EXIT_OK : EXIT_FAILURE
+  }
+  process.stdout.write(
+    `${result.playlistTitle}: downloading ${result.entries.length} of ${result.totalCount}\n`
+  )
+  for (const entry of result.entries) {
+    run.tracker.watch(entry.downloadId, `${entry.index}. ${entry.title}`)
+  }
+  return waitForDownloads(run)
+}
+
+const runSubscriptionsList = async (run: CliRun, parsed: ParsedCommand): Promise<number> => {
+  const subscriptions = await run.backend.listSubscriptions()
+  if (parsed.values.json) {
+    printJson(subscriptions)
+    return EXIT_OK
+  }
+  if (subscriptions.length === 0) {
+    process.stdout.write('No subscriptions\n')
+    return EXIT_OK
+  }
+  const rows = [['ID', 'STATUS', 'LAST CHECK', 'TITLE']]
+  for (const subscription of subscriptions) {
+    rows.push([
+      subscription.id.slice(0, 8),
+      subscription.enabled ? subscription.status : 'disabled',
+      formatDate(subscription.lastCheckedAt),
+      `${subscription.title} (${subscription.sourceUrl})`
+    ])
+  }
+  process.stdout.write(`${padColumns(rows)}\n`)
+  return EXIT_OK
+}
+
+const runSubscriptionsAdd = async (run: CliRun, parsed: ParsedCommand): Promise<number> => {
+  if (parsed.positionals.length !== 1) {
+    throw new UsageError('subscriptions add expects one URL')
+  }
+  const format = (parsed.values.format as string | undefined)?.trim()
+  const subscription = await run.backend.addSubscription({
+    url: readUrl(parsed.positionals[0]),
+    downloadType: parsed.values.audio ? 'audio' : undefined,
+    formatSelector: format || undefined,
+    downloadDirectory: parsed.values.out as string | undefined,
+    checkInterval: readPositiveInteger(parsed.values.interval as string | undefined, 'interval'),
+    tags: parsed.values.tag as string[] | undefined
+  })
+  process.stdout.write(`Added ${subscription.id.slice(0, 8)} ${subscription.sourceUrl}\n`)
+  process.stdout.write(
+    run.backend.mode === 'remote'
+      ? 'VidBee is running its first check now\n'
+      : 'Run "subscriptions check" to run its first check\n'
+  )
+  return EXIT_OK
+}
+
+const runSubscriptionsCheck = async (run: CliRun, parsed: ParsedCommand): Promise<number> => {
+  if (parsed.positionals.length > 1) {
+    throw new UsageError('subscriptions check expects at most one id')
+  }
+  let subscriptionId: string | undefined
+  if (parsed.positionals[0]) {
+    const subscription = findSubscription(
+      await run.backend.listSubscriptions(),
+      parsed.positionals[0]
+    )
+    if (!subscription) {
+      process.stderr.write(`No subscription matches "${parsed.positionals[0]}"\n`)
+      return EXIT_FAILURE
+    }
+    subscriptionId = subscription.id
+  }
+
+  const results = await run.backend.checkSubscriptions(subscriptionId)
+  let exitCode = EXIT_OK
+  for (const result of results) {
+    if (result.status === 'failed') {
+      exitCode = EXIT_FAILURE
+      process.stdout.write(`✗ ${result.title}: ${result.error ?? 'check failed'}\n`)
+      continue
+    }
+    process.stdout.write(`✓ ${result.title}: ${result.newItems} new, ${result.queued} queued\n`)
+    for (const id of result.downloadIds) {
+      run.tracker.watch(id, result.title)
+    }
+  }
+  if (results.length === 0) {
+    process.stdout.write('No enabled subscriptions were checked\n')
+  }
+  if (parsed.values['no-wait']) {
+    return exitCode
+  }
+  const downloadsExitCode = await waitForDownloads(run)
+  return exitCode === EXIT_OK ? downloadsExitCode : exitCode
+}
+
+const runHistoryList = async (run: CliRun, parsed: ParsedCommand): Promise<number> => {
+  const limit = readPositiveInteger(parsed.values.limit as string | undefined, 'limit') ?? 20
+  let items: DownloadHistoryItem[] = await run.backend.listHistory()
+  if (parsed.values.status) {
+    items = items.filter((item) => item.status === parsed.values.status)
+  }
+  items = items.slice(0, limit)
+  if (parsed.values.json) {
+    printJson(items)
+    return EXIT_OK
+  }
+  if (items.length === 0) {
+    process.stdout.write('No history entries\n')
+    return EXIT_OK
+  }
+  const rows = [['DATE', 'STATUS', 'TYPE', 'TITLE']]
+  for (const item of items) {
+    rows.push([formatDate(item.downloadedAt), item.status, item.type, item.title || item.url])
+  }
+  process.stdout.write(`${padColumns(rows)}\n`)
+  return EXIT_OK
+}
+
+const runHistoryExport = async (run: CliRun, parsed: ParsedCommand): Promise<number> => {
+  const format = (parsed.values.format as string | undefined) ?? 'json'
+  if (format !== 'json' && format !== 'csv') {
+    throw new UsageError('--format expects json or csv')
+  }
+  const items = await run.backend.listHistory()
+  const output =
+    format === 'csv' ? serializeHistoryCsv(items) : `${JSON.stringify(items, null, 2)}\n`
+  const target = parsed.values.out as string | undefined
+  if (target) {
+    fs.writeFileSync(target, output, 'utf8')
+    process.stderr.write(`Exported ${items.length} entries to ${target}\n`)
+  } else {
+    process.stdout.write(output)
+  }
+  return EXIT_OK
+}
+
+const runCommand = (run: CliRun, parsed: ParsedCommand): Promise<number> => {
+  switch (parsed.subcommand ? `${parsed.command} ${parsed.subcommand}` : parsed.command) {
+    case 'download':
+      return runDownload(run, parsed)
+    case 'playlist':
+      return runPlaylist(run, parsed)
+    case 'subscriptions list':
+      return runSubscriptionsList(run, parsed)
+    case 'subscriptions add':
+      return runSubscriptionsAdd(run, parsed)
+    case 'subscriptions check':
+      return runSubscriptionsCheck(run, parsed)
+    case 'history list':
+      return runHistoryList(run, parsed)
+    default:
+      return runHistoryExport(run, parsed)
+  }
+}
+
+const usesEngine = (parsed: ParsedCommand): boolean =>
+  parsed.command === 'download' || parsed.command === 'playlist' || parsed.subcommand === 'check'
+
+/**
+ * Picks the backend: the engine of an already running app through its local API, or an
+ * engine in this process when no app is running. The app's single instance lock is left
+ * alone, a separate CLI lock keeps the app and other commands from starting a second engine.
+ */
+const openBackend = async (parsed: ParsedCommand): Promise<CliBackend> => {
+  const port = await findLocalApiPort()
+  if (port === null) {
+    acquireCliLock()
+    return createStandaloneBackend(usesEngine(parsed))
+  }
+  return createRemoteBackend(port, () =>
+    process.stderr.write(
+      'Generated an API key for the CLI, it is shown under Settings > Advanced > Local API\n'
+    )
+  )
+}
+
+const execute = async (argv: string[]): Promise<number> => {
+  let parsed: ParsedCommand | null
+  try {
+    parsed = parseCommand(argv)
+  } catch (error) {
+    process.stderr.write(`${(error as Error).message}\n\n${USAGE}\n`)
+    return EXIT_USAGE
+  }
+  if (!parsed) {
+    process.stdout.write(`${USAGE}\n`)
+    return EXIT_OK
+  }
+
+  await app.whenReady()
+  let backend: CliBackend
+  try {
+    backend = await openBackend(parsed)
+  } catch (error) {
+    if (error instanceof RemoteUnavailableError) {
+      process.stderr.write(`Could not reach the running VidBee: ${error.message}\n`)
+      return EXIT_UNAVAILABLE
+    }
+    if (error instanceof CliLockedError) {
+      process.stderr.write(`${error.message}, try again once it has finished\n`)
+      return EXIT_UNAVAILABLE
+    }
+    throw error
+  }
+
+  const run: CliRun = { backend, tracker: new DownloadTracker(backend) }
+  process.once('SIGINT', () => {
+    void (async () => {
+      if (backend.mode === 'standalone') {
+        await Promise.all(run.tracker.getWatchedIds().map((id) => backend.cancel(id)))
+      } else if (run.tracker.getWatchedIds().length > 0) {
+        process.stderr.write('\nDetached, the downloads continue in VidBee\n')
+      }
+      backend.close()
+      releaseCliLock()
+      app.exit(EXIT_INTERRUPTED)
+    })()
+  })
+
+  try {
+    return await runCommand(run, parsed)
+  } catch (error) {
+    if (error instanceof UsageError) {
+      process.stderr.write(`${error.message}\n\n${USAGE}\n`)
+      return EXIT_USAGE
+    }
+    if (error instanceof RemoteUnavailableError) {
+      process.stderr.write(`Lost the running VidBee: ${error.message}\n`)
+      return EXIT_UNAVAILABLE
+    }
+    process.stderr.write(`${error instanceof Error ? error.message : String(error)}\n`)
+    return EXIT_FAILURE
+  } finally {
+    backend.close()
+  }
+}
+
+/**
+ * Runs `vidbee --cli <command>` without a window and exits with the command's code.
+ */
+export const runCli = async (argv: string[]): Promise<void> => {
+  // Progress and results go to stdout, the log file still gets everything
+  log.transports.console.level = false
+  app.dock?.hide()
+  const exitCode = await execute(argv).catch((error) => {
+    log.error('CLI command failed:', error)
+    process.stderr.write(`${error instanceof Error ? error.message : String(error)}\n`)
+    return EXIT_FAILURE
+  })
+  releaseCliLock()
+  app.exit(exitCode)
+}
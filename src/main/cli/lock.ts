@@ -0,0 +1,57 @@
+import fs from 'node:fs'
+import path from 'node:path'
+import { app } from 'electron'
+
+export class CliLockedError extends Error {}
+
+/**
+ * Standalone CLI runs hold this file instead of the app's single instance lock, which is left
+ * to the window, so the app can say why it does not start while a command owns the engine.
+ */
+const getLockPath = (): string => path.join(app.getPath('userData'), 'cli.lock')
+
+const isProcessAlive = (pid: number): boolean => {
+  try {
+    process.kill(pid, 0)
+    return true
+  } catch (error) {
+    return (error as NodeJS.ErrnoException).code === 'EPERM'
+  }
+}
+
+// A lock whose process is gone was left behind by a run that crashed and counts as free
+const readLockOwner = (): number | null => {
+  try {
+    const pid = Number(fs.readFileSync(getLockPath(), 'utf8').trim())
+    return Number.isInteger(pid) && pid > 0 && isProcessAlive(pid) ? pid : null
+  } catch {
+    return null
+  }
+}
+
+export const isCliLockHeld = (): boolean => {
+  const owner = readLockOwner()
+  return owner !== null && owner !== process.pid
+}
+
+export const acquireCliLock = (): void => {
+  const lockPath = getLockPath()
+  for (let attempt = 0; attempt < 2; attempt += 1) {
+    try {
+      fs.writeFileSync(lockPath, String(process.pid), { flag: 'wx' })
+      return
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code !== 'EEXIST' || readLockOwner() !== null) {
+        throw new CliLockedError('Another VidBee command is already running')
+      }
+      fs.rmSync(lockPath, { force: true })
+    }
+  }
+  throw new CliLockedError('Another VidBee command is already running')
+}
+
+export const releaseCliLock = (): void => {
+  if (readLockOwner() === process.pid) {
+    fs.rmSync(getLockPath(), { force: true })
+  }
+}
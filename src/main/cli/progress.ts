@@ -0,0 +1,245 @@
+import path from 'node:path'
+import type { DownloadProgress } from '../../shared/types'
+import { type CliBackend, type CliEvent, RemoteUnavailableError } from './backends'
+
+type TrackedStatus = 'pending' | 'downloading' | 'processing' | 'completed' | 'error' | 'cancelled'
+
+interface TrackedDownload {
+  status: TrackedStatus
+  progress?: DownloadProgress
+  error?: string
+}
+
+export interface DownloadWaitResult {
+  completed: string[]
+  failed: string[]
+}
+
+// Non-interactive output prints a line every this many percent
+const LOG_PROGRESS_STEP = 25
+
+const isTerminal = (status: TrackedStatus): boolean =>
+  status === 'completed' || status === 'error' || status === 'cancelled'
+
+const readId = (data: unknown): string | undefined =>
+  typeof data === 'object' && data !== null && 'id' in data
+    ? String((data as { id: unknown }).id)
+    : undefined
+
+/**
+ * Follows downloads through the backend's events and prints their progress: a rewritten
+ * status line on a terminal, throttled plain lines when stdout is piped or logged.
+ * Events are recorded from the start so downloads that finish before they are watched
+ * (e.g. playlist entries queued by the engine) still count.
+ */
+export class DownloadTracker {
+  private readonly states = new Map<string, TrackedDownload>()
+  private readonly labels = new Map<string, string>()
+  private readonly reportedSteps = new Map<string, number>()
+  private readonly interactive = Boolean(process.stdout.isTTY)
+  private statusLineVisible = false
+  private readonly pendingReports = new Set<Promise<void>>()
+  private settle?: () => void
+  private fail?: (error: Error) => void
+
+  constructor(private readonly backend: CliBackend) {
+    backend.on('event', (event: CliEvent) => this.handleEvent(event))
+    backend.on('disconnected', () =>
+      this.fail?.(new RemoteUnavailableError('Lost the connection to the running app'))
+    )
+  }
+
+  watch(id: string, label: string): void {
+    this.labels.set(id, label)
+    if (!this.states.has(id)) {
+      this.states.set(id, { status: 'pending' })
+    }
+  }
+
+  getWatchedIds(): string[] {
+    return Array.from(this.labels.keys())
+  }
+
+  /**
+   * Resolves once every watched download completed, failed or was cancelled.
+   */
+  async wait(): Promise<DownloadWaitResult> {
+    for (;;) {
+      await new Promise<void>((resolve, reject) => {
+        this.settle = resolve
+        this.fail = reject
+        this.checkSettled()
+      })
+      // Failed subscription downloads are queued once more under the same id
+      const requeued = await this.findRequeued()
+      if (requeued.length === 0) {
+        break
+      }
+      for (const id of requeued) {
+        this.states.set(id, { ...this.states.get(id), status: 'pending', error: undefined })
+      }
+    }
+    await Promise.all(this.pendingReports)
+    this.clearStatusLine()
+
+    const result: DownloadWaitResult = { completed: [], failed: [] }
+    for (const id of this.labels.keys()) {
+      const status = this.states.get(id)?.status
+      if (status === 'completed') {
+        result.completed.push(id)
+      } else {
+        result.failed.push(id)
+      }
+    }
+    return result
+  }
+
+  private async findRequeued(): Promise<string[]> {
+    const requeued: string[] = []
+    for (const id of this.labels.keys()) {
+      if (this.states.get(id)?.status !== 'error') {
+        continue
+      }
+      const lookup = await this.backend.getDownload(id)
+      if (lookup?.state === 'queue') {
+        requeued.push(id)
+      }
+    }
+    return requeued
+  }
+
+  private checkSettled(): void {
+    if (!this.settle) {
+      return
+    }
+    for (const id of this.labels.keys()) {
+      const status = this.states.get(id)?.status
+      if (!status || !isTerminal(status)) {
+        return
+      }
+    }
+    const settle = this.settle
+    this.settle = undefined
+    this.fail = undefined
+    settle()
+  }
+
+  private handleEvent(event: CliEvent): void {
+    const id = readId(event.data)
+    if (!id) {
+      return
+    }
+    const state = this.states.get(id) ?? { status: 'pending' }
+    const data = event.data as Record<string, unknown>
+
+    switch (event.type) {
+      case 'download-started':
+        state.status = 'downloading'
+        break
+      case 'download-progress':
+        state.status = 'downloading'
+        state.progress = data.progress as DownloadProgress
+        break
+      case 'download-processing':
+        state.status = 'processing'
+        break
+      case 'download-completed':
+        state.status = 'completed'
+        break
+      case 'download-error':
+        state.status = 'error'
+        state.error = typeof data.error === 'string' ? data.error : undefined
+        break
+      case 'download-cancelled':
+        state.status = 'cancelled'
+        break
+      default:
+        return
+    }
+    this.states.set(id, state)
+
+    if (this.labels.has(id)) {
+      this.report(id, event.type, state)
+    }
+    this.checkSettled()
+  }
+
+  private report(id: string, type: string, state: TrackedDownload): void {
+    const label = this.labels.get(id) ?? id
+
+    if (type === 'download-completed') {
+      const report = this.reportCompleted(id, label).finally(() =>
+        this.pendingReports.delete(report)
+      )
+      this.pendingReports.add(report)
+      return
+    }
+    if (type === 'download-error') {
+      this.printLine(`✗ ${label}: ${state.error ?? 'Download failed'}`)
+      return
+    }
+    if (type === 'download-cancelled') {
+      this.printLine(`✗ ${label}: cancelled`)
+      return
+    }
+    if (type === 'download-processing') {
+      if (!this.interactive) {
+        this.printLine(`… ${label}: processing`)
+      }
+      return
+    }
+    if (type !== 'download-progress' || !state.progress) {
+      return
+    }
+
+    const percent = Math.max(0, Math.min(100, state.progress.percent ?? 0))
+    if (this.interactive) {
+      const details = [
+        `${percent.toFixed(1)}%`,
+        state.progress.currentSpeed,
+        state.progress.eta ? `ETA ${state.progress.eta}` : undefined
+      ]
+        .filter(Boolean)
+        .join('  ')
+      const done = Array.from(this.labels.keys()).filter((watchedId) => {
+        const status = this.states.get(watchedId)?.status
+        return status !== undefined && isTerminal(status)
+      }).length
+      const counter = this.labels.size > 1 ? `[${done + 1}/${this.labels.size}] ` : ''
+      const columns = process.stdout.columns || 80
+      const line = `${counter}${details}  ${label}`
+      process.stdout.write(`\r\x1b[K${line.slice(0, columns - 1)}`)
+      this.statusLineVisible = true
+      return
+    }
+
+    const step = Math.floor(percent / LOG_PROGRESS_STEP) * LOG_PROGRESS_STEP
+    const reported = this.reportedSteps.get(id)
+    if (reported === undefined || step > reported) {
+      this.reportedSteps.set(id, step)
+      this.printLine(`… ${label}: ${step}%`)
+    }
+  }
+
+  private async reportCompleted(id: string, label: string): Promise<void> {
+    const lookup = await this.backend.getDownload(id).catch(() => null)
+    const item = lookup?.state === 'history' ? lookup.item : undefined
+    const savedPath =
+      item?.downloadPath && item.savedFileName
+        ? path.join(item.downloadPath, item.savedFileName)
+        : undefined
+    this.printLine(savedPath ? `✓ ${label} → ${savedPath}` : `✓ ${label}`)
+  }
+
+  private clearStatusLine(): void {
+    if (this.statusLineVisible) {
+      process.stdout.write('\r\x1b[K')
+      this.statusLineVisible = false
+    }
+  }
+
+  private printLine(line: string): void {
+    this.clearStatusLine()
+    process.stdout.write(`${line}\n`)
+  }
+}
@@ -1,6 +1,13 @@
 import path from 'node:path'
 import type { AppSettings, DownloadOptions } from '../../shared/types'
 import { resolvePathWithHome } from '../utils/path-helpers'
+import { buildLiveRecordingArgs } from './live-recording'
+import {
+  buildSponsorBlockArgs,
+  resolveSponsorBlockApiUrl,
+  resolveSponsorBlockOptions
+} from './sponsorblock'
+import { resolveSubtitlePreferences } from './subtitles'
 
 export const sanitizeFilenameTemplate = (template: string): string => {
   const trimmed = template.trim()
@@ -88,15 +95,20 @@ export const buildDownloadArgs = (
   options: DownloadOptions,
   downloadPath: string,
   settings: AppSettings,
-  jsRuntimeArgs: string[] = []
+  jsRuntimeArgs: string[] = [],
+  bandwidthLimit = 0,
+  // A site rule's own arguments, after the app's so they can override them
+  extraArgs: string[] = []
 ): string[] => {
   const args: string[] = ['--no-playlist', '--no-mtime']
 
   // Add encoding support for proper handling of non-ASCII characters
   args.push('--encoding', 'utf-8')
 
-  // Format selection
-  if (options.type === 'video') {
+  // Format selection, subtitles only downloads skip the media entirely
+  if (options.subtitlesOnly) {
+    args.push('--skip-download')
+  } else if (options.type === 'video') {
     const formatSelector = resolveVideoFormatSelector(options)
     args.push('-f', formatSelector)
     if (options.audioFormatIds && options.audioFormatIds.length > 0) {
@@ -111,16 +123,34 @@ export const buildDownloadArgs = (
     args.push('-f', resolveAudioFormatSelector(options))
   }
 
-  // Time range
-  if (options.startTime || options.endTime) {
+  // Time ranges, each one is downloaded to its own file
+  const timeRanges = options.subtitlesOnly
+    ? []
+    : (options.timeRanges ?? []).filter((range) => range.start || range.end)
+  if (timeRanges.length > 0) {
+    for (const range of timeRanges) {
+      args.push('--download-sections', `*${range.start || '0'}-${range.end || 'inf'}`)
+    }
+  } else if (!options.subtitlesOnly && (options.startTime || options.endTime)) {
     const start = options.startTime || '0'
     const end = options.endTime || ''
     args.push('--download-sections', `*${start}-${end || ''}`)
   }
 
-  const embedSubs = settings.embedSubs
-  const embedMetadata = settings.embedMetadata
-  const embedChapters = settings.embedChapters
+  // Without a media file there is nothing to embed into
+  const mediaDownload = !options.subtitlesOnly
+  const embedSubs = mediaDownload && (options.embedSubs ?? settings.embedSubs)
+  const embedThumbnail = mediaDownload && (options.embedThumbnail ?? settings.embedThumbnail)
+  const embedMetadata = mediaDownload && (options.embedMetadata ?? settings.embedMetadata)
+  const sponsorBlock = mediaDownload
+    ? resolveSponsorBlockOptions(options, settings)
+    : { remove: [], mark: [] }
+  // Marked segments only reach the file as embedded chapters
+  const embedChapters =
+    mediaDownload &&
+    ((options.embedChapters ?? settings.embedChapters) || sponsorBlock.mark.length > 0)
+  const subtitles = resolveSubtitlePreferences(options, settings)
+  const subtitleLanguages = subtitles.languages
   const hasSubtitleAuth =
     (settings.browserForCookies && settings.browserForCookies !== 'none') ||
     Boolean(settings.cookiesPath?.trim())
@@ -129,19 +159,34 @@ export const buildDownloadArgs = (
   // Subtitles
   if (shouldAttemptSubtitles) {
     if (embedSubs) {
-      args.push('--sub-langs', 'all')
+      args.push('--sub-langs', subtitleLanguages.length > 0 ? subtitleLanguages.join(',') : 'all')
+      // Explicitly requested subtitle files are kept next to the video after embedding
+      if (options.downloadSubs) {
+        args.push('--write-subs')
+      }
     } else {
       args.push('--write-subs')
+      if (subtitleLanguages.length > 0) {
+        args.push('--sub-langs', subtitleLanguages.join(','))
+      }
+    }
+    // Only with preferred languages, "all" would pull in every machine-translated caption
+    if (subtitles.autoSubtitles && subtitleLanguages.length > 0) {
+      args.push('--write-auto-subs')
+    }
+    if (subtitles.format) {
+      args.push('--convert-subs', subtitles.format)
     }
     args.push(embedSubs ? '--embed-subs' : '--no-embed-subs')
   } else {
     args.push('--no-embed-subs')
   }
   if (process.platform !== 'darwin') {
-    args.push(settings.embedThumbnail ? '--embed-thumbnail' : '--no-embed-thumbnail')
+    args.push(embedThumbnail ? '--embed-thumbnail' : '--no-embed-thumbnail')
   }
   args.push(embedMetadata ? '--embed-metadata' : '--no-embed-metadata')
   args.push(embedChapters ? '--embed-chapters' : '--no-embed-chapters')
+  args.push(...buildSponsorBlockArgs(sponsorBlock, resolveSponsorBlockApiUrl(settings)))
 
   // Output path with proper encoding handling
   const baseDownloadPath = options.customDownloadPath?.trim() || downloadPath
@@ -149,13 +194,43 @@ export const buildDownloadArgs = (
     options.customFilenameTemplate ?? '%(title)s via VidBee.%(ext)s'
   )
   const safeTemplate = filenameTemplate.replace(/^[\\/]+/, '')
-  const outputTemplate = path.join(baseDownloadPath, safeTemplate)
+  const templateBase = safeTemplate.replace(/\.%\(ext\)s$/, '')
+  // Ranges share the video's name, the section times keep their files apart
+  const outputTemplate = path.join(
+    baseDownloadPath,
+    timeRanges.length > 1
+      ? `${templateBase} (%(section_start>%H.%M.%S)s-%(section_end>%H.%M.%S)s).%(ext)s`
+      : safeTemplate
+  )
   args.push('-o', outputTemplate)
 
-  // Add options for better filename handling
-  args.push('--no-part')
+  // Chapters go to a folder named like the video, numbered in order
+  if (mediaDownload && options.splitChapters) {
+    args.push('--split-chapters')
+    args.push(
+      '-o',
+      `chapter:${path.join(baseDownloadPath, templateBase, '%(section_number)02d - %(section_title)s.%(ext)s')}`
+    )
+  }
+
+  // Media servers pick up `<episode>-thumb.jpg` next to the video
+  if (mediaDownload && (options.mediaLibrary ?? settings.mediaLibraryMode)) {
+    args.push('--write-thumbnail', '--convert-thumbnails', 'jpg')
+    args.push('-o', `thumbnail:${outputTemplate.replace(/\.%\(ext\)s$/, '')}-thumb.%(ext)s`)
+  }
+
+  if (mediaDownload && options.liveRecording) {
+    args.push(...buildLiveRecordingArgs(options.liveRecording))
+  }
+
+  // Keep .part files so interrupted downloads can continue where they stopped
+  args.push('--continue')
   args.push('--no-playlist-reverse')
 
+  if (bandwidthLimit > 0) {
+    args.push('--limit-rate', `${bandwidthLimit}K`)
+  }
+
   if (process.platform === 'win32') {
     args.push('--windows-filenames')
   }
@@ -182,6 +257,7 @@ export const buildDownloadArgs = (
     args.push(...jsRuntimeArgs)
   }
 
+  args.push(...extraArgs)
   args.push(options.url)
 
   return args
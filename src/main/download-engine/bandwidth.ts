@@ -0,0 +1,27 @@
+import type { AppSettings } from '../../shared/types'
+import { isTimeWindowActive } from '../../shared/utils/time-window'
+
+export const normalizeBandwidthLimit = (value: number | undefined): number =>
+  typeof value === 'number' && Number.isFinite(value) && value > 0 ? Math.floor(value) : 0
+
+/**
+ * Returns the global bandwidth cap in KiB/s for the given moment (0 means unlimited).
+ * The first matching schedule window wins; outside all windows the base limit applies.
+ */
+export const resolveBandwidthLimit = (
+  settings: Pick<AppSettings, 'bandwidthLimit' | 'bandwidthSchedule'>,
+  now: Date = new Date()
+): number => {
+  const rule = (settings.bandwidthSchedule ?? []).find((entry) => isTimeWindowActive(entry, now))
+  return normalizeBandwidthLimit(rule ? rule.limit : settings.bandwidthLimit)
+}
+
+/**
+ * Splits a global cap evenly between the downloads sharing it.
+ */
+export const splitBandwidthLimit = (limit: number, shareCount: number): number => {
+  if (limit <= 0) {
+    return 0
+  }
+  return Math.max(1, Math.floor(limit / Math.max(1, shareCount)))
+}
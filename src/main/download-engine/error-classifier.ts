@@ -0,0 +1,113 @@
+import type { DownloadErrorCategory } from '../../shared/types'
+
+// Checked in order: the first matching category wins, so the more specific
+// failures come before the generic network patterns.
+const categoryPatterns: Array<{ category: DownloadErrorCategory; patterns: RegExp[] }> = [
+  {
+    category: 'rate-limited',
+    patterns: [/http error 429/i, /too many requests/i, /rate[- ]?limit/i]
+  },
+  {
+    category: 'auth-required',
+    patterns: [
+      /sign in to confirm/i,
+      /login required/i,
+      /requires authentication/i,
+      /use --cookies/i,
+      /--cookies-from-browser/i,
+      /members[- ]only/i,
+      /confirm your age/i,
+      /http error 401/i
+    ]
+  },
+  {
+    category: 'geo-blocked',
+    patterns: [
+      /not available in your country/i,
+      /geo[- ]?restrict/i,
+      /blocked it in your country/i,
+      /not available (?:in|from) your (?:location|region)/i
+    ]
+  },
+  {
+    category: 'live-stream',
+    patterns: [/live event will begin/i, /premieres in/i]
+  },
+  {
+    category: 'unavailable',
+    patterns: [
+      /video unavailable/i,
+      /has been removed/i,
+      /no longer available/i,
+      /private video/i,
+      /account associated with this video has been terminated/i,
+      /(?:video|channel|playlist|user|page) does not exist/i,
+      /http error 404/i
+    ]
+  },
+  {
+    category: 'ffmpeg',
+    patterns: [
+      /postprocessing:/i,
+      /ff(?:mpeg|probe)(?: and ffmpeg)? not found/i,
+      /ffmpeg is not installed/i,
+      /ffmpeg exited with code/i,
+      /conversion failed/i
+    ]
+  },
+  {
+    category: 'network',
+    patterns: [
+      /http error 403/i,
+      /http error 5\d\d/i,
+      /connection (?:reset|refused|aborted)/i,
+      /timed? ?out/i,
+      /temporary failure in name resolution/i,
+      /network is unreachable/i,
+      /getaddrinfo/i,
+      /remote end closed connection/i,
+      /incomplete ?read/i,
+      /unable to download video data/i,
+      /fragment \d+ not found/i,
+      /giving up after \d+ fragment retries/i,
+      /ssl: /i
+    ]
+  }
+]
+
+const retryableCategories = new Set<DownloadErrorCategory>(['network', 'rate-limited'])
+
+const baseRetryDelayMs: Partial<Record<DownloadErrorCategory, number>> = {
+  network: 5_000,
+  'rate-limited': 30_000
+}
+
+const maxRetryDelayMs = 10 * 60 * 1000
+
+// yt-dlp's regular output around a failure mentions ffmpeg, formats and the like, only its
+// ERROR: lines say what went wrong. Messages without one are classified as a whole.
+const extractErrorLines = (message: string): string => {
+  const errorLines = message.split(/\r?\n/).filter((line) => /^\s*ERROR:/.test(line))
+  return errorLines.length > 0 ? errorLines.join('\n') : message
+}
+
+export const classifyDownloadError = (message: string): DownloadErrorCategory => {
+  const errorText = extractErrorLines(message)
+  for (const { category, patterns } of categoryPatterns) {
+    if (patterns.some((pattern) => pattern.test(errorText))) {
+      return category
+    }
+  }
+  return 'unknown'
+}
+
+export const isRetryableErrorCategory = (category: DownloadErrorCategory): boolean =>
+  retryableCategories.has(category)
+
+/**
+ * Exponential backoff for the given 1-based retry attempt.
+ */
+export const getRetryDelayMs = (category: DownloadErrorCategory, attempt: number): number => {
+  const base = baseRetryDelayMs[category] ?? baseRetryDelayMs.network ?? 5_000
+  return Math.min(maxRetryDelayMs, base * 2 ** Math.max(0, attempt - 1))
+}
@@ -206,3 +206,39 @@ export const resolveSelectedFormat = (
 
   return undefined
 }
+
+const estimateFormatSize = (format: VideoFormat, duration?: number): number => {
+  const size = format.filesize ?? format.filesize_approx
+  if (size) {
+    return size
+  }
+  // tbr is in kbit/s
+  return format.tbr && duration ? Math.round(format.tbr * duration * 125) : 0
+}
+
+/**
+ * Rough size of what a download would fetch, adding the audio stream when the chosen
+ * video format has none. Returns undefined when the formats carry no size hints.
+ */
+export const estimateDownloadSize = (
+  formats: VideoFormat[],
+  options: DownloadOptions,
+  settings: AppSettings,
+  duration?: number
+): number | undefined => {
+  const selected = resolveSelectedFormat(formats, options, settings)
+  if (!selected) {
+    return undefined
+  }
+
+  let total = estimateFormatSize(selected, duration)
+  if (options.type === 'video' && (!selected.acodec || selected.acodec === 'none')) {
+    const audio = resolveSelectedFormat(
+      formats,
+      { ...options, type: 'audio', format: undefined },
+      settings
+    )
+    total += audio ? estimateFormatSize(audio, duration) : 0
+  }
+  return total > 0 ? total : undefined
+}
@@ -0,0 +1,83 @@
+import fs from 'node:fs/promises'
+import type { LiveRecordingOptions } from '../../shared/types'
+
+// Seconds between checks while an upcoming stream has not started, as MIN-MAX
+const WAIT_FOR_VIDEO_INTERVAL = '15-300'
+
+const sizeUnits = ['B', 'KiB', 'MiB', 'GiB', 'TiB']
+
+// yt-dlp fails info extraction of streams that have not started yet with one of these
+export const UPCOMING_STREAM_PATTERN =
+  /live event will begin|premieres in|will begin in|waiting for (?:video|stream)/i
+
+export const buildLiveRecordingArgs = (recording: LiveRecordingOptions): string[] => {
+  const args = ['--wait-for-video', WAIT_FOR_VIDEO_INTERVAL]
+  if (recording.fromStart) {
+    args.push('--live-from-start')
+  }
+  return args
+}
+
+/**
+ * The earlier of the clock time and the duration counted from when recording started. A clock
+ * time that passed while waiting for the stream stops the recording right away.
+ */
+export const resolveLiveStopAt = (
+  recording: LiveRecordingOptions,
+  startedAt: number
+): number | undefined => {
+  const limits: number[] = []
+  if (recording.stopAfterMinutes && recording.stopAfterMinutes > 0) {
+    limits.push(startedAt + recording.stopAfterMinutes * 60_000)
+  }
+  if (recording.stopAt) {
+    limits.push(recording.stopAt)
+  }
+  return limits.length > 0 ? Math.min(...limits) : undefined
+}
+
+// Same notation as yt-dlp's own progress, e.g. 12.34MiB
+export const formatRecordedSize = (bytes: number): string => {
+  let value = bytes
+  let unit = 0
+  while (value >= 1024 && unit < sizeUnits.length - 1) {
+    value /= 1024
+    unit += 1
+  }
+  return `${value.toFixed(unit === 0 ? 0 : 2)}${sizeUnits[unit]}`
+}
+
+const statSize = async (filePath: string): Promise<number | undefined> => {
+  try {
+    return (await fs.stat(filePath)).size
+  } catch {
+    return undefined
+  }
+}
+
+/**
+ * Bytes recorded so far across the output files, which stay `.part` files until the
+ * recording ends.
+ */
+export const measureRecordedBytes = async (filePaths: Iterable<string>): Promise<number> => {
+  const sizes = await Promise.all(
+    Array.from(
+      filePaths,
+      async (filePath) => (await statSize(`${filePath}.part`)) ?? (await statSize(filePath)) ?? 0
+    )
+  )
+  return sizes.reduce((total, size) => total + size, 0)
+}
+
+/**
+ * Gives a recording that was interrupted before yt-dlp could finish it its final name. Live
+ * recordings are written as MPEG-TS, so the partial file plays as it is.
+ */
+export const recoverInterruptedRecording = async (filePath: string): Promise<void> => {
+  if ((await statSize(filePath)) !== undefined) {
+    return
+  }
+  if ((await statSize(`${filePath}.part`)) !== undefined) {
+    await fs.rename(`${filePath}.part`, filePath)
+  }
+}
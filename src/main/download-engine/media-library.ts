@@ -0,0 +1,212 @@
+import { spawn } from 'node:child_process'
+import fs from 'node:fs/promises'
+import path from 'node:path'
+import type { VideoInfo } from '../../shared/types'
+import { ffmpegManager } from '../lib/ffmpeg-manager'
+import { scopedLoggers } from '../utils/logger'
+import { escapeXml } from '../utils/xml'
+
+const IMAGE_CONVERT_TIMEOUT_MS = 30_000
+const MAX_EPISODE_TITLE_LENGTH = 120
+
+/**
+ * Where a download goes in media library mode: `<base>/<show>/Season <year>/` with date based
+ * episode numbers (`S2024E0315`), the layout Jellyfin, Plex and Kodi read for dated shows.
+ */
+export interface MediaLibraryLayout {
+  showTitle: string
+  showDirectory: string
+  seasonDirectory: string
+  season: number
+  // Month and day of the upload, 315 for March 15
+  episode: number
+  // File name without extension, shared by the video, its .nfo and its -thumb.jpg
+  episodeName: string
+  // YYYY-MM-DD
+  aired: string
+}
+
+// Show level details, filled from the subscription when the download belongs to one
+export interface MediaLibraryShow {
+  tags?: string[]
+  posterUrl?: string
+}
+
+const sanitizeName = (value: string, fallback: string): string => {
+  const sanitized = value
+    .replace(/[\\/:*?"<>|]+/g, '-')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/[. ]+$/g, '')
+  return sanitized || fallback
+}
+
+const resolveAirDate = (info: VideoInfo): Date => {
+  const match = info.upload_date?.match(/^(\d{4})(\d{2})(\d{2})$/)
+  if (match) {
+    return new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])))
+  }
+  if (info.timestamp) {
+    return new Date(info.timestamp * 1000)
+  }
+  return new Date()
+}
+
+export const resolveMediaLibraryLayout = (
+  basePath: string,
+  info: VideoInfo
+): MediaLibraryLayout => {
+  const showTitle = sanitizeName(info.channel || info.uploader || '', 'Unknown Channel')
+  const aired = resolveAirDate(info)
+  const season = aired.getUTCFullYear()
+  const month = aired.getUTCMonth() + 1
+  const day = aired.getUTCDate()
+  const episodeCode = `S${season}E${String(month).padStart(2, '0')}${String(day).padStart(2, '0')}`
+  const title = sanitizeName(info.title || '', 'Untitled').slice(0, MAX_EPISODE_TITLE_LENGTH)
+  const showDirectory = path.join(basePath, showTitle)
+  return {
+    showTitle,
+    showDirectory,
+    seasonDirectory: path.join(showDirectory, `Season ${season}`),
+    season,
+    episode: month * 100 + day,
+    episodeName: `${showTitle} - ${episodeCode} - ${title.trim()} [${sanitizeName(info.id, 'video')}]`,
+    aired: aired.toISOString().slice(0, 10)
+  }
+}
+
+const xmlElement = (name: string, value?: string | number): string | null =>
+  value === undefined || value === '' ? null : `  <${name}>${escapeXml(String(value))}</${name}>`
+
+const buildNfo = (root: string, elements: Array<string | null>): string =>
+  [
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
+    `<${root}>`,
+    ...elements.filter((element): element is string => element !== null),
+    `</${root}>`,
+    ''
+  ].join('\n')
+
+const exists = async (filePath: string): Promise<boolean> => {
+  try {
+    await fs.access(filePath)
+    return true
+  } catch {
+    return false
+  }
+}
+
+const convertToJpeg = (inputPath: string, outputPath: string): Promise<void> =>
+  new Promise((resolve, reject) => {
+    const child = spawn(
+      ffmpegManager.getPath(),
+      [
+        '-hide_banner',
+        '-nostdin',
+        '-v',
+        'error',
+        '-y',
+        '-i',
+        inputPath,
+        '-frames:v',
+        '1',
+        outputPath
+      ],
+      { windowsHide: true, timeout: IMAGE_CONVERT_TIMEOUT_MS }
+    )
+    child.on('error', reject)
+    child.on('close', (code) => {
+      if (code === 0) {
+        resolve()
+      } else {
+        reject(new Error(`ffmpeg exited with code ${code}`))
+      }
+    })
+  })
+
+/**
+ * Saves an image as JPEG, converting other formats with ffmpeg. Existing files are kept.
+ */
+const saveImage = async (url: string | undefined, targetPath: string): Promise<void> => {
+  if (!url || (await exists(targetPath))) {
+    return
+  }
+  try {
+    const response = await fetch(url)
+    if (!response.ok) {
+      throw new Error(`Failed to fetch image (${response.status})`)
+    }
+    const data = Buffer.from(await response.arrayBuffer())
+    if (response.headers.get('content-type')?.includes('jpeg')) {
+      await fs.writeFile(targetPath, data)
+      return
+    }
+    const sourcePath = `${targetPath}.download`
+    await fs.writeFile(sourcePath, data)
+    try {
+      await convertToJpeg(sourcePath, targetPath)
+    } finally {
+      await fs.rm(sourcePath, { force: true })
+    }
+  } catch (error) {
+    scopedLoggers.download.warn('Failed to save media library artwork:', targetPath, error)
+  }
+}
+
+const writeShowMetadata = async (
+  layout: MediaLibraryLayout,
+  info: VideoInfo,
+  show: MediaLibraryShow
+): Promise<void> => {
+  const nfoPath = path.join(layout.showDirectory, 'tvshow.nfo')
+  if (!(await exists(nfoPath))) {
+    const tags = show.tags ?? []
+    await fs.writeFile(
+      nfoPath,
+      buildNfo('tvshow', [
+        xmlElement('title', layout.showTitle),
+        xmlElement('studio', info.extractor_key),
+        info.channel_id && info.extractor_key
+          ? `  <uniqueid type="${escapeXml(info.extractor_key.toLowerCase())}" default="true">${escapeXml(info.channel_id)}</uniqueid>`
+          : null,
+        ...tags.map((tag) => xmlElement('tag', tag))
+      ]),
+      'utf8'
+    )
+  }
+  await saveImage(show.posterUrl || info.thumbnail, path.join(layout.showDirectory, 'poster.jpg'))
+  await saveImage(info.thumbnail, path.join(layout.showDirectory, 'fanart.jpg'))
+}
+
+/**
+ * Writes the episode .nfo next to the downloaded file, plus the show's tvshow.nfo, poster.jpg
+ * and fanart.jpg when the show folder does not have them yet. The episode thumbnail is
+ * written by yt-dlp.
+ */
+export const writeMediaLibraryMetadata = async (
+  filePath: string,
+  info: VideoInfo,
+  layout: MediaLibraryLayout,
+  show: MediaLibraryShow = {}
+): Promise<void> => {
+  const parsed = path.parse(filePath)
+  await fs.writeFile(
+    path.join(parsed.dir, `${parsed.name}.nfo`),
+    buildNfo('episodedetails', [
+      xmlElement('title', info.title),
+      xmlElement('showtitle', layout.showTitle),
+      xmlElement('season', layout.season),
+      xmlElement('episode', layout.episode),
+      xmlElement('plot', info.description),
+      xmlElement('aired', layout.aired),
+      xmlElement('studio', info.extractor_key),
+      xmlElement('runtime', info.duration ? Math.round(info.duration / 60) : undefined),
+      info.extractor_key
+        ? `  <uniqueid type="${escapeXml(info.extractor_key.toLowerCase())}" default="true">${escapeXml(info.id)}</uniqueid>`
+        : null,
+      ...(info.tags ?? []).map((tag) => xmlElement('tag', tag))
+    ]),
+    'utf8'
+  )
+  await writeShowMetadata(layout, info, show)
+}
@@ -0,0 +1,156 @@
+import { spawn } from 'node:child_process'
+import fs from 'node:fs/promises'
+import path from 'node:path'
+import type { DownloadPartsPlaylist, DownloadTimeRange } from '../../shared/types'
+
+const TAG_TIMEOUT_MS = 120_000
+
+// Side files yt-dlp may report as a destination next to the media parts
+const sideFileExtensions = new Set([
+  'vtt',
+  'srt',
+  'ass',
+  'lrc',
+  'json',
+  'jpg',
+  'jpeg',
+  'png',
+  'webp',
+  'part',
+  'ytdl'
+])
+
+// One file of a split or multi-range download
+export interface DownloadPart {
+  filePath: string
+  title: string
+  // Seconds, when known
+  duration?: number
+}
+
+export const isMediaPartPath = (filePath: string): boolean =>
+  !sideFileExtensions.has(path.extname(filePath).replace(/^\./, '').toLowerCase())
+
+/**
+ * Parses the `[[hh:]mm:]ss` times yt-dlp accepts for --download-sections.
+ */
+export const parseSectionTime = (value?: string): number | undefined => {
+  const trimmed = value?.trim()
+  if (!trimmed || !/^\d+(:\d+){0,2}(\.\d+)?$/.test(trimmed)) {
+    return undefined
+  }
+  return trimmed.split(':').reduce((total, part) => total * 60 + Number(part), 0)
+}
+
+export const describeTimeRange = (range: DownloadTimeRange): string =>
+  range.title?.trim() || `${range.start || '0'}-${range.end || ''}`
+
+export const timeRangeDuration = (range: DownloadTimeRange): number | undefined => {
+  const start = parseSectionTime(range.start) ?? 0
+  const end = parseSectionTime(range.end)
+  return end !== undefined && end > start ? end - start : undefined
+}
+
+const runFfmpeg = (ffmpegPath: string, args: string[]): Promise<void> =>
+  new Promise((resolve, reject) => {
+    const child = spawn(ffmpegPath, ['-hide_banner', '-nostdin', '-v', 'error', '-y', ...args], {
+      windowsHide: true,
+      timeout: TAG_TIMEOUT_MS
+    })
+    child.on('error', reject)
+    child.on('close', (code) => {
+      if (code === 0) {
+        resolve()
+      } else {
+        reject(new Error(`ffmpeg exited with code ${code}`))
+      }
+    })
+  })
+
+/**
+ * Writes track number, title and album tags into audio parts, stream copied in place.
+ */
+export const tagAudioParts = async (
+  ffmpegPath: string,
+  parts: DownloadPart[],
+  album: string
+): Promise<void> => {
+  for (const [index, part] of parts.entries()) {
+    const parsed = path.parse(part.filePath)
+    const taggedPath = path.join(parsed.dir, `${parsed.name}.tagged${parsed.ext}`)
+    try {
+      await runFfmpeg(ffmpegPath, [
+        '-i',
+        part.filePath,
+        '-map',
+        '0',
+        '-c',
+        'copy',
+        '-metadata',
+        `track=${index + 1}/${parts.length}`,
+        '-metadata',
+        `title=${part.title}`,
+        '-metadata',
+        `album=${album}`,
+        taggedPath
+      ])
+      await fs.rename(taggedPath, part.filePath)
+    } finally {
+      await fs.rm(taggedPath, { force: true })
+    }
+  }
+}
+
+const cueFileType = (filePath: string): string => {
+  switch (path.extname(filePath).toLowerCase()) {
+    case '.mp3':
+      return 'MP3'
+    case '.wav':
+      return 'WAVE'
+    case '.aif':
+    case '.aiff':
+      return 'AIFF'
+    default:
+      return 'BINARY'
+  }
+}
+
+const quoteCue = (value: string): string => `"${value.replace(/"/g, "'")}"`
+
+/**
+ * Writes an M3U or cue sheet listing the parts in order, with paths relative to the
+ * playlist. Returns the playlist path.
+ */
+export const writePartsPlaylist = async (
+  parts: DownloadPart[],
+  format: DownloadPartsPlaylist,
+  title: string
+): Promise<string> => {
+  const directory = path.dirname(parts[0].filePath)
+  const safeTitle = title.replace(/[\\/:*?"<>|]+/g, '-').trim() || 'playlist'
+  // UTF-8 M3U playlists use the .m3u8 extension
+  const playlistPath = path.join(directory, `${safeTitle}.${format === 'm3u' ? 'm3u8' : 'cue'}`)
+  const relative = (filePath: string) => path.relative(directory, filePath).replace(/\\/g, '/')
+
+  const lines =
+    format === 'm3u'
+      ? [
+          '#EXTM3U',
+          ...parts.flatMap((part) => [
+            `#EXTINF:${part.duration ? Math.round(part.duration) : -1},${part.title}`,
+            relative(part.filePath)
+          ])
+        ]
+      : [
+          `TITLE ${quoteCue(title)}`,
+          ...parts.flatMap((part, index) => [
+            `FILE ${quoteCue(relative(part.filePath))} ${cueFileType(part.filePath)}`,
+            `  TRACK ${String(index + 1).padStart(2, '0')} AUDIO`,
+            `    TITLE ${quoteCue(part.title)}`,
+            '    INDEX 01 00:00:00'
+          ])
+        ]
+
+  await fs.writeFile(playlistPath, `${lines.join('\n')}\n`, 'utf8')
+  return playlistPath
+}
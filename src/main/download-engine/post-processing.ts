@@ -0,0 +1,369 @@
+import { spawn } from 'node:child_process'
+import fs from 'node:fs/promises'
+import path from 'node:path'
+import type {
+  AppSettings,
+  DownloadOptions,
+  PostProcessingPreset,
+  PostProcessingStep
+} from '../../shared/types'
+
+const EBU_R128_FILTER = 'loudnorm=I=-23:TP=-1:LRA=7'
+// Trims leading silence, then reverses to trim the trailing silence the same way
+const TRIM_SILENCE_FILTER = [
+  'silenceremove=start_periods=1:start_silence=0.3:start_threshold=-50dB',
+  'areverse',
+  'silenceremove=start_periods=1:start_silence=0.3:start_threshold=-50dB',
+  'areverse'
+].join(',')
+
+const DEFAULT_AUDIO_BITRATE = 192
+const STDERR_TAIL_LINES = 12
+
+const audioOnlyExtensions = new Set(['mp3', 'm4a', 'aac', 'opus', 'ogg', 'oga', 'flac', 'wav'])
+
+export interface PostProcessingHandlers {
+  ffmpegPath: string
+  // Seconds, used to turn ffmpeg's out_time into a percentage
+  duration?: number
+  signal?: AbortSignal
+  onStepStart?: (step: PostProcessingStep, stepIndex: number) => void
+  onProgress?: (percent: number) => void
+  onStepSkipped?: (step: PostProcessingStep, reason: string) => void
+}
+
+interface StepCommand {
+  extension: string
+  args: string[]
+}
+
+const getExtension = (filePath: string): string =>
+  path.extname(filePath).replace(/^\./, '').toLowerCase()
+
+// Lossy codecs re-encode at the bitrate of the source, when it is known
+const resolveAudioEncoder = (extension: string, bitrate = DEFAULT_AUDIO_BITRATE): string[] => {
+  switch (extension) {
+    case 'mp3':
+      return ['-c:a', 'libmp3lame', '-b:a', `${bitrate}k`]
+    case 'opus':
+    case 'ogg':
+    case 'oga':
+    case 'webm':
+      return ['-c:a', 'libopus', '-b:a', `${bitrate}k`]
+    case 'flac':
+      return ['-c:a', 'flac']
+    case 'wav':
+      return ['-c:a', 'pcm_s16le']
+    default:
+      return ['-c:a', 'aac', '-b:a', `${bitrate}k`]
+  }
+}
+
+const buildStepCommand = (
+  step: PostProcessingStep,
+  inputExtension: string,
+  sourceBitrate?: number
+): StepCommand => {
+  switch (step.type) {
+    case 'remux-mp4':
+      return {
+        extension: 'mp4',
+        args: ['-map', '0:v?', '-map', '0:a?', '-c', 'copy', '-movflags', '+faststart']
+      }
+    case 'transcode-h264':
+      return {
+        extension: 'mp4',
+        args: [
+          '-map',
+          '0:v:0?',
+          '-map',
+          '0:a:0?',
+          '-c:v',
+          'libx264',
+          '-preset',
+          'medium',
+          '-crf',
+          '20',
+          '-profile:v',
+          'high',
+          '-level:v',
+          '4.1',
+          '-pix_fmt',
+          'yuv420p',
+          '-c:a',
+          'aac',
+          '-b:a',
+          '192k',
+          '-ac',
+          '2',
+          '-movflags',
+          '+faststart'
+        ]
+      }
+    case 'extract-audio': {
+      const codec = step.audioCodec === 'opus' ? 'opus' : 'mp3'
+      const bitrate = normalizeAudioBitrate(step.audioBitrate)
+      return {
+        extension: codec,
+        args: [
+          '-vn',
+          '-map',
+          '0:a:0',
+          '-c:a',
+          codec === 'opus' ? 'libopus' : 'libmp3lame',
+          '-b:a',
+          `${bitrate}k`
+        ]
+      }
+    }
+    case 'normalize-loudness':
+      return {
+        extension: inputExtension,
+        // loudnorm resamples to 192 kHz internally, so pin a regular output rate
+        args: [
+          '-map',
+          '0:v?',
+          '-map',
+          '0:a?',
+          '-c:v',
+          'copy',
+          '-af',
+          EBU_R128_FILTER,
+          '-ar',
+          '48000',
+          ...resolveAudioEncoder(inputExtension, sourceBitrate)
+        ]
+      }
+    case 'trim-silence':
+      return {
+        extension: inputExtension,
+        args: [
+          '-vn',
+          '-map',
+          '0:a:0',
+          '-af',
+          TRIM_SILENCE_FILTER,
+          ...resolveAudioEncoder(inputExtension, sourceBitrate)
+        ]
+      }
+  }
+}
+
+const normalizeAudioBitrate = (value: number | undefined): number =>
+  typeof value === 'number' && Number.isFinite(value) && value > 0
+    ? Math.min(512, Math.max(32, Math.round(value)))
+    : DEFAULT_AUDIO_BITRATE
+
+const parseDurationSeconds = (value: string): number | undefined => {
+  const match = value.match(/(\d+):(\d{2}):(\d{2}(?:\.\d+)?)/)
+  if (!match) {
+    return undefined
+  }
+  return Number(match[1]) * 3600 + Number(match[2]) * 60 + Number(match[3])
+}
+
+const runFfmpeg = (
+  ffmpegPath: string,
+  inputPath: string,
+  outputPath: string,
+  args: string[],
+  handlers: PostProcessingHandlers
+): Promise<void> =>
+  new Promise((resolve, reject) => {
+    if (handlers.signal?.aborted) {
+      reject(new Error('Post-processing aborted'))
+      return
+    }
+
+    const child = spawn(
+      ffmpegPath,
+      [
+        '-hide_banner',
+        '-nostdin',
+        '-y',
+        '-i',
+        inputPath,
+        ...args,
+        '-progress',
+        'pipe:1',
+        '-nostats',
+        outputPath
+      ],
+      { signal: handlers.signal, windowsHide: true }
+    )
+
+    let duration = handlers.duration && handlers.duration > 0 ? handlers.duration : undefined
+    let stdoutBuffer = ''
+    const stderrTail: string[] = []
+
+    child.stdout.on('data', (chunk: Buffer) => {
+      stdoutBuffer += chunk.toString()
+      const lines = stdoutBuffer.split(/\r?\n/)
+      stdoutBuffer = lines.pop() ?? ''
+      for (const line of lines) {
+        // out_time_us and out_time_ms are both microseconds
+        const match = line.match(/^out_time_(?:us|ms)=(\d+)/)
+        if (match && duration) {
+          const seconds = Number(match[1]) / 1_000_000
+          handlers.onProgress?.(Math.min(100, Math.max(0, (seconds / duration) * 100)))
+        }
+      }
+    })
+
+    child.stderr.on('data', (chunk: Buffer) => {
+      for (const line of chunk.toString().split(/\r?\n/)) {
+        const trimmed = line.trim()
+        if (!trimmed) {
+          continue
+        }
+        if (!duration && trimmed.startsWith('Duration:')) {
+          duration = parseDurationSeconds(trimmed)
+        }
+        stderrTail.push(trimmed)
+        if (stderrTail.length > STDERR_TAIL_LINES) {
+          stderrTail.shift()
+        }
+      }
+    })
+
+    child.on('error', (error) => {
+      reject(handlers.signal?.aborted ? new Error('Post-processing aborted') : error)
+    })
+
+    child.on('close', (code) => {
+      if (code === 0) {
+        resolve()
+        return
+      }
+      if (handlers.signal?.aborted) {
+        reject(new Error('Post-processing aborted'))
+        return
+      }
+      reject(new Error(`ffmpeg exited with code ${code}: ${stderrTail.join('\n')}`))
+    })
+  })
+
+const removeFile = async (filePath: string): Promise<void> => {
+  try {
+    await fs.rm(filePath, { force: true })
+  } catch {
+    // Best effort, a leftover temp file is harmless
+  }
+}
+
+/**
+ * Picks the preset a download should run: its own choice, otherwise the settings default.
+ */
+export const resolvePostProcessingPreset = (
+  options: DownloadOptions,
+  settings: AppSettings
+): PostProcessingPreset | undefined => {
+  const presetId = options.postProcessingPreset ?? settings.defaultPostProcessingPreset
+  if (!presetId) {
+    return undefined
+  }
+  const preset = settings.postProcessingPresets.find((candidate) => candidate.id === presetId)
+  return preset && preset.steps.length > 0 ? preset : undefined
+}
+
+const isAudioOnlyFile = (filePath: string): boolean =>
+  audioOnlyExtensions.has(getExtension(filePath))
+
+/**
+ * Reads the bitrate of the first audio stream from ffmpeg's description of the file. Audio
+ * files without a stream bitrate, as Opus files often are, fall back to the overall one.
+ */
+const probeAudioBitrate = (
+  ffmpegPath: string,
+  inputPath: string,
+  signal?: AbortSignal
+): Promise<number | undefined> =>
+  new Promise((resolve) => {
+    // Without an output file ffmpeg only describes the input and exits with an error
+    const child = spawn(ffmpegPath, ['-hide_banner', '-nostdin', '-i', inputPath], {
+      signal,
+      windowsHide: true
+    })
+    let stderr = ''
+    child.stderr.on('data', (chunk: Buffer) => {
+      stderr += chunk.toString()
+    })
+    child.on('error', () => resolve(undefined))
+    child.on('close', () => {
+      const streamMatch = stderr.match(/Stream #[^\n]*?: Audio: [^\n]*?(\d+) kb\/s/)
+      const overallMatch = isAudioOnlyFile(inputPath)
+        ? stderr.match(/Duration: [^\n]*?bitrate: (\d+) kb\/s/)
+        : null
+      const bitrate = Number((streamMatch ?? overallMatch)?.[1])
+      resolve(bitrate > 0 ? normalizeAudioBitrate(bitrate) : undefined)
+    })
+  })
+
+const reencodesAudio = (step: PostProcessingStep): boolean =>
+  step.type === 'normalize-loudness' || step.type === 'trim-silence'
+
+/**
+ * Runs every step of the preset through ffmpeg and returns the path of the final file.
+ * Steps write to temporary files next to the input so a failed step leaves the download intact.
+ */
+export const runPostProcessing = async (
+  inputPath: string,
+  preset: PostProcessingPreset,
+  handlers: PostProcessingHandlers
+): Promise<string> => {
+  const directory = path.dirname(inputPath)
+  const baseName = path.basename(inputPath, path.extname(inputPath))
+  const inputExtension = getExtension(inputPath)
+  let currentPath = inputPath
+
+  for (const [stepIndex, step] of preset.steps.entries()) {
+    handlers.onStepStart?.(step, stepIndex)
+
+    if (step.type === 'trim-silence' && !isAudioOnlyFile(currentPath)) {
+      // Cutting audio out of a video would break A/V sync
+      handlers.onStepSkipped?.(step, 'trim-silence only applies to audio files')
+      continue
+    }
+
+    const sourceBitrate = reencodesAudio(step)
+      ? await probeAudioBitrate(handlers.ffmpegPath, currentPath, handlers.signal)
+      : undefined
+    const command = buildStepCommand(step, getExtension(currentPath), sourceBitrate)
+    const stepOutputPath = path.join(
+      directory,
+      `${baseName}.vidbee-step${stepIndex + 1}.${command.extension}`
+    )
+
+    try {
+      await runFfmpeg(handlers.ffmpegPath, currentPath, stepOutputPath, command.args, handlers)
+    } catch (error) {
+      await removeFile(stepOutputPath)
+      if (currentPath !== inputPath) {
+        await removeFile(currentPath)
+      }
+      throw error
+    }
+
+    handlers.onProgress?.(100)
+    if (currentPath !== inputPath) {
+      await removeFile(currentPath)
+    }
+    currentPath = stepOutputPath
+  }
+
+  if (currentPath === inputPath) {
+    return inputPath
+  }
+
+  const outputExtension = getExtension(currentPath)
+  let outputPath = path.join(directory, `${baseName}.${outputExtension}`)
+  if (preset.keepOriginal && outputExtension === inputExtension) {
+    outputPath = path.join(directory, `${baseName}.processed.${outputExtension}`)
+  }
+
+  if (!preset.keepOriginal && outputPath !== inputPath) {
+    await removeFile(inputPath)
+  }
+  await fs.rename(currentPath, outputPath)
+  return outputPath
+}
@@ -0,0 +1,130 @@
+import { createHash } from 'node:crypto'
+import type {
+  AppSettings,
+  DownloadOptions,
+  SponsorBlockCategory,
+  SponsorBlockOptions,
+  SponsorBlockSummary
+} from '../../shared/types'
+import { DEFAULT_SPONSORBLOCK_API_URL, SPONSORBLOCK_CATEGORIES } from '../../shared/types'
+import { scopedLoggers } from '../utils/logger'
+
+const SEGMENTS_REQUEST_TIMEOUT_MS = 15_000
+
+interface SponsorBlockSegment {
+  category: string
+  actionType?: string
+  segment: [number, number]
+}
+
+interface SponsorBlockVideo {
+  videoID: string
+  segments: SponsorBlockSegment[]
+}
+
+const sanitizeCategories = (values?: unknown[]): SponsorBlockCategory[] =>
+  SPONSORBLOCK_CATEGORIES.filter((category) => values?.includes(category))
+
+/**
+ * Drops unknown and duplicate categories, a category both removed and marked is removed.
+ */
+export const sanitizeSponsorBlockOptions = (
+  value?: Partial<SponsorBlockOptions> | null
+): SponsorBlockOptions => {
+  const remove = sanitizeCategories(value?.remove)
+  return {
+    remove,
+    mark: sanitizeCategories(value?.mark).filter((category) => !remove.includes(category))
+  }
+}
+
+export const resolveSponsorBlockOptions = (
+  options: DownloadOptions,
+  settings: AppSettings
+): SponsorBlockOptions => sanitizeSponsorBlockOptions(options.sponsorBlock ?? settings.sponsorBlock)
+
+export const resolveSponsorBlockApiUrl = (settings: AppSettings): string =>
+  settings.sponsorBlockApiUrl?.trim().replace(/\/+$/, '') || DEFAULT_SPONSORBLOCK_API_URL
+
+export const buildSponsorBlockArgs = (
+  sponsorBlock: SponsorBlockOptions,
+  apiUrl: string
+): string[] => {
+  if (sponsorBlock.remove.length === 0 && sponsorBlock.mark.length === 0) {
+    return []
+  }
+  const args = ['--sponsorblock-api', apiUrl]
+  if (sponsorBlock.remove.length > 0) {
+    args.push('--sponsorblock-remove', sponsorBlock.remove.join(','))
+  }
+  if (sponsorBlock.mark.length > 0) {
+    args.push('--sponsorblock-mark', sponsorBlock.mark.join(','))
+  }
+  return args
+}
+
+const mergedDuration = (ranges: Array<[number, number]>): number => {
+  let total = 0
+  let currentStart = Number.NEGATIVE_INFINITY
+  let currentEnd = Number.NEGATIVE_INFINITY
+  for (const [start, end] of [...ranges].sort((a, b) => a[0] - b[0])) {
+    if (start > currentEnd) {
+      total += Math.max(0, currentEnd - currentStart)
+      currentStart = start
+      currentEnd = end
+    } else {
+      currentEnd = Math.max(currentEnd, end)
+    }
+  }
+  return total + Math.max(0, currentEnd - currentStart)
+}
+
+/**
+ * Looks up the segments yt-dlp cuts out of a YouTube video. Uses the same hashed video ID
+ * lookup as yt-dlp, so the API never sees the full ID. Resolves to undefined when the lookup
+ * fails.
+ */
+export const fetchSponsorBlockSummary = async (
+  apiUrl: string,
+  videoId: string,
+  categories: SponsorBlockCategory[]
+): Promise<SponsorBlockSummary | undefined> => {
+  const hashPrefix = createHash('sha256').update(videoId).digest('hex').slice(0, 4)
+  const url = new URL(`${apiUrl}/api/skipSegments/${hashPrefix}`)
+  url.searchParams.set('service', 'YouTube')
+  url.searchParams.set('categories', JSON.stringify(categories))
+  url.searchParams.set('actionTypes', JSON.stringify(['skip']))
+
+  try {
+    const response = await fetch(url, { signal: AbortSignal.timeout(SEGMENTS_REQUEST_TIMEOUT_MS) })
+    // The API answers 404 when no video with the prefix has segments
+    if (response.status === 404) {
+      return { segments: 0, removedSeconds: 0, categories: {} }
+    }
+    if (!response.ok) {
+      throw new Error(`SponsorBlock API responded with ${response.status}`)
+    }
+    const videos = (await response.json()) as SponsorBlockVideo[]
+    const segments = (videos.find((video) => video.videoID === videoId)?.segments ?? []).filter(
+      (segment) =>
+        categories.includes(segment.category as SponsorBlockCategory) &&
+        (segment.actionType ?? 'skip') === 'skip'
+    )
+    const summary: SponsorBlockSummary = {
+      segments: segments.length,
+      removedSeconds: Math.round(mergedDuration(segments.map((segment) => segment.segment))),
+      categories: {}
+    }
+    for (const segment of segments) {
+      const category = segment.category as SponsorBlockCategory
+      const [start, end] = segment.segment
+      summary.categories[category] = Math.round(
+        (summary.categories[category] ?? 0) + Math.max(0, end - start)
+      )
+    }
+    return summary
+  } catch (error) {
+    scopedLoggers.download.warn('Failed to fetch SponsorBlock segments for:', videoId, error)
+    return undefined
+  }
+}
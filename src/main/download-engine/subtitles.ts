@@ -0,0 +1,84 @@
+import fs from 'node:fs/promises'
+import path from 'node:path'
+import type { AppSettings, DownloadOptions, SubtitleFormat, VideoInfo } from '../../shared/types'
+import { SUBTITLE_FORMATS } from '../../shared/types'
+import { hasSubtitleTrackList, pickSubtitleLanguage } from '../../shared/utils/subtitles'
+
+// Logged by yt-dlp for every subtitle file it writes, automatic captions included
+export const SUBTITLE_DESTINATION_PATTERN = /Writing video subtitles to:\s*(.+)$/
+
+export interface SubtitlePreferences {
+  languages: string[]
+  autoSubtitles: boolean
+  format?: SubtitleFormat
+}
+
+export const resolveSubtitlePreferences = (
+  options: DownloadOptions,
+  settings: AppSettings
+): SubtitlePreferences => {
+  const languages = (options.subtitleLanguages ?? []).filter((lang) => lang.trim() !== '')
+  const format = options.subtitleFormat ?? settings.subtitleFormat
+  return {
+    languages:
+      languages.length > 0
+        ? languages
+        : (settings.subtitleLanguages ?? []).filter((lang) => lang.trim() !== ''),
+    autoSubtitles: options.autoSubtitles ?? settings.subtitleAutoCaptions ?? false,
+    format: format && SUBTITLE_FORMATS.includes(format) ? format : undefined
+  }
+}
+
+/**
+ * Narrows the preferred languages down to the one track --sub-langs should fetch. Without a
+ * track list, or when none of the languages is offered, the preferences are passed on as
+ * they are.
+ */
+export const resolveSubtitleLanguages = (
+  preferences: SubtitlePreferences,
+  info?: VideoInfo
+): string[] => {
+  if (preferences.languages.length === 0 || !hasSubtitleTrackList(info)) {
+    return preferences.languages
+  }
+  const picked = pickSubtitleLanguage(preferences.languages, info, preferences.autoSubtitles)
+  return picked ? [picked] : preferences.languages
+}
+
+const fileExists = async (filePath: string): Promise<boolean> => {
+  try {
+    await fs.access(filePath)
+    return true
+  } catch {
+    return false
+  }
+}
+
+/**
+ * The subtitle files left on disk once yt-dlp is done. Converted files replace the ones
+ * reported, and files that were only written to be embedded are gone by then.
+ */
+export const resolveSubtitleFiles = async (
+  reportedPaths: string[],
+  format?: SubtitleFormat
+): Promise<string[]> => {
+  const files: string[] = []
+  for (const reportedPath of reportedPaths) {
+    const candidates = format
+      ? [
+          path.join(
+            path.dirname(reportedPath),
+            `${path.basename(reportedPath, path.extname(reportedPath))}.${format}`
+          ),
+          reportedPath
+        ]
+      : [reportedPath]
+    for (const candidate of candidates) {
+      if (!files.includes(candidate) && (await fileExists(candidate))) {
+        files.push(candidate)
+        break
+      }
+    }
+  }
+  return files
+}
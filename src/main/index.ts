@@ -2,10 +2,12 @@ import { existsSync } from 'node:fs'
 import { isAbsolute, join, relative, resolve } from 'node:path'
 import { electronApp, optimizer } from '@electron-toolkit/utils'
 import { APP_PROTOCOL, APP_PROTOCOL_SCHEME } from '@shared/constants'
+import type { DownloadErrorCategory } from '@shared/types'
 import {
   app,
   BrowserWindow,
   type BrowserWindowConstructorOptions,
+  dialog,
   ipcMain,
   protocol,
   shell
@@ -13,10 +15,13 @@ import {
 import log from 'electron-log/main'
 import { autoUpdater } from 'electron-updater'
 import appIcon from '../../build/icon.png?asset'
+import { CLI_FLAG, runCli } from './cli'
+import { isCliLockHeld } from './cli/lock'
 import { configureLogger } from './config/logger-config'
 import { services } from './ipc'
 import { downloadEngine } from './lib/download-engine'
 import { ffmpegManager } from './lib/ffmpeg-manager'
+import { libraryScanner } from './lib/library-scanner'
 import { subscriptionManager } from './lib/subscription-manager'
 import { subscriptionScheduler } from './lib/subscription-scheduler'
 import { ytdlpManager } from './lib/ytdlp-manager'
@@ -45,6 +50,10 @@ protocol.registerSchemesAsPrivileged([
   }
 ])
 
+// `vidbee --cli <command>` runs a command without a window, see src/main/cli
+const cliFlagIndex = process.argv.indexOf(CLI_FLAG)
+const cliArgv = cliFlagIndex === -1 ? null : process.argv.slice(cliFlagIndex + 1)
+
 let mainWindow: BrowserWindow | null = null
 let isQuitting = false
 interface DeepLinkData {
@@ -134,6 +143,14 @@ subscriptionManager.on('subscriptions:updated', (subscriptions) => {
   mainWindow?.webContents.send('subscriptions:updated', subscriptions)
 })
 
+libraryScanner.on('scan-progress', (progress) => {
+  mainWindow?.webContents.send('library:scan-progress', progress)
+})
+
+libraryScanner.on('scan-completed', (result) => {
+  mainWindow?.webContents.send('library:scan-completed', result)
+})
+
 export function createWindow(): void {
   const isMac = process.platform === 'darwin'
   const isWindows = process.platform === 'win32'
@@ -245,6 +262,10 @@ function setupRendererErrorHandling(): void {
 }
 
 function setupDownloadEvents(): void {
+  downloadEngine.on('download-added', (item: unknown) => {
+    mainWindow?.webContents.send('download:added', item)
+  })
+
   downloadEngine.on('download-started', (id: string) => {
     mainWindow?.webContents.send('download:started', id)
   })
@@ -257,13 +278,40 @@ function setupDownloadEvents(): void {
     mainWindow?.webContents.send('download:completed', id)
   })
 
-  downloadEngine.on('download-error', (id: string, error: Error) => {
-    mainWindow?.webContents.send('download:error', { id, error: error.message })
+  downloadEngine.on(
+    'download-error',
+    (id: string, error: Error, errorCategory?: DownloadErrorCategory) => {
+      mainWindow?.webContents.send('download:error', { id, error: error.message, errorCategory })
+    }
+  )
+
+  downloadEngine.on('download-processing', (id: string, state: Record<string, unknown>) => {
+    mainWindow?.webContents.send('download:processing', { id, ...state })
+  })
+
+  downloadEngine.on('download-retry', (id: string, retry: Record<string, unknown>) => {
+    mainWindow?.webContents.send('download:retry', { id, ...retry })
+  })
+
+  downloadEngine.on('download-live', (id: string, state: Record<string, unknown>) => {
+    mainWindow?.webContents.send('download:live', { id, ...state })
   })
 
   downloadEngine.on('download-cancelled', (id: string) => {
     mainWindow?.webContents.send('download:cancelled', id)
   })
+
+  downloadEngine.on('download-paused', (id: string) => {
+    mainWindow?.webContents.send('download:paused', id)
+  })
+
+  downloadEngine.on('download-queued', (id: string) => {
+    mainWindow?.webContents.send('download:queued', id)
+  })
+
+  downloadEngine.on('queue-updated', (status: unknown) => {
+    mainWindow?.webContents.send('download:queue-updated', status)
+  })
 }
 
 function sanitizeRequestPath(requestUrl: URL): string {
@@ -383,21 +431,33 @@ function initAutoUpdater(): void {
   }
 }
 
-const gotSingleInstanceLock = app.requestSingleInstanceLock()
+const registerSingleInstance = (): void => {
+  // A standalone CLI command drives the engine and database, a second engine would clash
+  if (isCliLockHeld()) {
+    dialog.showErrorBox(
+      'VidBee',
+      'A VidBee command-line job is running. Open VidBee again once it has finished.'
+    )
+    app.quit()
+    return
+  }
 
-if (!gotSingleInstanceLock) {
-  app.quit()
-} else {
-  app.on('second-instance', (_event, argv) => {
-    handleDeepLinkArgv(argv)
-    if (mainWindow) {
-      if (mainWindow.isMinimized()) {
-        mainWindow.restore()
+  const gotSingleInstanceLock = app.requestSingleInstanceLock()
+
+  if (!gotSingleInstanceLock) {
+    app.quit()
+  } else {
+    app.on('second-instance', (_event, argv) => {
+      handleDeepLinkArgv(argv)
+      if (mainWindow) {
+        if (mainWindow.isMinimized()) {
+          mainWindow.restore()
+        }
+        mainWindow.show()
+        mainWindow.focus()
       }
-      mainWindow.show()
-      mainWindow.focus()
-    }
-  })
+    })
+  }
 }
 
 app.on('open-url', (event, url) => {
@@ -408,7 +468,7 @@ app.on('open-url', (event, url) => {
 // This method will be called when Electron has finished
 // initialization and is ready to create browser windows.
 // Some APIs can only be used after this event occurs.
-app.whenReady().then(async () => {
+const startApp = async (): Promise<void> => {
   // Set app user model id for windows
   electronApp.setAppUserModelId('com.vidbee')
 
@@ -457,6 +517,10 @@ app.whenReady().then(async () => {
     log.error('Failed to initialize yt-dlp:', error)
   }
 
+  // Resume downloads left in the queue by the previous session
+  downloadEngine.restorePersistedQueue()
+  downloadEngine.startBandwidthSchedule()
+
   await startExtensionApiServer()
 
   applyDockVisibility(settingsManager.get('hideDockIcon'))
@@ -470,6 +534,7 @@ app.whenReady().then(async () => {
   createTray()
 
   subscriptionScheduler.start()
+  libraryScanner.start()
 
   handleDeepLinkArgv(process.argv)
 
@@ -478,7 +543,14 @@ app.whenReady().then(async () => {
     // dock icon is clicked and there are no other windows open.
     if (BrowserWindow.getAllWindows().length === 0) createWindow()
   })
-})
+}
+
+if (cliArgv) {
+  void runCli(cliArgv)
+} else {
+  registerSingleInstance()
+  app.whenReady().then(startApp)
+}
 
 app.on('before-quit', () => {
   isQuitting = true
@@ -505,6 +577,8 @@ app.on('window-all-closed', () => {
 
 // Cleanup tray on quit
 app.on('will-quit', () => {
+  downloadEngine.shutdown()
+  libraryScanner.stop()
   destroyTray()
   void stopExtensionApiServer()
 })
@@ -1,9 +1,12 @@
 import { createServices, type MergeIpcService } from 'electron-ipc-decorator'
 import { AppService } from './services/app-service'
+import { ArchiveService } from './services/archive-service'
+import { BackupService } from './services/backup-service'
 import { BrowserCookiesService } from './services/browser-cookies-service'
 import { DownloadService } from './services/download-service'
 import { FileSystemService } from './services/file-system-service'
 import { HistoryService } from './services/history-service'
+import { LibraryService } from './services/library-service'
 import { SettingsService } from './services/settings-service'
 import { SubscriptionService } from './services/subscription-service'
 import { ThumbnailService } from './services/thumbnail-service'
@@ -13,10 +16,13 @@ import { WindowService } from './services/window-service'
 // Create services with automatic type inference
 export const services = createServices([
   AppService,
+  ArchiveService,
+  BackupService,
   BrowserCookiesService,
   DownloadService,
   FileSystemService,
   HistoryService,
+  LibraryService,
   SettingsService,
   SubscriptionService,
   ThumbnailService,
@@ -0,0 +1,68 @@
+import fs from 'node:fs/promises'
+import { dialog } from 'electron'
+import { type IpcContext, IpcMethod, IpcService } from 'electron-ipc-decorator'
+import type { DownloadArchiveEntry, DownloadArchiveImportResult } from '../../../shared/types'
+import { downloadArchive } from '../../lib/download-archive'
+
+const ARCHIVE_FILE_FILTERS = [
+  { name: 'Download archive', extensions: ['txt'] },
+  { name: 'All files', extensions: ['*'] }
+]
+
+class ArchiveService extends IpcService {
+  static readonly groupName = 'archive'
+
+  @IpcMethod()
+  lookup(
+    _context: IpcContext,
+    extractor: string,
+    videoId: string
+  ): DownloadArchiveEntry | undefined {
+    return downloadArchive.get(extractor, videoId)
+  }
+
+  @IpcMethod()
+  getCount(_context: IpcContext): number {
+    return downloadArchive.count()
+  }
+
+  @IpcMethod()
+  clear(_context: IpcContext): void {
+    downloadArchive.clear()
+  }
+
+  /**
+   * Merges a yt-dlp `--download-archive` file picked by the user, null when cancelled.
+   */
+  @IpcMethod()
+  async importFile(_context: IpcContext): Promise<DownloadArchiveImportResult | null> {
+    const result = await dialog.showOpenDialog({
+      properties: ['openFile'],
+      filters: ARCHIVE_FILE_FILTERS
+    })
+    if (result.canceled || result.filePaths.length === 0) {
+      return null
+    }
+    const text = await fs.readFile(result.filePaths[0], 'utf8')
+    return downloadArchive.importText(text)
+  }
+
+  /**
+   * Saves the archive as a yt-dlp `--download-archive` file, returns the path or null
+   * when cancelled.
+   */
+  @IpcMethod()
+  async exportFile(_context: IpcContext): Promise<string | null> {
+    const result = await dialog.showSaveDialog({
+      defaultPath: 'vidbee-archive.txt',
+      filters: ARCHIVE_FILE_FILTERS
+    })
+    if (result.canceled || !result.filePath) {
+      return null
+    }
+    await fs.writeFile(result.filePath, downloadArchive.exportText(), 'utf8')
+    return result.filePath
+  }
+}
+
+export { ArchiveService }
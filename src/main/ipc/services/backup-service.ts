@@ -0,0 +1,100 @@
+import fs from 'node:fs/promises'
+import { dialog, type FileFilter } from 'electron'
+import { type IpcContext, IpcMethod, IpcService } from 'electron-ipc-decorator'
+import type {
+  BackupExportOptions,
+  BackupImportOptions,
+  BackupImportResult,
+  OpmlImportResult
+} from '../../../shared/types'
+import { importBackup, importOpml, readBackup, writeBackup } from '../../lib/backup'
+import { serializeHistoryCsv } from '../../lib/history-export'
+import { historyManager } from '../../lib/history-manager'
+import { serializeOpml } from '../../lib/opml'
+import { subscriptionManager } from '../../lib/subscription-manager'
+
+const BACKUP_FILE_FILTERS = [
+  { name: 'VidBee backup', extensions: ['vidbee'] },
+  { name: 'All files', extensions: ['*'] }
+]
+const OPML_FILE_FILTERS = [
+  { name: 'OPML', extensions: ['opml', 'xml'] },
+  { name: 'All files', extensions: ['*'] }
+]
+const CSV_FILE_FILTERS = [{ name: 'CSV', extensions: ['csv'] }]
+
+const today = () => new Date().toISOString().slice(0, 10)
+
+const pickSavePath = async (defaultPath: string, filters: FileFilter[]): Promise<string | null> => {
+  const result = await dialog.showSaveDialog({ defaultPath, filters })
+  return result.canceled || !result.filePath ? null : result.filePath
+}
+
+const pickOpenPath = async (filters: FileFilter[]): Promise<string | null> => {
+  const result = await dialog.showOpenDialog({ properties: ['openFile'], filters })
+  return result.canceled || result.filePaths.length === 0 ? null : result.filePaths[0]
+}
+
+class BackupService extends IpcService {
+  static readonly groupName = 'backup'
+
+  /**
+   * Saves history, subscriptions, the download archive and settings to one file, returns the
+   * path or null when cancelled.
+   */
+  @IpcMethod()
+  async exportBackup(_context: IpcContext, options: BackupExportOptions): Promise<string | null> {
+    const filePath = await pickSavePath(`vidbee-backup-${today()}.vidbee`, BACKUP_FILE_FILTERS)
+    if (filePath) {
+      await writeBackup(filePath, options)
+    }
+    return filePath
+  }
+
+  /**
+   * Imports a backup picked by the user, null when cancelled.
+   */
+  @IpcMethod()
+  async importBackup(
+    _context: IpcContext,
+    options: BackupImportOptions
+  ): Promise<BackupImportResult | null> {
+    const filePath = await pickOpenPath(BACKUP_FILE_FILTERS)
+    if (!filePath) {
+      return null
+    }
+    return importBackup(await readBackup(filePath), options)
+  }
+
+  @IpcMethod()
+  async exportOpml(_context: IpcContext): Promise<string | null> {
+    const filePath = await pickSavePath('vidbee-subscriptions.opml', OPML_FILE_FILTERS)
+    if (filePath) {
+      await fs.writeFile(filePath, serializeOpml(subscriptionManager.getAll()), 'utf8')
+    }
+    return filePath
+  }
+
+  /**
+   * Subscribes to the feeds of an OPML file picked by the user, null when cancelled.
+   */
+  @IpcMethod()
+  async importOpml(_context: IpcContext): Promise<OpmlImportResult | null> {
+    const filePath = await pickOpenPath(OPML_FILE_FILTERS)
+    if (!filePath) {
+      return null
+    }
+    return importOpml(await fs.readFile(filePath, 'utf8'))
+  }
+
+  @IpcMethod()
+  async exportHistoryCsv(_context: IpcContext): Promise<string | null> {
+    const filePath = await pickSavePath(`vidbee-history-${today()}.csv`, CSV_FILE_FILTERS)
+    if (filePath) {
+      await fs.writeFile(filePath, serializeHistoryCsv(historyManager.getHistory()), 'utf8')
+    }
+    return filePath
+  }
+}
+
+export { BackupService }
@@ -2,6 +2,8 @@ import { type IpcContext, IpcMethod, IpcService } from 'electron-ipc-decorator'
 import type {
   DownloadItem,
   DownloadOptions,
+  DownloadQueueMoveDirection,
+  DownloadQueueStatus,
   PlaylistDownloadOptions,
   PlaylistDownloadResult,
   PlaylistInfo,
@@ -33,10 +35,50 @@ class DownloadService extends IpcService {
   }
 
   @IpcMethod()
-  getQueueStatus(_context: IpcContext) {
+  pauseDownload(_context: IpcContext, id: string): boolean {
+    return downloadEngine.pauseDownload(id)
+  }
+
+  @IpcMethod()
+  stopLiveRecording(_context: IpcContext, id: string): boolean {
+    return downloadEngine.stopLiveRecording(id)
+  }
+
+  @IpcMethod()
+  resumeDownload(_context: IpcContext, id: string): boolean {
+    return downloadEngine.resumeDownload(id)
+  }
+
+  @IpcMethod()
+  moveDownload(_context: IpcContext, id: string, direction: DownloadQueueMoveDirection): boolean {
+    return downloadEngine.moveDownload(id, direction)
+  }
+
+  @IpcMethod()
+  prioritizeDownload(_context: IpcContext, id: string): boolean {
+    return downloadEngine.prioritizeDownload(id)
+  }
+
+  @IpcMethod()
+  pauseQueue(_context: IpcContext): void {
+    downloadEngine.pauseQueue()
+  }
+
+  @IpcMethod()
+  resumeQueue(_context: IpcContext): void {
+    downloadEngine.resumeQueue()
+  }
+
+  @IpcMethod()
+  getQueueStatus(_context: IpcContext): DownloadQueueStatus {
     return downloadEngine.getQueueStatus()
   }
 
+  @IpcMethod()
+  getActiveDownloads(_context: IpcContext): DownloadItem[] {
+    return downloadEngine.getPendingDownloads()
+  }
+
   @IpcMethod()
   updateDownloadInfo(_context: IpcContext, id: string, updates: Partial<DownloadItem>): void {
     downloadEngine.updateDownloadInfo(id, updates)
@@ -106,6 +106,33 @@ class FileSystemService extends IpcService {
     }
   }
 
+  // Opens the file in the app the system associates with it
+  @IpcMethod()
+  async openFile(_context: IpcContext, filePath: string): Promise<boolean> {
+    try {
+      if (!filePath) {
+        return false
+      }
+
+      const normalizedPath = path.normalize(this.sanitizePath(filePath))
+      const stats = await fs.stat(normalizedPath).catch(() => null)
+      if (!stats?.isFile()) {
+        scopedLoggers.system.error('File does not exist:', normalizedPath)
+        return false
+      }
+
+      const result = await shell.openPath(normalizedPath)
+      if (result) {
+        scopedLoggers.system.error('Failed to open file:', result)
+        return false
+      }
+      return true
+    } catch (error) {
+      scopedLoggers.system.error('Failed to open file:', error)
+      return false
+    }
+  }
+
   @IpcMethod()
   async copyFileToClipboard(_context: IpcContext, filePath: string): Promise<boolean> {
     try {
@@ -1,13 +1,26 @@
 import { type IpcContext, IpcMethod, IpcService } from 'electron-ipc-decorator'
-import type { DownloadHistoryItem } from '../../../shared/types'
+import type {
+  DownloadHistoryItem,
+  HistoryPlaylistOption,
+  HistoryQuery,
+  HistoryQueryResult
+} from '../../../shared/types'
 import { historyManager } from '../../lib/history-manager'
 
 class HistoryService extends IpcService {
   static readonly groupName = 'history'
 
+  /**
+   * Returns one page of the entries matching the query instead of the whole history.
+   */
   @IpcMethod()
-  getHistory(_context: IpcContext): DownloadHistoryItem[] {
-    return historyManager.getHistory()
+  queryHistory(_context: IpcContext, query: HistoryQuery): HistoryQueryResult {
+    return historyManager.queryHistory(query)
+  }
+
+  @IpcMethod()
+  getPlaylistOptions(_context: IpcContext): HistoryPlaylistOption[] {
+    return historyManager.getPlaylistOptions()
   }
 
   @IpcMethod()
@@ -0,0 +1,46 @@
+import { type IpcContext, IpcMethod, IpcService } from 'electron-ipc-decorator'
+import type { LibraryScanResult } from '../../../shared/types'
+import { downloadEngine } from '../../lib/download-engine'
+import { historyManager } from '../../lib/history-manager'
+import { libraryScanner } from '../../lib/library-scanner'
+
+class LibraryService extends IpcService {
+  static readonly groupName = 'library'
+
+  @IpcMethod()
+  scan(_context: IpcContext): Promise<LibraryScanResult> {
+    return libraryScanner.scan()
+  }
+
+  @IpcMethod()
+  isScanning(_context: IpcContext): boolean {
+    return libraryScanner.isScanning()
+  }
+
+  @IpcMethod()
+  getLastResult(_context: IpcContext): LibraryScanResult | null {
+    return libraryScanner.getLastResult()
+  }
+
+  /**
+   * Queues missing files again under their history ids, returns the ids that were queued.
+   */
+  @IpcMethod()
+  redownloadMissing(_context: IpcContext, ids: string[]): string[] {
+    const queued = ids.filter((id) => downloadEngine.retryDownload(id))
+    libraryScanner.forgetMissing(queued)
+    return queued
+  }
+
+  /**
+   * Removes the history entries of missing files, returns how many were removed.
+   */
+  @IpcMethod()
+  removeMissing(_context: IpcContext, ids: string[]): number {
+    const removed = historyManager.removeHistoryItems(ids)
+    libraryScanner.forgetMissing(ids)
+    return removed
+  }
+}
+
+export { LibraryService }
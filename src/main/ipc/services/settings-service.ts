@@ -1,5 +1,7 @@
+import crypto from 'node:crypto'
 import { type IpcContext, IpcMethod, IpcService } from 'electron-ipc-decorator'
 import type { AppSettings } from '../../../shared/types'
+import { downloadEngine } from '../../lib/download-engine'
 import { settingsManager } from '../../settings'
 import { updateTrayMenu } from '../../tray'
 import { applyAutoLaunchSetting } from '../../utils/auto-launch'
@@ -28,6 +30,10 @@ class SettingsService extends IpcService {
     if (key === 'launchAtLogin') {
       applyAutoLaunchSetting(value as AppSettings['launchAtLogin'])
     }
+
+    if (key === 'bandwidthLimit' || key === 'bandwidthSchedule') {
+      downloadEngine.applyBandwidthSettings()
+    }
   }
 
   @IpcMethod()
@@ -50,6 +56,22 @@ class SettingsService extends IpcService {
     if (typeof settings.launchAtLogin === 'boolean') {
       applyAutoLaunchSetting(settings.launchAtLogin)
     }
+
+    if (settings.bandwidthLimit !== undefined || settings.bandwidthSchedule !== undefined) {
+      downloadEngine.applyBandwidthSettings()
+    }
+  }
+
+  @IpcMethod()
+  generateApiKey(_context: IpcContext): string {
+    const apiKey = crypto.randomBytes(24).toString('hex')
+    settingsManager.set('apiKey', apiKey)
+    return apiKey
+  }
+
+  @IpcMethod()
+  revokeApiKey(_context: IpcContext): void {
+    settingsManager.set('apiKey', '')
   }
 
   @IpcMethod()
@@ -57,6 +79,7 @@ class SettingsService extends IpcService {
     settingsManager.reset()
     applyDockVisibility(settingsManager.get('hideDockIcon'))
     applyAutoLaunchSetting(settingsManager.get('launchAtLogin'))
+    downloadEngine.applyBandwidthSettings()
   }
 }
 
@@ -0,0 +1,130 @@
+import crypto from 'node:crypto'
+import { EventEmitter } from 'node:events'
+import type { DownloadErrorCategory } from '../../shared/types'
+import { downloadEngine } from './download-engine'
+import { subscriptionScheduler } from './subscription-scheduler'
+
+// Enough for a reconnect after a short sleep, progress ticks only keep their latest one
+const BUFFER_SIZE = 1000
+
+export interface ApiEvent {
+  // `<session>.<sequence>`, the session changes on every launch
+  id: string
+  sequence: number
+  type: string
+  timestamp: number
+  data: unknown
+}
+
+// Events that carry the whole current state replace the buffered one with the same key, so
+// progress ticks of a few running downloads do not push everything else out of the buffer
+const getReplaceKey = (type: string, data: unknown): string | undefined => {
+  if (type === 'download-progress') {
+    return `${type}:${(data as { id: string }).id}`
+  }
+  return type === 'queue-updated' ? type : undefined
+}
+
+/**
+ * Collects download, queue and subscription events into a numbered log so local API clients
+ * can stream them and resume from the last id they saw.
+ */
+class ApiEventStream extends EventEmitter {
+  private buffer: ApiEvent[] = []
+  // Highest sequence pushed out of the buffer, older cursors cannot be resumed
+  private evictedThrough = 0
+  private readonly session = crypto.randomBytes(4).toString('hex')
+  private nextSequence = 1
+  private attached = false
+
+  constructor() {
+    super()
+    // Every open stream adds a listener
+    this.setMaxListeners(0)
+  }
+
+  attach(): void {
+    if (this.attached) {
+      return
+    }
+    this.attached = true
+
+    downloadEngine.on('download-added', (item: unknown) => this.publish('download-added', item))
+    downloadEngine.on('download-started', (id: string) => this.publish('download-started', { id }))
+    downloadEngine.on('download-progress', (id: string, progress: unknown) =>
+      this.publish('download-progress', { id, progress })
+    )
+    downloadEngine.on('download-processing', (id: string, state: Record<string, unknown>) =>
+      this.publish('download-processing', { id, ...state })
+    )
+    downloadEngine.on('download-completed', (id: string) =>
+      this.publish('download-completed', { id })
+    )
+    downloadEngine.on(
+      'download-error',
+      (id: string, error: Error, errorCategory?: DownloadErrorCategory) =>
+        this.publish('download-error', { id, error: error.message, errorCategory })
+    )
+    downloadEngine.on('download-retry', (id: string, retry: Record<string, unknown>) =>
+      this.publish('download-retry', { id, ...retry })
+    )
+    downloadEngine.on('download-live', (id: string, state: Record<string, unknown>) =>
+      this.publish('download-live', { id, ...state })
+    )
+    downloadEngine.on('download-cancelled', (id: string) =>
+      this.publish('download-cancelled', { id })
+    )
+    downloadEngine.on('download-paused', (id: string) => this.publish('download-paused', { id }))
+    downloadEngine.on('download-queued', (id: string) => this.publish('download-queued', { id }))
+    downloadEngine.on('queue-updated', (status: unknown) => this.publish('queue-updated', status))
+    subscriptionScheduler.on('subscription-checked', (result: unknown) =>
+      this.publish('subscription-checked', result)
+    )
+  }
+
+  /**
+   * Returns the buffered events after `cursor`, or null when the cursor is from an earlier
+   * launch or older than the buffer and the client has to resync from the REST endpoints.
+   */
+  since(cursor: string): ApiEvent[] | null {
+    const [session, rawSequence] = cursor.split('.')
+    const sequence = Number(rawSequence)
+    if (session !== this.session || !Number.isInteger(sequence) || sequence < 0) {
+      return null
+    }
+    if (sequence < this.evictedThrough) {
+      return null
+    }
+    return this.buffer.filter((event) => event.sequence > sequence)
+  }
+
+  getCursor(): string {
+    return `${this.session}.${this.nextSequence - 1}`
+  }
+
+  private publish(type: string, data: unknown): void {
+    const sequence = this.nextSequence
+    this.nextSequence += 1
+    const event: ApiEvent = {
+      id: `${this.session}.${sequence}`,
+      sequence,
+      type,
+      timestamp: Date.now(),
+      data
+    }
+    const replaceKey = getReplaceKey(type, data)
+    if (replaceKey) {
+      this.buffer = this.buffer.filter(
+        (buffered) => getReplaceKey(buffered.type, buffered.data) !== replaceKey
+      )
+    }
+    this.buffer.push(event)
+    if (this.buffer.length > BUFFER_SIZE) {
+      const evicted = this.buffer.splice(0, this.buffer.length - BUFFER_SIZE)
+      this.evictedThrough = evicted[evicted.length - 1].sequence
+    }
+    this.emit('event', event)
+  }
+}
+
+export const apiEventStream = new ApiEventStream()
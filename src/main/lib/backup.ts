@@ -0,0 +1,260 @@
+import fs from 'node:fs'
+import fsPromises from 'node:fs/promises'
+import { promisify } from 'node:util'
+import zlib from 'node:zlib'
+import { app } from 'electron'
+import log from 'electron-log/main'
+import type {
+  AppSettings,
+  BackupExportOptions,
+  BackupImportOptions,
+  BackupImportResult,
+  DownloadHistoryItem,
+  OpmlImportResult,
+  SubscriptionRule
+} from '../../shared/types'
+import { settingsManager } from '../settings'
+import { getSchemaVersion } from './database/migrate'
+import { downloadArchive } from './download-archive'
+import { historyManager } from './history-manager'
+import { parseOpml } from './opml'
+import { subscriptionManager } from './subscription-manager'
+import { subscriptionScheduler } from './subscription-scheduler'
+import { createSubscription, resolveFeedFromInput } from './subscription-sources'
+import { type ThumbnailCacheEntry, thumbnailCache } from './thumbnail-cache'
+
+const logger = log.scope('backup')
+
+const gzip = promisify(zlib.gzip)
+const gunzip = promisify(zlib.gunzip)
+
+const BACKUP_FORMAT = 'vidbee-backup'
+// Bumped when the layout of the bundle itself changes
+const BACKUP_VERSION = 1
+
+// Settings holding paths of the machine the backup was made on
+const pathSettings = ['downloadPath', 'cookiesPath', 'configPath'] as const
+// Secrets of the machine the backup was made on, never written to a backup file
+const privateSettings = ['apiKey'] as const
+
+const exportableSettings = (): Partial<AppSettings> => {
+  const settings: Partial<AppSettings> = settingsManager.getAll()
+  for (const key of privateSettings) {
+    delete settings[key]
+  }
+  return settings
+}
+
+export interface BackupBundle {
+  format: typeof BACKUP_FORMAT
+  version: number
+  // Drizzle migrations known to the app that wrote the bundle
+  schemaVersion: number
+  appVersion: string
+  createdAt: number
+  settings: Partial<AppSettings>
+  history: DownloadHistoryItem[]
+  // Subscriptions with their feed items
+  subscriptions: SubscriptionRule[]
+  // Download archive in yt-dlp's --download-archive format
+  archive: string
+  thumbnails?: ThumbnailCacheEntry[]
+}
+
+export const createBackup = async (options: BackupExportOptions): Promise<BackupBundle> => ({
+  format: BACKUP_FORMAT,
+  version: BACKUP_VERSION,
+  schemaVersion: getSchemaVersion(),
+  appVersion: app.getVersion(),
+  createdAt: Date.now(),
+  settings: exportableSettings(),
+  history: historyManager.getHistory(),
+  subscriptions: subscriptionManager.getAll(),
+  archive: downloadArchive.exportText(),
+  thumbnails: options.includeThumbnails ? await thumbnailCache.exportEntries() : undefined
+})
+
+/**
+ * Writes a gzip compressed backup bundle.
+ */
+export const writeBackup = async (filePath: string, options: BackupExportOptions) => {
+  const bundle = await createBackup(options)
+  await fsPromises.writeFile(filePath, await gzip(JSON.stringify(bundle)))
+}
+
+/**
+ * Reads a backup bundle, compressed or plain JSON, and checks that this build understands it.
+ */
+export const readBackup = async (filePath: string): Promise<BackupBundle> => {
+  let data = await fsPromises.readFile(filePath)
+  if (data[0] === 0x1f && data[1] === 0x8b) {
+    data = await gunzip(data)
+  }
+  let bundle: BackupBundle
+  try {
+    bundle = JSON.parse(data.toString('utf8')) as BackupBundle
+  } catch {
+    throw new Error('The file is not a VidBee backup')
+  }
+  if (bundle?.format !== BACKUP_FORMAT || typeof bundle.version !== 'number') {
+    throw new Error('The file is not a VidBee backup')
+  }
+  if (bundle.version > BACKUP_VERSION || bundle.schemaVersion > getSchemaVersion()) {
+    throw new Error(`The backup was made by a newer VidBee (${bundle.appVersion})`)
+  }
+  return bundle
+}
+
+const importableSettings = (settings: Partial<AppSettings>): Partial<AppSettings> => {
+  const next = { ...settings }
+  // Older backups still carry the API key, this machine keeps its own
+  for (const key of privateSettings) {
+    delete next[key]
+  }
+  for (const key of pathSettings) {
+    const value = next[key]
+    if (value && !fs.existsSync(value)) {
+      delete next[key]
+    }
+  }
+  // Extra yt-dlp arguments from someone else's backup would run with every matching download
+  if (Array.isArray(next.siteRules)) {
+    next.siteRules = next.siteRules.map(({ extraArgs: _extraArgs, ...rule }) => rule)
+  }
+  return next
+}
+
+const isRecord = (value: unknown): value is Record<string, unknown> =>
+  typeof value === 'object' && value !== null && !Array.isArray(value)
+
+const isRecordList = (value: unknown): boolean =>
+  value === undefined || (Array.isArray(value) && value.every(isRecord))
+
+/**
+ * Rejects a bundle with a damaged section before any local data is touched.
+ */
+const validateBundle = (bundle: BackupBundle): void => {
+  if (
+    !isRecordList(bundle.history) ||
+    !isRecordList(bundle.subscriptions) ||
+    !isRecordList(bundle.thumbnails) ||
+    (bundle.archive !== undefined && typeof bundle.archive !== 'string') ||
+    (bundle.settings !== undefined && !isRecord(bundle.settings))
+  ) {
+    throw new Error('The backup is damaged')
+  }
+}
+
+const clearLocalData = (): void => {
+  historyManager.clearHistory()
+  subscriptionManager.removeAll()
+  downloadArchive.clear()
+}
+
+const mergeBackup = async (
+  bundle: BackupBundle,
+  options: BackupImportOptions
+): Promise<BackupImportResult> => {
+  const subscriptions = subscriptionManager.importSubscriptions(
+    Array.isArray(bundle.subscriptions) ? bundle.subscriptions : [],
+    options.conflict
+  )
+  // Merged subscriptions keep their local id, history entries follow them
+  const history = (Array.isArray(bundle.history) ? bundle.history : []).map((item) =>
+    item?.subscriptionId && subscriptions.ids.has(item.subscriptionId)
+      ? { ...item, subscriptionId: subscriptions.ids.get(item.subscriptionId) }
+      : item
+  )
+  const historyCounts = historyManager.importHistoryItems(history, options.conflict)
+  const archive = downloadArchive.importText(
+    typeof bundle.archive === 'string' ? bundle.archive : ''
+  )
+
+  let thumbnails = 0
+  if (Array.isArray(bundle.thumbnails)) {
+    try {
+      thumbnails = await thumbnailCache.importEntries(bundle.thumbnails)
+    } catch (error) {
+      logger.warn('Failed to restore cached thumbnails:', error)
+    }
+  }
+
+  logger.info('Imported backup', {
+    mode: options.mode,
+    history: historyCounts,
+    subscriptions: subscriptions.counts,
+    archiveEntries: archive.added,
+    thumbnails
+  })
+
+  return {
+    history: historyCounts,
+    subscriptions: subscriptions.counts,
+    archiveEntries: archive.added,
+    thumbnails,
+    settings:
+      options.includeSettings && bundle.settings ? importableSettings(bundle.settings) : undefined
+  }
+}
+
+/**
+ * Merges a bundle into the local data or replaces the local data with it. Settings are not
+ * applied here, they come back in the result for the settings service to apply.
+ */
+export const importBackup = async (
+  bundle: BackupBundle,
+  options: BackupImportOptions
+): Promise<BackupImportResult> => {
+  validateBundle(bundle)
+  if (options.mode !== 'replace') {
+    return mergeBackup(bundle, options)
+  }
+
+  // The local data is put back when the bundle still fails partway through
+  const previous = await createBackup({ includeThumbnails: false })
+  clearLocalData()
+  try {
+    return await mergeBackup(bundle, options)
+  } catch (error) {
+    logger.error('Failed to replace the local data, restoring it', error)
+    clearLocalData()
+    await mergeBackup(previous, { ...options, conflict: 'overwrite', includeSettings: false })
+    throw error
+  }
+}
+
+/**
+ * Subscribes to the feeds of an OPML file that are not subscribed yet and checks them once.
+ */
+export const importOpml = (text: string): OpmlImportResult => {
+  const result: OpmlImportResult = { added: 0, existing: 0, invalid: 0 }
+  const createdIds: string[] = []
+  const feedUrls = new Set(subscriptionManager.getAll().map((subscription) => subscription.feedUrl))
+  for (const outline of parseOpml(text)) {
+    let resolvedFeedUrl: string
+    try {
+      resolvedFeedUrl = resolveFeedFromInput(outline.url).feedUrl
+      new URL(resolvedFeedUrl)
+    } catch {
+      result.invalid++
+      continue
+    }
+    if (feedUrls.has(resolvedFeedUrl)) {
+      result.existing++
+      continue
+    }
+    const created = createSubscription({ url: outline.url, tags: outline.tags }, false)
+    if (outline.title) {
+      subscriptionManager.update(created.id, { title: outline.title })
+    }
+    feedUrls.add(created.feedUrl)
+    createdIds.push(created.id)
+    result.added++
+  }
+  void (async () => {
+    for (const id of createdIds) {
+      await subscriptionScheduler.runNow(id)
+    }
+  })()
+  return result
+}
@@ -34,6 +34,23 @@ export const runMigrations = (database: BetterSQLite3Database): void => {
   }
 }
 
+/**
+ * Number of drizzle migrations shipped with this build, 0 when the folder cannot be found.
+ * Exported data records it so an older build can refuse data from a newer schema.
+ */
+export const getSchemaVersion = (): number => {
+  const migrationsFolder = resolveMigrationsFolder()
+  if (!migrationsFolder) {
+    return 0
+  }
+  try {
+    return readMigrationFiles({ migrationsFolder, migrationsTable: MIGRATIONS_TABLE }).length
+  } catch (error) {
+    log.error('database: failed to read drizzle migrations', error)
+    return 0
+  }
+}
+
 const resolveMigrationsFolder = (): string | null => {
   const candidates = new Set<string>()
   candidates.add(resolve(process.cwd(), MIGRATIONS_RELATIVE_PATH))
@@ -80,8 +97,12 @@ const ensureBaseline = (database: BetterSQLite3Database, migrationsFolder: strin
     return
   }
 
+  // Pre-drizzle databases only contain the tables from the initial migration,
+  // so later migrations must still run against them.
+  const baselineMigrations = migrations.slice(0, 1)
+
   database.transaction((tx) => {
-    for (const migration of migrations) {
+    for (const migration of baselineMigrations) {
       tx.run(
         sql`INSERT INTO ${sql.identifier(MIGRATIONS_TABLE)} ("hash", "created_at") VALUES(${migration.hash}, ${migration.folderMillis})`
       )
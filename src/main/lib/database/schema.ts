@@ -15,6 +15,7 @@ export const downloadHistoryTable = sqliteTable('download_history', {
   completedAt: integer('completed_at', { mode: 'number' }),
   sortKey: integer('sort_key', { mode: 'number' }).notNull(),
   error: text('error'),
+  errorCategory: text('error_category'),
   description: text('description'),
   channel: text('channel'),
   uploader: text('uploader'),
@@ -26,7 +27,11 @@ export const downloadHistoryTable = sqliteTable('download_history', {
   playlistId: text('playlist_id'),
   playlistTitle: text('playlist_title'),
   playlistIndex: integer('playlist_index', { mode: 'number' }),
-  playlistSize: integer('playlist_size', { mode: 'number' })
+  playlistSize: integer('playlist_size', { mode: 'number' }),
+  fileMissing: integer('file_missing', { mode: 'number' }),
+  sponsorBlockSummary: text('sponsor_block_summary'),
+  subtitlesOnly: integer('subtitles_only', { mode: 'number' }),
+  subtitleFiles: text('subtitle_files')
 })
 
 export const subscriptionsTable = sqliteTable('subscriptions', {
@@ -35,6 +40,7 @@ export const subscriptionsTable = sqliteTable('subscriptions', {
   sourceUrl: text('source_url').notNull(),
   feedUrl: text('feed_url').notNull(),
   platform: text('platform').notNull(),
+  feedType: text('feed_type').notNull().default('rss'),
   keywords: text('keywords').notNull(),
   tags: text('tags').notNull(),
   onlyDownloadLatest: integer('only_latest', { mode: 'number' }).notNull(),
@@ -49,7 +55,32 @@ export const subscriptionsTable = sqliteTable('subscriptions', {
   createdAt: integer('created_at', { mode: 'number' }).notNull(),
   updatedAt: integer('updated_at', { mode: 'number' }).notNull(),
   downloadDirectory: text('download_directory'),
-  namingTemplate: text('naming_template')
+  namingTemplate: text('naming_template'),
+  postProcessingPreset: text('post_processing_preset'),
+  downloadType: text('download_type'),
+  quality: text('quality'),
+  formatSelector: text('format_selector'),
+  subtitleLanguages: text('subtitle_languages'),
+  autoSubtitles: integer('auto_subtitles', { mode: 'number' }),
+  subtitleFormat: text('subtitle_format'),
+  embedSubs: integer('embed_subs', { mode: 'number' }),
+  embedThumbnail: integer('embed_thumbnail', { mode: 'number' }),
+  embedMetadata: integer('embed_metadata', { mode: 'number' }),
+  embedChapters: integer('embed_chapters', { mode: 'number' }),
+  mediaLibrary: integer('media_library', { mode: 'number' }),
+  sponsorBlock: text('sponsor_block'),
+  autoRecordLive: integer('auto_record_live', { mode: 'number' }),
+  maxDuration: integer('max_duration', { mode: 'number' }),
+  maxFileSize: integer('max_file_size', { mode: 'number' }),
+  excludeKeywords: text('exclude_keywords'),
+  titlePattern: text('title_pattern'),
+  descriptionPattern: text('description_pattern'),
+  minDuration: integer('min_duration', { mode: 'number' }),
+  publishedAfter: integer('published_after', { mode: 'number' }),
+  maxItemsPerRun: integer('max_items_per_run', { mode: 'number' }),
+  checkInterval: integer('check_interval', { mode: 'number' }),
+  consecutiveFailures: integer('consecutive_failures', { mode: 'number' }).notNull().default(0),
+  backfill: text('backfill')
 })
 
 export const subscriptionItemsTable = sqliteTable(
@@ -75,9 +106,77 @@ export const subscriptionItemsTable = sqliteTable(
   })
 )
 
+// Uploads picked for a subscription backfill, queued a batch at a time
+export const subscriptionBackfillItemsTable = sqliteTable(
+  'subscription_backfill_items',
+  {
+    subscriptionId: text('subscription_id').notNull(),
+    itemId: text('item_id').notNull(),
+    title: text('title').notNull(),
+    url: text('url').notNull(),
+    publishedAt: integer('published_at', { mode: 'number' }),
+    position: integer('position', { mode: 'number' }).notNull(),
+    queued: integer('queued', { mode: 'number' }).notNull()
+  },
+  (table) => ({
+    pk: primaryKey({
+      columns: [table.subscriptionId, table.itemId],
+      name: 'subscription_backfill_items_pk'
+    }),
+    subscriptionIdx: index('subscription_backfill_items_subscription_idx').on(table.subscriptionId)
+  })
+)
+
+export const downloadQueueTable = sqliteTable(
+  'download_queue',
+  {
+    id: text('id').primaryKey(),
+    state: text('state').notNull(),
+    position: integer('position', { mode: 'number' }).notNull(),
+    options: text('options').notNull(),
+    item: text('item').notNull(),
+    createdAt: integer('created_at', { mode: 'number' }).notNull(),
+    updatedAt: integer('updated_at', { mode: 'number' }).notNull()
+  },
+  (table) => ({
+    positionIdx: index('download_queue_position_idx').on(table.position)
+  })
+)
+
+// Queue-wide flags, such as whether the user paused the whole queue
+export const downloadQueueSettingsTable = sqliteTable('download_queue_settings', {
+  key: text('key').primaryKey(),
+  value: text('value').notNull(),
+  updatedAt: integer('updated_at', { mode: 'number' }).notNull()
+})
+
+// Videos downloaded before, keyed like yt-dlp's --download-archive lines
+export const downloadArchiveTable = sqliteTable(
+  'download_archive',
+  {
+    extractor: text('extractor').notNull(),
+    videoId: text('video_id').notNull(),
+    title: text('title'),
+    url: text('url'),
+    historyId: text('history_id'),
+    downloadedAt: integer('downloaded_at', { mode: 'number' }).notNull()
+  },
+  (table) => ({
+    pk: primaryKey({
+      columns: [table.extractor, table.videoId],
+      name: 'download_archive_pk'
+    }),
+    urlIdx: index('download_archive_url_idx').on(table.url)
+  })
+)
+
 export type DownloadHistoryRow = typeof downloadHistoryTable.$inferSelect
 export type DownloadHistoryInsert = typeof downloadHistoryTable.$inferInsert
 export type SubscriptionRow = typeof subscriptionsTable.$inferSelect
 export type SubscriptionInsert = typeof subscriptionsTable.$inferInsert
 export type SubscriptionItemRow = typeof subscriptionItemsTable.$inferSelect
 export type SubscriptionItemInsert = typeof subscriptionItemsTable.$inferInsert
+export type SubscriptionBackfillItemRow = typeof subscriptionBackfillItemsTable.$inferSelect
+export type DownloadQueueRow = typeof downloadQueueTable.$inferSelect
+export type DownloadQueueInsert = typeof downloadQueueTable.$inferInsert
+export type DownloadArchiveRow = typeof downloadArchiveTable.$inferSelect
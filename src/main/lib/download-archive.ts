@@ -0,0 +1,219 @@
+import DatabaseConstructor from 'better-sqlite3'
+import { and, asc, eq, sql } from 'drizzle-orm'
+import type { BetterSQLite3Database } from 'drizzle-orm/better-sqlite3'
+import { drizzle } from 'drizzle-orm/better-sqlite3'
+import log from 'electron-log/main'
+import type { DownloadArchiveEntry, DownloadArchiveImportResult } from '../../shared/types'
+import { runMigrations } from './database/migrate'
+import { type DownloadArchiveRow, downloadArchiveTable } from './database/schema'
+import { getDatabaseFilePath } from './database-path'
+
+const logger = log.scope('download-archive')
+
+const YOUTUBE_ID_PATTERN = /^[\w-]{11}$/
+
+/**
+ * Derives the archive key of a URL without asking yt-dlp. Only YouTube video URLs are
+ * recognized, the other sites are matched after their info has been fetched.
+ */
+const guessArchiveKey = (url: string): { extractor: string; videoId: string } | null => {
+  let parsed: URL
+  try {
+    parsed = new URL(url)
+  } catch {
+    return null
+  }
+  const host = parsed.hostname.toLowerCase().replace(/^(www|m|music)\./, '')
+  let videoId: string | null | undefined
+  if (host === 'youtu.be') {
+    videoId = parsed.pathname.split('/')[1]
+  } else if (host === 'youtube.com' || host === 'youtube-nocookie.com') {
+    videoId =
+      parsed.pathname === '/watch'
+        ? parsed.searchParams.get('v')
+        : parsed.pathname.match(/^\/(?:shorts|embed|live|v)\/([\w-]{11})/)?.[1]
+  }
+  return videoId && YOUTUBE_ID_PATTERN.test(videoId) ? { extractor: 'youtube', videoId } : null
+}
+
+/**
+ * Lists the videos downloaded before by extractor and video id, so the same video is
+ * recognized behind a different URL. Removing history rows keeps their archive entries.
+ */
+class DownloadArchive {
+  private db: BetterSQLite3Database | null = null
+
+  private getDatabase(): BetterSQLite3Database {
+    if (this.db) {
+      return this.db
+    }
+
+    const databasePath = getDatabaseFilePath()
+    const sqlite = new DatabaseConstructor(databasePath, { timeout: 5000 })
+    sqlite.pragma('journal_mode = WAL')
+    sqlite.pragma('foreign_keys = ON')
+
+    const database = drizzle(sqlite)
+    runMigrations(database)
+
+    this.db = database
+    logger.info(`archive-db initialized at ${databasePath}`)
+    return this.db
+  }
+
+  get(extractor: string, videoId: string): DownloadArchiveEntry | undefined {
+    try {
+      const row = this.getDatabase()
+        .select()
+        .from(downloadArchiveTable)
+        .where(
+          and(
+            eq(downloadArchiveTable.extractor, extractor.toLowerCase()),
+            eq(downloadArchiveTable.videoId, videoId)
+          )
+        )
+        .get()
+      return row ? this.mapRowToEntry(row) : undefined
+    } catch (error) {
+      logger.error('archive-db failed to read entry', { extractor, videoId, error })
+      return undefined
+    }
+  }
+
+  has(extractor: string, videoId: string): boolean {
+    return this.get(extractor, videoId) !== undefined
+  }
+
+  /**
+   * Looks a URL up before its info is known, by the URL it was downloaded from or by the
+   * video id the URL carries.
+   */
+  findByUrl(url: string): DownloadArchiveEntry | undefined {
+    const key = guessArchiveKey(url)
+    if (key) {
+      const entry = this.get(key.extractor, key.videoId)
+      if (entry) {
+        return entry
+      }
+    }
+    try {
+      const row = this.getDatabase()
+        .select()
+        .from(downloadArchiveTable)
+        .where(eq(downloadArchiveTable.url, url))
+        .get()
+      return row ? this.mapRowToEntry(row) : undefined
+    } catch (error) {
+      logger.error('archive-db failed to look up url', { url, error })
+      return undefined
+    }
+  }
+
+  record(entry: DownloadArchiveEntry): void {
+    const payload = {
+      extractor: entry.extractor.toLowerCase(),
+      videoId: entry.videoId,
+      title: entry.title ?? null,
+      url: entry.url ?? null,
+      historyId: entry.historyId ?? null,
+      downloadedAt: entry.downloadedAt
+    }
+    try {
+      this.getDatabase()
+        .insert(downloadArchiveTable)
+        .values(payload)
+        .onConflictDoUpdate({
+          target: [downloadArchiveTable.extractor, downloadArchiveTable.videoId],
+          set: payload
+        })
+        .run()
+    } catch (error) {
+      logger.error('archive-db failed to save entry', { ...payload, error })
+    }
+  }
+
+  count(): number {
+    try {
+      const row = this.getDatabase()
+        .select({ count: sql<number>`count(*)` })
+        .from(downloadArchiveTable)
+        .get()
+      return row?.count ?? 0
+    } catch (error) {
+      logger.error('archive-db failed to count entries', error)
+      return 0
+    }
+  }
+
+  clear(): void {
+    try {
+      this.getDatabase().delete(downloadArchiveTable).run()
+    } catch (error) {
+      logger.error('archive-db failed to clear entries', error)
+    }
+  }
+
+  /**
+   * Writes the archive in yt-dlp's `--download-archive` format, one
+   * `<extractor> <video id>` line per video, oldest first.
+   */
+  exportText(): string {
+    const rows = this.getDatabase()
+      .select({ extractor: downloadArchiveTable.extractor, videoId: downloadArchiveTable.videoId })
+      .from(downloadArchiveTable)
+      .orderBy(asc(downloadArchiveTable.downloadedAt))
+      .all()
+    return rows.map((row) => `${row.extractor} ${row.videoId}\n`).join('')
+  }
+
+  /**
+   * Merges the lines of a yt-dlp `--download-archive` file into the archive. Entries that
+   * are already listed keep their title and download date.
+   */
+  importText(text: string): DownloadArchiveImportResult {
+    const result: DownloadArchiveImportResult = { added: 0, existing: 0, invalid: 0 }
+    const importedAt = Date.now()
+    this.getDatabase().transaction((tx) => {
+      for (const rawLine of text.split(/\r?\n/)) {
+        const line = rawLine.trim()
+        if (!line) {
+          continue
+        }
+        const separator = line.search(/\s/)
+        if (separator <= 0) {
+          result.invalid += 1
+          continue
+        }
+        const inserted = tx
+          .insert(downloadArchiveTable)
+          .values({
+            extractor: line.slice(0, separator).toLowerCase(),
+            videoId: line.slice(separator).trim(),
+            downloadedAt: importedAt
+          })
+          .onConflictDoNothing()
+          .run()
+        if (inserted.changes > 0) {
+          result.added += 1
+        } else {
+          result.existing += 1
+        }
+      }
+    })
+    logger.info('archive-db imported entries', result)
+    return result
+  }
+
+  private mapRowToEntry(row: DownloadArchiveRow): DownloadArchiveEntry {
+    return {
+      extractor: row.extractor,
+      videoId: row.videoId,
+      title: row.title ?? undefined,
+      url: row.url ?? undefined,
+      historyId: row.historyId ?? undefined,
+      downloadedAt: row.downloadedAt
+    }
+  }
+}
+
+export const downloadArchive = new DownloadArchive()
@@ -3,39 +3,138 @@ import fs from 'node:fs'
 import path from 'node:path'
 import type { YTDlpEventEmitter } from 'yt-dlp-wrap-plus'
 import type {
+  DownloadErrorCategory,
   DownloadHistoryItem,
   DownloadItem,
   DownloadOptions,
   DownloadProgress,
+  DownloadQueueMoveDirection,
+  DownloadQueueStatus,
+  LiveRecordingStatus,
   PlaylistDownloadOptions,
   PlaylistDownloadResult,
   PlaylistInfo,
+  PostProcessingPreset,
+  PostProcessingState,
   VideoFormat,
   VideoInfo
 } from '../../shared/types'
+import { resolveLiveStreamStatus } from '../../shared/utils/live-stream'
+import {
+  applySiteRule,
+  findSiteRule,
+  getSiteRuleArgs,
+  resolveSiteSettings
+} from '../../shared/utils/site-rules'
 import {
   buildDownloadArgs,
   resolveVideoFormatSelector,
   sanitizeFilenameTemplate
 } from '../download-engine/args-builder'
+import {
+  normalizeBandwidthLimit,
+  resolveBandwidthLimit,
+  splitBandwidthLimit
+} from '../download-engine/bandwidth'
+import {
+  classifyDownloadError,
+  getRetryDelayMs,
+  isRetryableErrorCategory
+} from '../download-engine/error-classifier'
 import {
   findFormatByIdCandidates,
   parseSizeToBytes,
   resolveSelectedFormat
 } from '../download-engine/format-utils'
+import {
+  formatRecordedSize,
+  measureRecordedBytes,
+  recoverInterruptedRecording,
+  resolveLiveStopAt,
+  UPCOMING_STREAM_PATTERN
+} from '../download-engine/live-recording'
+import {
+  type MediaLibraryLayout,
+  resolveMediaLibraryLayout,
+  writeMediaLibraryMetadata
+} from '../download-engine/media-library'
+import {
+  type DownloadPart,
+  describeTimeRange,
+  isMediaPartPath,
+  tagAudioParts,
+  timeRangeDuration,
+  writePartsPlaylist
+} from '../download-engine/parts'
+import { resolvePostProcessingPreset, runPostProcessing } from '../download-engine/post-processing'
+import {
+  fetchSponsorBlockSummary,
+  resolveSponsorBlockApiUrl,
+  resolveSponsorBlockOptions
+} from '../download-engine/sponsorblock'
+import {
+  resolveSubtitleFiles,
+  resolveSubtitleLanguages,
+  resolveSubtitlePreferences,
+  SUBTITLE_DESTINATION_PATTERN
+} from '../download-engine/subtitles'
 import { settingsManager } from '../settings'
 import { scopedLoggers } from '../utils/logger'
 import { resolvePathWithHome } from '../utils/path-helpers'
+import { downloadArchive } from './download-archive'
 import { DownloadQueue } from './download-queue'
+import { downloadQueueStore } from './download-queue-store'
 import { ffmpegManager } from './ffmpeg-manager'
 import { historyManager } from './history-manager'
+import { subscriptionManager } from './subscription-manager'
 import { ytdlpManager } from './ytdlp-manager'
 
+export interface PlaylistInfoOptions {
+  // Only list the first entries, used by subscription polling
+  limit?: number
+  // Ask the YouTube tab extractor for approximate upload dates, which flat listings lack
+  approximateDates?: boolean
+}
+
 interface DownloadProcess {
   controller: AbortController
   process: YTDlpEventEmitter
+  partialPaths: Set<string>
+  // KiB/s passed to --limit-rate when the process was spawned, 0 when unlimited
+  bandwidthLimit: number
+  // False while yt-dlp's own post-processors run, a restart would redo them
+  transferring: boolean
+  // Reused when the download is restarted to apply a new bandwidth limit
+  videoInfo?: VideoInfo
+  // Set for live recordings, ends the recording and keeps the file
+  stopRecording?: () => boolean
 }
 
+// yt-dlp post-processors that run inside the download process once the media is fetched
+const YTDLP_POSTPROCESSORS = new Set([
+  'Merger',
+  'ExtractAudio',
+  'VideoConvertor',
+  'VideoRemuxer',
+  'FixupM3u8',
+  'FixupM4a',
+  'FixupStretched',
+  'FixupDuplicateMoov',
+  'FixupTimestamp',
+  'EmbedSubtitle',
+  'EmbedThumbnail',
+  'Metadata',
+  'ModifyChapters',
+  'SplitChapters',
+  'MoveFiles'
+])
+
+const BANDWIDTH_REBALANCE_DELAY_MS = 3000
+const BANDWIDTH_SCHEDULE_INTERVAL_MS = 60 * 1000
+const LIVE_PROGRESS_INTERVAL_MS = 2000
+// How long yt-dlp gets to finish a stopped recording before it is killed
+const LIVE_STOP_GRACE_MS = 60 * 1000
+
 const formatYtDlpCommand = (args: string[]): string => {
   const quoted = args.map((arg) => {
     if (arg === '') {
@@ -89,6 +188,12 @@ const clampPercent = (value?: number): number => {
 }
 
 const estimateProgressParts = (options: DownloadOptions): number => {
+  // Sections are fetched one after another, each in a single ffmpeg pass
+  const rangeCount = options.timeRanges?.length ?? 0
+  if (rangeCount > 1) {
+    return rangeCount
+  }
+
   if (options.type === 'audio') {
     return 1
   }
@@ -211,6 +316,16 @@ const resolveHistoryDownloadPath = (
   return path.join(basePath, templateDir)
 }
 
+const removePartialFiles = (paths: Iterable<string>): void => {
+  for (const filePath of paths) {
+    for (const candidate of [`${filePath}.part`, `${filePath}.ytdl`]) {
+      fs.promises.rm(candidate, { force: true }).catch((error) => {
+        scopedLoggers.download.warn('Failed to remove partial file:', candidate, error)
+      })
+    }
+  }
+}
+
 const appendJsRuntimeArgs = (args: string[]): void => {
   const runtimeArgs = ytdlpManager.getJsRuntimeArgs()
   if (runtimeArgs.length > 0) {
@@ -221,6 +336,14 @@ const appendJsRuntimeArgs = (args: string[]): void => {
 class DownloadEngine extends EventEmitter {
   private activeDownloads: Map<string, DownloadProcess> = new Map()
   private queue: DownloadQueue
+  private retryTimers: Map<string, NodeJS.Timeout> = new Map()
+  private postProcessingControllers: Map<string, AbortController> = new Map()
+  // Video info of downloads restarted to apply a bandwidth limit, taken by their next run
+  private restartVideoInfo: Map<string, VideoInfo> = new Map()
+  private bandwidthRebalanceTimer: NodeJS.Timeout | null = null
+  private bandwidthScheduleTimer: NodeJS.Timeout | null = null
+  private lastActiveIdsKey = ''
+  private shuttingDown = false
 
   constructor() {
     super()
@@ -230,13 +353,34 @@ class DownloadEngine extends EventEmitter {
     this.queue.on('start-download', async (item) => {
       await this.executeDownload(item.id, item.options)
     })
+
+    this.queue.on('queue-updated', (status: DownloadQueueStatus) => {
+      this.emit('queue-updated', status)
+
+      // The global cap is shared by the active downloads, so their shares change with the set
+      const activeIdsKey = status.activeIds.join('|')
+      if (activeIdsKey !== this.lastActiveIdsKey) {
+        this.lastActiveIdsKey = activeIdsKey
+        this.scheduleBandwidthRebalance()
+      }
+    })
   }
 
-  async getVideoInfo(url: string): Promise<VideoInfo> {
+  /**
+   * Fetches the video's metadata. Streams that have not started have no formats yet, their
+   * info is fetched again without requiring any so the schedule can be shown.
+   */
+  async getVideoInfo(url: string, allowNoFormats = false): Promise<VideoInfo> {
     const ytdlp = ytdlpManager.getInstance()
-    const settings = settingsManager.getAll()
+    const globalSettings = settingsManager.getAll()
+    // The extractor is not known yet, only rules for the domain apply
+    const siteRule = findSiteRule(globalSettings.siteRules, { url })
+    const settings = applySiteRule(globalSettings, siteRule)
 
     const args = ['-j', '--no-playlist', '--no-warnings']
+    if (allowNoFormats) {
+      args.push('--ignore-no-formats-error')
+    }
 
     // Add encoding support for proper handling of non-ASCII characters
     args.push('--encoding', 'utf-8')
@@ -267,6 +411,7 @@ class DownloadEngine extends EventEmitter {
       args.push('--config-location', configPath)
     }
 
+    args.push(...getSiteRuleArgs(siteRule))
     appendJsRuntimeArgs(args)
     args.push(url)
 
@@ -314,6 +459,9 @@ class DownloadEngine extends EventEmitter {
             scopedLoggers.download.error('Failed to parse video info for:', url, error)
             reject(new Error(`Failed to parse video info: ${error}`))
           }
+        } else if (!allowNoFormats && UPCOMING_STREAM_PATTERN.test(stderr)) {
+          scopedLoggers.download.info('Fetching schedule of upcoming stream:', url)
+          resolve(this.getVideoInfo(url, true))
         } else {
           scopedLoggers.download.error(
             'Failed to fetch video info for:',
@@ -334,12 +482,22 @@ class DownloadEngine extends EventEmitter {
     })
   }
 
-  async getPlaylistInfo(url: string): Promise<PlaylistInfo> {
+  async getPlaylistInfo(url: string, options: PlaylistInfoOptions = {}): Promise<PlaylistInfo> {
     const ytdlp = ytdlpManager.getInstance()
-    const settings = settingsManager.getAll()
+    const globalSettings = settingsManager.getAll()
+    const siteRule = findSiteRule(globalSettings.siteRules, { url })
+    const settings = applySiteRule(globalSettings, siteRule)
 
     const args = ['-J', '--flat-playlist', '--no-warnings']
 
+    if (options.limit && options.limit > 0) {
+      args.push('--playlist-end', String(options.limit))
+    }
+
+    if (options.approximateDates) {
+      args.push('--extractor-args', 'youtubetab:approximate_date')
+    }
+
     // Add encoding support for proper handling of non-ASCII characters
     args.push('--encoding', 'utf-8')
 
@@ -364,6 +522,7 @@ class DownloadEngine extends EventEmitter {
       args.push('--config-location', configPath)
     }
 
+    args.push(...getSiteRuleArgs(siteRule))
     appendJsRuntimeArgs(args)
     args.push(url)
 
@@ -374,6 +533,33 @@ class DownloadEngine extends EventEmitter {
       webpage_url?: string
       original_url?: string
       ie_key?: string
+      description?: string
+      thumbnail?: string
+      thumbnails?: Array<{ url?: string }>
+      timestamp?: number
+      release_timestamp?: number
+      upload_date?: string
+    }
+
+    const resolveEntryThumbnail = (entry: RawPlaylistEntry): string | undefined => {
+      if (entry.thumbnail) {
+        return entry.thumbnail
+      }
+      // yt-dlp sorts thumbnails from worst to best
+      const thumbnails = Array.isArray(entry.thumbnails) ? entry.thumbnails : []
+      return [...thumbnails].reverse().find((thumbnail) => thumbnail?.url)?.url
+    }
+
+    const resolveEntryPublishedAt = (entry: RawPlaylistEntry): number | undefined => {
+      const timestamp = entry.timestamp ?? entry.release_timestamp
+      if (typeof timestamp === 'number' && timestamp > 0) {
+        return timestamp * 1000
+      }
+      const match = entry.upload_date?.match(/^(\d{4})(\d{2})(\d{2})$/)
+      if (match) {
+        return Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]))
+      }
+      return undefined
     }
 
     const resolveEntryUrl = (entry: RawPlaylistEntry): string => {
@@ -435,7 +621,12 @@ class DownloadEngine extends EventEmitter {
                   id: entry.id || `${index}`,
                   title: entry.title || `Entry ${index + 1}`,
                   url: resolvedUrl,
-                  index: index + 1
+                  index: index + 1,
+                  thumbnail: resolveEntryThumbnail(entry),
+                  publishedAt: resolveEntryPublishedAt(entry),
+                  description: entry.description || undefined,
+                  extractor: entry.ie_key || undefined,
+                  archived: this.isArchived(resolvedUrl, entry.ie_key, entry.id)
                 }
               })
               .filter((entry) => entry.url)
@@ -493,7 +684,8 @@ class DownloadEngine extends EventEmitter {
         totalCount: 0,
         startIndex: 0,
         endIndex: 0,
-        entries: []
+        entries: [],
+        skippedCount: 0
       }
     }
 
@@ -504,19 +696,29 @@ class DownloadEngine extends EventEmitter {
     const rangeStart = Math.min(requestedStart, requestedEnd)
     const rangeEnd = Math.max(requestedStart, requestedEnd)
     const rawEntries = playlistInfo.entries.slice(rangeStart, rangeEnd + 1)
-    const settings = settingsManager.getAll()
+    const settings = resolveSiteSettings(settingsManager.getAll(), { url: options.url })
     const resolvedDownloadPath =
       options.customDownloadPath?.trim() ||
       resolveAutoPlaylistDownloadPath(settings.downloadPath, playlistInfo, options.url)
     ensureDirectoryExists(resolvedDownloadPath)
 
-    const selectedEntries = rawEntries.filter((entry) => {
+    const validEntries = rawEntries.filter((entry) => {
       if (!entry.url) {
         scopedLoggers.download.warn('Skipping playlist entry with missing URL:', entry)
         return false
       }
       return true
     })
+    const checkArchive = !options.ignoreArchive && settings.duplicateDownloadAction !== 'redownload'
+    const selectedEntries = checkArchive
+      ? validEntries.filter((entry) => !entry.archived)
+      : validEntries
+    const skippedCount = validEntries.length - selectedEntries.length
+    if (skippedCount > 0) {
+      scopedLoggers.download.info(
+        `Skipping ${skippedCount} playlist entries already in the download archive`
+      )
+    }
 
     const selectionSize = selectedEntries.length
 
@@ -533,7 +735,9 @@ class DownloadEngine extends EventEmitter {
         type: options.type,
         format: options.format,
         audioFormat: options.type === 'audio' ? options.format : undefined,
-        customDownloadPath: resolvedDownloadPath
+        customDownloadPath: resolvedDownloadPath,
+        postProcessingPreset: options.postProcessingPreset,
+        ignoreArchive: options.ignoreArchive || undefined
       }
 
       const createdAt = Date.now()
@@ -545,8 +749,7 @@ class DownloadEngine extends EventEmitter {
         index: entry.index
       })
 
-      // Add to queue
-      this.queue.add(downloadId, downloadOptions, {
+      const item: DownloadItem = {
         id: downloadId,
         url: entry.url,
         title: entry.title,
@@ -558,7 +761,11 @@ class DownloadEngine extends EventEmitter {
         playlistTitle: playlistInfo.title,
         playlistIndex: entry.index,
         playlistSize: selectionSize
-      })
+      }
+
+      // Add to queue
+      downloadQueueStore.save(downloadId, downloadOptions, item)
+      this.queue.add(downloadId, downloadOptions, item)
 
       this.upsertHistoryEntry(downloadId, downloadOptions, {
         title: entry.title,
@@ -580,8 +787,20 @@ class DownloadEngine extends EventEmitter {
       totalCount: selectionSize,
       startIndex: selectedEntries[0]?.index ?? rangeStart + 1,
       endIndex: selectedEntries[selectedEntries.length - 1]?.index ?? rangeEnd + 1,
-      entries: downloadEntries
+      entries: downloadEntries,
+      skippedCount
+    }
+  }
+
+  /**
+   * Whether the download archive lists a video, by extractor and id when known and by URL
+   * otherwise.
+   */
+  private isArchived(url: string, extractor?: string, videoId?: string): boolean {
+    if (extractor && videoId && downloadArchive.has(extractor, videoId)) {
+      return true
     }
+    return downloadArchive.findByUrl(url) !== undefined
   }
 
   startDownload(id: string, options: DownloadOptions): void {
@@ -591,7 +810,7 @@ class DownloadEngine extends EventEmitter {
     }
 
     const createdAt = Date.now()
-    const settings = settingsManager.getAll()
+    const settings = resolveSiteSettings(settingsManager.getAll(), { url: options.url })
     const targetDownloadPath = options.customDownloadPath?.trim() || settings.downloadPath
     const origin = options.origin ?? 'manual'
     const historyDownloadPath = resolveHistoryDownloadPath(
@@ -606,6 +825,7 @@ class DownloadEngine extends EventEmitter {
       url: options.url,
       title: 'Downloading...',
       type: options.type,
+      subtitlesOnly: options.subtitlesOnly,
       status: 'pending' as const,
       createdAt,
       tags: options.tags,
@@ -613,7 +833,9 @@ class DownloadEngine extends EventEmitter {
       subscriptionId: options.subscriptionId
     }
 
+    downloadQueueStore.save(id, options, item)
     this.queue.add(id, options, item)
+    this.emit('download-added', item)
 
     this.upsertHistoryEntry(id, options, {
       title: item.title,
@@ -626,12 +848,280 @@ class DownloadEngine extends EventEmitter {
     })
   }
 
+  /**
+   * Re-queues downloads that were pending or running when the app last exited, and the
+   * queue-wide pause with them.
+   * Must run after yt-dlp and ffmpeg are initialized.
+   */
+  restorePersistedQueue(): void {
+    // Pause before restoring so nothing starts when the user left the queue paused
+    if (downloadQueueStore.isQueuePaused()) {
+      this.queue.setPaused(true)
+      scopedLoggers.download.info('Download queue restored paused')
+    }
+
+    const entries = downloadQueueStore.getAll()
+    if (entries.length === 0) {
+      return
+    }
+
+    const activeIds = new Set<string>()
+    const pausedIds = new Set<string>()
+    const restored = entries.map((entry) => {
+      if (entry.state === 'active') {
+        activeIds.add(entry.id)
+      }
+      if (entry.state === 'paused') {
+        pausedIds.add(entry.id)
+      }
+      const state = entry.state === 'paused' ? 'paused' : 'queued'
+      const item: DownloadItem = {
+        ...entry.item,
+        status: state === 'paused' ? 'paused' : 'pending',
+        progress: undefined,
+        speed: undefined,
+        error: undefined,
+        postProcessing: undefined
+      }
+      downloadQueueStore.save(entry.id, entry.options, item, state)
+      this.upsertHistoryEntry(entry.id, entry.options, { status: 'pending' })
+      return { id: entry.id, options: entry.options, item }
+    })
+
+    scopedLoggers.download.info(
+      `Restoring ${restored.length} queued downloads (${activeIds.size} interrupted, ${pausedIds.size} paused)`
+    )
+    this.queue.restore(restored, activeIds, pausedIds)
+  }
+
+  /**
+   * Stops running yt-dlp processes without touching their persisted state so they
+   * resume from their partial files on the next launch.
+   */
+  shutdown(): void {
+    this.shuttingDown = true
+    if (this.bandwidthScheduleTimer) {
+      clearInterval(this.bandwidthScheduleTimer)
+      this.bandwidthScheduleTimer = null
+    }
+    if (this.bandwidthRebalanceTimer) {
+      clearTimeout(this.bandwidthRebalanceTimer)
+      this.bandwidthRebalanceTimer = null
+    }
+    for (const id of Array.from(this.retryTimers.keys())) {
+      this.clearRetryTimer(id)
+    }
+    for (const download of this.activeDownloads.values()) {
+      download.controller.abort()
+    }
+    this.activeDownloads.clear()
+    // Interrupted processing reruns on the next launch; yt-dlp finds the finished file
+    for (const id of Array.from(this.postProcessingControllers.keys())) {
+      this.abortPostProcessing(id)
+    }
+  }
+
+  getPendingDownloads(): DownloadItem[] {
+    return this.queue.getPendingItems()
+  }
+
+  /**
+   * Stops the yt-dlp process of an active download (or holds a queued one) while keeping
+   * its partial files, so `resumeDownload` continues where it left off.
+   */
+  pauseDownload(id: string): boolean {
+    const download = this.activeDownloads.get(id)
+    // Downloads waiting to retry are already parked in the queue's paused set
+    const waitingForRetry = this.clearRetryTimer(id)
+    if (!waitingForRetry && !this.queue.pause(id)) {
+      return false
+    }
+    if (download) {
+      this.activeDownloads.delete(id)
+      download.controller.abort()
+    }
+    this.abortPostProcessing(id)
+
+    scopedLoggers.download.info('Download paused for ID:', id)
+    this.queue.updateItemInfo(id, { status: 'paused', speed: undefined })
+    downloadQueueStore.setState(id, 'paused')
+    this.persistQueueItem(id)
+    this.emit('download-paused', id)
+    return true
+  }
+
+  /**
+   * Ends a live recording early and keeps what was recorded so far.
+   */
+  stopLiveRecording(id: string): boolean {
+    return this.activeDownloads.get(id)?.stopRecording?.() ?? false
+  }
+
+  resumeDownload(id: string): boolean {
+    if (!this.queue.isDownloadPaused(id)) {
+      return false
+    }
+    this.clearRetryTimer(id)
+
+    scopedLoggers.download.info('Download resumed for ID:', id)
+    this.queue.updateItemInfo(id, { status: 'pending' })
+    downloadQueueStore.setState(id, 'queued')
+    this.persistQueueItem(id)
+    this.emit('download-queued', id)
+    this.queue.resume(id)
+    this.persistQueueOrder()
+    return true
+  }
+
+  moveDownload(id: string, direction: DownloadQueueMoveDirection): boolean {
+    const moved = this.queue.move(id, direction === 'up' ? -1 : 1)
+    if (moved) {
+      this.persistQueueOrder()
+    }
+    return moved
+  }
+
+  /**
+   * Moves a queued download to the front so it takes the next free slot.
+   */
+  prioritizeDownload(id: string): boolean {
+    const moved = this.queue.moveToFront(id)
+    if (moved) {
+      this.persistQueueOrder()
+    }
+    return moved
+  }
+
+  /**
+   * Stops starting new downloads and puts running ones back at the front of the queue.
+   */
+  pauseQueue(): void {
+    this.queue.setPaused(true)
+    downloadQueueStore.setQueuePaused(true)
+
+    // Requeue in reverse so the running downloads keep their relative order
+    const runningIds = Array.from(this.activeDownloads.keys()).reverse()
+    for (const id of runningIds) {
+      const download = this.activeDownloads.get(id)
+      if (!download || !this.queue.requeue(id)) {
+        continue
+      }
+      this.activeDownloads.delete(id)
+      download.controller.abort()
+      this.queue.updateItemInfo(id, { status: 'pending', speed: undefined })
+      downloadQueueStore.setState(id, 'queued')
+      this.persistQueueItem(id)
+      this.emit('download-queued', id)
+    }
+
+    this.persistQueueOrder()
+    scopedLoggers.download.info('Download queue paused')
+  }
+
+  resumeQueue(): void {
+    this.queue.setPaused(false)
+    downloadQueueStore.setQueuePaused(false)
+    scopedLoggers.download.info('Download queue resumed')
+  }
+
+  /**
+   * Re-evaluates the bandwidth schedule periodically so windows that open or close
+   * also apply to downloads that are already running.
+   */
+  startBandwidthSchedule(): void {
+    if (this.bandwidthScheduleTimer) {
+      return
+    }
+    this.bandwidthScheduleTimer = setInterval(() => {
+      this.rebalanceBandwidth()
+    }, BANDWIDTH_SCHEDULE_INTERVAL_MS)
+  }
+
+  applyBandwidthSettings(): void {
+    this.scheduleBandwidthRebalance()
+  }
+
+  private scheduleBandwidthRebalance(): void {
+    if (this.bandwidthRebalanceTimer || this.shuttingDown) {
+      return
+    }
+    this.bandwidthRebalanceTimer = setTimeout(() => {
+      this.bandwidthRebalanceTimer = null
+      this.rebalanceBandwidth()
+    }, BANDWIDTH_REBALANCE_DELAY_MS)
+  }
+
+  private resolveDownloadBandwidthLimit(id: string, options: DownloadOptions): number {
+    const override = normalizeBandwidthLimit(options.bandwidthLimit)
+    if (override > 0) {
+      return override
+    }
+
+    const globalLimit = resolveBandwidthLimit(settingsManager.getAll())
+    if (globalLimit === 0) {
+      return 0
+    }
+
+    const sharingIds = this.queue
+      .getQueueStatus()
+      .activeIds.filter(
+        (activeId) =>
+          normalizeBandwidthLimit(this.queue.getItemDetails(activeId)?.options.bandwidthLimit) === 0
+      )
+    if (!sharingIds.includes(id)) {
+      sharingIds.push(id)
+    }
+    return splitBandwidthLimit(globalLimit, sharingIds.length)
+  }
+
+  /**
+   * yt-dlp cannot change --limit-rate at runtime, so downloads whose share changed are
+   * restarted; they continue from their partial files.
+   */
+  private rebalanceBandwidth(): void {
+    if (this.shuttingDown) {
+      return
+    }
+    for (const [id, download] of Array.from(this.activeDownloads.entries())) {
+      const snapshot = this.queue.getItemDetails(id)
+      // Leave post-processing alone, restarting it would redo the whole merge, and recordings
+      // would miss part of the stream while yt-dlp starts again
+      if (!snapshot || !download.transferring || download.stopRecording) {
+        continue
+      }
+      const limit = this.resolveDownloadBandwidthLimit(id, snapshot.options)
+      if (limit === download.bandwidthLimit) {
+        continue
+      }
+      scopedLoggers.download.info(
+        `Restarting download ${id} to apply bandwidth limit: ${limit > 0 ? `${limit} KiB/s` : 'unlimited'}`
+      )
+      this.activeDownloads.delete(id)
+      if (download.videoInfo) {
+        this.restartVideoInfo.set(id, download.videoInfo)
+      }
+      download.controller.abort()
+      this.queue.restart(id)
+    }
+  }
+
+  private persistQueueItem(id: string): void {
+    const snapshot = this.queue.getItemDetails(id)
+    if (snapshot) {
+      downloadQueueStore.updateItem(id, snapshot.item)
+    }
+  }
+
+  private persistQueueOrder(): void {
+    downloadQueueStore.reorder(this.queue.getPendingIds())
+  }
+
   private async executeDownload(id: string, options: DownloadOptions): Promise<void> {
     scopedLoggers.download.info('Starting download execution for ID:', id, 'URL:', options.url)
+    downloadQueueStore.setState(id, 'active')
     const ytdlp = ytdlpManager.getInstance()
-    const settings = settingsManager.getAll()
-    const defaultDownloadPath = settings.downloadPath
-    let resolvedDownloadPath = options.customDownloadPath?.trim() || defaultDownloadPath
+    const globalSettings = settingsManager.getAll()
+    let siteRule = findSiteRule(globalSettings.siteRules, { url: options.url })
 
     // Set environment variables for proper encoding on Windows
     if (process.platform === 'win32') {
@@ -644,17 +1134,33 @@ class DownloadEngine extends EventEmitter {
     let actualFormat: string | null = null
     let videoInfo: VideoInfo | undefined
     let lastKnownOutputPath: string | undefined
+    // Every output path yt-dlp reported, in order, and the files of split chapters
+    const reportedOutputPaths: string[] = []
+    const chapterPaths: string[] = []
+    const subtitlePaths: string[] = []
+    const multiPart = Boolean(options.splitChapters) || (options.timeRanges?.length ?? 0) > 1
     let totalParts = estimateProgressParts(options)
     let completedParts = 0
     let lastPercent = 0
 
     // First, get detailed video info to capture basic metadata and formats
+    const cachedVideoInfo = this.restartVideoInfo.get(id)
+    this.restartVideoInfo.delete(id)
     try {
-      const info = await this.getVideoInfo(options.url)
+      const info = cachedVideoInfo ?? (await this.getVideoInfo(options.url))
       videoInfo = info
+      // Rules for the extractor apply from here on
+      siteRule = findSiteRule(globalSettings.siteRules, {
+        url: options.url,
+        extractorKey: info.extractor_key
+      })
 
       availableFormats = Array.isArray(info.formats) ? info.formats : []
-      selectedFormat = resolveSelectedFormat(availableFormats, options, settings)
+      selectedFormat = resolveSelectedFormat(
+        availableFormats,
+        options,
+        applySiteRule(globalSettings, siteRule)
+      )
 
       if (selectedFormat) {
         actualFormat = selectedFormat.ext || actualFormat
@@ -693,14 +1199,90 @@ class DownloadEngine extends EventEmitter {
       scopedLoggers.download.warn('Failed to get detailed video info for ID:', id, error)
     }
 
-    if (!options.customDownloadPath?.trim()) {
+    const settings = applySiteRule(globalSettings, siteRule)
+    const defaultDownloadPath = settings.downloadPath
+    let resolvedDownloadPath = options.customDownloadPath?.trim() || defaultDownloadPath
+
+    // Subtitles for a video that is already on disk are what subtitles only downloads are for.
+    // 'warn' is asked in the download dialog, which confirms with ignoreArchive, so every other
+    // download skips the video as with 'skip'
+    const archived =
+      videoInfo?.extractor_key &&
+      !options.ignoreArchive &&
+      !options.subtitlesOnly &&
+      settings.duplicateDownloadAction !== 'redownload'
+        ? downloadArchive.get(videoInfo.extractor_key, videoInfo.id)
+        : undefined
+    if (archived && this.queue.isDownloading(id)) {
+      scopedLoggers.download.info('Video is already in the download archive for ID:', id)
+      this.handleDownloadFailure(
+        id,
+        options,
+        new Error(
+          `Already downloaded on ${new Date(archived.downloadedAt).toISOString().slice(0, 10)}`
+        ),
+        'duplicate'
+      )
+      return
+    }
+
+    // Streams are only recorded when asked to, without a recording they have no end to wait for
+    const liveStatus = resolveLiveStreamStatus(videoInfo)
+    const liveRecording = liveStatus ? options.liveRecording : undefined
+    if (liveStatus && !liveRecording && this.queue.isDownloading(id)) {
+      scopedLoggers.download.info('Refusing to download live stream without recording for ID:', id)
+      this.handleDownloadFailure(
+        id,
+        options,
+        new Error(
+          liveStatus === 'upcoming'
+            ? 'The stream has not started yet. Record it live to wait for it.'
+            : 'The video is a live stream. Record it live, or retry once the stream has ended.'
+        ),
+        'live-stream'
+      )
+      return
+    }
+
+    // The layout follows from the video info, so a resumed run lands on the same paths
+    const libraryLayout: MediaLibraryLayout | undefined =
+      (options.mediaLibrary ?? settings.mediaLibraryMode) &&
+      videoInfo &&
+      !multiPart &&
+      !options.subtitlesOnly
+        ? resolveMediaLibraryLayout(resolvedDownloadPath, videoInfo)
+        : undefined
+    const outputOptions: DownloadOptions = libraryLayout
+      ? {
+          ...options,
+          mediaLibrary: true,
+          customDownloadPath: libraryLayout.seasonDirectory,
+          customFilenameTemplate: `${libraryLayout.episodeName.replace(/%/g, '%%')}.%(ext)s`
+        }
+      : { ...options, mediaLibrary: false }
+    outputOptions.liveRecording = liveRecording
+    const subtitlePreferences = resolveSubtitlePreferences(options, settings)
+    outputOptions.subtitleLanguages = resolveSubtitleLanguages(subtitlePreferences, videoInfo)
+    if (libraryLayout) {
+      resolvedDownloadPath = libraryLayout.seasonDirectory
+    } else if (!options.customDownloadPath?.trim()) {
       resolvedDownloadPath = resolveAutoVideoDownloadPath(defaultDownloadPath, videoInfo)
       options.customDownloadPath = resolvedDownloadPath
+      outputOptions.customDownloadPath = resolvedDownloadPath
+      // Pin the resolved folder so a resumed run writes next to its partial files
+      downloadQueueStore.updateOptions(id, options)
+    }
+    // The site's template only fills in for downloads without their own, pinned like the folder
+    const siteTemplate = siteRule?.filenameTemplate?.trim()
+    if (!libraryLayout && siteTemplate && !options.customFilenameTemplate) {
+      options.customFilenameTemplate = siteTemplate
+      outputOptions.customFilenameTemplate = siteTemplate
+      downloadQueueStore.updateOptions(id, options)
     }
 
     const historyDownloadPath = resolveHistoryDownloadPath(
       resolvedDownloadPath,
-      options.customFilenameTemplate,
+      outputOptions.customFilenameTemplate,
       videoInfo
     )
     ensureDirectoryExists(historyDownloadPath)
@@ -730,11 +1312,14 @@ class DownloadEngine extends EventEmitter {
       return true
     }
 
+    const bandwidthLimit = this.resolveDownloadBandwidthLimit(id, options)
     const args = buildDownloadArgs(
-      options,
+      outputOptions,
       resolvedDownloadPath,
       settings,
-      ytdlpManager.getJsRuntimeArgs()
+      ytdlpManager.getJsRuntimeArgs(),
+      bandwidthLimit,
+      getSiteRuleArgs(siteRule)
     )
 
     const captureOutputPath = (rawPath: string | undefined): void => {
@@ -748,6 +1333,23 @@ class DownloadEngine extends EventEmitter {
       lastKnownOutputPath = path.isAbsolute(trimmed)
         ? trimmed
         : path.join(resolvedDownloadPath, trimmed)
+      if (!reportedOutputPaths.includes(lastKnownOutputPath)) {
+        reportedOutputPaths.push(lastKnownOutputPath)
+      }
+    }
+
+    const captureSubtitlePath = (message: string): void => {
+      const subtitleMatch = message.match(SUBTITLE_DESTINATION_PATTERN)
+      const trimmed = subtitleMatch?.[1].trim().replace(/^"|"$/g, '')
+      if (!trimmed) {
+        return
+      }
+      const subtitlePath = path.isAbsolute(trimmed)
+        ? trimmed
+        : path.join(resolvedDownloadPath, trimmed)
+      if (!subtitlePaths.includes(subtitlePath)) {
+        subtitlePaths.push(subtitlePath)
+      }
     }
 
     const extractOutputPathFromLog = (message: string): void => {
@@ -784,6 +1386,7 @@ class DownloadEngine extends EventEmitter {
         error: missingUrlError.message
       })
       this.queue.downloadCompleted(id)
+      downloadQueueStore.remove(id)
       this.emit('download-error', id, missingUrlError)
       this.addToHistory(id, options, 'error', missingUrlError.message)
       return
@@ -801,6 +1404,7 @@ class DownloadEngine extends EventEmitter {
         error: ffmpegError.message
       })
       this.queue.downloadCompleted(id)
+      downloadQueueStore.remove(id)
       this.emit('download-error', id, ffmpegError)
       this.addToHistory(id, options, 'error', ffmpegError.message)
       return
@@ -809,14 +1413,41 @@ class DownloadEngine extends EventEmitter {
     args.push('--ffmpeg-location', ffmpegPath)
     args.push(urlArg)
 
+    // The download may have been paused or cancelled while its info was being fetched
+    if (this.shuttingDown || !this.queue.isDownloading(id)) {
+      scopedLoggers.download.info('Skipping start of download no longer active for ID:', id)
+      return
+    }
+
     scopedLoggers.download.info('yt-dlp command:', formatYtDlpCommand(args))
 
+    // Looked up alongside the download for the history summary, yt-dlp only applies
+    // SponsorBlock to YouTube
+    const sponsorBlock = resolveSponsorBlockOptions(options, settings)
+    const sponsorBlockSummaryRequest =
+      sponsorBlock.remove.length > 0 && videoInfo?.extractor_key?.startsWith('Youtube')
+        ? fetchSponsorBlockSummary(
+            resolveSponsorBlockApiUrl(settings),
+            videoInfo.id,
+            sponsorBlock.remove
+          )
+        : undefined
+
     const controller = new AbortController()
     const ytdlpProcess = ytdlp.exec(args, {
       signal: controller.signal
     })
+    const downloadProcess: DownloadProcess = {
+      controller,
+      process: ytdlpProcess,
+      partialPaths: new Set<string>(),
+      bandwidthLimit,
+      transferring: true,
+      videoInfo
+    }
+    const { partialPaths } = downloadProcess
 
-    this.activeDownloads.set(id, { controller, process: ytdlpProcess })
+    this.activeDownloads.set(id, downloadProcess)
 
     this.emit('download-started', id)
 
@@ -826,6 +1457,71 @@ class DownloadEngine extends EventEmitter {
 
     let latestKnownSizeBytes: number | undefined
 
+    // Live recordings report elapsed time and recorded size instead of a percentage
+    let liveState: LiveRecordingStatus | undefined
+    let liveStopRequested = false
+    let liveStopTimer: NodeJS.Timeout | undefined
+    let liveGraceTimer: NodeJS.Timeout | undefined
+    let liveProgressTimer: NodeJS.Timeout | undefined
+    const clearLiveTimers = (): void => {
+      clearTimeout(liveStopTimer)
+      clearTimeout(liveGraceTimer)
+      clearInterval(liveProgressTimer)
+    }
+    const setLiveState = (state: LiveRecordingStatus): void => {
+      liveState = state
+      this.updateDownloadInfo(id, { liveRecording: state })
+      this.emit('download-live', id, state)
+    }
+    const stopLiveRecording = (): boolean => {
+      if (liveState?.state !== 'recording') {
+        return false
+      }
+      liveStopRequested = true
+      clearTimeout(liveStopTimer)
+      setLiveState({ ...liveState, state: 'stopping' })
+      scopedLoggers.download.info('Stopping live recording for ID:', id)
+      // yt-dlp finishes the file when interrupted, the abort only covers a hanging process
+      ytdlpProcess.ytDlpProcess?.kill('SIGINT')
+      liveGraceTimer = setTimeout(() => controller.abort(), LIVE_STOP_GRACE_MS)
+      return true
+    }
+    const beginLiveRecording = (recording: NonNullable<typeof liveRecording>): void => {
+      const startedAt = Date.now()
+      const stopAt = resolveLiveStopAt(recording, startedAt)
+      setLiveState({ state: 'recording', scheduledAt: liveState?.scheduledAt, startedAt, stopAt })
+      if (stopAt !== undefined) {
+        liveStopTimer = setTimeout(stopLiveRecording, Math.max(0, stopAt - startedAt))
+      }
+      let lastBytes = 0
+      liveProgressTimer = setInterval(() => {
+        void measureRecordedBytes(partialPaths).then((bytes) => {
+          const bytesPerSecond = Math.max(0, bytes - lastBytes) / (LIVE_PROGRESS_INTERVAL_MS / 1000)
+          lastBytes = bytes
+          latestKnownSizeBytes = bytes
+          const downloadProgress: DownloadProgress = {
+            percent: 0,
+            currentSpeed: `${formatRecordedSize(bytesPerSecond)}/s`,
+            eta: '',
+            downloaded: formatRecordedSize(bytes),
+            total: ''
+          }
+          this.emit('download-progress', id, downloadProgress)
+        })
+      }, LIVE_PROGRESS_INTERVAL_MS)
+    }
+    if (liveRecording) {
+      downloadProcess.stopRecording = stopLiveRecording
+      if (liveStatus === 'upcoming') {
+        setLiveState({
+          state: 'waiting',
+          scheduledAt: videoInfo?.release_timestamp ? videoInfo.release_timestamp * 1000 : undefined
+        })
+      } else {
+        beginLiveRecording(liveRecording)
+      }
+    }
+
     // Handle progress
     ytdlpProcess.on(
       'progress',
@@ -836,6 +1532,9 @@ class DownloadEngine extends EventEmitter {
         downloaded?: string
         total?: string
       }) => {
+        if (liveRecording) {
+          return
+        }
         const totalBytes = parseSizeToBytes(progress.total)
         if (totalBytes !== undefined) {
           latestKnownSizeBytes = totalBytes
@@ -877,6 +1576,18 @@ class DownloadEngine extends EventEmitter {
 
     // Handle yt-dlp events to capture format info
     ytdlpProcess.on('ytDlpEvent', (eventType: string, eventData: string) => {
+      // Sections and chapters alternate between downloading and post-processing
+      if (eventType === 'download') {
+        downloadProcess.transferring = true
+      } else if (YTDLP_POSTPROCESSORS.has(eventType)) {
+        downloadProcess.transferring = false
+      }
+
+      // Waiting for an upcoming stream ends with its first download
+      if (liveRecording && liveState?.state === 'waiting' && eventType === 'download') {
+        beginLiveRecording(liveRecording)
+      }
+
       // Look for format selection messages
       if (eventType === 'info' && eventData.includes('format')) {
         // Extract format info from yt-dlp output
@@ -903,17 +1614,53 @@ class DownloadEngine extends EventEmitter {
         }
       }
 
+      if (eventType === 'SplitChapters') {
+        const chapterMatch = eventData.match(/Chapter\s+(\d+);\s*Destination:\s*(.+)$/)
+        if (chapterMatch) {
+          chapterPaths[Number(chapterMatch[1]) - 1] = chapterMatch[2].trim()
+        }
+      }
+
+      if (eventType === 'info') {
+        captureSubtitlePath(eventData)
+      }
+
       if (eventType === 'download' || eventType === 'info') {
         extractOutputPathFromLog(eventData)
+        if (lastKnownOutputPath) {
+          partialPaths.add(lastKnownOutputPath)
+        }
       }
     })
 
     // Handle completion
     ytdlpProcess.on('close', async (code: number | null) => {
+      clearLiveTimers()
+      // Paused, cancelled and shutdown downloads are detached before their process exits
+      if (this.activeDownloads.get(id) !== downloadProcess) {
+        return
+      }
       this.activeDownloads.delete(id)
-      this.queue.downloadCompleted(id)
 
-      if (code === 0) {
+      if (code === 0 && options.subtitlesOnly) {
+        await this.completeSubtitleDownload(
+          id,
+          options,
+          await resolveSubtitleFiles(subtitlePaths, subtitlePreferences.format)
+        )
+        return
+      }
+
+      // A stopped recording keeps what was recorded, whatever the exit code
+      if (code === 0 || (liveStopRequested && lastKnownOutputPath)) {
+        if (liveStopRequested && lastKnownOutputPath) {
+          try {
+            await recoverInterruptedRecording(lastKnownOutputPath)
+          } catch (error) {
+            scopedLoggers.download.warn('Failed to recover stopped recording for ID:', id, error)
+          }
+        }
+
         // Generate file path using downloadPath + title + ext
         const title = videoInfo?.title || 'Unknown'
         const sanitizedTitle = title.replace(/[<>:"/\\|?*]/g, '_').substring(0, 50)
@@ -1015,17 +1762,121 @@ class DownloadEngine extends EventEmitter {
           fileSize = latestKnownSizeBytes
         }
 
+        // Paused or cancelled while the output file was being located
+        if (!this.queue.isDownloading(id)) {
+          return
+        }
+
+        const parts = multiPart
+          ? await this.finalizeDownloadParts(
+              id,
+              options,
+              videoInfo,
+              actualFilePath,
+              options.splitChapters ? chapterPaths : reportedOutputPaths
+            )
+          : []
+        if (parts.length > 0) {
+          actualFilePath = parts[0].filePath
+          try {
+            fileSize = (await fs.promises.stat(actualFilePath)).size
+          } catch (error) {
+            scopedLoggers.download.warn('Failed to stat first part for ID:', id, error)
+          }
+          this.updateDownloadInfo(id, {
+            title: parts[0].title,
+            duration: parts[0].duration,
+            playlistId: id,
+            playlistTitle: videoInfo?.title,
+            playlistIndex: 1,
+            playlistSize: parts.length
+          })
+          this.upsertHistoryEntry(id, options, { downloadPath: path.dirname(actualFilePath) })
+        }
+
+        // Presets work on a single file, parts are left as downloaded
+        const preset =
+          parts.length > 0
+            ? undefined
+            : resolvePostProcessingPreset(options, settingsManager.getAll())
+        if (preset) {
+          this.updateDownloadInfo(id, { fileSize, savedFileName: path.basename(actualFilePath) })
+          const processedPath = await this.postProcessDownload(
+            id,
+            options,
+            preset,
+            actualFilePath,
+            videoInfo?.duration
+          )
+          if (!processedPath) {
+            return
+          }
+          actualFilePath = processedPath
+          try {
+            fileSize = (await fs.promises.stat(processedPath)).size
+          } catch (error) {
+            scopedLoggers.download.warn('Failed to stat processed file for ID:', id, error)
+          }
+        }
+
+        if (libraryLayout && videoInfo) {
+          const subscription = options.subscriptionId
+            ? subscriptionManager.getById(options.subscriptionId)
+            : undefined
+          try {
+            await writeMediaLibraryMetadata(actualFilePath, videoInfo, libraryLayout, {
+              tags: subscription?.tags,
+              posterUrl: subscription?.coverUrl
+            })
+          } catch (error) {
+            scopedLoggers.download.warn('Failed to write media library metadata for ID:', id, error)
+          }
+        }
+
+        const sponsorBlockSummary = await sponsorBlockSummaryRequest
+        // Subtitles are listed with the video when they were kept next to it
+        const subtitleFiles = (
+          await resolveSubtitleFiles(subtitlePaths, subtitlePreferences.format)
+        )
+          .filter((filePath) => path.dirname(filePath) === path.dirname(actualFilePath))
+          .map((filePath) => path.basename(filePath))
+
+        // Streams have no duration of their own, a recording from now lasts as long as it ran
+        if (liveState?.startedAt && !liveRecording?.fromStart) {
+          this.updateDownloadInfo(id, {
+            duration: Math.round((Date.now() - liveState.startedAt) / 1000)
+          })
+        }
+
+        this.queue.downloadCompleted(id)
+        downloadQueueStore.remove(id)
+
         const savedFileName = path.basename(actualFilePath)
 
         this.updateDownloadInfo(id, {
           status: 'completed',
           completedAt: Date.now(),
           fileSize,
-          savedFileName
+          savedFileName,
+          postProcessing: undefined,
+          sponsorBlockSummary,
+          subtitleFiles: subtitleFiles.length > 0 ? subtitleFiles : undefined
         })
         scopedLoggers.download.info('Download completed successfully for ID:', id)
+        // A recording may have missed part of the stream, the archive waits for the full video
+        if (videoInfo?.extractor_key && !liveRecording) {
+          downloadArchive.record({
+            extractor: videoInfo.extractor_key,
+            videoId: videoInfo.id,
+            title: videoInfo.title,
+            url: options.url,
+            historyId: id,
+            downloadedAt: Date.now()
+          })
+        }
         this.emit('download-completed', id)
         this.addToHistory(id, options, 'completed', undefined)
+        this.addPartsToHistory(id, parts)
       } else {
         scopedLoggers.download.error(
           'Download failed with exit code for ID:',
@@ -1033,19 +1884,291 @@ class DownloadEngine extends EventEmitter {
           'Exit code:',
           code
         )
-        this.emit('download-error', id, new Error(`Download exited with code ${code}`))
-        this.addToHistory(id, options, 'error', `Download exited with code ${code}`)
+        this.handleDownloadFailure(id, options, new Error(`Download exited with code ${code}`))
       }
     })
 
     // Handle errors
     ytdlpProcess.on('error', (error: Error) => {
+      clearLiveTimers()
+      // Paused, cancelled and shutdown downloads are detached before their process exits
+      if (this.activeDownloads.get(id) !== downloadProcess) {
+        return
+      }
       scopedLoggers.download.error('Download process error for ID:', id, error)
       this.activeDownloads.delete(id)
-      this.queue.downloadCompleted(id)
-      this.emit('download-error', id, error)
-      this.addToHistory(id, options, 'error', error.message)
+      this.handleDownloadFailure(id, options, error)
+    })
+  }
+
+  /**
+   * Finishes a download that only fetched subtitles, the first subtitle file stands in for the
+   * video. Fails when the video had none in the preferred languages.
+   */
+  private async completeSubtitleDownload(
+    id: string,
+    options: DownloadOptions,
+    subtitleFiles: string[]
+  ): Promise<void> {
+    if (!this.queue.isDownloading(id)) {
+      return
+    }
+    if (subtitleFiles.length === 0) {
+      this.handleDownloadFailure(
+        id,
+        options,
+        new Error('The video has no subtitles in the preferred languages.'),
+        'unavailable'
+      )
+      return
+    }
+
+    let fileSize: number | undefined
+    try {
+      fileSize = (await fs.promises.stat(subtitleFiles[0])).size
+    } catch (error) {
+      scopedLoggers.download.warn('Failed to stat subtitle file for ID:', id, error)
+    }
+
+    this.queue.downloadCompleted(id)
+    downloadQueueStore.remove(id)
+    this.upsertHistoryEntry(id, options, { downloadPath: path.dirname(subtitleFiles[0]) })
+    this.updateDownloadInfo(id, {
+      status: 'completed',
+      completedAt: Date.now(),
+      fileSize,
+      savedFileName: path.basename(subtitleFiles[0]),
+      subtitleFiles: subtitleFiles.map((filePath) => path.basename(filePath))
     })
+    scopedLoggers.download.info('Subtitle download completed for ID:', id)
+    this.emit('download-completed', id)
+    this.addToHistory(id, options, 'completed', undefined)
+  }
+
+  /**
+   * Resolves the files of a split or multi-range download in order, tags audio parts with
+   * track numbers and writes the requested playlist. The full file a chapter split started
+   * from is removed once its chapters are on disk.
+   */
+  private async finalizeDownloadParts(
+    id: string,
+    options: DownloadOptions,
+    videoInfo: VideoInfo | undefined,
+    mainFilePath: string,
+    reportedPaths: string[]
+  ): Promise<DownloadPart[]> {
+    const ranges = options.timeRanges ?? []
+    const parts: DownloadPart[] = []
+    for (const [index, filePath] of reportedPaths.entries()) {
+      if (!filePath || !isMediaPartPath(filePath) || !fs.existsSync(filePath)) {
+        continue
+      }
+      if (options.splitChapters) {
+        const chapter = videoInfo?.chapters?.[index]
+        parts.push({
+          filePath,
+          title: chapter?.title || path.parse(filePath).name,
+          duration: chapter ? chapter.end_time - chapter.start_time : undefined
+        })
+      } else {
+        const range = ranges[parts.length]
+        parts.push({
+          filePath,
+          title: range ? describeTimeRange(range) : path.parse(filePath).name,
+          duration: range ? timeRangeDuration(range) : undefined
+        })
+      }
+    }
+    if (parts.length === 0) {
+      scopedLoggers.download.warn('No parts found for multi-part download ID:', id)
+      return parts
+    }
+
+    if (options.splitChapters && !parts.some((part) => part.filePath === mainFilePath)) {
+      await fs.promises.rm(mainFilePath, { force: true }).catch((error) => {
+        scopedLoggers.download.warn('Failed to remove split source for ID:', id, error)
+      })
+    }
+
+    const album = videoInfo?.title || parts[0].title
+    if (options.type === 'audio') {
+      try {
+        await tagAudioParts(ffmpegManager.getPath(), parts, album)
+      } catch (error) {
+        scopedLoggers.download.warn('Failed to tag audio parts for ID:', id, error)
+      }
+    }
+    if (options.partsPlaylist) {
+      try {
+        await writePartsPlaylist(parts, options.partsPlaylist, album)
+      } catch (error) {
+        scopedLoggers.download.warn('Failed to write parts playlist for ID:', id, error)
+      }
+    }
+    return parts
+  }
+
+  /**
+   * Adds a history entry for every part after the first, grouped under the download like
+   * playlist entries. The first part keeps the download's own entry.
+   */
+  private addPartsToHistory(id: string, parts: DownloadPart[]): void {
+    const entry = historyManager.getHistoryById(id)
+    if (!entry) {
+      return
+    }
+    for (const [index, part] of parts.entries()) {
+      if (index === 0) {
+        continue
+      }
+      let fileSize: number | undefined
+      try {
+        fileSize = fs.statSync(part.filePath).size
+      } catch {}
+      historyManager.addHistoryItem({
+        ...entry,
+        id: `${id}-part-${index + 1}`,
+        title: part.title,
+        downloadPath: path.dirname(part.filePath),
+        savedFileName: path.basename(part.filePath),
+        fileSize,
+        duration: part.duration,
+        playlistIndex: index + 1
+      })
+    }
+  }
+
+  /**
+   * Runs a post-processing preset on a finished download while it keeps its queue slot.
+   * Returns the final file path, or null when processing was stopped or has failed.
+   */
+  private async postProcessDownload(
+    id: string,
+    options: DownloadOptions,
+    preset: PostProcessingPreset,
+    filePath: string,
+    duration?: number
+  ): Promise<string | null> {
+    const controller = new AbortController()
+    this.postProcessingControllers.set(id, controller)
+    scopedLoggers.download.info(`Post-processing ${id} with preset ${preset.id}:`, filePath)
+
+    try {
+      return await runPostProcessing(filePath, preset, {
+        ffmpegPath: ffmpegManager.getPath(),
+        duration,
+        signal: controller.signal,
+        onStepStart: (step, stepIndex) => {
+          const state: PostProcessingState = {
+            presetId: preset.id,
+            step: step.type,
+            stepIndex,
+            stepCount: preset.steps.length
+          }
+          this.updateDownloadInfo(id, {
+            status: 'processing',
+            speed: undefined,
+            progress: { percent: 0 },
+            postProcessing: state
+          })
+          this.emit('download-processing', id, state)
+          this.emit('download-progress', id, { percent: 0 })
+        },
+        onProgress: (percent) => {
+          this.emit('download-progress', id, { percent })
+        },
+        onStepSkipped: (step, reason) => {
+          scopedLoggers.download.warn(`Skipping ${step.type} for ${id}: ${reason}`)
+        }
+      })
+    } catch (error) {
+      // Pause, cancel and shutdown abort the controller and handle the item themselves
+      if (controller.signal.aborted) {
+        return null
+      }
+      const message = error instanceof Error ? error.message : String(error)
+      scopedLoggers.download.error('Post-processing failed for ID:', id, message)
+      this.handleDownloadFailure(
+        id,
+        options,
+        new Error(`Post-processing failed: ${message}`),
+        'ffmpeg'
+      )
+      return null
+    } finally {
+      if (this.postProcessingControllers.get(id) === controller) {
+        this.postProcessingControllers.delete(id)
+      }
+    }
+  }
+
+  private abortPostProcessing(id: string): boolean {
+    const controller = this.postProcessingControllers.get(id)
+    if (!controller) {
+      return false
+    }
+    this.postProcessingControllers.delete(id)
+    controller.abort()
+    return true
+  }
+
+  /**
+   * Retries transient failures with exponential backoff and records everything else as an
+   * error with its category.
+   */
+  private handleDownloadFailure(
+    id: string,
+    options: DownloadOptions,
+    error: Error,
+    errorCategory: DownloadErrorCategory = classifyDownloadError(error.message)
+  ): void {
+    const attempt = (this.queue.getItemDetails(id)?.item.retryCount ?? 0) + 1
+    const maxRetries = settingsManager.get('maxDownloadRetries')
+
+    if (!this.shuttingDown && isRetryableErrorCategory(errorCategory) && attempt <= maxRetries) {
+      const delayMs = getRetryDelayMs(errorCategory, attempt)
+      scopedLoggers.download.warn(
+        `Retrying download ${id} in ${delayMs}ms (attempt ${attempt}/${maxRetries}, ${errorCategory})`
+      )
+
+      // Park the download outside the active slots until the backoff elapses
+      this.queue.pause(id)
+      this.queue.updateItemInfo(id, {
+        status: 'pending',
+        speed: undefined,
+        error: error.message,
+        errorCategory,
+        retryCount: attempt
+      })
+      downloadQueueStore.setState(id, 'queued')
+      this.persistQueueItem(id)
+      this.emit('download-retry', id, { attempt, maxRetries, delayMs, errorCategory })
+
+      const timer = setTimeout(() => {
+        this.retryTimers.delete(id)
+        if (this.queue.resume(id)) {
+          this.persistQueueOrder()
+        }
+      }, delayMs)
+      this.retryTimers.set(id, timer)
+      return
+    }
+
+    this.queue.updateItemInfo(id, { status: 'error', error: error.message, errorCategory })
+    this.queue.downloadCompleted(id)
+    downloadQueueStore.remove(id)
+    this.emit('download-error', id, error, errorCategory)
+    this.addToHistory(id, options, 'error', error.message, errorCategory)
+  }
+
+  private clearRetryTimer(id: string): boolean {
+    const timer = this.retryTimers.get(id)
+    if (!timer) {
+      return false
+    }
+    clearTimeout(timer)
+    this.retryTimers.delete(id)
+    return true
   }
 
   cancelDownload(id: string): boolean {
@@ -1053,8 +2176,14 @@ class DownloadEngine extends EventEmitter {
     const snapshot = this.queue.getItemDetails(id)
 
     const download = this.activeDownloads.get(id)
-    if (download) {
-      download.controller.abort()
+    downloadQueueStore.remove(id)
+    this.clearRetryTimer(id)
+    const wasProcessing = this.abortPostProcessing(id)
+    if (download || wasProcessing) {
+      if (download) {
+        download.controller.abort()
+        removePartialFiles(download.partialPaths)
+      }
       const removedFromQueue = this.queue.remove(id)
       this.activeDownloads.delete(id)
       scopedLoggers.download.info('Download cancelled successfully for ID:', id)
@@ -1077,6 +2206,63 @@ class DownloadEngine extends EventEmitter {
     return removed
   }
 
+  /**
+   * Re-queues a failed or cancelled download under its original id, or a completed one whose
+   * file the library scan found missing. The options come from this session's queue when
+   * available, otherwise they are rebuilt from the history entry.
+   */
+  retryDownload(id: string): boolean {
+    if (this.queue.isPending(id) || this.retryTimers.has(id)) {
+      return false
+    }
+    const historyItem = historyManager.getHistoryById(id)
+    const snapshot = this.queue.getItemDetails(id)
+    const status = historyItem?.status ?? snapshot?.item.status
+    const fileMissing = status === 'completed' && historyItem?.fileMissing === true
+    if (status !== 'error' && status !== 'cancelled' && !fileMissing) {
+      return false
+    }
+
+    const baseOptions: DownloadOptions | undefined =
+      snapshot?.options ??
+      (historyItem
+        ? {
+            url: historyItem.url,
+            type: historyItem.type,
+            subtitlesOnly: historyItem.subtitlesOnly,
+            customDownloadPath: historyItem.downloadPath,
+            tags: historyItem.tags,
+            origin: historyItem.origin,
+            subscriptionId: historyItem.subscriptionId
+          }
+        : undefined)
+    if (!baseOptions) {
+      return false
+    }
+    // Retrying a video the archive held back, or one whose file is gone, means downloading
+    // it again
+    const errorCategory = historyItem?.errorCategory ?? snapshot?.item.errorCategory
+    const options =
+      errorCategory === 'duplicate' || fileMissing
+        ? { ...baseOptions, ignoreArchive: true }
+        : baseOptions
+
+    scopedLoggers.download.info('Retrying download for ID:', id)
+    this.startDownload(id, options)
+    // startDownload resets the title, keep the one that is already known
+    if (historyItem) {
+      this.updateDownloadInfo(id, {
+        title: historyItem.title,
+        thumbnail: historyItem.thumbnail,
+        playlistId: historyItem.playlistId,
+        playlistTitle: historyItem.playlistTitle,
+        playlistIndex: historyItem.playlistIndex,
+        playlistSize: historyItem.playlistSize
+      })
+    }
+    return true
+  }
+
   updateMaxConcurrent(max: number): void {
     this.queue.setMaxConcurrent(max)
   }
@@ -1093,6 +2279,10 @@ class DownloadEngine extends EventEmitter {
       return
     }
 
+    if (this.queue.isPending(id)) {
+      downloadQueueStore.updateItem(id, snapshot.item)
+    }
+
     const historyUpdates: Partial<DownloadHistoryItem> = {}
 
     if (updates.title !== undefined) {
@@ -1149,6 +2339,12 @@ class DownloadEngine extends EventEmitter {
     if (updates.savedFileName !== undefined) {
       historyUpdates.savedFileName = updates.savedFileName
     }
+    if (updates.sponsorBlockSummary !== undefined) {
+      historyUpdates.sponsorBlockSummary = updates.sponsorBlockSummary
+    }
+    if (updates.subtitleFiles !== undefined) {
+      historyUpdates.subtitleFiles = updates.subtitleFiles
+    }
 
     if (Object.keys(historyUpdates).length > 0) {
       this.upsertHistoryEntry(id, snapshot.options, historyUpdates)
@@ -1159,7 +2355,8 @@ class DownloadEngine extends EventEmitter {
     id: string,
     options: DownloadOptions,
     status: DownloadHistoryItem['status'],
-    error?: string
+    error?: string,
+    errorCategory?: DownloadErrorCategory
   ): void {
     // Get the download item from the queue to get additional info
     const completedDownload = this.queue.getCompletedDownload(id)
@@ -1172,6 +2369,8 @@ class DownloadEngine extends EventEmitter {
       status,
       completedAt,
       error,
+      errorCategory,
+      fileMissing: undefined,
       duration: completedDownload?.item.duration,
       fileSize: completedDownload?.item.fileSize,
       description: completedDownload?.item.description,
@@ -1184,7 +2383,9 @@ class DownloadEngine extends EventEmitter {
       playlistId: completedDownload?.item.playlistId,
       playlistTitle: completedDownload?.item.playlistTitle,
       playlistIndex: completedDownload?.item.playlistIndex,
-      playlistSize: completedDownload?.item.playlistSize
+      playlistSize: completedDownload?.item.playlistSize,
+      sponsorBlockSummary: completedDownload?.item.sponsorBlockSummary,
+      subtitleFiles: completedDownload?.item.subtitleFiles
     })
   }
 
@@ -1202,6 +2403,7 @@ class DownloadEngine extends EventEmitter {
       title: updates.title || `Download ${id}`,
       thumbnail: updates.thumbnail,
       type: options.type,
+      subtitlesOnly: options.subtitlesOnly,
       status: updates.status || 'pending',
       downloadPath: resolvedDownloadPath,
       savedFileName: updates.savedFileName,
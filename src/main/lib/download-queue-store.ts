@@ -0,0 +1,213 @@
+import DatabaseConstructor from 'better-sqlite3'
+import { asc, eq, sql } from 'drizzle-orm'
+import type { BetterSQLite3Database } from 'drizzle-orm/better-sqlite3'
+import { drizzle } from 'drizzle-orm/better-sqlite3'
+import log from 'electron-log/main'
+import type { DownloadItem, DownloadOptions } from '../../shared/types'
+import { runMigrations } from './database/migrate'
+import {
+  type DownloadQueueRow,
+  downloadQueueSettingsTable,
+  downloadQueueTable
+} from './database/schema'
+import { getDatabaseFilePath } from './database-path'
+
+const logger = log.scope('download-queue-store')
+
+const QUEUE_PAUSED_KEY = 'paused'
+
+export type PersistedQueueState = 'queued' | 'active' | 'paused'
+
+export interface PersistedQueueEntry {
+  id: string
+  state: PersistedQueueState
+  position: number
+  options: DownloadOptions
+  item: DownloadItem
+}
+
+class DownloadQueueStore {
+  private db: BetterSQLite3Database | null = null
+
+  private getDatabase(): BetterSQLite3Database {
+    if (this.db) {
+      return this.db
+    }
+
+    const databasePath = getDatabaseFilePath()
+    const sqlite = new DatabaseConstructor(databasePath, { timeout: 5000 })
+    sqlite.pragma('journal_mode = WAL')
+    sqlite.pragma('foreign_keys = ON')
+
+    const database = drizzle(sqlite)
+    runMigrations(database)
+
+    this.db = database
+    logger.info(`queue-db initialized at ${databasePath}`)
+    return this.db
+  }
+
+  getAll(): PersistedQueueEntry[] {
+    try {
+      const rows = this.getDatabase()
+        .select()
+        .from(downloadQueueTable)
+        .orderBy(asc(downloadQueueTable.position))
+        .all()
+      const entries: PersistedQueueEntry[] = []
+      for (const row of rows) {
+        const entry = this.mapRowToEntry(row)
+        if (entry) {
+          entries.push(entry)
+        }
+      }
+      return entries
+    } catch (error) {
+      logger.error('queue-db failed to load entries', error)
+      return []
+    }
+  }
+
+  save(
+    id: string,
+    options: DownloadOptions,
+    item: DownloadItem,
+    state: PersistedQueueState = 'queued'
+  ): void {
+    const now = Date.now()
+    try {
+      const database = this.getDatabase()
+      const existing = database
+        .select({ position: downloadQueueTable.position, createdAt: downloadQueueTable.createdAt })
+        .from(downloadQueueTable)
+        .where(eq(downloadQueueTable.id, id))
+        .get()
+      const payload = {
+        id,
+        state,
+        position: existing?.position ?? this.getNextPosition(),
+        options: JSON.stringify(options),
+        item: JSON.stringify(item),
+        createdAt: existing?.createdAt ?? now,
+        updatedAt: now
+      }
+      database
+        .insert(downloadQueueTable)
+        .values(payload)
+        .onConflictDoUpdate({ target: downloadQueueTable.id, set: payload })
+        .run()
+    } catch (error) {
+      logger.error('queue-db failed to save entry', { id, error })
+    }
+  }
+
+  updateItem(id: string, item: DownloadItem): void {
+    this.updateColumns(id, { item: JSON.stringify(item) })
+  }
+
+  updateOptions(id: string, options: DownloadOptions): void {
+    this.updateColumns(id, { options: JSON.stringify(options) })
+  }
+
+  setState(id: string, state: PersistedQueueState): void {
+    this.updateColumns(id, { state })
+  }
+
+  /**
+   * Rewrites positions so the next launch restores the queue in the given order.
+   */
+  reorder(ids: string[]): void {
+    try {
+      const database = this.getDatabase()
+      database.transaction((tx) => {
+        ids.forEach((id, index) => {
+          tx.update(downloadQueueTable)
+            .set({ position: index + 1 })
+            .where(eq(downloadQueueTable.id, id))
+            .run()
+        })
+      })
+    } catch (error) {
+      logger.error('queue-db failed to reorder entries', error)
+    }
+  }
+
+  remove(id: string): void {
+    try {
+      this.getDatabase().delete(downloadQueueTable).where(eq(downloadQueueTable.id, id)).run()
+    } catch (error) {
+      logger.error('queue-db failed to remove entry', { id, error })
+    }
+  }
+
+  /**
+   * Whether the user paused the whole queue, so it stays paused after a restart.
+   */
+  isQueuePaused(): boolean {
+    try {
+      const row = this.getDatabase()
+        .select({ value: downloadQueueSettingsTable.value })
+        .from(downloadQueueSettingsTable)
+        .where(eq(downloadQueueSettingsTable.key, QUEUE_PAUSED_KEY))
+        .get()
+      return row?.value === 'true'
+    } catch (error) {
+      logger.error('queue-db failed to load the queue paused flag', error)
+      return false
+    }
+  }
+
+  setQueuePaused(paused: boolean): void {
+    const payload = { key: QUEUE_PAUSED_KEY, value: String(paused), updatedAt: Date.now() }
+    try {
+      this.getDatabase()
+        .insert(downloadQueueSettingsTable)
+        .values(payload)
+        .onConflictDoUpdate({ target: downloadQueueSettingsTable.key, set: payload })
+        .run()
+    } catch (error) {
+      logger.error('queue-db failed to save the queue paused flag', { paused, error })
+    }
+  }
+
+  private updateColumns(
+    id: string,
+    updates: Partial<Pick<DownloadQueueRow, 'state' | 'options' | 'item'>>
+  ): void {
+    try {
+      this.getDatabase()
+        .update(downloadQueueTable)
+        .set({ ...updates, updatedAt: Date.now() })
+        .where(eq(downloadQueueTable.id, id))
+        .run()
+    } catch (error) {
+      logger.error('queue-db failed to update entry', { id, error })
+    }
+  }
+
+  private getNextPosition(): number {
+    const row = this.getDatabase()
+      .select({ max: sql<number | null>`max(${downloadQueueTable.position})` })
+      .from(downloadQueueTable)
+      .get()
+    return (row?.max ?? 0) + 1
+  }
+
+  private mapRowToEntry(row: DownloadQueueRow): PersistedQueueEntry | null {
+    try {
+      return {
+        id: row.id,
+        state: row.state === 'active' || row.state === 'paused' ? row.state : 'queued',
+        position: row.position,
+        options: JSON.parse(row.options) as DownloadOptions,
+        item: JSON.parse(row.item) as DownloadItem
+      }
+    } catch (error) {
+      logger.warn('queue-db dropping unreadable entry', { id: row.id, error })
+      this.remove(row.id)
+      return null
+    }
+  }
+}
+
+export const downloadQueueStore = new DownloadQueueStore()
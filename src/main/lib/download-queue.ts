@@ -1,7 +1,7 @@
 import { EventEmitter } from 'node:events'
-import type { DownloadItem, DownloadOptions } from '../../shared/types'
+import type { DownloadItem, DownloadOptions, DownloadQueueStatus } from '../../shared/types'
 
-interface QueueItem {
+export interface QueueItem {
   id: string
   options: DownloadOptions
   item: DownloadItem
@@ -11,6 +11,8 @@ export class DownloadQueue extends EventEmitter {
   private queue: QueueItem[] = []
   private activeDownloads: Map<string, QueueItem> = new Map()
   private completedDownloads: Map<string, QueueItem> = new Map()
+  private pausedDownloads: Map<string, QueueItem> = new Map()
+  private paused = false
   private maxConcurrent: number
 
   constructor(maxConcurrent: number = 5) {
@@ -29,6 +31,24 @@ export class DownloadQueue extends EventEmitter {
     this.processQueue()
   }
 
+  restore(
+    entries: QueueItem[],
+    activeIds: Set<string> = new Set(),
+    pausedIds: Set<string> = new Set()
+  ): void {
+    for (const entry of entries) {
+      if (pausedIds.has(entry.id)) {
+        this.pausedDownloads.set(entry.id, entry)
+      }
+    }
+    // Interrupted downloads go first so they pick up their partial files before new work starts
+    const interrupted = entries.filter((entry) => activeIds.has(entry.id))
+    const pending = entries.filter((entry) => !activeIds.has(entry.id) && !pausedIds.has(entry.id))
+    this.queue.push(...interrupted, ...pending)
+    this.emit('queue-updated', this.getQueueStatus())
+    this.processQueue()
+  }
+
   remove(id: string): boolean {
     // Remove from queue
     const queueIndex = this.queue.findIndex((item) => item.id === id)
@@ -46,9 +66,108 @@ export class DownloadQueue extends EventEmitter {
       return true
     }
 
+    if (this.pausedDownloads.delete(id)) {
+      this.emit('queue-updated', this.getQueueStatus())
+      return true
+    }
+
+    return false
+  }
+
+  /**
+   * Takes a download out of the queue until `resume` is called. Active downloads free
+   * their slot immediately.
+   */
+  pause(id: string): boolean {
+    const activeItem = this.activeDownloads.get(id)
+    if (activeItem) {
+      this.activeDownloads.delete(id)
+      this.pausedDownloads.set(id, activeItem)
+      this.processQueue()
+      return true
+    }
+
+    const queueIndex = this.queue.findIndex((item) => item.id === id)
+    if (queueIndex !== -1) {
+      const [queueItem] = this.queue.splice(queueIndex, 1)
+      this.pausedDownloads.set(id, queueItem)
+      this.emit('queue-updated', this.getQueueStatus())
+      return true
+    }
+
     return false
   }
 
+  resume(id: string): boolean {
+    const pausedItem = this.pausedDownloads.get(id)
+    if (!pausedItem) {
+      return false
+    }
+    this.pausedDownloads.delete(id)
+    // Resumed downloads already have partial data, so they go ahead of untouched items
+    this.queue.unshift(pausedItem)
+    this.processQueue()
+    return true
+  }
+
+  /**
+   * Moves an active download back to the front of the queue without starting it again.
+   */
+  requeue(id: string): boolean {
+    const activeItem = this.activeDownloads.get(id)
+    if (!activeItem) {
+      return false
+    }
+    this.activeDownloads.delete(id)
+    this.queue.unshift(activeItem)
+    this.emit('queue-updated', this.getQueueStatus())
+    return true
+  }
+
+  /**
+   * Starts an active download over from the front of the queue, e.g. to apply new
+   * process arguments.
+   */
+  restart(id: string): boolean {
+    if (!this.requeue(id)) {
+      return false
+    }
+    this.processQueue()
+    return true
+  }
+
+  move(id: string, offset: number): boolean {
+    const queueIndex = this.queue.findIndex((item) => item.id === id)
+    if (queueIndex === -1) {
+      return false
+    }
+    const targetIndex = Math.max(0, Math.min(this.queue.length - 1, queueIndex + offset))
+    if (targetIndex === queueIndex) {
+      return false
+    }
+    const [queueItem] = this.queue.splice(queueIndex, 1)
+    this.queue.splice(targetIndex, 0, queueItem)
+    this.emit('queue-updated', this.getQueueStatus())
+    return true
+  }
+
+  moveToFront(id: string): boolean {
+    const queueIndex = this.queue.findIndex((item) => item.id === id)
+    if (queueIndex === -1) {
+      return false
+    }
+    return queueIndex === 0 || this.move(id, -queueIndex)
+  }
+
+  setPaused(paused: boolean): void {
+    this.paused = paused
+    this.processQueue()
+  }
+
+  isPaused(): boolean {
+    return this.paused
+  }
+
   downloadCompleted(id: string): void {
     const activeDownload = this.activeDownloads.get(id)
     if (activeDownload) {
@@ -60,7 +179,11 @@ export class DownloadQueue extends EventEmitter {
   }
 
   private processQueue(): void {
-    while (this.activeDownloads.size < this.maxConcurrent && this.queue.length > 0) {
+    while (
+      !this.paused &&
+      this.activeDownloads.size < this.maxConcurrent &&
+      this.queue.length > 0
+    ) {
       const item = this.queue.shift()
       if (item) {
         this.activeDownloads.set(item.id, item)
@@ -70,18 +193,46 @@ export class DownloadQueue extends EventEmitter {
     this.emit('queue-updated', this.getQueueStatus())
   }
 
-  getQueueStatus(): {
-    queued: number
-    active: number
-    activeIds: string[]
-  } {
+  getQueueStatus(): DownloadQueueStatus {
     return {
       queued: this.queue.length,
       active: this.activeDownloads.size,
-      activeIds: Array.from(this.activeDownloads.keys())
+      paused: this.pausedDownloads.size,
+      isPaused: this.paused,
+      activeIds: Array.from(this.activeDownloads.keys()),
+      queuedIds: this.queue.map((entry) => entry.id),
+      pausedIds: Array.from(this.pausedDownloads.keys())
     }
   }
 
+  getPendingItems(): DownloadItem[] {
+    return [
+      ...Array.from(this.activeDownloads.values()).map((entry) => ({ ...entry.item })),
+      ...this.queue.map((entry) => ({ ...entry.item })),
+      ...Array.from(this.pausedDownloads.values()).map((entry) => ({ ...entry.item }))
+    ]
+  }
+
+  getPendingIds(): string[] {
+    return [
+      ...this.activeDownloads.keys(),
+      ...this.queue.map((entry) => entry.id),
+      ...this.pausedDownloads.keys()
+    ]
+  }
+
+  isPending(id: string): boolean {
+    return (
+      this.activeDownloads.has(id) ||
+      this.pausedDownloads.has(id) ||
+      this.queue.some((entry) => entry.id === id)
+    )
+  }
+
+  isDownloadPaused(id: string): boolean {
+    return this.pausedDownloads.has(id)
+  }
+
   isDownloading(id: string): boolean {
     return this.activeDownloads.has(id)
   }
@@ -107,6 +258,14 @@ export class DownloadQueue extends EventEmitter {
       }
     }
 
+    const paused = this.pausedDownloads.get(id)
+    if (paused) {
+      return {
+        options: paused.options,
+        item: { ...paused.item }
+      }
+    }
+
     const completed = this.completedDownloads.get(id)
     if (completed) {
       return {
@@ -131,6 +290,12 @@ export class DownloadQueue extends EventEmitter {
       Object.assign(activeItem.item, updates)
     }
 
+    // Update in paused downloads
+    const pausedItem = this.pausedDownloads.get(id)
+    if (pausedItem) {
+      Object.assign(pausedItem.item, updates)
+    }
+
     // Update in completed downloads
     const completedItem = this.completedDownloads.get(id)
     if (completedItem) {
@@ -0,0 +1,43 @@
+import type { DownloadHistoryItem } from '../../shared/types'
+
+const formatTimestamp = (value?: number): string => (value ? new Date(value).toISOString() : '')
+
+const historyCsvColumns: Array<[string, (item: DownloadHistoryItem) => unknown]> = [
+  ['id', (item) => item.id],
+  ['title', (item) => item.title],
+  ['url', (item) => item.url],
+  ['type', (item) => item.type],
+  ['status', (item) => item.status],
+  ['channel', (item) => item.channel ?? item.uploader],
+  ['duration', (item) => item.duration],
+  ['fileSize', (item) => item.fileSize],
+  ['downloadPath', (item) => item.downloadPath],
+  ['fileName', (item) => item.savedFileName],
+  ['downloadedAt', (item) => formatTimestamp(item.downloadedAt)],
+  ['completedAt', (item) => formatTimestamp(item.completedAt)],
+  ['origin', (item) => item.origin],
+  ['subscriptionId', (item) => item.subscriptionId],
+  ['playlistTitle', (item) => item.playlistTitle],
+  ['playlistIndex', (item) => item.playlistIndex],
+  ['tags', (item) => item.tags?.join(';')],
+  ['error', (item) => item.error]
+]
+
+const escapeCsvValue = (value: unknown): string => {
+  if (value === undefined || value === null) {
+    return ''
+  }
+  const text = String(value)
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/**
+ * Serializes history rows as RFC 4180 CSV with a header row.
+ */
+export const serializeHistoryCsv = (items: DownloadHistoryItem[]): string => {
+  const lines = [historyCsvColumns.map(([name]) => name).join(',')]
+  for (const item of items) {
+    lines.push(historyCsvColumns.map(([, read]) => escapeCsvValue(read(item))).join(','))
+  }
+  return `${lines.join('\r\n')}\r\n`
+}
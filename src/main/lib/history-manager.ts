@@ -1,13 +1,34 @@
 import { existsSync, readFileSync, renameSync } from 'node:fs'
 import { join } from 'node:path'
 import DatabaseConstructor from 'better-sqlite3'
-import { eq, inArray, sql } from 'drizzle-orm'
+import {
+  and,
+  asc,
+  count,
+  desc,
+  eq,
+  gte,
+  inArray,
+  isNull,
+  like,
+  lte,
+  or,
+  type SQL,
+  sql
+} from 'drizzle-orm'
 import type { BetterSQLite3Database } from 'drizzle-orm/better-sqlite3'
 import { drizzle } from 'drizzle-orm/better-sqlite3'
 import { integer, sqliteTable, text } from 'drizzle-orm/sqlite-core'
 import { app } from 'electron'
 import log from 'electron-log/main'
-import type { DownloadHistoryItem } from '../../shared/types'
+import type {
+  BackupConflictStrategy,
+  BackupImportCounts,
+  DownloadHistoryItem,
+  HistoryPlaylistOption,
+  HistoryQuery,
+  HistoryQueryResult
+} from '../../shared/types'
 import { runMigrations } from './database/migrate'
 import {
   type DownloadHistoryInsert,
@@ -19,6 +40,8 @@ import { getDatabaseFilePath } from './database-path'
 const logger = log.scope('history-manager')
 
 const TAG_SEPARATOR = '\n'
+const DEFAULT_QUERY_LIMIT = 50
+const MAX_QUERY_LIMIT = 500
 
 const createDownloadHistoryTableSql = sql`
   CREATE TABLE IF NOT EXISTS download_history (
@@ -36,6 +59,7 @@ const createDownloadHistoryTableSql = sql`
     completed_at INTEGER,
     sort_key INTEGER NOT NULL,
     error TEXT,
+    error_category TEXT,
     description TEXT,
     channel TEXT,
     uploader TEXT,
@@ -47,7 +71,11 @@ const createDownloadHistoryTableSql = sql`
     playlist_id TEXT,
     playlist_title TEXT,
     playlist_index INTEGER,
-    playlist_size INTEGER
+    playlist_size INTEGER,
+    file_missing INTEGER,
+    sponsor_block_summary TEXT,
+    subtitles_only INTEGER,
+    subtitle_files TEXT
   )
 `
 
@@ -118,6 +146,23 @@ const copyDownloadHistoryFromLegacySql = sql`
   FROM download_history_legacy
 `
 
+// The full-text index and its triggers are created by the drizzle migrations
+const searchIndexExistsSql = sql`
+  SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'download_history_fts'
+`
+
+const downloadHistoryTriggersSql = sql`
+  SELECT sql FROM sqlite_master
+  WHERE type = 'trigger' AND tbl_name = 'download_history' AND sql IS NOT NULL
+`
+
+// Every word must match, as a prefix so results show up while typing
+const toSearchTerms = (search: string): string[] =>
+  search
+    .split(/\s+/)
+    .map((term) => term.replace(/"/g, ''))
+    .filter((term) => term.length > 0)
+
 const sanitizeList = (values?: string[]): string[] => {
   if (!values || values.length === 0) {
     return []
@@ -158,6 +203,7 @@ class HistoryManager {
   private history: Map<string, DownloadHistoryItem> = new Map()
   private schemaChecked = false
   private migrationChecked = false
+  private searchIndexReady = false
 
   constructor() {
     this.initialize()
@@ -167,6 +213,7 @@ class HistoryManager {
     try {
       this.getDatabase()
       this.ensureStructuredSchema()
+      this.ensureSearchIndex()
       this.ensureLegacyMigration()
       this.loadHistoryFromDatabase()
     } catch (error) {
@@ -235,6 +282,7 @@ class HistoryManager {
       let migratedCount = 0
       database.transaction(
         (tx) => {
+          const triggers = tx.all<{ sql: string }>(downloadHistoryTriggersSql)
           tx.run(renameDownloadHistoryTableSql)
           tx.run(createDownloadHistoryTableSql)
 
@@ -246,6 +294,7 @@ class HistoryManager {
           }
 
           tx.run(dropLegacyDownloadHistoryTableSql)
+          this.restoreTriggers(tx, triggers)
         },
         { behavior: 'immediate' }
       )
@@ -263,10 +312,12 @@ class HistoryManager {
     try {
       database.transaction(
         (tx) => {
+          const triggers = tx.all<{ sql: string }>(downloadHistoryTriggersSql)
           tx.run(renameDownloadHistoryTableSql)
           tx.run(createDownloadHistoryTableSql)
           tx.run(copyDownloadHistoryFromLegacySql)
           tx.run(dropLegacyDownloadHistoryTableSql)
+          this.restoreTriggers(tx, triggers)
         },
         { behavior: 'immediate' }
       )
@@ -277,6 +328,20 @@ class HistoryManager {
     }
   }
 
+  /**
+   * Renaming the table moves its triggers along and dropping the old table loses them, so
+   * the search index triggers from the migrations are recreated on the new table. Rebuilt
+   * rows keep their ids, which is what the index is keyed on.
+   */
+  private restoreTriggers(
+    tx: Pick<BetterSQLite3Database, 'run'>,
+    triggers: Array<{ sql: string }>
+  ): void {
+    for (const trigger of triggers) {
+      tx.run(sql.raw(trigger.sql))
+    }
+  }
+
   private mapLegacyRowToItem(row: LegacyDownloadHistoryRow): DownloadHistoryItem {
     try {
       const parsed = JSON.parse(row.payload) as DownloadHistoryItem
@@ -300,6 +365,21 @@ class HistoryManager {
     }
   }
 
+  /**
+   * Search uses the full-text index when its migration could run, LIKE matching otherwise.
+   */
+  private ensureSearchIndex(): void {
+    try {
+      const table = this.getDatabase().get<{ name: string } | undefined>(searchIndexExistsSql)
+      this.searchIndexReady = Boolean(table)
+      if (!table) {
+        logger.warn('history-db search index is missing, falling back to LIKE matching')
+      }
+    } catch (error) {
+      logger.error('history-db failed to look up the search index', error)
+    }
+  }
+
   private ensureLegacyMigration(): void {
     if (this.migrationChecked) {
       return
@@ -387,6 +467,7 @@ class HistoryManager {
       completedAt: item.completedAt ?? null,
       sortKey: item.completedAt ?? item.downloadedAt,
       error: item.error ?? null,
+      errorCategory: item.errorCategory ?? null,
       description: item.description ?? null,
       channel: item.channel ?? null,
       uploader: item.uploader ?? null,
@@ -398,7 +479,13 @@ class HistoryManager {
       playlistId: item.playlistId ?? null,
       playlistTitle: item.playlistTitle ?? null,
       playlistIndex: item.playlistIndex ?? null,
-      playlistSize: item.playlistSize ?? null
+      playlistSize: item.playlistSize ?? null,
+      fileMissing: item.fileMissing ? 1 : null,
+      sponsorBlockSummary: item.sponsorBlockSummary
+        ? JSON.stringify(item.sponsorBlockSummary)
+        : null,
+      subtitlesOnly: item.subtitlesOnly ? 1 : null,
+      subtitleFiles: item.subtitleFiles?.length ? JSON.stringify(item.subtitleFiles) : null
     }
   }
 
@@ -417,6 +504,26 @@ class HistoryManager {
       }
     }
 
+    let sponsorBlockSummary: DownloadHistoryItem['sponsorBlockSummary']
+    if (row.sponsorBlockSummary) {
+      try {
+        sponsorBlockSummary = JSON.parse(
+          row.sponsorBlockSummary
+        ) as DownloadHistoryItem['sponsorBlockSummary']
+      } catch (error) {
+        logger.warn('history-db failed to parse stored sponsorBlockSummary', { id: row.id, error })
+      }
+    }
+
+    let subtitleFiles: string[] | undefined
+    if (row.subtitleFiles) {
+      try {
+        subtitleFiles = JSON.parse(row.subtitleFiles) as string[]
+      } catch (error) {
+        logger.warn('history-db failed to parse stored subtitleFiles', { id: row.id, error })
+      }
+    }
+
     const tags = parseTags(row.tags ?? null)
 
     return {
@@ -433,6 +540,9 @@ class HistoryManager {
       downloadedAt: row.downloadedAt,
       completedAt: row.completedAt ?? undefined,
       error: row.error ?? undefined,
+      errorCategory: row.errorCategory
+        ? (row.errorCategory as DownloadHistoryItem['errorCategory'])
+        : undefined,
       description: row.description ?? undefined,
       channel: row.channel ?? undefined,
       uploader: row.uploader ?? undefined,
@@ -444,7 +554,11 @@ class HistoryManager {
       playlistId: row.playlistId ?? undefined,
       playlistTitle: row.playlistTitle ?? undefined,
       playlistIndex: row.playlistIndex ?? undefined,
-      playlistSize: row.playlistSize ?? undefined
+      playlistSize: row.playlistSize ?? undefined,
+      fileMissing: row.fileMissing ? true : undefined,
+      sponsorBlockSummary,
+      subtitlesOnly: row.subtitlesOnly ? true : undefined,
+      subtitleFiles
     }
   }
 
@@ -559,6 +673,54 @@ class HistoryManager {
     }
   }
 
+  /**
+   * Adds the entries of a backup in one transaction. Entries whose id is already known follow
+   * `conflict`, where `newest` keeps whichever finished last.
+   */
+  importHistoryItems(
+    items: DownloadHistoryItem[],
+    conflict: BackupConflictStrategy
+  ): BackupImportCounts {
+    const counts: BackupImportCounts = { added: 0, updated: 0, skipped: 0 }
+    const accepted: DownloadHistoryItem[] = []
+    for (const item of items) {
+      if (!item?.id || !item.url) {
+        counts.skipped++
+        continue
+      }
+      const existing = this.history.get(item.id)
+      if (existing) {
+        const importedTime = item.completedAt ?? item.downloadedAt ?? 0
+        const existingTime = existing.completedAt ?? existing.downloadedAt
+        if (conflict === 'skip' || (conflict === 'newest' && importedTime <= existingTime)) {
+          counts.skipped++
+          continue
+        }
+        counts.updated++
+      } else {
+        counts.added++
+      }
+      accepted.push(this.normalizeItem(item))
+    }
+
+    this.getDatabase().transaction((tx) => {
+      for (const item of accepted) {
+        const insertPayload = this.mapItemToInsert(item)
+        tx.insert(downloadHistoryTable)
+          .values(insertPayload)
+          .onConflictDoUpdate({
+            target: downloadHistoryTable.id,
+            set: this.mapItemToUpdate(insertPayload)
+          })
+          .run()
+      }
+    })
+    for (const item of accepted) {
+      this.history.set(item.id, item)
+    }
+    return counts
+  }
+
   clearHistoryByStatus(status: DownloadHistoryItem['status']): number {
     let removedCount = 0
     try {
@@ -613,6 +775,126 @@ class HistoryManager {
     return counts
   }
 
+  /**
+   * Returns one page of history entries matching the query, sorted and paged by SQLite.
+   */
+  queryHistory(query: HistoryQuery = {}): HistoryQueryResult {
+    const conditions: SQL[] = []
+    const search = this.buildSearchCondition(query.search)
+    if (search) {
+      conditions.push(search)
+    }
+    if (query.statuses && query.statuses.length > 0) {
+      conditions.push(inArray(downloadHistoryTable.status, query.statuses))
+    }
+    if (query.types && query.types.length > 0) {
+      conditions.push(inArray(downloadHistoryTable.type, query.types))
+    }
+    if (query.origins && query.origins.length > 0) {
+      const origins = inArray(downloadHistoryTable.origin, query.origins)
+      // Entries from before origins were recorded are manual downloads
+      conditions.push(
+        query.origins.includes('manual')
+          ? (or(origins, isNull(downloadHistoryTable.origin)) as SQL)
+          : origins
+      )
+    }
+    if (query.subscriptionId) {
+      conditions.push(eq(downloadHistoryTable.subscriptionId, query.subscriptionId))
+    }
+    if (query.playlistId) {
+      conditions.push(eq(downloadHistoryTable.playlistId, query.playlistId))
+    }
+    if (query.dateFrom !== undefined) {
+      conditions.push(gte(downloadHistoryTable.sortKey, query.dateFrom))
+    }
+    if (query.dateTo !== undefined) {
+      conditions.push(lte(downloadHistoryTable.sortKey, query.dateTo))
+    }
+    if (query.minSize !== undefined) {
+      conditions.push(gte(downloadHistoryTable.fileSize, query.minSize))
+    }
+    if (query.maxSize !== undefined) {
+      conditions.push(lte(downloadHistoryTable.fileSize, query.maxSize))
+    }
+    if (query.minDuration !== undefined) {
+      conditions.push(gte(downloadHistoryTable.duration, query.minDuration))
+    }
+    if (query.maxDuration !== undefined) {
+      conditions.push(lte(downloadHistoryTable.duration, query.maxDuration))
+    }
+
+    const where = conditions.length > 0 ? and(...conditions) : undefined
+    const direction = query.sortOrder === 'asc' ? asc : desc
+    const sortColumn = {
+      date: downloadHistoryTable.sortKey,
+      title: sql`${downloadHistoryTable.title} COLLATE NOCASE`,
+      size: downloadHistoryTable.fileSize,
+      duration: downloadHistoryTable.duration
+    }[query.sortBy ?? 'date']
+    const limit = Math.min(Math.max(1, query.limit ?? DEFAULT_QUERY_LIMIT), MAX_QUERY_LIMIT)
+    const offset = Math.max(0, query.offset ?? 0)
+
+    try {
+      const database = this.getDatabase()
+      const rows = database
+        .select()
+        .from(downloadHistoryTable)
+        .where(where)
+        .orderBy(direction(sortColumn), direction(downloadHistoryTable.sortKey))
+        .limit(limit)
+        .offset(offset)
+        .all()
+      const totalRow = database
+        .select({ total: count() })
+        .from(downloadHistoryTable)
+        .where(where)
+        .get()
+      return { items: rows.map((row) => this.mapRowToItem(row)), total: totalRow?.total ?? 0 }
+    } catch (error) {
+      logger.error('history-db failed to query items', { query, error })
+      return { items: [], total: 0 }
+    }
+  }
+
+  getPlaylistOptions(): HistoryPlaylistOption[] {
+    const playlists = new Map<string, HistoryPlaylistOption>()
+    for (const item of this.history.values()) {
+      if (!item.playlistId) {
+        continue
+      }
+      const playlist = playlists.get(item.playlistId) ?? {
+        id: item.playlistId,
+        title: item.playlistTitle || item.playlistId,
+        count: 0
+      }
+      playlist.count++
+      playlists.set(item.playlistId, playlist)
+    }
+    return Array.from(playlists.values()).sort((a, b) => a.title.localeCompare(b.title))
+  }
+
+  private buildSearchCondition(search?: string): SQL | undefined {
+    const terms = toSearchTerms(search ?? '')
+    if (terms.length === 0) {
+      return undefined
+    }
+    if (this.searchIndexReady) {
+      const match = terms.map((term) => `"${term}"*`).join(' ')
+      return sql`${downloadHistoryTable.id} IN (SELECT id FROM download_history_fts WHERE download_history_fts MATCH ${match})`
+    }
+    const searchableColumns = [
+      downloadHistoryTable.title,
+      downloadHistoryTable.description,
+      downloadHistoryTable.channel,
+      downloadHistoryTable.uploader,
+      downloadHistoryTable.tags
+    ]
+    return and(
+      ...terms.map((term) => or(...searchableColumns.map((column) => like(column, `%${term}%`))))
+    )
+  }
+
   hasHistoryForUrl(url: string): boolean {
     for (const item of this.history.values()) {
       if (item.url === url) {
@@ -0,0 +1,431 @@
+import { spawn } from 'node:child_process'
+import { EventEmitter } from 'node:events'
+import type { Dirent } from 'node:fs'
+import fs from 'node:fs/promises'
+import path from 'node:path'
+import log from 'electron-log/main'
+import type {
+  DiskUsageGroup,
+  DownloadHistoryItem,
+  LibraryMissingFile,
+  LibraryRelocatedFile,
+  LibraryScanResult
+} from '../../shared/types'
+import { settingsManager } from '../settings'
+import { ffmpegManager } from './ffmpeg-manager'
+import { historyManager } from './history-manager'
+import { subscriptionManager } from './subscription-manager'
+
+const logger = log.scope('library')
+
+const FIRST_SCAN_DELAY_MS = 2 * 60 * 1000
+const SCAN_INTERVAL_MS = 6 * 60 * 60 * 1000
+const PROGRESS_BATCH = 50
+// Bounds for the search of moved files, so a huge media folder cannot stall the scan
+const MAX_SEARCH_DEPTH = 4
+const MAX_INDEXED_FILES = 20_000
+const MAX_METADATA_PROBES = 100
+const METADATA_PROBE_TIMEOUT_MS = 10_000
+
+const MEDIA_EXTENSIONS = new Set([
+  '.mp4',
+  '.m4v',
+  '.mkv',
+  '.webm',
+  '.mov',
+  '.avi',
+  '.flv',
+  '.ts',
+  '.3gp',
+  '.mp3',
+  '.m4a',
+  '.aac',
+  '.opus',
+  '.ogg',
+  '.wav',
+  '.flac'
+])
+
+type IndexedFile = {
+  filePath: string
+  name: string
+  ext: string
+  size: number
+}
+
+type FileIndex = {
+  files: IndexedFile[]
+  byName: Map<string, IndexedFile[]>
+  // Embedded tags already read during this scan, by file path
+  metadata: Map<string, Map<string, string>>
+}
+
+const yieldToEventLoop = (): Promise<void> => new Promise((resolve) => setImmediate(resolve))
+
+const getFileSize = async (filePath: string): Promise<number | null> => {
+  try {
+    const stats = await fs.stat(filePath)
+    return stats.isFile() ? stats.size : null
+  } catch {
+    return null
+  }
+}
+
+const getItemFilePath = (item: DownloadHistoryItem): string | null =>
+  item.downloadPath && item.savedFileName ? path.join(item.downloadPath, item.savedFileName) : null
+
+/**
+ * Reads the tags yt-dlp embeds with `--embed-metadata`, the source URL ends up in `purl`
+ * or `comment`. Returns an empty map when ffmpeg cannot read the file.
+ */
+const readEmbeddedMetadata = (filePath: string): Promise<Map<string, string>> =>
+  new Promise((resolve) => {
+    const tags = new Map<string, string>()
+    let ffmpegPath: string
+    try {
+      ffmpegPath = ffmpegManager.getPath()
+    } catch {
+      resolve(tags)
+      return
+    }
+    let output = ''
+    const child = spawn(
+      ffmpegPath,
+      ['-hide_banner', '-nostdin', '-v', 'error', '-i', filePath, '-f', 'ffmetadata', '-'],
+      { windowsHide: true, timeout: METADATA_PROBE_TIMEOUT_MS }
+    )
+    child.stdout.on('data', (chunk: Buffer) => {
+      output += chunk.toString()
+    })
+    child.on('error', () => resolve(tags))
+    child.on('close', () => {
+      for (const line of output.split(/\r?\n/)) {
+        const separator = line.indexOf('=')
+        if (separator > 0 && !line.startsWith(';')) {
+          tags.set(line.slice(0, separator).toLowerCase(), line.slice(separator + 1).trim())
+        }
+      }
+      resolve(tags)
+    })
+  })
+
+const addUsage = (
+  groups: Map<string, DiskUsageGroup>,
+  key: string,
+  label: string,
+  bytes: number
+): void => {
+  const group = groups.get(key) ?? { key, label, count: 0, bytes: 0 }
+  group.count += 1
+  group.bytes += bytes
+  groups.set(key, group)
+}
+
+const sortUsage = (groups: Map<string, DiskUsageGroup>): DiskUsageGroup[] =>
+  Array.from(groups.values()).sort((a, b) => b.bytes - a.bytes)
+
+/**
+ * Checks that the files of completed downloads are still on disk. Files that were renamed or
+ * moved inside the download folders are found again by name, size or embedded metadata and
+ * their history entries updated, the others are flagged as missing.
+ */
+class LibraryScanner extends EventEmitter {
+  private timer?: NodeJS.Timeout
+  private firstScanTimer?: NodeJS.Timeout
+  private running: Promise<LibraryScanResult> | null = null
+  private lastResult: LibraryScanResult | null = null
+
+  start(): void {
+    this.stop()
+    const scanIfEnabled = () => {
+      if (settingsManager.get('autoLibraryScan')) {
+        void this.scan()
+      }
+    }
+    this.firstScanTimer = setTimeout(scanIfEnabled, FIRST_SCAN_DELAY_MS)
+    this.timer = setInterval(scanIfEnabled, SCAN_INTERVAL_MS)
+  }
+
+  stop(): void {
+    clearTimeout(this.firstScanTimer)
+    clearInterval(this.timer)
+    this.firstScanTimer = undefined
+    this.timer = undefined
+  }
+
+  isScanning(): boolean {
+    return this.running !== null
+  }
+
+  getLastResult(): LibraryScanResult | null {
+    return this.lastResult
+  }
+
+  /**
+   * Runs a scan, or joins the one already in progress.
+   */
+  scan(): Promise<LibraryScanResult> {
+    if (!this.running) {
+      this.running = this.runScan()
+        .then((result) => {
+          this.lastResult = result
+          this.emit('scan-completed', result)
+          return result
+        })
+        .finally(() => {
+          this.running = null
+        })
+    }
+    return this.running
+  }
+
+  /**
+   * Drops entries the user acted on from the last result, so the list stays accurate
+   * until the next scan.
+   */
+  forgetMissing(ids: string[]): void {
+    if (!this.lastResult) {
+      return
+    }
+    const handled = new Set(ids)
+    this.lastResult = {
+      ...this.lastResult,
+      missing: this.lastResult.missing.filter((entry) => !handled.has(entry.id))
+    }
+  }
+
+  private async runScan(): Promise<LibraryScanResult> {
+    const startedAt = Date.now()
+    const items = historyManager
+      .getHistory()
+      .filter((item) => item.status === 'completed' && getItemFilePath(item) !== null)
+    logger.info('Library scan started', { items: items.length })
+    this.emit('scan-progress', { checked: 0, total: items.length })
+
+    const presentSizes = new Map<string, number>()
+    const missingItems: DownloadHistoryItem[] = []
+    for (const [index, item] of items.entries()) {
+      const filePath = getItemFilePath(item) as string
+      const size = await getFileSize(filePath)
+      if (size === null) {
+        missingItems.push(item)
+      } else {
+        presentSizes.set(item.id, size)
+        if (item.fileMissing) {
+          historyManager.addHistoryItem({ ...item, fileMissing: undefined })
+        }
+      }
+      if ((index + 1) % PROGRESS_BATCH === 0) {
+        this.emit('scan-progress', { checked: index + 1, total: items.length })
+        await yieldToEventLoop()
+      }
+    }
+
+    const relocated: LibraryRelocatedFile[] = []
+    const missing: LibraryMissingFile[] = []
+    if (missingItems.length > 0) {
+      const claimed = new Set(
+        items
+          .filter((item) => presentSizes.has(item.id))
+          .map((item) => path.resolve(getItemFilePath(item) as string))
+      )
+      const index = await this.buildFileIndex(items)
+      const probeBudget = { remaining: MAX_METADATA_PROBES }
+
+      for (const item of missingItems) {
+        const from = getItemFilePath(item) as string
+        const match = await this.findMovedFile(item, index, claimed, probeBudget)
+        if (match) {
+          claimed.add(match.filePath)
+          presentSizes.set(item.id, match.size)
+          relocated.push({ id: item.id, title: item.title, from, to: match.filePath })
+          historyManager.addHistoryItem({
+            ...item,
+            downloadPath: path.dirname(match.filePath),
+            savedFileName: match.name,
+            fileSize: match.size,
+            fileMissing: undefined
+          })
+          continue
+        }
+        missing.push({ id: item.id, title: item.title, url: item.url, filePath: from })
+        if (!item.fileMissing) {
+          historyManager.addHistoryItem({ ...item, fileMissing: true })
+        }
+      }
+    }
+    this.emit('scan-progress', { checked: items.length, total: items.length })
+
+    const result: LibraryScanResult = {
+      startedAt,
+      finishedAt: Date.now(),
+      checked: items.length,
+      missing,
+      relocated,
+      ...this.summarizeUsage(items, presentSizes)
+    }
+    logger.info('Library scan finished', {
+      checked: result.checked,
+      missing: missing.length,
+      relocated: relocated.length
+    })
+    return result
+  }
+
+  private getSearchRoots(items: DownloadHistoryItem[]): string[] {
+    const candidates = new Set<string>()
+    const addRoot = (value?: string) => {
+      if (value?.trim()) {
+        candidates.add(path.resolve(value.trim()))
+      }
+    }
+    addRoot(settingsManager.get('downloadPath'))
+    for (const subscription of subscriptionManager.getAll()) {
+      addRoot(subscription.downloadDirectory)
+    }
+    for (const item of items) {
+      addRoot(item.downloadPath)
+    }
+    // Folders inside another root are walked as part of it
+    const sorted = Array.from(candidates).sort((a, b) => a.length - b.length)
+    return sorted.filter(
+      (root, index) =>
+        !sorted.slice(0, index).some((parent) => root.startsWith(`${parent}${path.sep}`))
+    )
+  }
+
+  private async buildFileIndex(items: DownloadHistoryItem[]): Promise<FileIndex> {
+    const index: FileIndex = { files: [], byName: new Map(), metadata: new Map() }
+    const visit = async (directory: string, depth: number): Promise<void> => {
+      if (index.files.length >= MAX_INDEXED_FILES) {
+        return
+      }
+      let entries: Dirent[]
+      try {
+        entries = await fs.readdir(directory, { withFileTypes: true })
+      } catch {
+        return
+      }
+      for (const entry of entries) {
+        if (index.files.length >= MAX_INDEXED_FILES) {
+          return
+        }
+        const entryPath = path.join(directory, entry.name)
+        if (entry.isDirectory()) {
+          if (depth < MAX_SEARCH_DEPTH && !entry.name.startsWith('.')) {
+            await visit(entryPath, depth + 1)
+          }
+          continue
+        }
+        const ext = path.extname(entry.name).toLowerCase()
+        if (!entry.isFile() || !MEDIA_EXTENSIONS.has(ext)) {
+          continue
+        }
+        const size = await getFileSize(entryPath)
+        if (size === null) {
+          continue
+        }
+        const file = { filePath: entryPath, name: entry.name, ext, size }
+        index.files.push(file)
+        const key = entry.name.toLowerCase()
+        index.byName.set(key, [...(index.byName.get(key) ?? []), file])
+      }
+      await yieldToEventLoop()
+    }
+
+    for (const root of this.getSearchRoots(items)) {
+      await visit(root, 0)
+    }
+    if (index.files.length >= MAX_INDEXED_FILES) {
+      logger.warn('Library scan stopped indexing at the file limit', { limit: MAX_INDEXED_FILES })
+    }
+    return index
+  }
+
+  private async findMovedFile(
+    item: DownloadHistoryItem,
+    index: FileIndex,
+    claimed: Set<string>,
+    probeBudget: { remaining: number }
+  ): Promise<IndexedFile | null> {
+    const isFree = (file: IndexedFile) => !claimed.has(path.resolve(file.filePath))
+    const savedName = item.savedFileName as string
+    const ext = path.extname(savedName).toLowerCase()
+
+    // Same name in another folder, the size settles ties
+    const sameName = (index.byName.get(savedName.toLowerCase()) ?? []).filter(isFree)
+    if (sameName.length === 1) {
+      return sameName[0]
+    }
+    if (sameName.length > 1 && item.fileSize) {
+      const sameSize = sameName.filter((file) => file.size === item.fileSize)
+      if (sameSize.length === 1) {
+        return sameSize[0]
+      }
+    }
+
+    // Renamed in place or elsewhere, an exact byte size is specific enough on its own
+    const sameExtension = index.files.filter((file) => file.ext === ext && isFree(file))
+    if (item.fileSize) {
+      const sameSize = sameExtension.filter((file) => file.size === item.fileSize)
+      if (sameSize.length === 1) {
+        return sameSize[0]
+      }
+    }
+
+    // Fall back to the tags embedded at download time, the file may have been re-encoded
+    for (const file of sameExtension) {
+      let tags = index.metadata.get(file.filePath)
+      if (!tags) {
+        if (probeBudget.remaining <= 0) {
+          break
+        }
+        probeBudget.remaining -= 1
+        tags = await readEmbeddedMetadata(file.filePath)
+        index.metadata.set(file.filePath, tags)
+      }
+      if (tags.get('purl') === item.url || tags.get('comment') === item.url) {
+        return file
+      }
+    }
+    return null
+  }
+
+  private summarizeUsage(
+    items: DownloadHistoryItem[],
+    presentSizes: Map<string, number>
+  ): Pick<LibraryScanResult, 'totalBytes' | 'usage'> {
+    const byChannel = new Map<string, DiskUsageGroup>()
+    const bySubscription = new Map<string, DiskUsageGroup>()
+    const byPlaylist = new Map<string, DiskUsageGroup>()
+    let totalBytes = 0
+
+    for (const item of items) {
+      const bytes = presentSizes.get(item.id)
+      if (bytes === undefined) {
+        continue
+      }
+      totalBytes += bytes
+      const channel = item.channel || item.uploader || ''
+      addUsage(byChannel, channel, channel, bytes)
+      if (item.subscriptionId) {
+        const label = subscriptionManager.getById(item.subscriptionId)?.title ?? ''
+        addUsage(bySubscription, item.subscriptionId, label, bytes)
+      }
+      if (item.playlistId) {
+        addUsage(byPlaylist, item.playlistId, item.playlistTitle ?? '', bytes)
+      }
+    }
+
+    return {
+      totalBytes,
+      usage: {
+        byChannel: sortUsage(byChannel),
+        bySubscription: sortUsage(bySubscription),
+        byPlaylist: sortUsage(byPlaylist)
+      }
+    }
+  }
+}
+
+export const libraryScanner = new LibraryScanner()
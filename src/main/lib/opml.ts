@@ -0,0 +1,109 @@
+import type { SubscriptionRule } from '../../shared/types'
+import { escapeXml } from '../utils/xml'
+
+export interface OpmlOutline {
+  title?: string
+  url: string
+  tags: string[]
+}
+
+const namedEntities: Record<string, string> = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'"
+}
+
+const decodeXml = (value: string): string =>
+  value.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, body: string) => {
+    if (body.startsWith('#x') || body.startsWith('#X')) {
+      return String.fromCodePoint(Number.parseInt(body.slice(2), 16))
+    }
+    if (body.startsWith('#')) {
+      return String.fromCodePoint(Number.parseInt(body.slice(1), 10))
+    }
+    return namedEntities[body.toLowerCase()] ?? entity
+  })
+
+const parseAttributes = (source: string): Record<string, string> => {
+  const attributes: Record<string, string> = {}
+  for (const match of source.matchAll(/([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+    attributes[match[1].toLowerCase()] = decodeXml(match[2] ?? match[3] ?? '').trim()
+  }
+  return attributes
+}
+
+// OPML categories are comma separated, slash delimited paths such as "/Music/Live"
+const parseCategories = (value?: string): string[] =>
+  (value ?? '')
+    .split(',')
+    .map((category) => category.trim().replace(/^\/+|\/+$/g, ''))
+    .filter(Boolean)
+
+/**
+ * Serializes subscriptions as an OPML 2.0 subscription list, tags become categories.
+ */
+export const serializeOpml = (subscriptions: SubscriptionRule[]): string => {
+  const outlines = subscriptions.map((subscription) => {
+    const attributes = [
+      `type="rss"`,
+      `text="${escapeXml(subscription.title)}"`,
+      `title="${escapeXml(subscription.title)}"`,
+      `xmlUrl="${escapeXml(subscription.feedUrl)}"`,
+      `htmlUrl="${escapeXml(subscription.sourceUrl)}"`
+    ]
+    if (subscription.tags.length > 0) {
+      attributes.push(`category="${escapeXml(subscription.tags.join(','))}"`)
+    }
+    return `    <outline ${attributes.join(' ')}/>`
+  })
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<opml version="2.0">',
+    '  <head>',
+    '    <title>VidBee subscriptions</title>',
+    `    <dateCreated>${new Date().toUTCString()}</dateCreated>`,
+    '  </head>',
+    '  <body>',
+    ...outlines,
+    '  </body>',
+    '</opml>',
+    ''
+  ].join('\n')
+}
+
+/**
+ * Reads the feeds of an OPML file. Outlines without a feed URL are folders, their names are
+ * added to the tags of the feeds inside them.
+ */
+export const parseOpml = (text: string): OpmlOutline[] => {
+  const outlines: OpmlOutline[] = []
+  // Folder name for every open outline, null for open feed outlines
+  const folders: Array<string | null> = []
+  for (const match of text.matchAll(/<outline\b([^>]*?)(\/?)>|<\/outline\s*>/gi)) {
+    if (match[0].startsWith('</')) {
+      folders.pop()
+      continue
+    }
+    const attributes = parseAttributes(match[1])
+    const url = attributes.xmlurl || attributes.htmlurl || attributes.url
+    const title = attributes.title || attributes.text
+    const selfClosing = match[2] === '/'
+    if (url) {
+      const tags = [
+        ...folders.filter((folder): folder is string => Boolean(folder)),
+        ...parseCategories(attributes.category)
+      ]
+      outlines.push({
+        title: title || undefined,
+        url,
+        tags: tags.filter((tag, index) => tags.indexOf(tag) === index)
+      })
+    }
+    if (!selfClosing) {
+      folders.push(url ? null : title || null)
+    }
+  }
+  return outlines
+}
@@ -0,0 +1,86 @@
+import log from 'electron-log/main'
+import type {
+  SubscriptionFilterRejection,
+  SubscriptionFilters,
+  SubscriptionRule
+} from '../../shared/types'
+
+const logger = log.scope('subscriptions')
+
+export type SubscriptionFilterRules = SubscriptionFilters & Pick<SubscriptionRule, 'keywords'>
+
+export interface FilterableItem {
+  title: string
+  description?: string
+  publishedAt: number
+}
+
+const compilePattern = (pattern?: string): RegExp | null => {
+  if (!pattern) {
+    return null
+  }
+  try {
+    return new RegExp(pattern, 'i')
+  } catch (error) {
+    // Saved rules are validated in the form, so this only guards hand-edited databases
+    logger.warn('Ignoring invalid subscription filter pattern', { pattern, error })
+    return null
+  }
+}
+
+const includesAny = (text: string, keywords: string[]): boolean => {
+  const lowered = text.toLowerCase()
+  return keywords.some((keyword) => lowered.includes(keyword.toLowerCase()))
+}
+
+/**
+ * Builds a matcher for the rules that can be checked from feed metadata alone.
+ * Duration limits need a probe and are checked separately with `matchesDurationLimits`.
+ */
+export const createSubscriptionFilter = (
+  rules: SubscriptionFilterRules
+): ((item: FilterableItem) => SubscriptionFilterRejection | null) => {
+  const titlePattern = compilePattern(rules.titlePattern)
+  const descriptionPattern = compilePattern(rules.descriptionPattern)
+
+  return (item) => {
+    if (rules.publishedAfter && item.publishedAt < rules.publishedAfter) {
+      return 'published-before'
+    }
+    if (rules.keywords.length > 0 && !includesAny(item.title, rules.keywords)) {
+      return 'keyword'
+    }
+    if (rules.excludeKeywords.length > 0 && includesAny(item.title, rules.excludeKeywords)) {
+      return 'excluded-keyword'
+    }
+    if (titlePattern && !titlePattern.test(item.title)) {
+      return 'title-pattern'
+    }
+    if (descriptionPattern && !descriptionPattern.test(item.description ?? '')) {
+      return 'description-pattern'
+    }
+    return null
+  }
+}
+
+export const hasDurationLimits = (rules: SubscriptionFilters): boolean =>
+  Boolean(rules.minDuration || rules.maxDuration)
+
+/**
+ * Unknown durations pass, the same way items that cannot be probed are kept.
+ */
+export const matchesDurationLimits = (
+  rules: SubscriptionFilters,
+  duration: number | undefined
+): boolean => {
+  if (!duration) {
+    return true
+  }
+  if (rules.minDuration && duration < rules.minDuration) {
+    return false
+  }
+  if (rules.maxDuration && duration > rules.maxDuration) {
+    return false
+  }
+  return true
+}
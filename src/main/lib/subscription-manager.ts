@@ -3,23 +3,35 @@ import { EventEmitter } from 'node:events'
 import fs from 'node:fs'
 import type { Database as BetterSqlite3Instance } from 'better-sqlite3'
 import DatabaseConstructor from 'better-sqlite3'
-import { and, desc, eq, inArray } from 'drizzle-orm'
+import { and, asc, desc, eq, inArray } from 'drizzle-orm'
 import type { BetterSQLite3Database } from 'drizzle-orm/better-sqlite3'
 import { drizzle } from 'drizzle-orm/better-sqlite3'
 import log from 'electron-log/main'
 import type {
+  BackupConflictStrategy,
+  BackupImportCounts,
+  OneClickQualityPreset,
+  SponsorBlockOptions,
+  SubscriptionBackfillState,
   SubscriptionCreatePayload,
+  SubscriptionDownloadProfile,
   SubscriptionFeedItem,
+  SubscriptionFilters,
   SubscriptionRule,
   SubscriptionStatus,
-  SubscriptionUpdatePayload
+  SubscriptionUpdatePayload,
+  SubtitleFormat
 } from '../../shared/types'
+import { SUBTITLE_FORMATS } from '../../shared/types'
 import { sanitizeFilenameTemplate } from '../download-engine/args-builder'
+import { sanitizeSponsorBlockOptions } from '../download-engine/sponsorblock'
 import { runMigrations } from './database/migrate'
 import {
+  type SubscriptionBackfillItemRow,
   type SubscriptionInsert,
   type SubscriptionItemRow,
   type SubscriptionRow,
+  subscriptionBackfillItemsTable,
   subscriptionItemsTable,
   subscriptionsTable
 } from './database/schema'
@@ -48,6 +60,64 @@ const ensureDirectoryExists = (dir?: string): void => {
 const booleanToNumber = (value: boolean): number => (value ? 1 : 0)
 const numberToBoolean = (value: number | null | undefined): boolean => value === 1
 
+// Profile overrides keep NULL for "use the global setting"
+const optionalBooleanToNumber = (value?: boolean): number | null =>
+  value === undefined ? null : booleanToNumber(value)
+const numberToOptionalBoolean = (value: number | null | undefined): boolean | undefined =>
+  value === null || value === undefined ? undefined : value === 1
+
+const qualityPresets: OneClickQualityPreset[] = ['best', 'good', 'normal', 'bad', 'worst']
+
+const normalizePositiveNumber = (value?: number | null): number | undefined =>
+  typeof value === 'number' && Number.isFinite(value) && value > 0 ? Math.round(value) : undefined
+
+const sanitizeDownloadProfile = (
+  profile: Partial<SubscriptionDownloadProfile>
+): SubscriptionDownloadProfile => ({
+  downloadType:
+    profile.downloadType === 'audio' || profile.downloadType === 'video'
+      ? profile.downloadType
+      : undefined,
+  quality:
+    profile.quality && qualityPresets.includes(profile.quality) ? profile.quality : undefined,
+  formatSelector: profile.formatSelector?.trim() || undefined,
+  subtitleLanguages: sanitizeList(profile.subtitleLanguages),
+  autoSubtitles: profile.autoSubtitles,
+  subtitleFormat:
+    profile.subtitleFormat === '' ||
+    (profile.subtitleFormat && SUBTITLE_FORMATS.includes(profile.subtitleFormat))
+      ? profile.subtitleFormat
+      : undefined,
+  embedSubs: profile.embedSubs,
+  embedThumbnail: profile.embedThumbnail,
+  embedMetadata: profile.embedMetadata,
+  embedChapters: profile.embedChapters,
+  mediaLibrary: profile.mediaLibrary,
+  sponsorBlock: profile.sponsorBlock
+    ? sanitizeSponsorBlockOptions(profile.sponsorBlock)
+    : undefined,
+  autoRecordLive: profile.autoRecordLive || undefined,
+  maxFileSize: normalizePositiveNumber(profile.maxFileSize),
+  postProcessingPreset: profile.postProcessingPreset
+})
+
+const sanitizeFilters = (filters: Partial<SubscriptionFilters>): SubscriptionFilters => {
+  const minDuration = normalizePositiveNumber(filters.minDuration)
+  let maxDuration = normalizePositiveNumber(filters.maxDuration)
+  if (minDuration && maxDuration && maxDuration < minDuration) {
+    maxDuration = undefined
+  }
+  return {
+    excludeKeywords: sanitizeList(filters.excludeKeywords),
+    titlePattern: filters.titlePattern?.trim() || undefined,
+    descriptionPattern: filters.descriptionPattern?.trim() || undefined,
+    minDuration,
+    maxDuration,
+    publishedAfter: normalizePositiveNumber(filters.publishedAfter),
+    maxItemsPerRun: normalizePositiveNumber(filters.maxItemsPerRun)
+  }
+}
+
 const parseStringArray = (value: string | null | undefined): string[] => {
   if (!value) {
     return []
@@ -62,6 +132,40 @@ const parseStringArray = (value: string | null | undefined): string[] => {
 
 const stringifyArray = (values: string[]): string => JSON.stringify(sanitizeList(values))
 
+const parseSponsorBlock = (
+  value: string | null | undefined
+): SubscriptionDownloadProfile['sponsorBlock'] => {
+  if (!value) {
+    return undefined
+  }
+  try {
+    return sanitizeSponsorBlockOptions(JSON.parse(value) as SponsorBlockOptions)
+  } catch {
+    return undefined
+  }
+}
+
+const parseBackfillState = (
+  value: string | null | undefined
+): SubscriptionBackfillState | undefined => {
+  if (!value) {
+    return undefined
+  }
+  try {
+    const parsed = JSON.parse(value) as SubscriptionBackfillState
+    return parsed && typeof parsed.status === 'string' ? parsed : undefined
+  } catch {
+    return undefined
+  }
+}
+
+export interface BackfillItemInput {
+  id: string
+  title: string
+  url: string
+  publishedAt?: number
+}
+
 export class SubscriptionManager extends EventEmitter {
   private sqlite: BetterSqlite3Instance | null = null
   private db: BetterSQLite3Database | null = null
@@ -104,11 +208,14 @@ export class SubscriptionManager extends EventEmitter {
     const keywords = sanitizeList(payload.keywords)
     const tags = sanitizeList(payload.tags)
     const record: SubscriptionRule = {
+      ...sanitizeDownloadProfile(payload),
+      ...sanitizeFilters(payload),
       id: randomUUID(),
       title: payload.sourceUrl,
       sourceUrl: payload.sourceUrl,
       feedUrl: payload.feedUrl,
       platform: payload.platform,
+      feedType: payload.feedType,
       keywords,
       tags,
       onlyDownloadLatest: payload.onlyDownloadLatest ?? true,
@@ -120,6 +227,8 @@ export class SubscriptionManager extends EventEmitter {
       lastSuccessAt: undefined,
       status: 'idle',
       lastError: undefined,
+      checkInterval: normalizePositiveNumber(payload.checkInterval),
+      consecutiveFailures: 0,
       createdAt: timestamp,
       updatedAt: timestamp,
       downloadDirectory: payload.downloadDirectory,
@@ -146,11 +255,14 @@ export class SubscriptionManager extends EventEmitter {
 
     const keywords = updates.keywords ? sanitizeList(updates.keywords) : undefined
     const tags = updates.tags ? sanitizeList(updates.tags) : undefined
+    const merged: SubscriptionRule = { ...existing, ...updates }
     const next: SubscriptionRule = {
-      ...existing,
-      ...updates,
+      ...merged,
+      ...sanitizeDownloadProfile(merged),
+      ...sanitizeFilters(merged),
       keywords: keywords ?? existing.keywords,
       tags: tags ?? existing.tags,
+      checkInterval: normalizePositiveNumber(merged.checkInterval),
       updatedAt: Date.now()
     }
 
@@ -177,12 +289,93 @@ export class SubscriptionManager extends EventEmitter {
         .delete(subscriptionItemsTable)
         .where(eq(subscriptionItemsTable.subscriptionId, id))
         .run()
+      this.clearBackfillItems(id)
       this.emitUpdates()
       return true
     }
     return false
   }
 
+  /**
+   * Removes every subscription with its feed and backfill items.
+   */
+  removeAll(): void {
+    const database = this.getDatabase()
+    database.transaction((tx) => {
+      tx.delete(subscriptionsTable).run()
+      tx.delete(subscriptionItemsTable).run()
+      tx.delete(subscriptionBackfillItemsTable).run()
+    })
+    this.emitUpdates()
+  }
+
+  /**
+   * Adds subscriptions from a backup together with their feed items. A subscription matches an
+   * existing one by id or feed URL, matches follow `conflict` and keep their local id. Returns
+   * the counts and the local id of every imported subscription id that was matched or added.
+   */
+  importSubscriptions(
+    records: SubscriptionRule[],
+    conflict: BackupConflictStrategy
+  ): { counts: BackupImportCounts; ids: Map<string, string> } {
+    const counts: BackupImportCounts = { added: 0, updated: 0, skipped: 0 }
+    const ids = new Map<string, string>()
+    const existing = this.getAll()
+    const byId = new Map(existing.map((record) => [record.id, record]))
+    const byFeedUrl = new Map(existing.map((record) => [record.feedUrl, record]))
+
+    for (const record of records) {
+      if (!record?.id || !record.sourceUrl || !record.feedUrl) {
+        counts.skipped++
+        continue
+      }
+      const match = byId.get(record.id) ?? byFeedUrl.get(record.feedUrl)
+      const id = match?.id ?? record.id
+      ids.set(record.id, id)
+      if (match) {
+        if (
+          conflict === 'skip' ||
+          (conflict === 'newest' && (record.updatedAt ?? 0) <= match.updatedAt)
+        ) {
+          counts.skipped++
+          continue
+        }
+        counts.updated++
+      } else {
+        counts.added++
+      }
+
+      const timestamp = Date.now()
+      const next: SubscriptionRule = {
+        ...record,
+        ...sanitizeDownloadProfile(record),
+        ...sanitizeFilters(record),
+        id,
+        feedType: record.feedType === 'ytdlp' ? 'ytdlp' : 'rss',
+        keywords: sanitizeList(record.keywords),
+        tags: sanitizeList(record.tags),
+        onlyDownloadLatest: record.onlyDownloadLatest ?? true,
+        enabled: record.enabled ?? true,
+        status: 'idle',
+        lastError: undefined,
+        consecutiveFailures: 0,
+        // Backfill queues are not part of a backup
+        backfill: undefined,
+        createdAt: record.createdAt ?? timestamp,
+        updatedAt: record.updatedAt ?? timestamp,
+        items: []
+      }
+      ensureDirectoryExists(next.downloadDirectory)
+      this.insertRecord(next)
+      this.replaceFeedItems(id, Array.isArray(record.items) ? record.items : [], true)
+      byId.set(id, next)
+      byFeedUrl.set(next.feedUrl, next)
+    }
+
+    this.emitUpdates()
+    return { counts, ids }
+  }
+
   replaceFeedItems(
     subscriptionId: string,
     items: SubscriptionFeedItem[],
@@ -254,6 +447,67 @@ export class SubscriptionManager extends EventEmitter {
     }
   }
 
+  /**
+   * Stores the uploads selected for a backfill in the order they should be queued.
+   */
+  replaceBackfillItems(subscriptionId: string, items: BackfillItemInput[]): void {
+    const database = this.getDatabase()
+    database.transaction((tx) => {
+      tx.delete(subscriptionBackfillItemsTable)
+        .where(eq(subscriptionBackfillItemsTable.subscriptionId, subscriptionId))
+        .run()
+      for (const [position, item] of items.entries()) {
+        tx.insert(subscriptionBackfillItemsTable)
+          .values({
+            subscriptionId,
+            itemId: item.id,
+            title: item.title,
+            url: item.url,
+            publishedAt: item.publishedAt ?? null,
+            position,
+            queued: 0
+          })
+          .onConflictDoNothing()
+          .run()
+      }
+    })
+  }
+
+  getPendingBackfillItems(subscriptionId: string, limit: number): SubscriptionBackfillItemRow[] {
+    return this.getDatabase()
+      .select()
+      .from(subscriptionBackfillItemsTable)
+      .where(
+        and(
+          eq(subscriptionBackfillItemsTable.subscriptionId, subscriptionId),
+          eq(subscriptionBackfillItemsTable.queued, 0)
+        )
+      )
+      .orderBy(asc(subscriptionBackfillItemsTable.position))
+      .limit(limit)
+      .all()
+  }
+
+  markBackfillItemQueued(subscriptionId: string, itemId: string): void {
+    this.getDatabase()
+      .update(subscriptionBackfillItemsTable)
+      .set({ queued: 1 })
+      .where(
+        and(
+          eq(subscriptionBackfillItemsTable.subscriptionId, subscriptionId),
+          eq(subscriptionBackfillItemsTable.itemId, itemId)
+        )
+      )
+      .run()
+  }
+
+  clearBackfillItems(subscriptionId: string): void {
+    this.getDatabase()
+      .delete(subscriptionBackfillItemsTable)
+      .where(eq(subscriptionBackfillItemsTable.subscriptionId, subscriptionId))
+      .run()
+  }
+
   private attachFeedItems(records: SubscriptionRule[]): SubscriptionRule[] {
     if (records.length === 0) {
       return records
@@ -411,6 +665,7 @@ export class SubscriptionManager extends EventEmitter {
               source_url TEXT NOT NULL,
               feed_url TEXT NOT NULL,
               platform TEXT NOT NULL,
+              feed_type TEXT NOT NULL DEFAULT 'rss',
               keywords TEXT NOT NULL,
               tags TEXT NOT NULL,
               only_latest INTEGER NOT NULL,
@@ -425,7 +680,32 @@ export class SubscriptionManager extends EventEmitter {
               created_at INTEGER NOT NULL,
               updated_at INTEGER NOT NULL,
               download_directory TEXT,
-              naming_template TEXT
+              naming_template TEXT,
+              post_processing_preset TEXT,
+              download_type TEXT,
+              quality TEXT,
+              format_selector TEXT,
+              subtitle_languages TEXT,
+              auto_subtitles INTEGER,
+              subtitle_format TEXT,
+              embed_subs INTEGER,
+              embed_thumbnail INTEGER,
+              embed_metadata INTEGER,
+              embed_chapters INTEGER,
+              media_library INTEGER,
+              sponsor_block TEXT,
+              auto_record_live INTEGER,
+              max_duration INTEGER,
+              max_file_size INTEGER,
+              exclude_keywords TEXT,
+              title_pattern TEXT,
+              description_pattern TEXT,
+              min_duration INTEGER,
+              published_after INTEGER,
+              max_items_per_run INTEGER,
+              check_interval INTEGER,
+              consecutive_failures INTEGER NOT NULL DEFAULT 0,
+              backfill TEXT
             )`
           )
           .run()
@@ -437,6 +717,7 @@ export class SubscriptionManager extends EventEmitter {
               source_url,
               feed_url,
               platform,
+              feed_type,
               keywords,
               tags,
               only_latest,
@@ -451,7 +732,32 @@ export class SubscriptionManager extends EventEmitter {
               created_at,
               updated_at,
               download_directory,
-              naming_template
+              naming_template,
+              post_processing_preset,
+              download_type,
+              quality,
+              format_selector,
+              subtitle_languages,
+              auto_subtitles,
+              subtitle_format,
+              embed_subs,
+              embed_thumbnail,
+              embed_metadata,
+              embed_chapters,
+              media_library,
+              sponsor_block,
+              auto_record_live,
+              max_duration,
+              max_file_size,
+              exclude_keywords,
+              title_pattern,
+              description_pattern,
+              min_duration,
+              published_after,
+              max_items_per_run,
+              check_interval,
+              consecutive_failures,
+              backfill
             )
             SELECT
               id,
@@ -459,6 +765,7 @@ export class SubscriptionManager extends EventEmitter {
               source_url,
               feed_url,
               platform,
+              feed_type,
               keywords,
               tags,
               only_latest,
@@ -473,7 +780,32 @@ export class SubscriptionManager extends EventEmitter {
               created_at,
               updated_at,
               download_directory,
-              naming_template
+              naming_template,
+              post_processing_preset,
+              download_type,
+              quality,
+              format_selector,
+              subtitle_languages,
+              auto_subtitles,
+              subtitle_format,
+              embed_subs,
+              embed_thumbnail,
+              embed_metadata,
+              embed_chapters,
+              media_library,
+              sponsor_block,
+              auto_record_live,
+              max_duration,
+              max_file_size,
+              exclude_keywords,
+              title_pattern,
+              description_pattern,
+              min_duration,
+              published_after,
+              max_items_per_run,
+              check_interval,
+              consecutive_failures,
+              backfill
             FROM subscriptions`
           )
           .run()
@@ -515,8 +847,12 @@ export class SubscriptionManager extends EventEmitter {
         try {
           const normalized: SubscriptionRule = {
             ...legacyItem,
+            feedType: legacyItem.feedType ?? 'rss',
             keywords: sanitizeList(legacyItem.keywords),
             tags: sanitizeList(legacyItem.tags),
+            subtitleLanguages: sanitizeList(legacyItem.subtitleLanguages),
+            excludeKeywords: sanitizeList(legacyItem.excludeKeywords),
+            consecutiveFailures: 0,
             items: []
           }
           this.insertRecord(normalized)
@@ -577,6 +913,7 @@ export class SubscriptionManager extends EventEmitter {
       sourceUrl: record.sourceUrl,
       feedUrl: record.feedUrl,
       platform: record.platform,
+      feedType: record.feedType,
       keywords: stringifyArray(record.keywords),
       tags: stringifyArray(record.tags),
       onlyDownloadLatest: booleanToNumber(record.onlyDownloadLatest),
@@ -593,7 +930,34 @@ export class SubscriptionManager extends EventEmitter {
       downloadDirectory: record.downloadDirectory,
       namingTemplate: record.namingTemplate
         ? sanitizeFilenameTemplate(record.namingTemplate)
-        : undefined
+        : undefined,
+      postProcessingPreset: record.postProcessingPreset ?? null,
+      downloadType: record.downloadType ?? null,
+      quality: record.quality ?? null,
+      formatSelector: record.formatSelector ?? null,
+      subtitleLanguages:
+        record.subtitleLanguages.length > 0 ? stringifyArray(record.subtitleLanguages) : null,
+      autoSubtitles: optionalBooleanToNumber(record.autoSubtitles),
+      subtitleFormat: record.subtitleFormat ?? null,
+      embedSubs: optionalBooleanToNumber(record.embedSubs),
+      embedThumbnail: optionalBooleanToNumber(record.embedThumbnail),
+      embedMetadata: optionalBooleanToNumber(record.embedMetadata),
+      embedChapters: optionalBooleanToNumber(record.embedChapters),
+      mediaLibrary: optionalBooleanToNumber(record.mediaLibrary),
+      sponsorBlock: record.sponsorBlock ? JSON.stringify(record.sponsorBlock) : null,
+      autoRecordLive: booleanToNumber(record.autoRecordLive ?? false),
+      maxDuration: record.maxDuration ?? null,
+      maxFileSize: record.maxFileSize ?? null,
+      excludeKeywords:
+        record.excludeKeywords.length > 0 ? stringifyArray(record.excludeKeywords) : null,
+      titlePattern: record.titlePattern ?? null,
+      descriptionPattern: record.descriptionPattern ?? null,
+      minDuration: record.minDuration ?? null,
+      publishedAfter: record.publishedAfter ?? null,
+      maxItemsPerRun: record.maxItemsPerRun ?? null,
+      checkInterval: record.checkInterval ?? null,
+      consecutiveFailures: record.consecutiveFailures,
+      backfill: record.backfill ? JSON.stringify(record.backfill) : null
     }
   }
 
@@ -604,6 +968,7 @@ export class SubscriptionManager extends EventEmitter {
       sourceUrl: row.sourceUrl,
       feedUrl: row.feedUrl,
       platform: row.platform as SubscriptionRule['platform'],
+      feedType: row.feedType === 'ytdlp' ? 'ytdlp' : 'rss',
       keywords: parseStringArray(row.keywords),
       tags: parseStringArray(row.tags),
       onlyDownloadLatest: numberToBoolean(row.onlyDownloadLatest),
@@ -619,6 +984,37 @@ export class SubscriptionManager extends EventEmitter {
       updatedAt: row.updatedAt,
       downloadDirectory: row.downloadDirectory ?? undefined,
       namingTemplate: row.namingTemplate ? sanitizeFilenameTemplate(row.namingTemplate) : undefined,
+      postProcessingPreset: row.postProcessingPreset ?? undefined,
+      downloadType:
+        row.downloadType === 'audio' || row.downloadType === 'video' ? row.downloadType : undefined,
+      quality: qualityPresets.includes(row.quality as OneClickQualityPreset)
+        ? (row.quality as OneClickQualityPreset)
+        : undefined,
+      formatSelector: row.formatSelector ?? undefined,
+      subtitleLanguages: parseStringArray(row.subtitleLanguages),
+      autoSubtitles: numberToOptionalBoolean(row.autoSubtitles),
+      subtitleFormat:
+        row.subtitleFormat === '' || SUBTITLE_FORMATS.includes(row.subtitleFormat as SubtitleFormat)
+          ? (row.subtitleFormat as SubtitleFormat | '')
+          : undefined,
+      embedSubs: numberToOptionalBoolean(row.embedSubs),
+      embedThumbnail: numberToOptionalBoolean(row.embedThumbnail),
+      embedMetadata: numberToOptionalBoolean(row.embedMetadata),
+      embedChapters: numberToOptionalBoolean(row.embedChapters),
+      mediaLibrary: numberToOptionalBoolean(row.mediaLibrary),
+      sponsorBlock: parseSponsorBlock(row.sponsorBlock),
+      autoRecordLive: numberToBoolean(row.autoRecordLive) || undefined,
+      maxDuration: row.maxDuration ?? undefined,
+      maxFileSize: row.maxFileSize ?? undefined,
+      excludeKeywords: parseStringArray(row.excludeKeywords),
+      titlePattern: row.titlePattern ?? undefined,
+      descriptionPattern: row.descriptionPattern ?? undefined,
+      minDuration: row.minDuration ?? undefined,
+      publishedAfter: row.publishedAfter ?? undefined,
+      maxItemsPerRun: row.maxItemsPerRun ?? undefined,
+      checkInterval: row.checkInterval ?? undefined,
+      consecutiveFailures: row.consecutiveFailures,
+      backfill: parseBackfillState(row.backfill),
       items: []
     }
   }
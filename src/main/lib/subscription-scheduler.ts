@@ -2,16 +2,38 @@ import { EventEmitter } from 'node:events'
 import fs from 'node:fs'
 import log from 'electron-log/main'
 import Parser from 'rss-parser'
-import type { SubscriptionFeedItem, SubscriptionRule } from '../../shared/types'
+import type {
+  AppSettings,
+  DownloadErrorCategory,
+  DownloadOptions,
+  PlaylistEntry,
+  SiteRule,
+  SubscriptionBackfillOptions,
+  SubscriptionCheckResult,
+  SubscriptionFeedItem,
+  SubscriptionFeedType,
+  SubscriptionFilterPreviewItem,
+  SubscriptionRule
+} from '../../shared/types'
 import { DEFAULT_SUBSCRIPTION_FILENAME_TEMPLATE } from '../../shared/types'
 import {
   buildAudioFormatPreference,
   buildVideoFormatPreference
 } from '../../shared/utils/format-preferences'
+import { applySiteRule, findSiteRule } from '../../shared/utils/site-rules'
+import { isWithinQuietHours, resolveNextCheckAt } from '../../shared/utils/subscription-schedule'
+import { estimateDownloadSize } from '../download-engine/format-utils'
 import { settingsManager } from '../settings'
+import { downloadArchive } from './download-archive'
 import { downloadEngine } from './download-engine'
 import { historyManager } from './history-manager'
-import { subscriptionManager } from './subscription-manager'
+import {
+  createSubscriptionFilter,
+  hasDurationLimits,
+  matchesDurationLimits,
+  type SubscriptionFilterRules
+} from './subscription-filters'
+import { type BackfillItemInput, subscriptionManager } from './subscription-manager'
 
 const logger = log.scope('subscriptions')
 
@@ -30,6 +52,7 @@ type ParserItem = {
   description?: string
   mediaThumbnail?: Array<{ url?: string }> | { url?: string }
   mediaContent?: Array<{ url?: string }> | { url?: string }
+  mediaGroup?: { 'media:description'?: unknown[] }
   enclosure?: Array<{ url?: string; type?: string }> | { url?: string; type?: string }
   [key: string]: unknown
 }
@@ -48,14 +71,29 @@ type FeedItem = {
   title: string
   publishedAt: number
   thumbnail?: string
+  description?: string
 }
 
+type FetchedFeed = {
+  title?: string
+  link?: string
+  coverUrl?: string
+  items: FeedItem[]
+}
+
+// Due subscriptions are picked up on this cadence
+const SCHEDULER_TICK_MS = 60 * 1000
+
+// Flat-playlist polling only looks at the head of the channel or playlist
+const YTDLP_FEED_ITEM_LIMIT = 30
+
 const parser = new Parser<Record<string, never>, ParserItem>({
   customFields: {
     item: [
       ['yt:videoId', 'youtubeId'],
       ['media:thumbnail', 'mediaThumbnail'],
       ['media:content', 'mediaContent'],
+      ['media:group', 'mediaGroup'],
       ['enclosure', 'enclosure'],
       ['content:encoded', 'contentEncoded'],
       ['description', 'description']
@@ -63,6 +101,48 @@ const parser = new Parser<Record<string, never>, ParserItem>({
   }
 })
 
+const MAX_BACKFILL_BATCH_SIZE = 50
+const MIN_BACKFILL_INTERVAL_MINUTES = 5
+
+const sanitizeBackfillOptions = (
+  options: SubscriptionBackfillOptions
+): SubscriptionBackfillOptions => {
+  const positive = (value?: number) =>
+    typeof value === 'number' && Number.isFinite(value) && value > 0 ? Math.round(value) : undefined
+  return {
+    mode: options.mode === 'date-range' ? 'date-range' : 'count',
+    count: positive(options.count),
+    from: positive(options.from),
+    to: positive(options.to),
+    batchSize: Math.min(MAX_BACKFILL_BATCH_SIZE, positive(options.batchSize) ?? 5),
+    batchIntervalMinutes: Math.max(
+      MIN_BACKFILL_INTERVAL_MINUTES,
+      positive(options.batchIntervalMinutes) ?? 60
+    )
+  }
+}
+
+/**
+ * RSS subscriptions only know their feed, so map them back to the page yt-dlp can list.
+ */
+const resolveBackfillSourceUrl = (subscription: SubscriptionRule): string => {
+  if (subscription.feedType === 'ytdlp') {
+    return subscription.feedUrl
+  }
+  const channelId = subscription.feedUrl.match(/[?&]channel_id=([A-Za-z0-9_-]+)/)?.[1]
+  if (channelId) {
+    return `https://www.youtube.com/channel/${channelId}/videos`
+  }
+  // Without a tab yt-dlp lists the channel tabs instead of the uploads
+  const youTubeChannel = subscription.sourceUrl.match(
+    /^(https?:\/\/(?:www\.)?youtube\.com\/(?:channel\/[^/?#]+|@[^/?#]+|user\/[^/?#]+|c\/[^/?#]+))\/?$/i
+  )
+  if (youTubeChannel) {
+    return `${youTubeChannel[1]}/videos`
+  }
+  return subscription.sourceUrl
+}
+
 const sanitizeDownloadId = (subscriptionId: string, itemId: string): string => {
   const base = Buffer.from(`${subscriptionId}:${itemId}`).toString('base64url')
   return `sub_${base}`
@@ -81,8 +161,9 @@ const ensureDirectoryExists = (dir?: string): void => {
 
 export class SubscriptionScheduler extends EventEmitter {
   private timer?: NodeJS.Timeout
-  private checking = false
-  private pendingRun = false
+  private checking: Set<string> = new Set()
+  private backfillListings: Set<string> = new Set()
+  private backfillBatches: Set<string> = new Set()
   private downloads: Map<string, TrackedDownload> = new Map()
 
   constructor() {
@@ -102,56 +183,158 @@ export class SubscriptionScheduler extends EventEmitter {
       })
     })
 
-    downloadEngine.on('download-error', (id: string, error: Error) => {
-      const tracked = this.downloads.get(id)
-      if (!tracked) {
-        return
-      }
-      const currentRetries = tracked.retries ?? 0
-      if (currentRetries < 1) {
-        logger.warn('Retrying failed subscription download', { id, error })
-        this.queueDownload(
-          tracked.subscriptionId,
-          tracked.itemId,
-          tracked.url,
-          currentRetries + 1
-        ).catch((queueError) => {
-          logger.error('Retry queue failed:', queueError)
+    downloadEngine.on(
+      'download-error',
+      (id: string, error: Error, errorCategory?: DownloadErrorCategory) => {
+        const tracked = this.downloads.get(id)
+        if (!tracked) {
+          return
+        }
+        // The archive held the upload back, it was downloaded through another URL before
+        if (errorCategory === 'duplicate') {
+          this.downloads.delete(id)
+          logger.info('Subscription upload is already in the download archive', { id })
+          return
+        }
+        // Left unqueued so it can be downloaded by hand once the stream has ended
+        if (errorCategory === 'live-stream') {
+          this.downloads.delete(id)
+          logger.info('Skipped subscription live stream without auto-record', { id })
+          subscriptionManager.updateFeedItemQueueState(tracked.subscriptionId, tracked.itemId, {
+            added: false,
+            downloadId: null
+          })
+          return
+        }
+        const currentRetries = tracked.retries ?? 0
+        if (currentRetries < 1) {
+          logger.warn('Retrying failed subscription download', { id, error })
+          this.queueDownload(
+            tracked.subscriptionId,
+            tracked.itemId,
+            tracked.url,
+            currentRetries + 1
+          ).catch((queueError) => {
+            logger.error('Retry queue failed:', queueError)
+          })
+          return
+        }
+
+        this.downloads.delete(id)
+        subscriptionManager.update(tracked.subscriptionId, {
+          status: 'failed',
+          lastCheckedAt: Date.now()
+        })
+        subscriptionManager.updateFeedItemQueueState(tracked.subscriptionId, tracked.itemId, {
+          downloadId: null
         })
-        return
       }
+    )
+  }
 
-      this.downloads.delete(id)
-      subscriptionManager.update(tracked.subscriptionId, {
-        status: 'failed',
-        lastCheckedAt: Date.now()
-      })
-      subscriptionManager.updateFeedItemQueueState(tracked.subscriptionId, tracked.itemId, {
-        downloadId: null
-      })
+  start(): void {
+    if (this.timer) {
+      clearInterval(this.timer)
+    }
+    this.timer = setInterval(() => this.checkDue(), SCHEDULER_TICK_MS)
+    // Listings interrupted by a restart start over, queued progress is kept
+    for (const subscription of subscriptionManager.getAll()) {
+      if (subscription.backfill?.status === 'listing') {
+        void this.listBackfill(subscription.id)
+      }
+    }
+    this.checkDue()
+  }
+
+  /**
+   * Lists the full upload history of the subscription and queues the selected uploads in
+   * batches of `batchSize` every `batchIntervalMinutes`.
+   */
+  startBackfill(subscriptionId: string, options: SubscriptionBackfillOptions): boolean {
+    const subscription = subscriptionManager.getById(subscriptionId)
+    if (!subscription || this.backfillListings.has(subscriptionId)) {
+      return false
+    }
+    subscriptionManager.clearBackfillItems(subscriptionId)
+    subscriptionManager.update(subscriptionId, {
+      backfill: {
+        ...sanitizeBackfillOptions(options),
+        status: 'listing',
+        total: 0,
+        processed: 0,
+        startedAt: Date.now()
+      }
     })
+    void this.listBackfill(subscriptionId)
+    return true
   }
 
-  start(): void {
-    this.scheduleNextRun(0)
+  pauseBackfill(subscriptionId: string): boolean {
+    const backfill = subscriptionManager.getById(subscriptionId)?.backfill
+    if (backfill?.status !== 'running') {
+      return false
+    }
+    subscriptionManager.update(subscriptionId, {
+      backfill: { ...backfill, status: 'paused', nextBatchAt: undefined }
+    })
+    return true
   }
 
-  refreshInterval(): void {
-    if (this.timer) {
-      clearTimeout(this.timer)
+  resumeBackfill(subscriptionId: string): boolean {
+    const backfill = subscriptionManager.getById(subscriptionId)?.backfill
+    if (backfill?.status !== 'paused') {
+      return false
     }
-    this.scheduleNextRun()
+    subscriptionManager.update(subscriptionId, {
+      backfill: { ...backfill, status: 'running', nextBatchAt: Date.now() }
+    })
+    this.runBackfillBatches()
+    return true
+  }
+
+  cancelBackfill(subscriptionId: string): boolean {
+    const subscription = subscriptionManager.getById(subscriptionId)
+    if (!subscription?.backfill) {
+      return false
+    }
+    subscriptionManager.clearBackfillItems(subscriptionId)
+    subscriptionManager.update(subscriptionId, { backfill: undefined })
+    return true
   }
 
+  /**
+   * Manual checks ignore intervals, backoff and quiet hours.
+   */
   async runNow(subscriptionId?: string): Promise<void> {
     if (subscriptionId) {
       const target = subscriptionManager.getById(subscriptionId)
       if (target?.enabled) {
-        await this.checkSubscription(target)
+        await this.checkMany([target])
       }
       return
     }
-    await this.checkAll()
+    await this.checkMany(
+      subscriptionManager.getAll().filter((subscription) => subscription.enabled)
+    )
+  }
+
+  /**
+   * Runs the checks like `runNow` and returns their results for callers that report them.
+   */
+  async checkNow(subscriptionId?: string): Promise<SubscriptionCheckResult[]> {
+    const results: SubscriptionCheckResult[] = []
+    const collect = (result: SubscriptionCheckResult) => {
+      if (!subscriptionId || result.subscriptionId === subscriptionId) {
+        results.push(result)
+      }
+    }
+    this.on('subscription-checked', collect)
+    try {
+      await this.runNow(subscriptionId)
+    } finally {
+      this.off('subscription-checked', collect)
+    }
+    return results
   }
 
   async queueItem(subscriptionId: string, itemId: string): Promise<boolean> {
@@ -167,39 +350,224 @@ export class SubscriptionScheduler extends EventEmitter {
     return true
   }
 
-  private scheduleNextRun(initialDelay?: number): void {
-    if (this.timer) {
-      clearTimeout(this.timer)
+  private getConcurrency(): number {
+    const concurrency = settingsManager.getAll().subscriptionCheckConcurrency
+    return Number.isFinite(concurrency) && concurrency > 0 ? Math.floor(concurrency) : 1
+  }
+
+  /**
+   * Starts the subscriptions whose next check time has passed, up to the free check slots.
+   */
+  private checkDue(): void {
+    const settings = settingsManager.getAll()
+    if (isWithinQuietHours(settings)) {
+      return
+    }
+    this.runBackfillBatches()
+
+    const freeSlots = this.getConcurrency() - this.checking.size
+    if (freeSlots <= 0) {
+      return
+    }
+
+    const now = Date.now()
+    const due = subscriptionManager
+      .getAll()
+      .filter((subscription) => subscription.enabled && !this.checking.has(subscription.id))
+      .map((subscription) => ({
+        subscription,
+        nextCheckAt: resolveNextCheckAt(subscription, settings, now)
+      }))
+      .filter((entry) => entry.nextCheckAt <= now)
+      .sort((a, b) => a.nextCheckAt - b.nextCheckAt)
+      .slice(0, freeSlots)
+      .map((entry) => entry.subscription)
+
+    if (due.length > 0) {
+      void this.checkMany(due)
+    }
+  }
+
+  private async listBackfill(subscriptionId: string): Promise<void> {
+    if (this.backfillListings.has(subscriptionId)) {
+      return
+    }
+    this.backfillListings.add(subscriptionId)
+    try {
+      const subscription = subscriptionManager.getById(subscriptionId)
+      if (!subscription?.backfill) {
+        return
+      }
+      const sourceUrl = resolveBackfillSourceUrl(subscription)
+      logger.info('Listing uploads for backfill', { subscriptionId, sourceUrl })
+      const playlist = await downloadEngine.getPlaylistInfo(sourceUrl, { approximateDates: true })
+
+      // The backfill may have been cancelled or restarted while yt-dlp was listing
+      const current = subscriptionManager.getById(subscriptionId)
+      if (current?.backfill?.status !== 'listing') {
+        return
+      }
+      const items = this.selectBackfillItems(current, playlist.entries)
+      subscriptionManager.replaceBackfillItems(subscriptionId, items)
+      subscriptionManager.update(subscriptionId, {
+        backfill: {
+          ...current.backfill,
+          status: items.length > 0 ? 'running' : 'completed',
+          total: items.length,
+          nextBatchAt: items.length > 0 ? Date.now() : undefined
+        }
+      })
+      logger.info('Backfill listing finished', {
+        subscriptionId,
+        listed: playlist.entries.length,
+        selected: items.length
+      })
+      this.runBackfillBatches()
+    } catch (error) {
+      logger.error('Backfill listing failed', { subscriptionId, error })
+      const current = subscriptionManager.getById(subscriptionId)
+      if (current?.backfill?.status === 'listing') {
+        subscriptionManager.update(subscriptionId, {
+          backfill: {
+            ...current.backfill,
+            status: 'failed',
+            error: error instanceof Error ? error.message : String(error)
+          }
+        })
+      }
+    } finally {
+      this.backfillListings.delete(subscriptionId)
     }
-    const intervalHours = 3 // Default check interval: 3 hours
-    const delayMs = initialDelay ?? intervalHours * 60 * 60 * 1000
-    this.timer = setTimeout(() => {
-      void this.checkAll().finally(() => this.scheduleNextRun())
-    }, delayMs)
   }
 
-  private async checkAll(): Promise<void> {
-    if (this.checking) {
-      this.pendingRun = true
+  /**
+   * Applies the count or date range plus the subscription's own filters, drops uploads that
+   * were already downloaded and orders the rest oldest first.
+   */
+  private selectBackfillItems(
+    subscription: SubscriptionRule,
+    entries: PlaylistEntry[]
+  ): BackfillItemInput[] {
+    const backfill = subscription.backfill
+    if (!backfill) {
+      return []
+    }
+    // The backfill range replaces the regular cutoff
+    const rejectItem = createSubscriptionFilter({ ...subscription, publishedAfter: undefined })
+    let candidates = entries.filter(
+      (entry) =>
+        entry.url.startsWith('http') &&
+        rejectItem({
+          title: entry.title,
+          description: entry.description,
+          publishedAt: entry.publishedAt ?? 0
+        }) === null
+    )
+
+    if (backfill.mode === 'date-range') {
+      candidates = candidates.filter(
+        (entry) =>
+          entry.publishedAt !== undefined &&
+          (!backfill.from || entry.publishedAt >= backfill.from) &&
+          (!backfill.to || entry.publishedAt <= backfill.to)
+      )
+    } else if (backfill.count) {
+      candidates = candidates.slice(0, backfill.count)
+    }
+
+    const ordered = candidates.every((entry) => entry.publishedAt !== undefined)
+      ? [...candidates].sort((a, b) => (a.publishedAt ?? 0) - (b.publishedAt ?? 0))
+      : [...candidates].reverse()
+    const queuedUrls = new Set(
+      subscription.items.filter((item) => item.addedToQueue).map((item) => item.url)
+    )
+
+    return ordered
+      .filter((entry) => !queuedUrls.has(entry.url) && !this.isAlreadyDownloaded(entry.url))
+      .map((entry) => ({
+        id: entry.id,
+        title: entry.title,
+        url: entry.url,
+        publishedAt: entry.publishedAt
+      }))
+  }
+
+  private runBackfillBatches(): void {
+    const now = Date.now()
+    for (const subscription of subscriptionManager.getAll()) {
+      const backfill = subscription.backfill
+      if (backfill?.status === 'running' && (backfill.nextBatchAt ?? 0) <= now) {
+        void this.queueBackfillBatch(subscription.id)
+      }
+    }
+  }
+
+  private async queueBackfillBatch(subscriptionId: string): Promise<void> {
+    const backfill = subscriptionManager.getById(subscriptionId)?.backfill
+    if (!backfill || this.backfillBatches.has(subscriptionId)) {
       return
     }
-    this.checking = true
+    this.backfillBatches.add(subscriptionId)
     try {
-      const subscriptions = subscriptionManager
-        .getAll()
-        .filter((subscription) => subscription.enabled)
-      for (const subscription of subscriptions) {
-        await this.checkSubscription(subscription)
+      const items = subscriptionManager.getPendingBackfillItems(subscriptionId, backfill.batchSize)
+      for (const item of items) {
+        subscriptionManager.markBackfillItemQueued(subscriptionId, item.itemId)
+        // A regular check may have picked the upload up since the listing
+        if (this.isAlreadyDownloaded(item.url)) {
+          continue
+        }
+        await this.queueDownload(subscriptionId, item.itemId, item.url)
+      }
+
+      const current = subscriptionManager.getById(subscriptionId)?.backfill
+      if (!current) {
+        return
+      }
+      const remaining = subscriptionManager.getPendingBackfillItems(subscriptionId, 1).length > 0
+      subscriptionManager.update(subscriptionId, {
+        backfill: {
+          ...current,
+          processed: current.processed + items.length,
+          status: remaining ? current.status : 'completed',
+          nextBatchAt:
+            remaining && current.status === 'running'
+              ? Date.now() + current.batchIntervalMinutes * 60 * 1000
+              : undefined
+        }
+      })
+      if (!remaining) {
+        subscriptionManager.clearBackfillItems(subscriptionId)
       }
     } catch (error) {
-      logger.error('Failed to run subscription sync', error)
+      logger.error('Failed to queue backfill batch', { subscriptionId, error })
     } finally {
-      this.checking = false
-      if (this.pendingRun) {
-        this.pendingRun = false
-        void this.checkAll()
+      this.backfillBatches.delete(subscriptionId)
+    }
+  }
+
+  /**
+   * Checks the subscriptions with a small worker pool so one slow feed does not hold up the rest.
+   */
+  private async checkMany(subscriptions: SubscriptionRule[]): Promise<void> {
+    const pending = subscriptions.filter((subscription) => !this.checking.has(subscription.id))
+    const worker = async (): Promise<void> => {
+      let next = pending.shift()
+      while (next) {
+        if (!this.checking.has(next.id)) {
+          this.checking.add(next.id)
+          try {
+            await this.checkSubscription(next)
+          } catch (error) {
+            logger.error('Failed to run subscription check', { id: next.id, error })
+          } finally {
+            this.checking.delete(next.id)
+          }
+        }
+        next = pending.shift()
       }
     }
+    const workerCount = Math.min(this.getConcurrency(), pending.length)
+    await Promise.all(Array.from({ length: workerCount }, () => worker()))
   }
 
   private async checkSubscription(subscription: SubscriptionRule): Promise<void> {
@@ -211,69 +579,201 @@ export class SubscriptionScheduler extends EventEmitter {
     })
 
     try {
-      const feed = await parser.parseURL(subscription.feedUrl)
-      const feedItems = Array.isArray(feed.items) ? feed.items : []
-      const normalizedItems = this.normalizeFeedItems(feedItems as ParserItem[])
+      const feed = await this.fetchFeed(
+        subscription.feedUrl,
+        subscription.feedType,
+        subscription.items
+      )
+      const normalizedItems = feed.items
       const recentItems = this.filterRecentItems(subscription, normalizedItems)
       const unseenItems = this.filterNewItems(subscription, recentItems)
-      const keywords = subscription.keywords.map((keyword) => keyword.toLowerCase())
-      const keywordFiltered =
-        keywords.length > 0
-          ? unseenItems.filter((item) => {
-              const lowered = item.title.toLowerCase()
-              return keywords.some((keyword) => lowered.includes(keyword))
-            })
-          : unseenItems
-
-      const deduped = keywordFiltered
-        .filter((item) => !historyManager.hasHistoryForUrl(item.url))
+      const rejectItem = createSubscriptionFilter(subscription)
+      const matchedItems = unseenItems.filter((item) => rejectItem(item) === null)
+
+      const deduped = matchedItems
+        .filter((item) => !this.isAlreadyDownloaded(item.url))
         .sort((a, b) => b.publishedAt - a.publishedAt)
 
       const itemsToDownload =
         subscription.onlyDownloadLatest && deduped.length > 0 ? [deduped[0]] : deduped
 
+      let queuedCount = 0
+      const downloadIds: string[] = []
+      // Items over the per-run limit wait for the next check instead of being marked as seen
+      let deferredItems: FeedItem[] = []
+      for (const [index, item] of itemsToDownload.entries()) {
+        if (subscription.maxItemsPerRun && queuedCount >= subscription.maxItemsPerRun) {
+          deferredItems = itemsToDownload.slice(index)
+          logger.info('Reached per-run item limit for subscription', {
+            subscriptionId: subscription.id,
+            limit: subscription.maxItemsPerRun,
+            deferred: deferredItems.length
+          })
+          break
+        }
+        if (await this.failsProbedLimits(subscription, item)) {
+          continue
+        }
+        const downloadId = await this.queueDownload(subscription.id, item.id, item.url)
+        if (downloadId) {
+          downloadIds.push(downloadId)
+        }
+        queuedCount += 1
+      }
+
+      const deferredIds = new Set(deferredItems.map((item) => item.id))
       subscriptionManager.replaceFeedItems(
         subscription.id,
-        this.buildFeedItems(normalizedItems, subscription)
+        this.buildFeedItems(
+          normalizedItems.filter((item) => !deferredIds.has(item.id)),
+          subscription
+        )
       )
 
-      if (itemsToDownload.length > 0) {
-        for (const item of itemsToDownload) {
-          await this.queueDownload(subscription.id, item.id, item.url)
-        }
-      }
-
       const latestItem = normalizedItems[0]
-      const coverUrl = this.resolveSubscriptionCover(
-        feed,
-        normalizedItems,
-        feedItems as ParserItem[]
-      )
+      // Deferred items are the oldest picked ones, the cutoff stays just below them
+      const oldestDeferred = deferredItems.at(-1)
+      const cutoff = oldestDeferred
+        ? Math.min(latestItem.publishedAt, oldestDeferred.publishedAt - 1)
+        : latestItem?.publishedAt
       subscriptionManager.update(subscription.id, {
         status: 'up-to-date',
         lastSuccessAt: Date.now(),
         lastError: undefined,
         latestVideoTitle: latestItem?.title ?? subscription.latestVideoTitle,
-        latestVideoPublishedAt: latestItem?.publishedAt ?? subscription.latestVideoPublishedAt,
-        coverUrl: coverUrl ?? subscription.coverUrl,
-        title:
-          typeof feed.title === 'string' && feed.title.trim().length > 0
-            ? feed.title.trim()
-            : subscription.title,
-        sourceUrl:
-          typeof feed.link === 'string' && feed.link.trim().length > 0
-            ? feed.link.trim()
-            : subscription.sourceUrl
+        latestVideoPublishedAt: cutoff ?? subscription.latestVideoPublishedAt,
+        coverUrl: feed.coverUrl ?? subscription.coverUrl,
+        consecutiveFailures: 0,
+        title: feed.title ?? subscription.title,
+        sourceUrl: feed.link ?? subscription.sourceUrl
       })
+      this.emit('subscription-checked', {
+        subscriptionId: subscription.id,
+        title: feed.title ?? subscription.title,
+        status: 'success',
+        checkedAt: Date.now(),
+        newItems: itemsToDownload.length,
+        queued: queuedCount,
+        downloadIds
+      } satisfies SubscriptionCheckResult)
     } catch (error) {
       const message = error instanceof Error ? error.message : 'Unknown RSS error'
       subscriptionManager.update(subscription.id, {
         status: 'failed',
         lastError: message,
-        lastCheckedAt: Date.now()
+        lastCheckedAt: Date.now(),
+        consecutiveFailures: subscription.consecutiveFailures + 1
+      })
+      this.emit('subscription-checked', {
+        subscriptionId: subscription.id,
+        title: subscription.title,
+        status: 'failed',
+        checkedAt: Date.now(),
+        newItems: 0,
+        queued: 0,
+        downloadIds: [],
+        error: message
+      } satisfies SubscriptionCheckResult)
+      logger.error('Subscription check failed:', {
+        id: subscription.id,
+        consecutiveFailures: subscription.consecutiveFailures + 1,
+        error
+      })
+    }
+  }
+
+  /**
+   * Fetches the feed and reports which items the rules would pick, without queueing anything.
+   * Duration limits are left out because they need a probe per item.
+   */
+  async previewFilters(
+    source: { feedUrl: string; feedType: SubscriptionFeedType },
+    rules: SubscriptionFilterRules
+  ): Promise<SubscriptionFilterPreviewItem[]> {
+    const feed = await this.fetchFeed(source.feedUrl, source.feedType)
+    const rejectItem = createSubscriptionFilter(rules)
+    let matchedCount = 0
+
+    return feed.items.map((item) => {
+      let rejection = rejectItem(item) ?? undefined
+      if (!rejection) {
+        if (rules.maxItemsPerRun && matchedCount >= rules.maxItemsPerRun) {
+          rejection = 'max-items'
+        } else {
+          matchedCount += 1
+        }
+      }
+      return {
+        id: item.id,
+        url: item.url,
+        title: item.title,
+        publishedAt: item.publishedAt,
+        thumbnail: item.thumbnail,
+        matched: !rejection,
+        rejection
+      }
+    })
+  }
+
+  /**
+   * Loads the newest items of a subscription source, either from its RSS feed or by
+   * listing the page with yt-dlp.
+   */
+  private async fetchFeed(
+    feedUrl: string,
+    feedType: SubscriptionFeedType,
+    knownItems: SubscriptionFeedItem[] = []
+  ): Promise<FetchedFeed> {
+    if (feedType === 'ytdlp') {
+      const playlist = await downloadEngine.getPlaylistInfo(feedUrl, {
+        limit: YTDLP_FEED_ITEM_LIMIT,
+        approximateDates: true
       })
-      logger.error('Subscription check failed:', { id: subscription.id, error })
+      const items = this.normalizePlaylistEntries(playlist.entries, knownItems)
+      return {
+        title: playlist.title.trim() || undefined,
+        coverUrl: items.find((item) => item.thumbnail)?.thumbnail,
+        items
+      }
     }
+
+    const feed = await parser.parseURL(feedUrl)
+    const feedItems = Array.isArray(feed.items) ? (feed.items as ParserItem[]) : []
+    const items = this.normalizeFeedItems(feedItems)
+    return {
+      title:
+        typeof feed.title === 'string' && feed.title.trim().length > 0
+          ? feed.title.trim()
+          : undefined,
+      link:
+        typeof feed.link === 'string' && feed.link.trim().length > 0 ? feed.link.trim() : undefined,
+      coverUrl: this.resolveSubscriptionCover(feed, items, feedItems),
+      items
+    }
+  }
+
+  /**
+   * Flat-playlist entries often lack an upload date. Known items keep the date they were
+   * first seen with, new ones get the fetch time minus their position so the
+   * newest-first order of the page is preserved.
+   */
+  private normalizePlaylistEntries(
+    entries: PlaylistEntry[],
+    knownItems: SubscriptionFeedItem[]
+  ): FeedItem[] {
+    const knownPublishedAt = new Map(knownItems.map((item) => [item.id, item.publishedAt]))
+    const fetchedAt = Date.now()
+    return entries
+      .filter((entry) => entry.url.startsWith('http'))
+      .map((entry) => ({
+        id: entry.id,
+        url: entry.url,
+        title: entry.title,
+        publishedAt: entry.publishedAt ?? knownPublishedAt.get(entry.id) ?? fetchedAt - entry.index,
+        thumbnail: entry.thumbnail,
+        description: entry.description
+      }))
+      .sort((a, b) => b.publishedAt - a.publishedAt)
   }
 
   private normalizeFeedItems(items: ParserItem[]): FeedItem[] {
@@ -288,7 +788,8 @@ export class SubscriptionScheduler extends EventEmitter {
         url: item.link,
         title: item.title,
         publishedAt: this.resolvePublishedAt(item),
-        thumbnail: this.resolveThumbnail(item)
+        thumbnail: this.resolveThumbnail(item),
+        description: this.resolveDescription(item)
       })
     }
 
@@ -310,7 +811,7 @@ export class SubscriptionScheduler extends EventEmitter {
         publishedAt: item.publishedAt,
         thumbnail: item.thumbnail,
         addedToQueue:
-          Boolean(tracked) || existing?.addedToQueue || historyManager.hasHistoryForUrl(item.url),
+          Boolean(tracked) || existing?.addedToQueue || this.isAlreadyDownloaded(item.url),
         downloadId: tracked?.downloadId ?? existing?.downloadId
       }
     })
@@ -393,6 +894,27 @@ export class SubscriptionScheduler extends EventEmitter {
     return undefined
   }
 
+  private resolveDescription(item: ParserItem): string | undefined {
+    // YouTube feeds only carry the description inside media:group
+    const mediaDescription = item.mediaGroup?.['media:description']?.[0]
+    const candidates = [
+      item.contentSnippet,
+      typeof mediaDescription === 'string' ? mediaDescription : undefined,
+      item.description,
+      item.summary
+    ]
+    for (const candidate of candidates) {
+      const text = candidate
+        ?.replace(/<[^>]*>/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim()
+      if (text) {
+        return text
+      }
+    }
+    return undefined
+  }
+
   private resolveSubscriptionCover(
     feed: Parser.Output<ParserItem>,
     items: FeedItem[],
@@ -454,9 +976,15 @@ export class SubscriptionScheduler extends EventEmitter {
     return items.filter((item) => item.publishedAt > lastKnownPublishedAt)
   }
 
+  /**
+   * The stored cutoff wins over the newest stored item because it is kept below items that
+   * were deferred by the per-run limit. Records from before it was tracked fall back to the items.
+   */
   private getLastKnownPublishedAt(subscription: SubscriptionRule): number {
-    const fromItems = subscription.items.reduce((max, item) => Math.max(max, item.publishedAt), 0)
-    return Math.max(subscription.latestVideoPublishedAt ?? 0, fromItems)
+    if (subscription.latestVideoPublishedAt !== undefined) {
+      return subscription.latestVideoPublishedAt
+    }
+    return subscription.items.reduce((max, item) => Math.max(max, item.publishedAt), 0)
   }
 
   private filterNewItems(subscription: SubscriptionRule, items: FeedItem[]): FeedItem[] {
@@ -464,41 +992,132 @@ export class SubscriptionScheduler extends EventEmitter {
     return items.filter((item) => !seenIds.has(item.id))
   }
 
+  /**
+   * Probes the item when the subscription limits duration or size so unwanted uploads are
+   * skipped before they take a queue slot. Items that cannot be probed are kept.
+   */
+  private async failsProbedLimits(
+    subscription: SubscriptionRule,
+    item: FeedItem
+  ): Promise<boolean> {
+    const { maxFileSize } = subscription
+    if (!hasDurationLimits(subscription) && !maxFileSize) {
+      return false
+    }
+
+    try {
+      const info = await downloadEngine.getVideoInfo(item.url)
+      if (!matchesDurationLimits(subscription, info.duration)) {
+        logger.info('Skipping subscription item outside the duration limits', {
+          subscriptionId: subscription.id,
+          itemId: item.id,
+          duration: info.duration
+        })
+        return true
+      }
+
+      if (maxFileSize) {
+        const { settings, options } = this.buildProfileOptions(subscription, item.url)
+        const estimatedSize = estimateDownloadSize(
+          info.formats ?? [],
+          options,
+          settings,
+          info.duration
+        )
+        if (estimatedSize && estimatedSize > maxFileSize * 1024 * 1024) {
+          logger.info('Skipping subscription item larger than profile limit', {
+            subscriptionId: subscription.id,
+            itemId: item.id,
+            estimatedSize
+          })
+          return true
+        }
+      }
+    } catch (error) {
+      logger.warn('Failed to probe subscription item, queueing anyway', {
+        subscriptionId: subscription.id,
+        itemId: item.id,
+        error
+      })
+    }
+    return false
+  }
+
+  /**
+   * Resolves the subscription's download profile against the global settings.
+   */
+  private buildProfileOptions(
+    subscription: SubscriptionRule,
+    url: string
+  ): { settings: AppSettings; options: DownloadOptions; siteRule?: SiteRule } {
+    const globalSettings = settingsManager.getAll()
+    // The subscription's own profile wins over the site's rule
+    const siteRule = findSiteRule(globalSettings.siteRules, { url })
+    const siteSettings = applySiteRule(globalSettings, siteRule)
+    const settings: AppSettings = {
+      ...siteSettings,
+      oneClickQuality: subscription.quality ?? siteSettings.oneClickQuality
+    }
+    const type = subscription.downloadType ?? settings.oneClickDownloadType ?? 'video'
+    const format =
+      subscription.formatSelector ||
+      (type === 'video'
+        ? buildVideoFormatPreference(settings)
+        : buildAudioFormatPreference(settings))
+
+    return {
+      settings,
+      siteRule,
+      options: {
+        url,
+        type,
+        format,
+        subtitleLanguages:
+          subscription.subtitleLanguages.length > 0 ? subscription.subtitleLanguages : undefined,
+        autoSubtitles: subscription.autoSubtitles,
+        subtitleFormat: subscription.subtitleFormat,
+        embedSubs: subscription.embedSubs,
+        embedThumbnail: subscription.embedThumbnail,
+        embedMetadata: subscription.embedMetadata,
+        embedChapters: subscription.embedChapters,
+        mediaLibrary: subscription.mediaLibrary,
+        sponsorBlock: subscription.sponsorBlock,
+        liveRecording: subscription.autoRecordLive ? {} : undefined,
+        postProcessingPreset: subscription.postProcessingPreset
+      }
+    }
+  }
+
   private async queueDownload(
     subscriptionId: string,
     itemId: string,
     url: string,
     retryCount = 0
-  ): Promise<void> {
+  ): Promise<string | null> {
     const downloadId = sanitizeDownloadId(subscriptionId, itemId)
     const isRetry = retryCount > 0
     if (this.downloads.has(downloadId) && !isRetry) {
-      return
+      return downloadId
     }
 
     const subscription = subscriptionManager.getById(subscriptionId)
     if (!subscription) {
-      return
+      return null
     }
 
-    const settings = settingsManager.getAll()
+    const { settings, options, siteRule } = this.buildProfileOptions(subscription, url)
     const downloadDirectory = subscription.downloadDirectory?.trim() || settings.downloadPath
     const namingTemplate =
-      subscription.namingTemplate?.trim() || DEFAULT_SUBSCRIPTION_FILENAME_TEMPLATE
-    const downloadType = settings.oneClickDownloadType ?? 'video'
-    const formatPreference =
-      downloadType === 'video'
-        ? buildVideoFormatPreference(settings)
-        : buildAudioFormatPreference(settings)
+      subscription.namingTemplate?.trim() ||
+      siteRule?.filenameTemplate?.trim() ||
+      DEFAULT_SUBSCRIPTION_FILENAME_TEMPLATE
     ensureDirectoryExists(downloadDirectory)
 
     const tags = Array.from(new Set([subscription.platform, ...subscription.tags]))
 
     try {
       downloadEngine.startDownload(downloadId, {
-        url,
-        type: downloadType,
-        format: formatPreference,
+        ...options,
         customDownloadPath: downloadDirectory,
         customFilenameTemplate: namingTemplate,
         tags,
@@ -517,6 +1136,7 @@ export class SubscriptionScheduler extends EventEmitter {
         added: true,
         downloadId
       })
+      return downloadId
     } catch (error) {
       logger.error('Failed to start subscription download', { subscriptionId, itemId, error })
       subscriptionManager.update(subscriptionId, {
@@ -526,7 +1146,22 @@ export class SubscriptionScheduler extends EventEmitter {
         added: false,
         downloadId: null
       })
+      return null
+    }
+  }
+
+  /**
+   * Uploads downloaded before from the same URL, or listed in the download archive unless
+   * the settings allow downloading them again.
+   */
+  private isAlreadyDownloaded(url: string): boolean {
+    if (historyManager.hasHistoryForUrl(url)) {
+      return true
     }
+    return (
+      settingsManager.get('duplicateDownloadAction') !== 'redownload' &&
+      downloadArchive.findByUrl(url) !== undefined
+    )
   }
 
   private getTrackedDownloadByUrl(url: string): TrackedDownload | undefined {
@@ -0,0 +1,186 @@
+import path from 'node:path'
+import type {
+  SubscriptionCreatePayload,
+  SubscriptionDownloadProfile,
+  SubscriptionFeedType,
+  SubscriptionFilters,
+  SubscriptionPlatform,
+  SubscriptionResolvedFeed,
+  SubscriptionRule
+} from '../../shared/types'
+import { DEFAULT_SUBSCRIPTION_FILENAME_TEMPLATE } from '../../shared/types'
+import { sanitizeFilenameTemplate } from '../download-engine/args-builder'
+import { settingsManager } from '../settings'
+import { subscriptionManager } from './subscription-manager'
+import { subscriptionScheduler } from './subscription-scheduler'
+
+export interface CreateSubscriptionOptions
+  extends Partial<SubscriptionDownloadProfile>,
+    Partial<SubscriptionFilters> {
+  url: string
+  // Forces RSS or yt-dlp polling instead of detecting it from the URL
+  feedType?: SubscriptionFeedType
+  keywords?: string[]
+  tags?: string[]
+  onlyDownloadLatest?: boolean
+  downloadDirectory?: string
+  namingTemplate?: string
+  checkInterval?: number
+  enabled?: boolean
+}
+
+const ensureUrlHasProtocol = (value: string): string => {
+  if (!value) {
+    return value
+  }
+  if (!/^https?:\/\//i.test(value)) {
+    return `https://${value}`
+  }
+  return value
+}
+
+// Pages without an RSS feed that yt-dlp can list with flat-playlist extraction
+const ytdlpSourcePatterns = [
+  /youtube\.com\/playlist\?/i,
+  /tiktok\.com\/@/i,
+  /twitch\.tv\/[^/?]+\/videos/i,
+  /soundcloud\.com\/[^/?]+/i,
+  /vimeo\.com\/[^/?]+/i
+]
+
+const detectPlatform = (url: string): SubscriptionPlatform => {
+  if (/(?:youtube\.com|youtu\.be)\//i.test(url)) {
+    return 'youtube'
+  }
+  if (/bilibili\.com\//i.test(url)) {
+    return 'bilibili'
+  }
+  return 'custom'
+}
+
+/**
+ * Maps user input to a pollable feed. Without an explicit feed type, known RSS sources stay
+ * on RSS and pages listed in `ytdlpSourcePatterns` are polled through yt-dlp.
+ */
+export const resolveFeedFromInput = (
+  rawUrl: string,
+  feedType?: SubscriptionFeedType
+): SubscriptionResolvedFeed => {
+  const normalized = ensureUrlHasProtocol(rawUrl.trim())
+
+  const biliSpaceMatch = normalized.match(
+    /(?:space\.bilibili\.com|bilibili\.com\/(?:space|user))\/(\d+)/i
+  )
+  if (biliSpaceMatch && feedType !== 'rss') {
+    return {
+      sourceUrl: normalized,
+      feedUrl: `https://space.bilibili.com/${biliSpaceMatch[1]}/video`,
+      platform: 'bilibili',
+      feedType: 'ytdlp'
+    }
+  }
+
+  if (
+    feedType === 'ytdlp' ||
+    (!feedType && ytdlpSourcePatterns.some((pattern) => pattern.test(normalized)))
+  ) {
+    return {
+      sourceUrl: normalized,
+      feedUrl: normalized,
+      platform: detectPlatform(normalized),
+      feedType: 'ytdlp'
+    }
+  }
+
+  const youTubeChannelMatch = normalized.match(/youtube\.com\/channel\/([A-Za-z0-9_-]+)/i)
+  if (youTubeChannelMatch) {
+    return {
+      sourceUrl: normalized,
+      feedUrl: `https://www.youtube.com/feeds/videos.xml?channel_id=${youTubeChannelMatch[1]}`,
+      platform: 'youtube',
+      feedType: 'rss'
+    }
+  }
+
+  if (/youtube\.com\/feeds\/videos\.xml/i.test(normalized)) {
+    return {
+      sourceUrl: normalized,
+      feedUrl: normalized,
+      platform: 'youtube',
+      feedType: 'rss'
+    }
+  }
+
+  const youTubeUserMatch = normalized.match(/youtube\.com\/(?:user|c)\/([^/?]+)/i)
+  if (youTubeUserMatch) {
+    return {
+      sourceUrl: normalized,
+      feedUrl: `https://www.youtube.com/feeds/videos.xml?user=${youTubeUserMatch[1]}`,
+      platform: 'youtube',
+      feedType: 'rss'
+    }
+  }
+
+  const youTubeHandleMatch = normalized.match(/youtube\.com\/(@[^/?]+)/i)
+  if (youTubeHandleMatch) {
+    const handle = youTubeHandleMatch[1].replace('@', '')
+    return {
+      sourceUrl: normalized,
+      feedUrl: `https://www.youtube.com/feeds/videos.xml?user=${handle}`,
+      platform: 'youtube',
+      feedType: 'rss'
+    }
+  }
+
+  if (/rsshub\.app\/bilibili/i.test(normalized)) {
+    return {
+      sourceUrl: normalized,
+      feedUrl: normalized,
+      platform: 'bilibili',
+      feedType: 'rss'
+    }
+  }
+
+  return {
+    sourceUrl: normalized,
+    feedUrl: normalized,
+    platform: 'custom',
+    feedType: 'rss'
+  }
+}
+
+/**
+ * Resolves the feed, fills in the defaults from Settings and runs the first check unless
+ * `initialCheck` is false.
+ */
+export const createSubscription = (
+  options: CreateSubscriptionOptions,
+  initialCheck = true
+): SubscriptionRule => {
+  const resolved = resolveFeedFromInput(options.url, options.feedType)
+  const settings = settingsManager.getAll()
+  const defaultDownloadDirectory = path.join(settings.downloadPath, 'Subscriptions')
+  const { url: _url, feedType: _feedType, ...profile } = options
+  const payload: SubscriptionCreatePayload = {
+    ...profile,
+    sourceUrl: resolved.sourceUrl,
+    feedUrl: resolved.feedUrl,
+    platform: resolved.platform,
+    feedType: resolved.feedType,
+    keywords: options.keywords,
+    tags: options.tags,
+    onlyDownloadLatest:
+      options.onlyDownloadLatest ?? settings.subscriptionOnlyLatestDefault ?? true,
+    downloadDirectory: options.downloadDirectory || defaultDownloadDirectory,
+    namingTemplate: sanitizeFilenameTemplate(
+      options.namingTemplate || DEFAULT_SUBSCRIPTION_FILENAME_TEMPLATE
+    ),
+    enabled: options.enabled ?? true
+  }
+
+  const created = subscriptionManager.add(payload)
+  if (initialCheck) {
+    void subscriptionScheduler.runNow(created.id)
+  }
+  return created
+}
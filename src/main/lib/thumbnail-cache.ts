@@ -17,6 +17,11 @@ const contentTypeToExtension = (contentType?: string): string => {
   return '.jpg'
 }
 
+export interface ThumbnailCacheEntry {
+  name: string
+  data: string
+}
+
 export class ThumbnailCache {
   private cacheDir?: string
   private pending: Map<string, Promise<string | null>> = new Map()
@@ -57,6 +62,51 @@ export class ThumbnailCache {
     return task
   }
 
+  /**
+   * Reads every cached thumbnail as base64 for a backup, keyed by file name.
+   */
+  async exportEntries(): Promise<ThumbnailCacheEntry[]> {
+    const cacheDir = this.ensureCacheDir()
+    const entries: ThumbnailCacheEntry[] = []
+    for (const name of await fsPromises.readdir(cacheDir)) {
+      if (!SUPPORTED_EXTENSIONS.has(path.extname(name).toLowerCase())) {
+        continue
+      }
+      try {
+        const data = await fsPromises.readFile(path.join(cacheDir, name))
+        entries.push({ name, data: data.toString('base64') })
+      } catch (error) {
+        scopedLoggers.thumbnail.warn('Failed to read cached thumbnail:', name, error)
+      }
+    }
+    return entries
+  }
+
+  /**
+   * Writes thumbnails from a backup that are not cached yet, returns how many were written.
+   */
+  async importEntries(entries: ThumbnailCacheEntry[]): Promise<number> {
+    const cacheDir = this.ensureCacheDir()
+    let written = 0
+    for (const entry of entries) {
+      const name = typeof entry?.name === 'string' ? path.basename(entry.name) : ''
+      if (
+        name !== entry.name ||
+        typeof entry.data !== 'string' ||
+        !SUPPORTED_EXTENSIONS.has(path.extname(name).toLowerCase())
+      ) {
+        continue
+      }
+      const filePath = path.join(cacheDir, name)
+      if (await this.exists(filePath)) {
+        continue
+      }
+      await fsPromises.writeFile(filePath, Buffer.from(entry.data, 'base64'))
+      written++
+    }
+    return written
+  }
+
   private async fetchAndCache(originalUrl: string): Promise<string | null> {
     try {
       const cacheDir = this.ensureCacheDir()
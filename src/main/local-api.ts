@@ -1,22 +1,38 @@
 import crypto from 'node:crypto'
 import http from 'node:http'
 import type { AddressInfo } from 'node:net'
+import path from 'node:path'
 
+import { app } from 'electron'
 import log from 'electron-log/main'
 
+import type { DownloadHistoryItem, DownloadOptions, PlaylistDownloadOptions } from '../shared/types'
+import {
+  buildAudioFormatPreference,
+  buildVideoFormatPreference
+} from '../shared/utils/format-preferences'
+import { resolveSiteSettings } from '../shared/utils/site-rules'
+import { type ApiEvent, apiEventStream } from './lib/api-event-stream'
 import { downloadEngine } from './lib/download-engine'
+import { historyManager } from './lib/history-manager'
+import { subscriptionManager } from './lib/subscription-manager'
+import { subscriptionScheduler } from './lib/subscription-scheduler'
+import { type CreateSubscriptionOptions, createSubscription } from './lib/subscription-sources'
+import { settingsManager } from './settings'
 
 const PORT_RANGE_START = 27100
 const PORT_RANGE_END = 27120
-const TOKEN_TTL_MS = 60_000
-
-type TokenRecord = {
-  expiresAt: number
+const MAX_BODY_BYTES = 1024 * 1024
+const EVENT_HEARTBEAT_MS = 15_000
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-API-Key'
 }
 
 let server: http.Server | null = null
 let serverPort: number | null = null
-const tokens = new Map<string, TokenRecord>()
+const eventStreams = new Set<http.ServerResponse>()
 
 const isLoopbackAddress = (address?: string | null): boolean => {
   if (!address) return false
@@ -26,38 +42,397 @@ const isLoopbackAddress = (address?: string | null): boolean => {
 const writeJson = (res: http.ServerResponse, status: number, body: unknown): void => {
   res.writeHead(status, {
     'Content-Type': 'application/json; charset=utf-8',
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Methods': 'GET, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type'
+    ...CORS_HEADERS
   })
   res.end(JSON.stringify(body))
 }
 
 const writeEmpty = (res: http.ServerResponse, status: number): void => {
-  res.writeHead(status, {
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Methods': 'GET, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type'
-  })
+  res.writeHead(status, CORS_HEADERS)
   res.end()
 }
 
-const issueToken = (): string => {
-  const token = crypto.randomBytes(16).toString('hex')
-  tokens.set(token, { expiresAt: Date.now() + TOKEN_TTL_MS })
-  return token
+const readRequestKey = (req: http.IncomingMessage, requestUrl: URL): string | null => {
+  const authorization = req.headers.authorization
+  if (authorization?.startsWith('Bearer ')) {
+    return authorization.slice('Bearer '.length).trim()
+  }
+  const header = req.headers['x-api-key']
+  if (typeof header === 'string') {
+    return header.trim()
+  }
+  // EventSource cannot send headers, so the event stream also takes the key as a parameter
+  return requestUrl.pathname === '/events' ? requestUrl.searchParams.get('key') : null
+}
+
+/**
+ * Compares against the key from Settings in constant time. No key means the API only
+ * answers `/status`.
+ */
+const isAuthorized = (req: http.IncomingMessage, requestUrl: URL): boolean => {
+  const apiKey = settingsManager.get('apiKey')
+  const provided = readRequestKey(req, requestUrl)
+  if (!apiKey || !provided) return false
+  const expected = Buffer.from(apiKey)
+  const actual = Buffer.from(provided)
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual)
+}
+
+const readJsonBody = (req: http.IncomingMessage): Promise<unknown> =>
+  new Promise((resolve, reject) => {
+    const chunks: Buffer[] = []
+    let size = 0
+    req.on('data', (chunk: Buffer) => {
+      size += chunk.length
+      if (size > MAX_BODY_BYTES) {
+        reject(new Error('Request body too large'))
+        req.destroy()
+        return
+      }
+      chunks.push(chunk)
+    })
+    req.on('end', () => {
+      const raw = Buffer.concat(chunks).toString('utf8')
+      if (!raw.trim()) {
+        resolve({})
+        return
+      }
+      try {
+        resolve(JSON.parse(raw))
+      } catch {
+        reject(new Error('Invalid JSON body'))
+      }
+    })
+    req.on('error', reject)
+  })
+
+const isRecord = (value: unknown): value is Record<string, unknown> =>
+  typeof value === 'object' && value !== null && !Array.isArray(value)
+
+type FieldCheck = (value: unknown) => boolean
+
+const isString: FieldCheck = (value) => typeof value === 'string'
+const isBoolean: FieldCheck = (value) => typeof value === 'boolean'
+const isPlaylistIndex: FieldCheck = (value) => Number.isInteger(value) && (value as number) >= 1
+const isAbsolutePath: FieldCheck = (value) => typeof value === 'string' && path.isAbsolute(value)
+
+// The fields API clients may set; internal ones such as the origin, subscription or live
+// recording options are left to the app
+const DOWNLOAD_FIELDS: Record<string, FieldCheck> = {
+  format: isString,
+  audioFormat: isString,
+  downloadSubs: isBoolean,
+  customDownloadPath: isAbsolutePath,
+  postProcessingPreset: isString,
+  ignoreArchive: isBoolean
+}
+
+const PLAYLIST_FIELDS: Record<string, FieldCheck> = {
+  format: isString,
+  startIndex: isPlaylistIndex,
+  endIndex: isPlaylistIndex,
+  customDownloadPath: isAbsolutePath,
+  ignoreArchive: isBoolean
+}
+
+/**
+ * Reads a download request body and answers 400 when it is unusable. Only the listed fields
+ * are taken over, other keys are dropped.
+ */
+const readDownloadRequest = async <T extends Pick<DownloadOptions, 'url' | 'type'>>(
+  req: http.IncomingMessage,
+  res: http.ServerResponse,
+  fields: Record<string, FieldCheck>
+): Promise<T | null> => {
+  let body: unknown
+  try {
+    body = await readJsonBody(req)
+  } catch (error) {
+    writeJson(res, 400, { error: error instanceof Error ? error.message : 'Invalid body' })
+    return null
+  }
+  const type = isRecord(body) ? (body.type ?? 'video') : undefined
+  if (
+    !isRecord(body) ||
+    typeof body.url !== 'string' ||
+    !/^https?:\/\//i.test(body.url.trim()) ||
+    (type !== 'video' && type !== 'audio')
+  ) {
+    writeJson(res, 400, { error: 'Expected a JSON body with an http(s) url and type' })
+    return null
+  }
+
+  const request: Record<string, unknown> = { url: body.url.trim(), type }
+  for (const [field, check] of Object.entries(fields)) {
+    const value = body[field]
+    if (value === undefined || value === null) {
+      continue
+    }
+    if (!check(value)) {
+      writeJson(res, 400, { error: `Invalid value for ${field}` })
+      return null
+    }
+    request[field] = value
+  }
+  return request as T
+}
+
+const createDownloadId = (): string =>
+  `download_${Date.now()}_${Math.random().toString(36).substring(7)}`
+
+const getErrorDetails = (error: unknown): string | undefined =>
+  error instanceof Error
+    ? error.stack
+    : typeof error === 'object' && error && 'stderr' in error
+      ? String((error as { stderr?: unknown }).stderr ?? '')
+      : undefined
+
+const findDownload = (id: string) => {
+  const pending = downloadEngine.getPendingDownloads().find((item) => item.id === id)
+  if (pending) {
+    return { state: 'queue' as const, item: pending }
+  }
+  const historyItem = historyManager.getHistoryById(id)
+  return historyItem ? { state: 'history' as const, item: historyItem } : null
+}
+
+const handleVideoInfo = async (res: http.ServerResponse, requestUrl: URL): Promise<void> => {
+  const targetUrl = requestUrl.searchParams.get('url')
+  if (!targetUrl || !targetUrl.trim()) {
+    writeJson(res, 400, { error: 'Missing url' })
+    return
+  }
+
+  try {
+    const info = await downloadEngine.getVideoInfo(targetUrl.trim())
+    writeJson(res, 200, {
+      title: info.title,
+      thumbnail: info.thumbnail,
+      duration: info.duration,
+      formats: info.formats ?? []
+    })
+  } catch (error) {
+    const message = error instanceof Error ? error.message : 'Failed to fetch video info'
+    writeJson(res, 500, { error: message, details: getErrorDetails(error) })
+  }
+}
+
+const handleHistory = (res: http.ServerResponse, requestUrl: URL): void => {
+  const status = requestUrl.searchParams.get('status')
+  const limit = Number(requestUrl.searchParams.get('limit'))
+  let items: DownloadHistoryItem[] = historyManager.getHistory()
+  if (status) {
+    items = items.filter((item) => item.status === status)
+  }
+  if (Number.isFinite(limit) && limit > 0) {
+    items = items.slice(0, Math.floor(limit))
+  }
+  writeJson(res, 200, { items })
+}
+
+const handleEnqueue = async (req: http.IncomingMessage, res: http.ServerResponse) => {
+  const request = await readDownloadRequest<DownloadOptions>(req, res, DOWNLOAD_FIELDS)
+  if (!request) {
+    return
+  }
+  // Like one-click downloads in the app, a missing format uses the quality from Settings
+  const settings = resolveSiteSettings(settingsManager.getAll(), { url: request.url })
+  const format =
+    request.format ??
+    (request.type === 'video'
+      ? buildVideoFormatPreference(settings)
+      : buildAudioFormatPreference(settings))
+  const id = createDownloadId()
+  downloadEngine.startDownload(id, { ...request, format, origin: 'manual' })
+  writeJson(res, 201, { id })
+}
+
+const handleEnqueuePlaylist = async (req: http.IncomingMessage, res: http.ServerResponse) => {
+  const request = await readDownloadRequest<PlaylistDownloadOptions>(req, res, PLAYLIST_FIELDS)
+  if (!request) {
+    return
+  }
+  try {
+    const result = await downloadEngine.startPlaylistDownload(request)
+    writeJson(res, 201, result)
+  } catch (error) {
+    const message = error instanceof Error ? error.message : 'Failed to start playlist download'
+    writeJson(res, 500, { error: message, details: getErrorDetails(error) })
+  }
+}
+
+const handleCreateSubscription = async (req: http.IncomingMessage, res: http.ServerResponse) => {
+  let body: unknown
+  try {
+    body = await readJsonBody(req)
+  } catch (error) {
+    writeJson(res, 400, { error: error instanceof Error ? error.message : 'Invalid body' })
+    return
+  }
+  if (!isRecord(body) || typeof body.url !== 'string' || !body.url.trim()) {
+    writeJson(res, 400, { error: 'Expected a JSON body with a url' })
+    return
+  }
+  try {
+    const subscription = createSubscription({
+      ...body,
+      url: body.url.trim()
+    } as CreateSubscriptionOptions)
+    writeJson(res, 201, subscription)
+  } catch (error) {
+    const message = error instanceof Error ? error.message : 'Failed to add subscription'
+    writeJson(res, 500, { error: message, details: getErrorDetails(error) })
+  }
+}
+
+/**
+ * Checks one subscription, or all enabled ones without an `id`, and answers once the checks
+ * have finished.
+ */
+const handleCheckSubscriptions = async (req: http.IncomingMessage, res: http.ServerResponse) => {
+  let body: unknown
+  try {
+    body = await readJsonBody(req)
+  } catch (error) {
+    writeJson(res, 400, { error: error instanceof Error ? error.message : 'Invalid body' })
+    return
+  }
+  const id = isRecord(body) && typeof body.id === 'string' ? body.id : undefined
+  if (id && !subscriptionManager.getById(id)) {
+    writeJson(res, 404, { error: 'Subscription not found' })
+    return
+  }
+  const results = await subscriptionScheduler.checkNow(id)
+  writeJson(res, 200, { results })
 }
 
-const consumeToken = (token?: string | null): boolean => {
-  if (!token) return false
-  const record = tokens.get(token)
-  if (!record) return false
-  if (Date.now() > record.expiresAt) {
-    tokens.delete(token)
-    return false
+/**
+ * Routes `/downloads/:id` and its `cancel`/`stop`/`retry` actions.
+ */
+const handleDownloadRoute = (
+  req: http.IncomingMessage,
+  res: http.ServerResponse,
+  id: string,
+  action?: string
+): void => {
+  const download = findDownload(id)
+  if (!download) {
+    writeJson(res, 404, { error: 'Download not found' })
+    return
+  }
+
+  if (!action && req.method === 'GET') {
+    writeJson(res, 200, download)
+    return
+  }
+
+  if (!action && req.method === 'DELETE') {
+    if (download.state === 'queue') {
+      downloadEngine.cancelDownload(id)
+    }
+    // Only the history entry is removed, downloaded files stay on disk
+    historyManager.removeHistoryItem(id)
+    writeJson(res, 200, { deleted: true })
+    return
+  }
+
+  if (action === 'cancel' && req.method === 'POST') {
+    if (download.state !== 'queue') {
+      writeJson(res, 409, { error: 'Download is not queued or running' })
+      return
+    }
+    writeJson(res, 200, { cancelled: downloadEngine.cancelDownload(id) })
+    return
+  }
+
+  if (action === 'stop' && req.method === 'POST') {
+    if (!downloadEngine.stopLiveRecording(id)) {
+      writeJson(res, 409, { error: 'Download is not a running live recording' })
+      return
+    }
+    writeJson(res, 200, { stopped: true })
+    return
   }
-  tokens.delete(token)
-  return true
+
+  if (action === 'retry' && req.method === 'POST') {
+    if (!downloadEngine.retryDownload(id)) {
+      writeJson(res, 409, { error: 'Only failed or cancelled downloads can be retried' })
+      return
+    }
+    writeJson(res, 202, { id })
+    return
+  }
+
+  writeJson(res, 405, { error: 'Method not allowed' })
+}
+
+const formatEvent = (event: ApiEvent): string =>
+  `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify({
+    type: event.type,
+    timestamp: event.timestamp,
+    data: event.data
+  })}\n\n`
+
+/**
+ * Streams events as Server-Sent Events, or answers with the events after `since` as JSON for
+ * clients that poll. Reconnecting EventSources resume through `Last-Event-ID`; when the cursor
+ * can no longer be served a `reset` event tells the client to reload its state.
+ */
+const handleEvents = (
+  req: http.IncomingMessage,
+  res: http.ServerResponse,
+  requestUrl: URL
+): void => {
+  const lastEventId = req.headers['last-event-id']
+  const cursor =
+    (typeof lastEventId === 'string' && lastEventId) || requestUrl.searchParams.get('since')
+  const types = requestUrl.searchParams.get('types')?.split(',').filter(Boolean)
+  const matchesTypes = (event: ApiEvent) => !types?.length || types.includes(event.type)
+  const missed = cursor ? apiEventStream.since(cursor) : []
+
+  if (!req.headers.accept?.includes('text/event-stream')) {
+    writeJson(res, 200, {
+      cursor: apiEventStream.getCursor(),
+      reset: missed === null,
+      events: (missed ?? []).filter(matchesTypes)
+    })
+    return
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    ...CORS_HEADERS
+  })
+  res.write('retry: 3000\n\n')
+  const writeCursorEvent = (type: 'ready' | 'reset') => {
+    const current = apiEventStream.getCursor()
+    res.write(`id: ${current}\nevent: ${type}\ndata: ${JSON.stringify({ cursor: current })}\n\n`)
+  }
+  if (missed === null) {
+    writeCursorEvent('reset')
+  } else if (!cursor) {
+    writeCursorEvent('ready')
+  } else {
+    for (const event of missed.filter(matchesTypes)) {
+      res.write(formatEvent(event))
+    }
+  }
+
+  const listener = (event: ApiEvent) => {
+    if (matchesTypes(event)) {
+      res.write(formatEvent(event))
+    }
+  }
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), EVENT_HEARTBEAT_MS)
+  apiEventStream.on('event', listener)
+  eventStreams.add(res)
+  req.on('close', () => {
+    clearInterval(heartbeat)
+    apiEventStream.off('event', listener)
+    eventStreams.delete(res)
+  })
 }
 
 const handleRequest = async (
@@ -81,55 +456,70 @@ const handleRequest = async (
     }
 
     const requestUrl = new URL(req.url, 'http://127.0.0.1')
-    const pathname = requestUrl.pathname
+    const pathname = requestUrl.pathname.replace(/\/+$/, '') || '/'
 
-    if (req.method !== 'GET') {
-      writeJson(res, 405, { error: 'Method not allowed' })
+    // Lets clients discover the app before they have a key
+    if (pathname === '/status' && req.method === 'GET') {
+      writeJson(res, 200, { ok: true, app: 'vidbee', version: app.getVersion() })
       return
     }
 
-    if (pathname === '/token') {
-      const token = issueToken()
-      writeJson(res, 200, { token, expiresInMs: TOKEN_TTL_MS })
+    if (!isAuthorized(req, requestUrl)) {
+      writeJson(res, 401, { error: 'Invalid API key' })
       return
     }
 
-    if (pathname === '/video-info') {
-      const token = requestUrl.searchParams.get('token')
-      if (!consumeToken(token)) {
-        writeJson(res, 401, { error: 'Invalid token' })
-        return
-      }
+    if (pathname === '/video-info' && req.method === 'GET') {
+      await handleVideoInfo(res, requestUrl)
+      return
+    }
 
-      const targetUrl = requestUrl.searchParams.get('url')
-      if (!targetUrl || !targetUrl.trim()) {
-        writeJson(res, 400, { error: 'Missing url' })
-        return
-      }
+    if (pathname === '/downloads' && req.method === 'GET') {
+      writeJson(res, 200, {
+        status: downloadEngine.getQueueStatus(),
+        items: downloadEngine.getPendingDownloads()
+      })
+      return
+    }
 
-      try {
-        const info = await downloadEngine.getVideoInfo(targetUrl.trim())
-        writeJson(res, 200, {
-          title: info.title,
-          thumbnail: info.thumbnail,
-          duration: info.duration,
-          formats: info.formats ?? []
-        })
-      } catch (error) {
-        const message = error instanceof Error ? error.message : 'Failed to fetch video info'
-        const details =
-          error instanceof Error
-            ? error.stack
-            : typeof error === 'object' && error && 'stderr' in error
-              ? String((error as { stderr?: unknown }).stderr ?? '')
-              : undefined
-        writeJson(res, 500, { error: message, details })
-      }
+    if (pathname === '/downloads' && req.method === 'POST') {
+      await handleEnqueue(req, res)
+      return
+    }
+
+    if (pathname === '/playlists' && req.method === 'POST') {
+      await handleEnqueuePlaylist(req, res)
       return
     }
 
-    if (pathname === '/status') {
-      writeJson(res, 200, { ok: true })
+    if (pathname === '/history' && req.method === 'GET') {
+      handleHistory(res, requestUrl)
+      return
+    }
+
+    if (pathname === '/subscriptions' && req.method === 'GET') {
+      writeJson(res, 200, { items: subscriptionManager.getAll() })
+      return
+    }
+
+    if (pathname === '/subscriptions' && req.method === 'POST') {
+      await handleCreateSubscription(req, res)
+      return
+    }
+
+    if (pathname === '/subscriptions/check' && req.method === 'POST') {
+      await handleCheckSubscriptions(req, res)
+      return
+    }
+
+    if (pathname === '/events' && req.method === 'GET') {
+      handleEvents(req, res, requestUrl)
+      return
+    }
+
+    const downloadMatch = pathname.match(/^\/downloads\/([^/]+)(?:\/(cancel|stop|retry))?$/)
+    if (downloadMatch) {
+      handleDownloadRoute(req, res, decodeURIComponent(downloadMatch[1]), downloadMatch[2])
       return
     }
 
@@ -158,6 +548,7 @@ export async function startExtensionApiServer(): Promise<number | null> {
   if (server && serverPort) {
     return serverPort
   }
+  apiEventStream.attach()
 
   for (let port = PORT_RANGE_START; port <= PORT_RANGE_END; port += 1) {
     try {
@@ -181,11 +572,16 @@ export async function startExtensionApiServer(): Promise<number | null> {
 export async function stopExtensionApiServer(): Promise<void> {
   if (!server) return
 
+  // Open event streams would keep the server from closing
+  for (const stream of eventStreams) {
+    stream.end()
+  }
+  eventStreams.clear()
+
   await new Promise<void>((resolve) => {
     server?.close(() => resolve())
   })
 
   server = null
   serverPort = null
-  tokens.clear()
 }
@@ -1,3 +1,4 @@
+import { Badge } from '@renderer/components/ui/badge'
 import { Button } from '@renderer/components/ui/button'
 import { Checkbox } from '@renderer/components/ui/checkbox'
 import { Dialog, DialogContent, DialogFooter, DialogHeader } from '@renderer/components/ui/dialog'
@@ -14,23 +15,28 @@ import {
 import { Tabs, TabsContent, TabsList, TabsTrigger } from '@renderer/components/ui/tabs'
 
 import { cn } from '@renderer/lib/utils'
-import type { PlaylistInfo, VideoFormat } from '@shared/types'
+import type {
+  DownloadOptions,
+  DownloadTimeRange,
+  LiveRecordingOptions,
+  PlaylistInfo,
+  VideoFormat
+} from '@shared/types'
 import {
   buildAudioFormatPreference,
   buildVideoFormatPreference
 } from '@shared/utils/format-preferences'
+import { resolveLiveStreamStatus } from '@shared/utils/live-stream'
+import { resolveSiteSettings } from '@shared/utils/site-rules'
+import { getNextTimeOfDay } from '@shared/utils/time-window'
+import dayjs from 'dayjs'
 import { useAtom, useSetAtom } from 'jotai'
 import { AlertCircle, FolderOpen, List, Loader2, Plus, Video } from 'lucide-react'
 import { useCallback, useEffect, useId, useMemo, useState } from 'react'
 import { useTranslation } from 'react-i18next'
 import { toast } from 'sonner'
 import { ipcEvents, ipcServices } from '../../lib/ipc'
-import {
-  addDownloadAtom,
-  addHistoryRecordAtom,
-  removeDownloadAtom,
-  updateDownloadAtom
-} from '../../store/downloads'
+import { addDownloadAtom, updateDownloadAtom } from '../../store/downloads'
 import { loadSettingsAtom, settingsAtom } from '../../store/settings'
 import {
   currentVideoInfoAtom,
@@ -38,7 +44,12 @@ import {
   videoInfoErrorAtom,
   videoInfoLoadingAtom
 } from '../../store/video'
-import { VideoInfoCard, type VideoInfoCardState } from '../video/VideoInfoCard'
+import {
+  VideoInfoCard,
+  type VideoInfoCardState,
+  type VideoInfoCardTab
+} from '../video/VideoInfoCard'
+import { PostProcessingPresetSelect } from './PostProcessingPresetSelect'
 
 const isLikelyUrl = (value: string): boolean => {
   try {
@@ -121,8 +132,6 @@ export function DownloadDialog({
   const loadSettings = useSetAtom(loadSettingsAtom)
   const updateDownload = useSetAtom(updateDownloadAtom)
   const addDownload = useSetAtom(addDownloadAtom)
-  const addHistoryRecord = useSetAtom(addHistoryRecordAtom)
-  const removeDownload = useSetAtom(removeDownloadAtom)
 
   const [url, setUrl] = useState('')
   const [activeTab, setActiveTab] = useState<'single' | 'playlist'>('single')
@@ -145,12 +154,16 @@ export function DownloadDialog({
   const [endIndex, setEndIndex] = useState('')
   const [playlistCustomDownloadPath, setPlaylistCustomDownloadPath] = useState('')
   const [playlistInfo, setPlaylistInfo] = useState<PlaylistInfo | null>(null)
+  const [playlistPostProcessingPreset, setPlaylistPostProcessingPreset] = useState<
+    string | undefined
+  >(undefined)
   const [playlistPreviewLoading, setPlaylistPreviewLoading] = useState(false)
   const [playlistDownloadLoading, setPlaylistDownloadLoading] = useState(false)
   const [playlistPreviewError, setPlaylistPreviewError] = useState<string | null>(null)
   const playlistBusy = playlistPreviewLoading || playlistDownloadLoading
   const [advancedOptionsOpen, setAdvancedOptionsOpen] = useState(false)
   const [selectedEntryIds, setSelectedEntryIds] = useState<Set<string>>(new Set())
+  const [playlistIncludeArchived, setPlaylistIncludeArchived] = useState(false)
 
   const computePlaylistRange = useCallback(
     (info: PlaylistInfo) => {
@@ -183,21 +196,7 @@ export function DownloadDialog({
       (entry) => entry.index >= range.start && entry.index <= previewEnd
     )
   }, [playlistInfo, computePlaylistRange, selectedEntryIds])
-
-  const syncHistoryItem = useCallback(
-    async (id: string) => {
-      try {
-        const historyItem = await ipcServices.history.getHistoryById(id)
-        if (historyItem) {
-          addHistoryRecord(historyItem)
-          removeDownload(id)
-        }
-      } catch (error) {
-        console.error('Failed to sync history item:', error)
-      }
-    },
-    [addHistoryRecord, removeDownload]
-  )
+  const archivedSelectedCount = selectedPlaylistEntries.filter((entry) => entry.archived).length
 
   // Listen for deep link events
   useEffect(() => {
@@ -280,66 +279,7 @@ export function DownloadDialog({
 
     // Load settings when dialog opens
     loadSettings()
-
-    // Listen for download events from main process
-    ipcEvents.on('download:started', (...args: unknown[]) => {
-      const id = args[0] as string
-      console.log('Download started:', id)
-      updateDownload({ id, changes: { status: 'downloading' } })
-    })
-
-    ipcEvents.on('download:progress', (...args: unknown[]) => {
-      const data = args[0] as { id: string; progress: unknown }
-      console.log('Download progress:', data)
-      const progress = data.progress as {
-        percent: number
-        currentSpeed?: string
-        eta?: string
-        downloaded?: string
-        total?: string
-      }
-      updateDownload({
-        id: data.id,
-        changes: {
-          progress: {
-            percent: progress.percent || 0,
-            currentSpeed: progress.currentSpeed || '',
-            eta: progress.eta || '',
-            downloaded: progress.downloaded || '',
-            total: progress.total || ''
-          },
-          speed: progress.currentSpeed || ''
-        }
-      })
-    })
-
-    ipcEvents.on('download:completed', (...args: unknown[]) => {
-      const id = args[0] as string
-      console.log('Download completed:', id)
-      updateDownload({ id, changes: { status: 'completed' } })
-      toast.success(t('notifications.downloadCompleted'))
-      void syncHistoryItem(id)
-    })
-
-    ipcEvents.on('download:error', (...args: unknown[]) => {
-      const data = args[0] as { id: string; error: string }
-      console.error('Download error:', data)
-      updateDownload({ id: data.id, changes: { status: 'error', error: data.error } })
-      toast.error(t('notifications.downloadFailed'))
-      void syncHistoryItem(data.id)
-    })
-
-    ipcEvents.on('download:cancelled', (...args: unknown[]) => {
-      const id = args[0] as string
-      console.log('Download cancelled:', id)
-      updateDownload({ id, changes: { status: 'cancelled' } })
-      void syncHistoryItem(id)
-    })
-
-    return () => {
-      // Event listeners are automatically cleaned up when the component unmounts
-    }
-  }, [open, loadSettings, syncHistoryItem, t, updateDownload])
+  }, [open, loadSettings])
 
   const startOneClickDownload = useCallback(
     async (targetUrl: string, options?: { clearInput?: boolean; setInputValue?: boolean }) => {
@@ -365,10 +305,11 @@ export function DownloadDialog({
         createdAt: Date.now()
       }
 
+      const siteSettings = resolveSiteSettings(settings, { url: trimmedUrl })
       const format =
         settings.oneClickDownloadType === 'video'
-          ? buildVideoFormatPreference(settings)
-          : buildAudioFormatPreference(settings)
+          ? buildVideoFormatPreference(siteSettings)
+          : buildAudioFormatPreference(siteSettings)
 
       addDownload(downloadItem)
 
@@ -376,7 +317,9 @@ export function DownloadDialog({
         await ipcServices.download.startDownload(id, {
           url: trimmedUrl,
           type: settings.oneClickDownloadType,
-          format
+          format,
+          // A live URL is recorded until it is stopped
+          liveRecording: {}
         })
 
         try {
@@ -693,10 +636,11 @@ export function DownloadDialog({
         endIndex = range.end
       }
 
+      const siteSettings = resolveSiteSettings(settings, { url: trimmedUrl })
       const format =
         downloadType === 'video'
-          ? buildVideoFormatPreference(settings)
-          : buildAudioFormatPreference(settings)
+          ? buildVideoFormatPreference(siteSettings)
+          : buildAudioFormatPreference(siteSettings)
 
       const result = await ipcServices.download.startPlaylistDownload({
         url: trimmedUrl,
@@ -704,13 +648,20 @@ export function DownloadDialog({
         format,
         startIndex,
         endIndex,
-        customDownloadPath: playlistCustomDownloadPath.trim() || undefined
+        customDownloadPath: playlistCustomDownloadPath.trim() || undefined,
+        postProcessingPreset: playlistPostProcessingPreset,
+        ignoreArchive: playlistIncludeArchived || undefined
       })
 
       if (result.totalCount === 0) {
-        toast.error(t('playlist.noEntriesInRange'))
+        toast.error(
+          result.skippedCount > 0 ? t('archive.playlistAllSkipped') : t('playlist.noEntriesInRange')
+        )
         return
       }
+      if (result.skippedCount > 0) {
+        toast.info(t('archive.playlistSkipped', { count: result.skippedCount }))
+      }
 
       const baseCreatedAt = Date.now()
       result.entries.forEach((entry, index) => {
@@ -747,6 +698,8 @@ export function DownloadDialog({
     addDownload,
     t,
     playlistCustomDownloadPath,
+    playlistPostProcessingPreset,
+    playlistIncludeArchived,
     selectedEntryIds
   ])
 
@@ -755,16 +708,21 @@ export function DownloadDialog({
     if (videoInfo) {
       setVideoInfoCardState((prev) => ({
         ...prev,
-        title: videoInfo.title || prev.title
+        title: videoInfo.title || prev.title,
+        // Chapter indexes only mean something for the video they were picked from
+        selectedChapters: undefined,
+        splitChapters: undefined
       }))
     }
   }, [videoInfo])
 
-  // Handle video download from VideoInfoCard
-  const handleVideoDownload = useCallback(
-    async (type: 'video' | 'audio') => {
+  const startVideoDownload = useCallback(
+    async (tab: VideoInfoCardTab, ignoreArchive?: boolean) => {
       if (!videoInfo) return
 
+      const type: DownloadOptions['type'] = tab === 'audio' ? 'audio' : 'video'
+      const subtitlesOnly = tab === 'subtitles'
+
       const id = `download_${Date.now()}_${Math.random().toString(36).substring(7)}`
 
       const downloadItem = {
@@ -773,6 +731,7 @@ export function DownloadDialog({
         title: videoInfoCardState.title,
         thumbnail: videoInfo.thumbnail,
         type,
+        subtitlesOnly: subtitlesOnly || undefined,
         status: 'pending' as const,
         progress: { percent: 0 },
         duration: videoInfo.duration,
@@ -785,6 +744,38 @@ export function DownloadDialog({
       const audioFormatIds =
         type === 'video' ? pickBestAudioFormatsByLanguage(videoInfo.formats || []) : undefined
 
+      const liveStatus = resolveLiveStreamStatus(videoInfo)
+      const stopAfterMinutes = Number(videoInfoCardState.liveStopAfter)
+      const liveRecording: LiveRecordingOptions | undefined = liveStatus
+        ? {
+            fromStart: videoInfoCardState.liveFromStart || undefined,
+            stopAfterMinutes: stopAfterMinutes > 0 ? Math.round(stopAfterMinutes) : undefined,
+            stopAt: getNextTimeOfDay(videoInfoCardState.liveStopAt ?? '')?.getTime()
+          }
+        : undefined
+
+      // Picked chapters and typed ranges both become sections, splitting replaces them all
+      const chapters = videoInfo.chapters ?? []
+      const timeRanges: DownloadTimeRange[] =
+        videoInfoCardState.splitChapters || liveStatus || subtitlesOnly
+          ? []
+          : [
+              ...(videoInfoCardState.selectedChapters ?? [])
+                .filter((index) => chapters[index])
+                .map((index) => ({
+                  start: String(chapters[index].start_time),
+                  end: String(chapters[index].end_time),
+                  title: chapters[index].title
+                })),
+              ...(videoInfoCardState.timeRanges ?? [])
+                .map((range) => ({
+                  start: range.start.trim(),
+                  end: range.end?.trim() || undefined
+                }))
+                .filter((range) => range.start || range.end)
+            ]
+      const singleRange = timeRanges.length === 1 ? timeRanges[0] : undefined
+
       const options = {
         url: videoInfo.webpage_url || '',
         type,
@@ -794,7 +785,28 @@ export function DownloadDialog({
             : videoInfoCardState.selectedAudioFormat || undefined,
         audioFormat: type === 'video' ? 'best' : undefined,
         audioFormatIds: audioFormatIds && audioFormatIds.length > 0 ? audioFormatIds : undefined,
-        customDownloadPath: videoInfoCardState.customDownloadPath.trim() || undefined
+        startTime: singleRange?.start || undefined,
+        endTime: singleRange?.end,
+        timeRanges: timeRanges.length > 1 ? timeRanges : undefined,
+        splitChapters: (!subtitlesOnly && videoInfoCardState.splitChapters) || undefined,
+        partsPlaylist:
+          videoInfoCardState.splitChapters || timeRanges.length > 1
+            ? videoInfoCardState.partsPlaylist
+            : undefined,
+        downloadSubs: videoInfoCardState.downloadSubs || undefined,
+        subtitleLanguages: videoInfoCardState.subtitles?.languages,
+        autoSubtitles: videoInfoCardState.subtitles?.autoSubtitles,
+        subtitleFormat: videoInfoCardState.subtitles?.format,
+        subtitlesOnly: subtitlesOnly || undefined,
+        customDownloadPath: videoInfoCardState.customDownloadPath.trim() || undefined,
+        bandwidthLimit:
+          Number(videoInfoCardState.bandwidthLimit) > 0
+            ? Math.floor(Number(videoInfoCardState.bandwidthLimit))
+            : undefined,
+        postProcessingPreset: videoInfoCardState.postProcessingPreset,
+        sponsorBlock: videoInfoCardState.sponsorBlock,
+        liveRecording,
+        ignoreArchive
       }
 
       addDownload(downloadItem)
@@ -822,6 +834,41 @@ export function DownloadDialog({
     [videoInfo, videoInfoCardState, addDownload, t]
   )
 
+  // Handle video download from VideoInfoCard
+  const handleVideoDownload = useCallback(
+    async (type: VideoInfoCardTab) => {
+      if (!videoInfo) return
+
+      // Subtitles are often fetched for a video that is already on disk
+      const action = settings.duplicateDownloadAction
+      const archived =
+        action !== 'redownload' && type !== 'subtitles' && videoInfo.extractor_key
+          ? await ipcServices.archive.lookup(videoInfo.extractor_key, videoInfo.id)
+          : undefined
+      if (!archived) {
+        await startVideoDownload(type)
+        return
+      }
+
+      const date = dayjs(archived.downloadedAt).format('YYYY-MM-DD')
+      if (action === 'skip') {
+        toast.info(t('archive.skipped', { date }))
+        return
+      }
+      toast.warning(t('archive.alreadyDownloaded', { date }), {
+        action: {
+          label: t('archive.downloadAgain'),
+          onClick: () => {
+            void startVideoDownload(type, true)
+          }
+        }
+      })
+    },
+    [videoInfo, settings.duplicateDownloadAction, startVideoDownload, t]
+  )
+
+  const liveStatus = resolveLiveStreamStatus(videoInfo ?? undefined)
+
   // Reset form when dialog closes
   useEffect(() => {
     if (!open) {
@@ -841,9 +888,11 @@ export function DownloadDialog({
       setPlaylistInfo(null)
       setPlaylistPreviewError(null)
       setPlaylistCustomDownloadPath('')
+      setPlaylistPostProcessingPreset(undefined)
       setStartIndex('1')
       setEndIndex('')
       setSelectedEntryIds(new Set())
+      setPlaylistIncludeArchived(false)
     }
   }, [open])
 
@@ -1007,11 +1056,39 @@ export function DownloadDialog({
                                   {entry.title || t('download.fetchingVideoInfo')}
                                 </p>
                               </div>
+                              {entry.archived && (
+                                <Badge variant="secondary" className="shrink-0 text-[10px]">
+                                  {t('archive.downloadedBadge')}
+                                </Badge>
+                              )}
                             </button>
                           )
                         })}
                       </div>
                     </ScrollArea>
+
+                    {archivedSelectedCount > 0 &&
+                      settings.duplicateDownloadAction !== 'redownload' && (
+                        <div className="flex items-center justify-between gap-3 rounded-lg border border-amber-500/30 bg-amber-500/5 px-3 py-2 text-xs">
+                          <span>
+                            {settings.duplicateDownloadAction === 'warn' && playlistIncludeArchived
+                              ? t('archive.playlistIncluded', { count: archivedSelectedCount })
+                              : t('archive.playlistWillSkip', { count: archivedSelectedCount })}
+                          </span>
+                          {settings.duplicateDownloadAction === 'warn' && (
+                            <Label className="flex shrink-0 items-center gap-2 text-xs font-normal">
+                              <Checkbox
+                                checked={playlistIncludeArchived}
+                                onCheckedChange={(checked) =>
+                                  setPlaylistIncludeArchived(checked === true)
+                                }
+                                disabled={playlistBusy}
+                              />
+                              {t('archive.downloadAgain')}
+                            </Label>
+                          )}
+                        </div>
+                      )}
                   </div>
                 )}
 
@@ -1094,6 +1171,14 @@ export function DownloadDialog({
                             </div>
                           </div>
                         </div>
+
+                        <div className="space-y-2">
+                          <Label>{t('postProcessing.title')}</Label>
+                          <PostProcessingPresetSelect
+                            value={playlistPostProcessingPreset}
+                            onChange={setPlaylistPostProcessingPreset}
+                          />
+                        </div>
                       </div>
                     </div>
                   </div>
@@ -1217,21 +1302,30 @@ export function DownloadDialog({
                       ? t('download.oneClickDownloadNow')
                       : t('download.startDownload')}
                   </Button>
+                ) : videoInfoCardState.activeTab === 'subtitles' ? (
+                  <Button
+                    onClick={() => handleVideoDownload('subtitles')}
+                    disabled={loading}
+                    size="lg"
+                  >
+                    {t('subtitles.download')}
+                  </Button>
                 ) : videoInfoCardState.activeTab === 'video' ? (
                   <Button
                     onClick={() => handleVideoDownload('video')}
-                    disabled={loading || !videoInfoCardState.selectedVideoFormat}
+                    // Upcoming streams list no formats yet, the best one is picked once it starts
+                    disabled={loading || (!liveStatus && !videoInfoCardState.selectedVideoFormat)}
                     size="lg"
                   >
-                    {t('download.downloadVideo')}
+                    {liveStatus ? t('liveRecording.record') : t('download.downloadVideo')}
                   </Button>
                 ) : (
                   <Button
                     onClick={() => handleVideoDownload('audio')}
-                    disabled={loading || !videoInfoCardState.selectedAudioFormat}
+                    disabled={loading || (!liveStatus && !videoInfoCardState.selectedAudioFormat)}
                     size="lg"
                   >
-                    {t('download.downloadAudio')}
+                    {liveStatus ? t('liveRecording.record') : t('download.downloadAudio')}
                   </Button>
                 )
               ) : playlistInfo && !playlistPreviewLoading ? (
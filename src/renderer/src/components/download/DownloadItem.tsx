@@ -14,12 +14,18 @@ import { Tooltip, TooltipContent, TooltipTrigger } from '@renderer/components/ui
 import { useAtomValue, useSetAtom } from 'jotai'
 import {
   AlertCircle,
+  ArrowDown,
+  ArrowUp,
+  ArrowUpToLine,
   CheckCircle2,
   Copy,
   FolderOpen,
   Info,
   Loader2,
+  Pause,
   Play,
+  RotateCcw,
+  Square,
   Trash2,
   X
 } from 'lucide-react'
@@ -29,6 +35,8 @@ import { toast } from 'sonner'
 import { ipcServices } from '../../lib/ipc'
 import {
   type DownloadRecord,
+  downloadQueueStatusAtom,
+  refreshHistoryCountsAtom,
   removeDownloadAtom,
   removeHistoryRecordAtom
 } from '../../store/downloads'
@@ -205,7 +213,12 @@ export function DownloadItem({ download, isSelected = false, onToggleSelect }: D
   const settings = useAtomValue(settingsAtom)
   const removeDownload = useSetAtom(removeDownloadAtom)
   const removeHistory = useSetAtom(removeHistoryRecordAtom)
+  const refreshHistoryCounts = useSetAtom(refreshHistoryCountsAtom)
+  const queueStatus = useAtomValue(downloadQueueStatusAtom)
   const isHistory = download.entryType === 'history'
+  const queuedIds = queueStatus?.queuedIds ?? []
+  const queueIndex = isHistory ? -1 : queuedIds.indexOf(download.id)
+  const isQueued = queueIndex !== -1
   const isSubscriptionDownload = download.origin === 'subscription'
   const subscriptionLabel = download.subscriptionId ?? t('subscriptions.labels.unknown')
   const timestamp = download.completedAt ?? download.downloadedAt ?? download.createdAt
@@ -214,6 +227,7 @@ export function DownloadItem({ download, isSelected = false, onToggleSelect }: D
   const resolvedExtension = resolveDownloadExtension(download)
   const normalizedSavedFileName = normalizeSavedFileName(download.savedFileName)
   const selectionEnabled = isHistory && Boolean(onToggleSelect)
+  const liveRecording = isHistory ? undefined : download.liveRecording
 
   // Track if the file exists
   const [fileExists, setFileExists] = useState(false)
@@ -262,6 +276,42 @@ export function DownloadItem({ download, isSelected = false, onToggleSelect }: D
     }
   }
 
+  const runQueueAction = async (action: () => Promise<boolean>) => {
+    if (isHistory) return
+    try {
+      await action()
+    } catch (error) {
+      console.error('Failed to update download queue:', error)
+    }
+  }
+
+  const handlePause = () => runQueueAction(() => ipcServices.download.pauseDownload(download.id))
+
+  const handleStopRecording = () =>
+    runQueueAction(() => ipcServices.download.stopLiveRecording(download.id))
+
+  const handleResume = () => runQueueAction(() => ipcServices.download.resumeDownload(download.id))
+
+  const handleMove = (direction: 'up' | 'down') =>
+    runQueueAction(() => ipcServices.download.moveDownload(download.id, direction))
+
+  const handlePrioritize = () =>
+    runQueueAction(() => ipcServices.download.prioritizeDownload(download.id))
+
+  const subtitleFilePath = (fileName: string) =>
+    `${(download.downloadPath || settings.downloadPath).replace(/\\/g, '/')}/${fileName}`
+
+  const handleOpenSubtitle = async (fileName: string) => {
+    try {
+      if (!(await ipcServices.fs.openFile(subtitleFilePath(fileName)))) {
+        toast.error(t('notifications.openFileFailed'))
+      }
+    } catch (error) {
+      console.error('Failed to open subtitle file:', error)
+      toast.error(t('notifications.openFileFailed'))
+    }
+  }
+
   const handleOpenFolder = async () => {
     try {
       const downloadPath = download.downloadPath || settings.downloadPath
@@ -329,6 +379,21 @@ export function DownloadItem({ download, isSelected = false, onToggleSelect }: D
     }
   }
 
+  const handleRedownload = async () => {
+    try {
+      const queued = await ipcServices.library.redownloadMissing([download.id])
+      if (queued.length === 0) {
+        toast.error(t('library.redownloadFailed'))
+        return
+      }
+      // The entry comes back through the download events once it is queued again
+      removeHistory(download.id)
+    } catch (error) {
+      console.error('Failed to download missing file again:', error)
+      toast.error(t('library.redownloadFailed'))
+    }
+  }
+
   // need id
   const handleRemoveHistory = async () => {
     if (!isHistory) return
@@ -352,8 +417,15 @@ export function DownloadItem({ download, isSelected = false, onToggleSelect }: D
       if (!deleted) {
         console.warn('Failed to delete download file for history item:', download.id)
       }
+      // Subtitle files kept next to the video go with it
+      for (const fileName of download.subtitleFiles ?? []) {
+        if (fileName !== download.savedFileName) {
+          await ipcServices.fs.deleteFile(subtitleFilePath(fileName))
+        }
+      }
 
       removeHistory(download.id)
+      void refreshHistoryCounts()
       toast.success(t('notifications.itemRemoved'))
     } catch (error) {
       console.error('Failed to remove item:', error)
@@ -372,6 +444,8 @@ export function DownloadItem({ download, isSelected = false, onToggleSelect }: D
         return <Loader2 className="h-4 w-4 animate-spin text-primary" />
       case 'pending':
         return <Loader2 className="h-4 w-4 animate-spin text-muted-foreground" />
+      case 'paused':
+        return <Pause className="h-4 w-4 text-muted-foreground" />
       case 'cancelled':
         return <X className="h-4 w-4 text-muted-foreground" />
       default:
@@ -386,11 +460,28 @@ export function DownloadItem({ download, isSelected = false, onToggleSelect }: D
       case 'error':
         return t('download.error')
       case 'downloading':
+        if (liveRecording) {
+          return t(`liveRecording.states.${liveRecording.state}`)
+        }
         return t('download.downloading')
       case 'processing':
+        if (download.postProcessing) {
+          return t('download.processingStep', {
+            step: t(`postProcessing.steps.${download.postProcessing.step}`),
+            current: download.postProcessing.stepIndex + 1,
+            total: download.postProcessing.stepCount
+          })
+        }
         return t('download.processing')
       case 'pending':
-        return t('download.downloadPending')
+        if (download.retryCount) {
+          return t('download.retrying', { attempt: download.retryCount })
+        }
+        return isQueued
+          ? t('download.queuePosition', { position: queueIndex + 1 })
+          : t('download.downloadPending')
+      case 'paused':
+        return t('download.paused')
       case 'cancelled':
         return t('download.cancelled')
       default:
@@ -400,10 +491,16 @@ export function DownloadItem({ download, isSelected = false, onToggleSelect }: D
 
   const statusIcon = getStatusIcon()
   const statusText = getStatusText()
+  const errorHint =
+    download.errorCategory && download.errorCategory !== 'unknown'
+      ? t(`download.errorHints.${download.errorCategory}`)
+      : ''
   const progressInfo = download.progress
   const showInlineProgress = Boolean(
     progressInfo && download.status !== 'completed' && download.status !== 'error'
   )
+  // Recordings have no total, they show how long and how much has been recorded instead
+  const showLiveProgress = Boolean(liveRecording && download.status === 'downloading')
   const sourceDisplay =
     download.uploader && download.channel && download.uploader !== download.channel
       ? `${download.uploader} • ${download.channel}`
@@ -451,6 +548,32 @@ export function DownloadItem({ download, isSelected = false, onToggleSelect }: D
     })
   }
 
+  const sponsorBlockSummary = download.sponsorBlockSummary
+  if (sponsorBlockSummary) {
+    metadataDetails.push({
+      label: t('download.metadata.sponsorBlock'),
+      value:
+        sponsorBlockSummary.segments > 0 ? (
+          <span>
+            {t('download.metadata.sponsorBlockRemoved', {
+              count: sponsorBlockSummary.segments,
+              duration: formatDuration(sponsorBlockSummary.removedSeconds) || '0:00'
+            })}
+            <span className="text-muted-foreground/80">
+              {` (${Object.entries(sponsorBlockSummary.categories)
+                .map(
+                  ([category, seconds]) =>
+                    `${t(`sponsorBlock.categories.${category}`)} ${formatDuration(seconds) || '0:00'}`
+                )
+                .join(', ')})`}
+            </span>
+          </span>
+        ) : (
+          t('download.metadata.sponsorBlockNone')
+        )
+    })
+  }
+
   const selectedFormatSize =
     download.selectedFormat?.filesize || download.selectedFormat?.filesize_approx
   const inlineFileSize = selectedFormatSize ? formatFileSize(selectedFormatSize) : undefined
@@ -495,6 +618,27 @@ export function DownloadItem({ download, isSelected = false, onToggleSelect }: D
     })
   }
 
+  if (download.subtitleFiles && download.subtitleFiles.length > 0) {
+    metadataDetails.push({
+      label: t('download.metadata.subtitles'),
+      value: (
+        <div className="flex flex-col items-start gap-0.5">
+          {download.subtitleFiles.map((fileName) => (
+            <button
+              key={fileName}
+              type="button"
+              className="relative z-20 text-left wrap-break-word text-primary hover:underline"
+              onClick={() => void handleOpenSubtitle(fileName)}
+              title={t('download.metadata.openSubtitle')}
+            >
+              {fileName}
+            </button>
+          ))}
+        </div>
+      )
+    })
+  }
+
   if (download.url) {
     metadataDetails.push({
       label: t('download.metadata.url'),
@@ -711,16 +855,27 @@ export function DownloadItem({ download, isSelected = false, onToggleSelect }: D
                 <p className="flex-1 wrap-break-word text-sm font-medium line-clamp-1">
                   {download.title}
                 </p>
-                {download.type === 'audio' && (
+                {download.subtitlesOnly ? (
                   <Badge variant="secondary" className="text-[10px] px-1.5 py-0.5 shrink-0">
-                    {t('download.audio')}
+                    {t('subtitles.badge')}
                   </Badge>
+                ) : (
+                  download.type === 'audio' && (
+                    <Badge variant="secondary" className="text-[10px] px-1.5 py-0.5 shrink-0">
+                      {t('download.audio')}
+                    </Badge>
+                  )
                 )}
                 {isSubscriptionDownload && (
                   <Badge variant="secondary" className="text-[10px] px-1.5 py-0.5 shrink-0">
                     {t('subscriptions.labels.subscription')}
                   </Badge>
                 )}
+                {isHistory && download.fileMissing && (
+                  <Badge variant="destructive" className="text-[10px] px-1.5 py-0.5 shrink-0">
+                    {t('library.fileMissing')}
+                  </Badge>
+                )}
               </div>
               <div className="flex w-full flex-wrap items-center gap-1.5 text-[11px] text-muted-foreground">
                 {/* Status */}
@@ -734,7 +889,46 @@ export function DownloadItem({ download, isSelected = false, onToggleSelect }: D
                     </TooltipContent>
                   </Tooltip>
                 )}
-                {showInlineProgress && (
+                {showLiveProgress && liveRecording && (
+                  <div className="flex items-center gap-2 min-w-0">
+                    <Badge variant="destructive" className="text-[10px] px-1.5 py-0 shrink-0">
+                      {t('liveRecording.badges.live')}
+                    </Badge>
+                    {liveRecording.state === 'waiting' ? (
+                      <span className="truncate">
+                        {liveRecording.scheduledAt
+                          ? t('liveRecording.startsAt', {
+                              time: formatDateShort(liveRecording.scheduledAt)
+                            })
+                          : t('liveRecording.states.waiting')}
+                      </span>
+                    ) : (
+                      <>
+                        <span className="font-medium shrink-0">
+                          {formatDuration(
+                            liveRecording.startedAt
+                              ? (Date.now() - liveRecording.startedAt) / 1000
+                              : 0
+                          ) || '0:00'}
+                        </span>
+                        {progressInfo?.downloaded && (
+                          <span className="truncate max-w-[120px]">{progressInfo.downloaded}</span>
+                        )}
+                        {progressInfo?.currentSpeed && (
+                          <span className="truncate max-w-[80px]">{progressInfo.currentSpeed}</span>
+                        )}
+                        {liveRecording.stopAt && (
+                          <span className="truncate">
+                            {t('liveRecording.stopsAt', {
+                              time: formatDateShort(liveRecording.stopAt)
+                            })}
+                          </span>
+                        )}
+                      </>
+                    )}
+                  </div>
+                )}
+                {showInlineProgress && !showLiveProgress && (
                   <div className="flex items-center gap-2 min-w-0">
                     <span className="font-medium shrink-0">
                       {(progressInfo?.percent ?? 0).toFixed(1)}%
@@ -800,7 +994,27 @@ export function DownloadItem({ download, isSelected = false, onToggleSelect }: D
               )}
               {isHistory ? (
                 <>
-                  {download.status === 'completed' && (
+                  {download.status === 'completed' && download.fileMissing && (
+                    <Tooltip>
+                      <TooltipTrigger asChild>
+                        <Button
+                          variant="ghost"
+                          size="icon"
+                          className="h-8 w-8 shrink-0 rounded-full"
+                          onClick={(e) => {
+                            e.stopPropagation()
+                            void handleRedownload()
+                          }}
+                        >
+                          <RotateCcw className="h-4 w-4" />
+                        </Button>
+                      </TooltipTrigger>
+                      <TooltipContent>
+                        <p>{t('library.redownload')}</p>
+                      </TooltipContent>
+                    </Tooltip>
+                  )}
+                  {download.status === 'completed' && !download.fileMissing && (
                     <>
                       <Tooltip>
                         <TooltipTrigger asChild>
@@ -903,9 +1117,132 @@ export function DownloadItem({ download, isSelected = false, onToggleSelect }: D
                       </Tooltip>
                     </>
                   )}
+                  {download.status === 'downloading' && liveRecording?.state === 'recording' && (
+                    <Tooltip>
+                      <TooltipTrigger asChild>
+                        <Button
+                          variant="ghost"
+                          size="icon"
+                          className="h-8 w-8 shrink-0 rounded-full"
+                          onClick={(e) => {
+                            e.stopPropagation()
+                            handleStopRecording()
+                          }}
+                        >
+                          <Square className="h-4 w-4" />
+                        </Button>
+                      </TooltipTrigger>
+                      <TooltipContent>
+                        <p>{t('liveRecording.stop')}</p>
+                      </TooltipContent>
+                    </Tooltip>
+                  )}
+                  {/* Pausing a recording would lose the part of the stream it misses */}
+                  {download.status === 'downloading' && !liveRecording && (
+                    <Tooltip>
+                      <TooltipTrigger asChild>
+                        <Button
+                          variant="ghost"
+                          size="icon"
+                          className="h-8 w-8 shrink-0 rounded-full"
+                          onClick={(e) => {
+                            e.stopPropagation()
+                            handlePause()
+                          }}
+                        >
+                          <Pause className="h-4 w-4" />
+                        </Button>
+                      </TooltipTrigger>
+                      <TooltipContent>
+                        <p>{t('download.pause')}</p>
+                      </TooltipContent>
+                    </Tooltip>
+                  )}
+                  {download.status === 'paused' && (
+                    <Tooltip>
+                      <TooltipTrigger asChild>
+                        <Button
+                          variant="ghost"
+                          size="icon"
+                          className="h-8 w-8 shrink-0 rounded-full"
+                          onClick={(e) => {
+                            e.stopPropagation()
+                            handleResume()
+                          }}
+                        >
+                          <Play className="h-4 w-4" />
+                        </Button>
+                      </TooltipTrigger>
+                      <TooltipContent>
+                        <p>{t('download.resume')}</p>
+                      </TooltipContent>
+                    </Tooltip>
+                  )}
+                  {isQueued && (
+                    <>
+                      <Tooltip>
+                        <TooltipTrigger asChild>
+                          <Button
+                            variant="ghost"
+                            size="icon"
+                            className="h-8 w-8 shrink-0 rounded-full"
+                            onClick={(e) => {
+                              e.stopPropagation()
+                              handlePrioritize()
+                            }}
+                            disabled={queueIndex === 0}
+                          >
+                            <ArrowUpToLine className="h-4 w-4" />
+                          </Button>
+                        </TooltipTrigger>
+                        <TooltipContent>
+                          <p>{t('download.downloadNext')}</p>
+                        </TooltipContent>
+                      </Tooltip>
+                      <Tooltip>
+                        <TooltipTrigger asChild>
+                          <Button
+                            variant="ghost"
+                            size="icon"
+                            className="h-8 w-8 shrink-0 rounded-full"
+                            onClick={(e) => {
+                              e.stopPropagation()
+                              handleMove('up')
+                            }}
+                            disabled={queueIndex === 0}
+                          >
+                            <ArrowUp className="h-4 w-4" />
+                          </Button>
+                        </TooltipTrigger>
+                        <TooltipContent>
+                          <p>{t('download.moveUp')}</p>
+                        </TooltipContent>
+                      </Tooltip>
+                      <Tooltip>
+                        <TooltipTrigger asChild>
+                          <Button
+                            variant="ghost"
+                            size="icon"
+                            className="h-8 w-8 shrink-0 rounded-full"
+                            onClick={(e) => {
+                              e.stopPropagation()
+                              handleMove('down')
+                            }}
+                            disabled={queueIndex === queuedIds.length - 1}
+                          >
+                            <ArrowDown className="h-4 w-4" />
+                          </Button>
+                        </TooltipTrigger>
+                        <TooltipContent>
+                          <p>{t('download.moveDown')}</p>
+                        </TooltipContent>
+                      </Tooltip>
+                    </>
+                  )}
                   {(download.status === 'downloading' ||
                     download.status === 'pending' ||
-                    download.status === 'processing') && (
+                    download.status === 'processing' ||
+                    download.status === 'paused') && (
                     <Button
                       variant="ghost"
                       size="icon"
@@ -924,15 +1261,27 @@ export function DownloadItem({ download, isSelected = false, onToggleSelect }: D
           </div>
 
           {/* Progress */}
-          {download.progress && download.status !== 'completed' && download.status !== 'error' && (
-            <div className="bg-background/60 w-full overflow-hidden">
-              <Progress value={download.progress.percent} className="h-1 w-full" />
-            </div>
-          )}
+          {download.progress &&
+            !showLiveProgress &&
+            download.status !== 'completed' &&
+            download.status !== 'error' && (
+              <div className="bg-background/60 w-full overflow-hidden">
+                <Progress value={download.progress.percent} className="h-1 w-full" />
+              </div>
+            )}
 
           {/* Error message */}
-          {download.status === 'error' && download.error && (
+          {download.status === 'error' && errorHint && (
             <p className="text-xs text-destructive line-clamp-2 w-full overflow-hidden">
+              {errorHint}
+            </p>
+          )}
+          {download.status === 'error' && download.error && (
+            <p
+              className={`text-xs line-clamp-2 w-full overflow-hidden ${
+                errorHint ? 'text-muted-foreground' : 'text-destructive'
+              }`}
+            >
               {download.error}
             </p>
           )}
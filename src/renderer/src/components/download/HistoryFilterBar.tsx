@@ -0,0 +1,450 @@
+import { Button } from '@renderer/components/ui/button'
+import {
+  Dialog,
+  DialogContent,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle
+} from '@renderer/components/ui/dialog'
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuLabel,
+  DropdownMenuSeparator,
+  DropdownMenuTrigger
+} from '@renderer/components/ui/dropdown-menu'
+import { Input } from '@renderer/components/ui/input'
+import { Label } from '@renderer/components/ui/label'
+import { Popover, PopoverContent, PopoverTrigger } from '@renderer/components/ui/popover'
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue
+} from '@renderer/components/ui/select'
+import { ipcServices } from '@renderer/lib/ipc'
+import type { HistoryPlaylistOption, HistorySortField, SavedHistoryView } from '@shared/types'
+import dayjs from 'dayjs'
+import { useAtom, useAtomValue, useSetAtom } from 'jotai'
+import { ArrowDownWideNarrow, ArrowUpNarrowWide, Bookmark, Filter, Search, X } from 'lucide-react'
+import { useEffect, useState } from 'react'
+import { useTranslation } from 'react-i18next'
+import { type HistoryFilters, historyFiltersAtom } from '../../store/downloads'
+import { saveSettingAtom, settingsAtom } from '../../store/settings'
+import { subscriptionsAtom } from '../../store/subscriptions'
+
+const SEARCH_DEBOUNCE_MS = 300
+const ALL = 'all'
+const BYTES_PER_MB = 1024 * 1024
+
+interface FilterDraft {
+  type: string
+  origin: string
+  subscriptionId: string
+  playlistId: string
+  // YYYY-MM-DD as used by the date inputs
+  dateFrom: string
+  dateTo: string
+  // Megabytes and minutes, as typed
+  minSize: string
+  maxSize: string
+  minDuration: string
+  maxDuration: string
+}
+
+const toDraft = (filters: HistoryFilters): FilterDraft => ({
+  type: filters.types?.[0] ?? ALL,
+  origin: filters.origins?.[0] ?? ALL,
+  subscriptionId: filters.subscriptionId ?? ALL,
+  playlistId: filters.playlistId ?? ALL,
+  dateFrom: filters.dateFrom ? dayjs(filters.dateFrom).format('YYYY-MM-DD') : '',
+  dateTo: filters.dateTo ? dayjs(filters.dateTo).format('YYYY-MM-DD') : '',
+  minSize: filters.minSize ? String(Math.round(filters.minSize / BYTES_PER_MB)) : '',
+  maxSize: filters.maxSize ? String(Math.round(filters.maxSize / BYTES_PER_MB)) : '',
+  minDuration: filters.minDuration ? String(Math.round(filters.minDuration / 60)) : '',
+  maxDuration: filters.maxDuration ? String(Math.round(filters.maxDuration / 60)) : ''
+})
+
+const parsePositive = (value: string, scale: number): number | undefined => {
+  const parsed = Number(value)
+  return value.trim() && Number.isFinite(parsed) && parsed >= 0 ? parsed * scale : undefined
+}
+
+const fromDraft = (draft: FilterDraft): HistoryFilters => ({
+  types: draft.type === ALL ? undefined : [draft.type as 'video' | 'audio'],
+  origins: draft.origin === ALL ? undefined : [draft.origin as 'manual' | 'subscription'],
+  subscriptionId: draft.subscriptionId === ALL ? undefined : draft.subscriptionId,
+  playlistId: draft.playlistId === ALL ? undefined : draft.playlistId,
+  dateFrom: draft.dateFrom ? dayjs(draft.dateFrom).startOf('day').valueOf() : undefined,
+  dateTo: draft.dateTo ? dayjs(draft.dateTo).endOf('day').valueOf() : undefined,
+  minSize: parsePositive(draft.minSize, BYTES_PER_MB),
+  maxSize: parsePositive(draft.maxSize, BYTES_PER_MB),
+  minDuration: parsePositive(draft.minDuration, 60),
+  maxDuration: parsePositive(draft.maxDuration, 60)
+})
+
+const popoverFilterKeys = [
+  'types',
+  'origins',
+  'subscriptionId',
+  'playlistId',
+  'dateFrom',
+  'dateTo',
+  'minSize',
+  'maxSize',
+  'minDuration',
+  'maxDuration'
+] as const
+
+const countPopoverFilters = (filters: HistoryFilters): number =>
+  popoverFilterKeys.filter((key) => filters[key] !== undefined).length
+
+/**
+ * Whether the filters narrow the history down, sorting alone does not count.
+ */
+export const hasHistoryFilters = (filters: HistoryFilters): boolean =>
+  Boolean(filters.search?.trim()) || countPopoverFilters(filters) > 0
+
+export function HistoryFilterBar() {
+  const { t } = useTranslation()
+  const [filters, setFilters] = useAtom(historyFiltersAtom)
+  const settings = useAtomValue(settingsAtom)
+  const saveSetting = useSetAtom(saveSettingAtom)
+  const subscriptions = useAtomValue(subscriptionsAtom)
+  const [search, setSearch] = useState(filters.search ?? '')
+  const [filtersOpen, setFiltersOpen] = useState(false)
+  const [draft, setDraft] = useState<FilterDraft>(() => toDraft(filters))
+  const [playlists, setPlaylists] = useState<HistoryPlaylistOption[]>([])
+  const [saveViewOpen, setSaveViewOpen] = useState(false)
+  const [viewName, setViewName] = useState('')
+  const savedViews = settings.savedHistoryViews ?? []
+  const activeFilterCount = countPopoverFilters(filters)
+
+  // Applying a saved view replaces the search text as well
+  useEffect(() => {
+    setSearch(filters.search ?? '')
+  }, [filters.search])
+
+  useEffect(() => {
+    const trimmed = search.trim()
+    if (trimmed === (filters.search ?? '')) {
+      return
+    }
+    const timer = setTimeout(() => {
+      setFilters((current) => ({ ...current, search: trimmed || undefined }))
+    }, SEARCH_DEBOUNCE_MS)
+    return () => clearTimeout(timer)
+  }, [search, filters.search, setFilters])
+
+  const handleFiltersOpenChange = (open: boolean) => {
+    setFiltersOpen(open)
+    if (!open) {
+      return
+    }
+    setDraft(toDraft(filters))
+    ipcServices.history
+      .getPlaylistOptions()
+      .then(setPlaylists)
+      .catch((error) => {
+        console.error('Failed to load history playlists:', error)
+      })
+  }
+
+  const updateDraft = (changes: Partial<FilterDraft>) => {
+    setDraft((current) => ({ ...current, ...changes }))
+  }
+
+  const handleApplyFilters = () => {
+    setFilters((current) => ({ ...current, ...fromDraft(draft) }))
+    setFiltersOpen(false)
+  }
+
+  const handleResetFilters = () => {
+    setFilters((current) => {
+      const next = { ...current }
+      for (const key of popoverFilterKeys) {
+        delete next[key]
+      }
+      return next
+    })
+    setFiltersOpen(false)
+  }
+
+  const handleSortChange = (sortBy: HistorySortField) => {
+    setFilters((current) => ({ ...current, sortBy: sortBy === 'date' ? undefined : sortBy }))
+  }
+
+  const handleToggleSortOrder = () => {
+    setFilters((current) => ({
+      ...current,
+      sortOrder: current.sortOrder === 'asc' ? undefined : 'asc'
+    }))
+  }
+
+  const handleSaveView = () => {
+    const name = viewName.trim()
+    if (!name) {
+      return
+    }
+    const view: SavedHistoryView = {
+      id: `view_${Date.now().toString(36)}`,
+      name,
+      query: filters
+    }
+    saveSetting({ key: 'savedHistoryViews', value: [...savedViews, view] })
+    setSaveViewOpen(false)
+    setViewName('')
+  }
+
+  const handleDeleteView = (id: string) => {
+    saveSetting({
+      key: 'savedHistoryViews',
+      value: savedViews.filter((view) => view.id !== id)
+    })
+  }
+
+  const selectField = (
+    label: string,
+    value: string,
+    onChange: (value: string) => void,
+    options: Array<{ value: string; label: string }>
+  ) => (
+    <div className="space-y-1.5">
+      <Label className="text-xs">{label}</Label>
+      <Select value={value} onValueChange={onChange}>
+        <SelectTrigger className="h-8 w-full">
+          <SelectValue />
+        </SelectTrigger>
+        <SelectContent>
+          <SelectItem value={ALL}>{t('history.filterPanel.any')}</SelectItem>
+          {options.map((option) => (
+            <SelectItem key={option.value} value={option.value}>
+              {option.label}
+            </SelectItem>
+          ))}
+        </SelectContent>
+      </Select>
+    </div>
+  )
+
+  const rangeField = (
+    label: string,
+    from: keyof FilterDraft,
+    to: keyof FilterDraft,
+    type: 'date' | 'number'
+  ) => (
+    <div className="space-y-1.5">
+      <Label className="text-xs">{label}</Label>
+      <div className="flex items-center gap-2">
+        <Input
+          type={type}
+          min={type === 'number' ? 0 : undefined}
+          className="h-8"
+          placeholder={type === 'number' ? t('history.filterPanel.min') : undefined}
+          value={draft[from]}
+          onChange={(event) => updateDraft({ [from]: event.target.value })}
+        />
+        <span className="text-muted-foreground">–</span>
+        <Input
+          type={type}
+          min={type === 'number' ? 0 : undefined}
+          className="h-8"
+          placeholder={type === 'number' ? t('history.filterPanel.max') : undefined}
+          value={draft[to]}
+          onChange={(event) => updateDraft({ [to]: event.target.value })}
+        />
+      </div>
+    </div>
+  )
+
+  return (
+    <div className="flex flex-wrap items-center gap-2">
+      <div className="relative min-w-48 flex-1">
+        <Search className="pointer-events-none absolute left-2.5 top-1/2 h-4 w-4 -translate-y-1/2 text-muted-foreground" />
+        <Input
+          className="h-8 rounded-full pl-8"
+          placeholder={t('history.searchPlaceholder')}
+          value={search}
+          onChange={(event) => setSearch(event.target.value)}
+        />
+      </div>
+
+      <Popover open={filtersOpen} onOpenChange={handleFiltersOpenChange}>
+        <PopoverTrigger asChild>
+          <Button
+            variant={activeFilterCount > 0 ? 'secondary' : 'ghost'}
+            size="sm"
+            className="h-8 rounded-full border border-border/60 px-3"
+          >
+            <Filter className="h-4 w-4" />
+            <span>
+              {activeFilterCount > 0
+                ? t('history.filterPanel.titleWithCount', { count: activeFilterCount })
+                : t('history.filterPanel.title')}
+            </span>
+          </Button>
+        </PopoverTrigger>
+        <PopoverContent align="end" className="w-80 space-y-3">
+          <div className="grid grid-cols-2 gap-3">
+            {selectField(
+              t('history.filterPanel.type'),
+              draft.type,
+              (type) => updateDraft({ type }),
+              [
+                { value: 'video', label: t('download.video') },
+                { value: 'audio', label: t('download.audio') }
+              ]
+            )}
+            {selectField(
+              t('history.filterPanel.origin'),
+              draft.origin,
+              (origin) => updateDraft({ origin }),
+              [
+                { value: 'manual', label: t('history.filterPanel.originManual') },
+                { value: 'subscription', label: t('history.filterPanel.originSubscription') }
+              ]
+            )}
+          </div>
+          {selectField(
+            t('history.filterPanel.subscription'),
+            draft.subscriptionId,
+            (subscriptionId) => updateDraft({ subscriptionId }),
+            subscriptions.map((subscription) => ({
+              value: subscription.id,
+              label: subscription.title
+            }))
+          )}
+          {selectField(
+            t('history.filterPanel.playlist'),
+            draft.playlistId,
+            (playlistId) => updateDraft({ playlistId }),
+            playlists.map((playlist) => ({ value: playlist.id, label: playlist.title }))
+          )}
+          {rangeField(t('history.filterPanel.date'), 'dateFrom', 'dateTo', 'date')}
+          {rangeField(t('history.filterPanel.sizeMb'), 'minSize', 'maxSize', 'number')}
+          {rangeField(
+            t('history.filterPanel.durationMinutes'),
+            'minDuration',
+            'maxDuration',
+            'number'
+          )}
+          <div className="flex justify-end gap-2 pt-1">
+            <Button variant="ghost" size="sm" onClick={handleResetFilters}>
+              {t('history.filterPanel.reset')}
+            </Button>
+            <Button size="sm" onClick={handleApplyFilters}>
+              {t('history.filterPanel.apply')}
+            </Button>
+          </div>
+        </PopoverContent>
+      </Popover>
+
+      <Select
+        value={filters.sortBy ?? 'date'}
+        onValueChange={(value) => handleSortChange(value as HistorySortField)}
+      >
+        <SelectTrigger className="h-8 w-32 rounded-full">
+          <SelectValue />
+        </SelectTrigger>
+        <SelectContent>
+          {(['date', 'title', 'size', 'duration'] as const).map((field) => (
+            <SelectItem key={field} value={field}>
+              {t(`history.sort.${field}`)}
+            </SelectItem>
+          ))}
+        </SelectContent>
+      </Select>
+      <Button
+        variant="ghost"
+        size="icon"
+        className="h-8 w-8 rounded-full border border-border/60"
+        title={
+          filters.sortOrder === 'asc' ? t('history.sort.ascending') : t('history.sort.descending')
+        }
+        onClick={handleToggleSortOrder}
+      >
+        {filters.sortOrder === 'asc' ? (
+          <ArrowUpNarrowWide className="h-4 w-4" />
+        ) : (
+          <ArrowDownWideNarrow className="h-4 w-4" />
+        )}
+      </Button>
+
+      <DropdownMenu>
+        <DropdownMenuTrigger asChild>
+          <Button
+            variant="ghost"
+            size="sm"
+            className="h-8 rounded-full border border-border/60 px-3"
+          >
+            <Bookmark className="h-4 w-4" />
+            <span>{t('history.views.title')}</span>
+          </Button>
+        </DropdownMenuTrigger>
+        <DropdownMenuContent align="end" className="w-56">
+          {savedViews.length > 0 ? (
+            savedViews.map((view) => (
+              <DropdownMenuItem key={view.id} onSelect={() => setFilters({ ...view.query })}>
+                <span className="flex-1 truncate">{view.name}</span>
+                <button
+                  type="button"
+                  className="rounded p-0.5 text-muted-foreground hover:text-foreground"
+                  aria-label={t('history.views.delete')}
+                  onClick={(event) => {
+                    event.stopPropagation()
+                    handleDeleteView(view.id)
+                  }}
+                >
+                  <X className="h-3.5 w-3.5" />
+                </button>
+              </DropdownMenuItem>
+            ))
+          ) : (
+            <DropdownMenuLabel className="text-xs font-normal text-muted-foreground">
+              {t('history.views.empty')}
+            </DropdownMenuLabel>
+          )}
+          <DropdownMenuSeparator />
+          <DropdownMenuItem onSelect={() => setSaveViewOpen(true)}>
+            {t('history.views.save')}
+          </DropdownMenuItem>
+          <DropdownMenuItem
+            disabled={!hasHistoryFilters(filters) && !filters.sortBy && !filters.sortOrder}
+            onSelect={() => setFilters({})}
+          >
+            {t('history.views.clear')}
+          </DropdownMenuItem>
+        </DropdownMenuContent>
+      </DropdownMenu>
+
+      <Dialog open={saveViewOpen} onOpenChange={setSaveViewOpen}>
+        <DialogContent className="sm:max-w-sm">
+          <DialogHeader>
+            <DialogTitle>{t('history.views.saveTitle')}</DialogTitle>
+          </DialogHeader>
+          <Input
+            autoFocus
+            placeholder={t('history.views.namePlaceholder')}
+            value={viewName}
+            onChange={(event) => setViewName(event.target.value)}
+            onKeyDown={(event) => {
+              if (event.key === 'Enter') {
+                handleSaveView()
+              }
+            }}
+          />
+          <DialogFooter>
+            <Button variant="outline" onClick={() => setSaveViewOpen(false)}>
+              {t('download.cancel')}
+            </Button>
+            <Button disabled={!viewName.trim()} onClick={handleSaveView}>
+              {t('history.views.saveAction')}
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+    </div>
+  )
+}
@@ -0,0 +1,297 @@
+import { Button } from '@renderer/components/ui/button'
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle
+} from '@renderer/components/ui/dialog'
+import { ScrollArea } from '@renderer/components/ui/scroll-area'
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow
+} from '@renderer/components/ui/table'
+import { Tabs, TabsContent, TabsList, TabsTrigger } from '@renderer/components/ui/tabs'
+import { ipcEvents, ipcServices } from '@renderer/lib/ipc'
+import type { DiskUsageGroup, LibraryScanProgress, LibraryScanResult } from '@shared/types'
+import dayjs from 'dayjs'
+import { useSetAtom } from 'jotai'
+import { HardDrive, Loader2, RotateCcw, Trash2 } from 'lucide-react'
+import { useEffect, useState } from 'react'
+import { useTranslation } from 'react-i18next'
+import { toast } from 'sonner'
+import { refreshHistoryCountsAtom, removeHistoryRecordsAtom } from '../../store/downloads'
+
+type UsageTab = 'byChannel' | 'bySubscription' | 'byPlaylist'
+
+const formatBytes = (bytes: number) => {
+  if (!bytes) return '0 B'
+  const sizes = ['B', 'KB', 'MB', 'GB', 'TB']
+  const order = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), sizes.length - 1)
+  return `${(bytes / 1024 ** order).toFixed(1)} ${sizes[order]}`
+}
+
+export function LibraryScanDialog() {
+  const { t } = useTranslation()
+  const removeHistoryRecords = useSetAtom(removeHistoryRecordsAtom)
+  const refreshHistoryCounts = useSetAtom(refreshHistoryCountsAtom)
+  const [open, setOpen] = useState(false)
+  const [result, setResult] = useState<LibraryScanResult | null>(null)
+  const [progress, setProgress] = useState<LibraryScanProgress | null>(null)
+  const [busy, setBusy] = useState(false)
+  const [usageTab, setUsageTab] = useState<UsageTab>('byChannel')
+
+  useEffect(() => {
+    if (!open) {
+      return
+    }
+    Promise.all([ipcServices.library.getLastResult(), ipcServices.library.isScanning()])
+      .then(([lastResult, scanning]) => {
+        setResult(lastResult)
+        if (scanning) {
+          setProgress((current) => current ?? { checked: 0, total: 0 })
+        }
+      })
+      .catch((error) => {
+        console.error('Failed to load library scan result:', error)
+      })
+
+    const handleProgress = (...args: unknown[]) => {
+      setProgress(args[0] as LibraryScanProgress)
+    }
+    const handleCompleted = (...args: unknown[]) => {
+      setResult(args[0] as LibraryScanResult)
+      setProgress(null)
+    }
+    ipcEvents.on('library:scan-progress', handleProgress)
+    ipcEvents.on('library:scan-completed', handleCompleted)
+    return () => {
+      ipcEvents.removeListener('library:scan-progress', handleProgress)
+      ipcEvents.removeListener('library:scan-completed', handleCompleted)
+    }
+  }, [open])
+
+  const handleScan = async () => {
+    setProgress({ checked: 0, total: 0 })
+    try {
+      setResult(await ipcServices.library.scan())
+    } catch (error) {
+      console.error('Failed to scan library:', error)
+      toast.error(t('library.scanFailed'))
+    } finally {
+      setProgress(null)
+    }
+  }
+
+  const dropMissing = (ids: string[]) => {
+    const handled = new Set(ids)
+    setResult((current) =>
+      current
+        ? { ...current, missing: current.missing.filter((entry) => !handled.has(entry.id)) }
+        : current
+    )
+  }
+
+  const handleRedownload = async (ids: string[]) => {
+    setBusy(true)
+    try {
+      const queued = await ipcServices.library.redownloadMissing(ids)
+      // Queued entries come back through the download events
+      removeHistoryRecords(queued)
+      dropMissing(queued)
+      if (queued.length < ids.length) {
+        toast.error(t('library.redownloadFailed'))
+      } else {
+        toast.success(t('library.redownloadQueued', { count: queued.length }))
+      }
+    } catch (error) {
+      console.error('Failed to download missing files again:', error)
+      toast.error(t('library.redownloadFailed'))
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const handleRemove = async (ids: string[]) => {
+    setBusy(true)
+    try {
+      const removed = await ipcServices.library.removeMissing(ids)
+      removeHistoryRecords(ids)
+      dropMissing(ids)
+      void refreshHistoryCounts()
+      toast.success(t('library.removed', { count: removed }))
+    } catch (error) {
+      console.error('Failed to remove missing entries:', error)
+      toast.error(t('library.removeFailed'))
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const missingIds = result?.missing.map((entry) => entry.id) ?? []
+  const usageLabel = (group: DiskUsageGroup) => {
+    if (group.label) {
+      return group.label
+    }
+    return usageTab === 'byChannel' ? t('library.unknownChannel') : group.key
+  }
+
+  return (
+    <Dialog open={open} onOpenChange={setOpen}>
+      <Button
+        variant="ghost"
+        size="sm"
+        className="h-8 rounded-full border border-border/60 px-3"
+        onClick={() => setOpen(true)}
+      >
+        <HardDrive className="h-4 w-4" />
+        <span>{t('library.title')}</span>
+      </Button>
+      <DialogContent className="sm:max-w-2xl max-h-[90vh] flex flex-col">
+        <DialogHeader className="shrink-0">
+          <DialogTitle>{t('library.title')}</DialogTitle>
+          <DialogDescription>{t('library.description')}</DialogDescription>
+        </DialogHeader>
+
+        <div className="flex items-center justify-between gap-3 text-sm shrink-0">
+          <span className="text-muted-foreground">
+            {progress
+              ? t('library.scanning', { checked: progress.checked, total: progress.total })
+              : result
+                ? t('library.lastScan', {
+                    time: dayjs(result.finishedAt).format('YYYY-MM-DD HH:mm'),
+                    checked: result.checked,
+                    size: formatBytes(result.totalBytes)
+                  })
+                : t('library.neverScanned')}
+          </span>
+          <Button size="sm" disabled={progress !== null} onClick={() => void handleScan()}>
+            {progress && <Loader2 className="h-4 w-4 animate-spin" />}
+            {t('library.scanNow')}
+          </Button>
+        </div>
+
+        {result && (
+          <ScrollArea className="flex-1 min-h-0 -mx-6 px-6">
+            <div className="space-y-5 pb-2">
+              {result.relocated.length > 0 && (
+                <p className="text-sm text-muted-foreground">
+                  {t('library.relocated', { count: result.relocated.length })}
+                </p>
+              )}
+
+              <section className="space-y-2">
+                <div className="flex items-center justify-between gap-2">
+                  <h3 className="text-sm font-medium">
+                    {t('library.missingTitle', { count: result.missing.length })}
+                  </h3>
+                  {result.missing.length > 0 && (
+                    <div className="flex items-center gap-2">
+                      <Button
+                        variant="outline"
+                        size="sm"
+                        disabled={busy}
+                        onClick={() => void handleRedownload(missingIds)}
+                      >
+                        {t('library.redownloadAll')}
+                      </Button>
+                      <Button
+                        variant="outline"
+                        size="sm"
+                        disabled={busy}
+                        onClick={() => void handleRemove(missingIds)}
+                      >
+                        {t('library.removeAll')}
+                      </Button>
+                    </div>
+                  )}
+                </div>
+                {result.missing.length === 0 ? (
+                  <p className="text-sm text-muted-foreground">{t('library.noMissing')}</p>
+                ) : (
+                  <div className="divide-y rounded-lg border">
+                    {result.missing.map((entry) => (
+                      <div key={entry.id} className="flex items-center gap-2 px-3 py-2">
+                        <div className="min-w-0 flex-1">
+                          <p className="truncate text-sm">{entry.title}</p>
+                          <p className="truncate text-xs text-muted-foreground">{entry.filePath}</p>
+                        </div>
+                        <Button
+                          variant="ghost"
+                          size="icon"
+                          className="h-8 w-8 shrink-0 rounded-full"
+                          disabled={busy}
+                          title={t('library.redownload')}
+                          onClick={() => void handleRedownload([entry.id])}
+                        >
+                          <RotateCcw className="h-4 w-4" />
+                        </Button>
+                        <Button
+                          variant="ghost"
+                          size="icon"
+                          className="h-8 w-8 shrink-0 rounded-full"
+                          disabled={busy}
+                          title={t('library.remove')}
+                          onClick={() => void handleRemove([entry.id])}
+                        >
+                          <Trash2 className="h-4 w-4" />
+                        </Button>
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </section>
+
+              <section className="space-y-2">
+                <h3 className="text-sm font-medium">{t('library.usageTitle')}</h3>
+                <Tabs value={usageTab} onValueChange={(value) => setUsageTab(value as UsageTab)}>
+                  <TabsList>
+                    <TabsTrigger value="byChannel">{t('library.byChannel')}</TabsTrigger>
+                    <TabsTrigger value="bySubscription">{t('library.bySubscription')}</TabsTrigger>
+                    <TabsTrigger value="byPlaylist">{t('library.byPlaylist')}</TabsTrigger>
+                  </TabsList>
+                  {(['byChannel', 'bySubscription', 'byPlaylist'] as const).map((tab) => (
+                    <TabsContent key={tab} value={tab}>
+                      {result.usage[tab].length === 0 ? (
+                        <p className="text-sm text-muted-foreground">{t('library.noUsage')}</p>
+                      ) : (
+                        <Table>
+                          <TableHeader>
+                            <TableRow>
+                              <TableHead>{t('library.name')}</TableHead>
+                              <TableHead className="text-right">{t('library.files')}</TableHead>
+                              <TableHead className="text-right">{t('library.size')}</TableHead>
+                            </TableRow>
+                          </TableHeader>
+                          <TableBody>
+                            {result.usage[tab].map((group) => (
+                              <TableRow key={group.key || 'unknown'}>
+                                <TableCell className="max-w-[320px] truncate">
+                                  {usageLabel(group)}
+                                </TableCell>
+                                <TableCell className="text-right tabular-nums">
+                                  {group.count}
+                                </TableCell>
+                                <TableCell className="text-right tabular-nums">
+                                  {formatBytes(group.bytes)}
+                                </TableCell>
+                              </TableRow>
+                            ))}
+                          </TableBody>
+                        </Table>
+                      )}
+                    </TabsContent>
+                  ))}
+                </Tabs>
+              </section>
+            </div>
+          </ScrollArea>
+        )}
+      </DialogContent>
+    </Dialog>
+  )
+}
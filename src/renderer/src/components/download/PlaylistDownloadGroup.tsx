@@ -59,7 +59,7 @@ export function PlaylistDownloadGroup({
   const completedCount = records.filter((record) => record.status === 'completed').length
   const errorCount = records.filter((record) => record.status === 'error').length
   const activeCount = records.filter((record) =>
-    ['downloading', 'processing', 'pending'].includes(record.status)
+    ['downloading', 'processing', 'pending', 'paused'].includes(record.status)
   ).length
 
   const displayTitle = title || t('playlist.untitled')
@@ -0,0 +1,70 @@
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue
+} from '@renderer/components/ui/select'
+import { cn } from '@renderer/lib/utils'
+import { settingsAtom } from '@renderer/store/settings'
+import { useAtomValue } from 'jotai'
+import { useTranslation } from 'react-i18next'
+
+// Radix Select does not allow empty item values, so the special choices use sentinels
+const DEFAULT_VALUE = '__default__'
+const NONE_VALUE = '__none__'
+
+interface PostProcessingPresetSelectProps {
+  // undefined follows the settings default, '' disables post-processing
+  value: string | undefined
+  onChange: (value: string | undefined) => void
+  // Offer "use default from settings"; the settings page itself picks a concrete value
+  allowDefault?: boolean
+  className?: string
+}
+
+export function PostProcessingPresetSelect({
+  value,
+  onChange,
+  allowDefault = true,
+  className
+}: PostProcessingPresetSelectProps) {
+  const { t } = useTranslation()
+  const settings = useAtomValue(settingsAtom)
+  const presets = settings.postProcessingPresets ?? []
+  const defaultPreset = presets.find((preset) => preset.id === settings.defaultPostProcessingPreset)
+
+  const selectValue =
+    value === undefined ? (allowDefault ? DEFAULT_VALUE : NONE_VALUE) : value || NONE_VALUE
+
+  const handleChange = (next: string) => {
+    if (next === DEFAULT_VALUE) {
+      onChange(undefined)
+      return
+    }
+    onChange(next === NONE_VALUE ? '' : next)
+  }
+
+  return (
+    <Select value={selectValue} onValueChange={handleChange}>
+      <SelectTrigger className={cn('h-9', className)}>
+        <SelectValue />
+      </SelectTrigger>
+      <SelectContent>
+        {allowDefault && (
+          <SelectItem value={DEFAULT_VALUE}>
+            {t('postProcessing.useDefault', {
+              name: defaultPreset?.name ?? t('postProcessing.none')
+            })}
+          </SelectItem>
+        )}
+        <SelectItem value={NONE_VALUE}>{t('postProcessing.none')}</SelectItem>
+        {presets.map((preset) => (
+          <SelectItem key={preset.id} value={preset.id}>
+            {preset.name}
+          </SelectItem>
+        ))}
+      </SelectContent>
+    </Select>
+  )
+}
@@ -0,0 +1,67 @@
+import { Label } from '@renderer/components/ui/label'
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue
+} from '@renderer/components/ui/select'
+import {
+  SPONSORBLOCK_CATEGORIES,
+  type SponsorBlockCategory,
+  type SponsorBlockOptions
+} from '@shared/types'
+import { useTranslation } from 'react-i18next'
+
+type SponsorBlockAction = 'off' | 'mark' | 'remove'
+
+interface SponsorBlockSelectProps {
+  value: SponsorBlockOptions
+  onChange: (value: SponsorBlockOptions) => void
+}
+
+/**
+ * One off/mark/remove choice per SponsorBlock category.
+ */
+export function SponsorBlockSelect({ value, onChange }: SponsorBlockSelectProps) {
+  const { t } = useTranslation()
+
+  const actionFor = (category: SponsorBlockCategory): SponsorBlockAction =>
+    value.remove.includes(category) ? 'remove' : value.mark.includes(category) ? 'mark' : 'off'
+
+  const handleChange = (category: SponsorBlockCategory, action: SponsorBlockAction) => {
+    const remove = value.remove.filter((entry) => entry !== category)
+    const mark = value.mark.filter((entry) => entry !== category)
+    if (action === 'remove') {
+      remove.push(category)
+    } else if (action === 'mark') {
+      mark.push(category)
+    }
+    onChange({ remove, mark })
+  }
+
+  return (
+    <div className="grid w-full grid-cols-2 gap-3">
+      {SPONSORBLOCK_CATEGORIES.map((category) => (
+        <div key={category} className="space-y-1.5">
+          <Label className="text-xs">{t(`sponsorBlock.categories.${category}`)}</Label>
+          <Select
+            value={actionFor(category)}
+            onValueChange={(next) => handleChange(category, next as SponsorBlockAction)}
+          >
+            <SelectTrigger className="h-9 w-full">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {(['off', 'mark', 'remove'] as const).map((action) => (
+                <SelectItem key={action} value={action}>
+                  {t(`sponsorBlock.actions.${action}`)}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+      ))}
+    </div>
+  )
+}
@@ -0,0 +1,70 @@
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue
+} from '@renderer/components/ui/select'
+import { cn } from '@renderer/lib/utils'
+import { settingsAtom } from '@renderer/store/settings'
+import { SUBTITLE_FORMATS, type SubtitleFormat } from '@shared/types'
+import { useAtomValue } from 'jotai'
+import { useTranslation } from 'react-i18next'
+
+// Radix Select does not allow empty item values, so the special choices use sentinels
+const DEFAULT_VALUE = '__default__'
+const ORIGINAL_VALUE = '__original__'
+
+interface SubtitleFormatSelectProps {
+  // undefined follows the setting, '' keeps the format the site offers
+  value: SubtitleFormat | '' | undefined
+  onChange: (value: SubtitleFormat | '' | undefined) => void
+  // Offer "use the setting"; the settings page itself picks a concrete value
+  allowDefault?: boolean
+  className?: string
+}
+
+export function SubtitleFormatSelect({
+  value,
+  onChange,
+  allowDefault = true,
+  className
+}: SubtitleFormatSelectProps) {
+  const { t } = useTranslation()
+  const settings = useAtomValue(settingsAtom)
+
+  const formatLabel = (format: SubtitleFormat | '') =>
+    format ? format.toUpperCase() : t('subtitles.originalFormat')
+
+  const selectValue =
+    value === undefined ? (allowDefault ? DEFAULT_VALUE : ORIGINAL_VALUE) : value || ORIGINAL_VALUE
+
+  const handleChange = (next: string) => {
+    if (next === DEFAULT_VALUE) {
+      onChange(undefined)
+      return
+    }
+    onChange(next === ORIGINAL_VALUE ? '' : (next as SubtitleFormat))
+  }
+
+  return (
+    <Select value={selectValue} onValueChange={handleChange}>
+      <SelectTrigger className={cn('h-9', className)}>
+        <SelectValue />
+      </SelectTrigger>
+      <SelectContent>
+        {allowDefault && (
+          <SelectItem value={DEFAULT_VALUE}>
+            {t('subtitles.useDefaultFormat', { format: formatLabel(settings.subtitleFormat) })}
+          </SelectItem>
+        )}
+        <SelectItem value={ORIGINAL_VALUE}>{t('subtitles.originalFormat')}</SelectItem>
+        {SUBTITLE_FORMATS.map((format) => (
+          <SelectItem key={format} value={format}>
+            {formatLabel(format)}
+          </SelectItem>
+        ))}
+      </SelectContent>
+    </Select>
+  )
+}
@@ -10,23 +10,30 @@ import {
   DialogTitle
 } from '@renderer/components/ui/dialog'
 import { cn } from '@renderer/lib/utils'
-import { useAtomValue, useSetAtom } from 'jotai'
-import { History as HistoryIcon } from 'lucide-react'
+import { useAtom, useAtomValue, useSetAtom } from 'jotai'
+import { History as HistoryIcon, Loader2, Pause, Play } from 'lucide-react'
 import { useEffect, useId, useMemo, useState } from 'react'
 import { useTranslation } from 'react-i18next'
 import { toast } from 'sonner'
+import { useDownloadEvents } from '../../hooks/use-download-events'
 import { useHistorySync } from '../../hooks/use-history-sync'
 import { ipcServices } from '../../lib/ipc'
 import type { DownloadRecord } from '../../store/downloads'
 import {
+  downloadQueueStatusAtom,
   downloadStatsAtom,
   downloadsArrayAtom,
+  historyCountsAtom,
+  historyFiltersAtom,
+  refreshHistoryCountsAtom,
   removeHistoryRecordsAtom,
   removeHistoryRecordsByPlaylistAtom
 } from '../../store/downloads'
 import { settingsAtom } from '../../store/settings'
 import { DownloadDialog } from './DownloadDialog'
 import { DownloadItem } from './DownloadItem'
+import { HistoryFilterBar, hasHistoryFilters } from './HistoryFilterBar'
+import { LibraryScanDialog } from './LibraryScanDialog'
 import { PlaylistDownloadGroup } from './PlaylistDownloadGroup'
 
 type StatusFilter = 'all' | 'active' | 'completed' | 'error'
@@ -124,8 +131,12 @@ export function UnifiedDownloadHistory({
   const { t } = useTranslation()
   const allRecords = useAtomValue(downloadsArrayAtom)
   const downloadStats = useAtomValue(downloadStatsAtom)
+  const queueStatus = useAtomValue(downloadQueueStatusAtom)
   const removeHistoryRecords = useSetAtom(removeHistoryRecordsAtom)
   const removeHistoryRecordsByPlaylist = useSetAtom(removeHistoryRecordsByPlaylistAtom)
+  const refreshHistoryCounts = useSetAtom(refreshHistoryCountsAtom)
+  const [historyFilters, setHistoryFilters] = useAtom(historyFiltersAtom)
+  const historyCounts = useAtomValue(historyCountsAtom)
   const settings = useAtomValue(settingsAtom)
   const [statusFilter, setStatusFilter] = useState<StatusFilter>('all')
   const [selectedIds, setSelectedIds] = useState<Set<string>>(new Set())
@@ -134,7 +145,20 @@ export function UnifiedDownloadHistory({
   const [alsoDeleteFiles, setAlsoDeleteFiles] = useState(false)
   const alsoDeleteFilesId = useId()
 
-  useHistorySync()
+  const { hasMore, loadMore, loadingMore } = useHistorySync()
+  useDownloadEvents()
+
+  const narrowed = hasHistoryFilters(historyFilters)
+  const historyStatus = historyFilters.statuses?.[0]
+
+  // Saved views carry their own status, keep the tabs in line with it
+  useEffect(() => {
+    if (historyStatus === 'completed' || historyStatus === 'error') {
+      setStatusFilter(historyStatus)
+    } else {
+      setStatusFilter((current) => (current === 'active' ? current : 'all'))
+    }
+  }, [historyStatus])
 
   const historyRecords = useMemo(
     () => allRecords.filter((record) => record.entryType === 'history'),
@@ -146,12 +170,14 @@ export function UnifiedDownloadHistory({
     return allRecords.filter((record) => {
       switch (statusFilter) {
         case 'all':
-          return true
+          // Active downloads are not part of the history query
+          return !narrowed || record.entryType === 'history'
         case 'active':
           return (
             record.status === 'downloading' ||
             record.status === 'processing' ||
-            record.status === 'pending'
+            record.status === 'pending' ||
+            record.status === 'paused'
           )
         case 'completed':
         case 'error':
@@ -160,15 +186,38 @@ export function UnifiedDownloadHistory({
           return true
       }
     })
-  }, [allRecords, statusFilter])
+  }, [allRecords, statusFilter, narrowed])
 
+  // Only a page of the history is loaded, so the counts come from the main process
   const filters: Array<{ key: StatusFilter; label: string; count: number }> = [
-    { key: 'all', label: t('download.all'), count: downloadStats.total },
+    {
+      key: 'all',
+      label: t('download.all'),
+      count: historyCounts
+        ? historyCounts.total - historyCounts.active + downloadStats.active
+        : downloadStats.total
+    },
     { key: 'active', label: t('download.active'), count: downloadStats.active },
-    { key: 'completed', label: t('download.completed'), count: downloadStats.completed },
-    { key: 'error', label: t('download.error'), count: downloadStats.error }
+    {
+      key: 'completed',
+      label: t('download.completed'),
+      count: historyCounts?.completed ?? downloadStats.completed
+    },
+    {
+      key: 'error',
+      label: t('download.error'),
+      count: historyCounts?.error ?? downloadStats.error
+    }
   ]
 
+  const handleStatusFilterChange = (key: StatusFilter) => {
+    setStatusFilter(key)
+    setHistoryFilters((current) => ({
+      ...current,
+      statuses: key === 'completed' || key === 'error' ? [key] : undefined
+    }))
+  }
+
   const selectableIds = useMemo(
     () =>
       filteredRecords.filter((record) => record.entryType === 'history').map((record) => record.id),
@@ -211,6 +260,22 @@ export function UnifiedDownloadHistory({
     })
   }
 
+  const showQueueToggle = Boolean(
+    queueStatus && (queueStatus.isPaused || queueStatus.active > 0 || queueStatus.queued > 0)
+  )
+
+  const handleToggleQueue = async () => {
+    try {
+      if (queueStatus?.isPaused) {
+        await ipcServices.download.resumeQueue()
+      } else {
+        await ipcServices.download.pauseQueue()
+      }
+    } catch (error) {
+      console.error('Failed to toggle download queue:', error)
+    }
+  }
+
   const handleClearSelection = () => {
     setSelectedIds(new Set())
   }
@@ -297,6 +362,11 @@ export function UnifiedDownloadHistory({
       if (!deleted) {
         failedIds.push(record.id)
       }
+      for (const fileName of record.subtitleFiles ?? []) {
+        if (fileName !== record.savedFileName) {
+          await ipcServices.fs.deleteFile(`${downloadPath.replace(/\\/g, '/')}/${fileName}`)
+        }
+      }
     }
     if (failedIds.length > 0) {
       console.warn('Failed to delete some playlist files:', failedIds)
@@ -331,6 +401,7 @@ export function UnifiedDownloadHistory({
           t('notifications.playlistHistoryRemoved', { count: confirmAction.ids.length })
         )
       }
+      void refreshHistoryCounts()
       setConfirmAction(null)
       setAlsoDeleteFiles(false)
     } catch (error) {
@@ -414,7 +485,7 @@ export function UnifiedDownloadHistory({
                       ? 'h-8 rounded-full px-3 shadow-sm'
                       : 'h-8 rounded-full border border-border/60 px-3'
                   }
-                  onClick={() => setStatusFilter(filter.key)}
+                  onClick={() => handleStatusFilterChange(filter.key)}
                 >
                   <span>{filter.label}</span>
                   <span
@@ -430,18 +501,39 @@ export function UnifiedDownloadHistory({
             })}
           </div>
           <div className="flex items-center gap-2">
+            {showQueueToggle && (
+              <Button
+                variant="ghost"
+                size="sm"
+                className="h-8 rounded-full border border-border/60 px-3"
+                onClick={handleToggleQueue}
+              >
+                {queueStatus?.isPaused ? (
+                  <Play className="h-4 w-4" />
+                ) : (
+                  <Pause className="h-4 w-4" />
+                )}
+                <span>
+                  {queueStatus?.isPaused ? t('download.resumeQueue') : t('download.pauseQueue')}
+                </span>
+              </Button>
+            )}
+            <LibraryScanDialog />
             <DownloadDialog
               onOpenSupportedSites={onOpenSupportedSites}
               onOpenSettings={onOpenSettings}
             />
           </div>
         </div>
+        <HistoryFilterBar />
       </CardHeader>
       <CardContent className="space-y-3 p-0 overflow-x-hidden w-full">
         {filteredRecords.length === 0 ? (
           <div className="flex flex-col items-center justify-center gap-3 rounded-xl border border-dashed border-border/60 px-6 py-10 text-center text-muted-foreground">
             <HistoryIcon className="h-10 w-10 opacity-50" />
-            <p className="text-sm font-medium">{t('download.noItems')}</p>
+            <p className="text-sm font-medium">
+              {narrowed ? t('history.noMatches') : t('download.noItems')}
+            </p>
           </div>
         ) : (
           <div className="space-y-4 w-full">
@@ -477,6 +569,20 @@ export function UnifiedDownloadHistory({
             })}
           </div>
         )}
+        {statusFilter !== 'active' && hasMore && (
+          <div className="flex justify-center">
+            <Button
+              variant="ghost"
+              size="sm"
+              className="h-8 rounded-full border border-border/60 px-3"
+              disabled={loadingMore}
+              onClick={() => void loadMore()}
+            >
+              {loadingMore && <Loader2 className="h-4 w-4 animate-spin" />}
+              {t('history.loadMore')}
+            </Button>
+          </div>
+        )}
       </CardContent>
       {selectedCount > 0 && (
         <div className="fixed bottom-4 left-1/2 z-40 w-[calc(100%-2rem)] -translate-x-1/2 sm:left-auto sm:right-6 sm:translate-x-0 sm:w-auto">
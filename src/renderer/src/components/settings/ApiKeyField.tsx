@@ -0,0 +1,79 @@
+import { Button } from '@renderer/components/ui/button'
+import { Input } from '@renderer/components/ui/input'
+import { ipcServices } from '@renderer/lib/ipc'
+import { logger } from '@renderer/lib/logger'
+import { settingsAtom } from '@renderer/store/settings'
+import { useAtom } from 'jotai'
+import { Copy, Eye, EyeOff } from 'lucide-react'
+import { useState } from 'react'
+import { useTranslation } from 'react-i18next'
+import { toast } from 'sonner'
+
+export function ApiKeyField() {
+  const { t } = useTranslation()
+  const [settings, setSettings] = useAtom(settingsAtom)
+  const [visible, setVisible] = useState(false)
+  const apiKey = settings.apiKey ?? ''
+
+  const handleGenerate = async () => {
+    try {
+      const nextKey = await ipcServices.settings.generateApiKey()
+      setSettings((prev) => ({ ...prev, apiKey: nextKey }))
+      setVisible(true)
+      toast.success(t('settings.apiKeyGenerated'))
+    } catch (error) {
+      logger.error('[Settings] Failed to generate API key:', error)
+      toast.error(t('settings.saveError'))
+    }
+  }
+
+  const handleRevoke = async () => {
+    try {
+      await ipcServices.settings.revokeApiKey()
+      setSettings((prev) => ({ ...prev, apiKey: '' }))
+      setVisible(false)
+      toast.success(t('settings.apiKeyRevoked'))
+    } catch (error) {
+      logger.error('[Settings] Failed to revoke API key:', error)
+      toast.error(t('settings.saveError'))
+    }
+  }
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(apiKey)
+      toast.success(t('settings.apiKeyCopied'))
+    } catch (error) {
+      logger.error('[Settings] Failed to copy API key:', error)
+      toast.error(t('notifications.copyFailed'))
+    }
+  }
+
+  return (
+    <div className="flex w-full max-w-md gap-2">
+      <Input
+        value={apiKey}
+        type={visible ? 'text' : 'password'}
+        placeholder={t('settings.apiKeyEmpty')}
+        readOnly
+        className="flex-1 font-mono"
+      />
+      {apiKey && (
+        <>
+          <Button variant="ghost" size="icon" onClick={() => setVisible((value) => !value)}>
+            {visible ? <EyeOff className="h-4 w-4" /> : <Eye className="h-4 w-4" />}
+          </Button>
+          <Button variant="ghost" size="icon" onClick={() => void handleCopy()}>
+            <Copy className="h-4 w-4" />
+          </Button>
+        </>
+      )}
+      <Button onClick={() => void handleGenerate()}>
+        {apiKey ? t('settings.apiKeyRegenerate') : t('settings.apiKeyGenerate')}
+      </Button>
+      <Button variant="secondary" disabled={!apiKey} onClick={() => void handleRevoke()}>
+        {t('settings.apiKeyRevoke')}
+      </Button>
+    </div>
+  )
+}
@@ -0,0 +1,201 @@
+import { Button } from '@renderer/components/ui/button'
+import { Checkbox } from '@renderer/components/ui/checkbox'
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle
+} from '@renderer/components/ui/dialog'
+import { Label } from '@renderer/components/ui/label'
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue
+} from '@renderer/components/ui/select'
+import { ipcServices } from '@renderer/lib/ipc'
+import { logger } from '@renderer/lib/logger'
+import type { BackupConflictStrategy, BackupImportMode } from '@shared/types'
+import { useSetAtom } from 'jotai'
+import { useId, useState } from 'react'
+import { useTranslation } from 'react-i18next'
+import { toast } from 'sonner'
+import { historyFiltersAtom } from '../../store/downloads'
+import { loadSettingsAtom } from '../../store/settings'
+
+type BackupDialog = 'export' | 'import' | null
+
+export function BackupField() {
+  const { t } = useTranslation()
+  const loadSettings = useSetAtom(loadSettingsAtom)
+  const setHistoryFilters = useSetAtom(historyFiltersAtom)
+  const [dialog, setDialog] = useState<BackupDialog>(null)
+  const [busy, setBusy] = useState(false)
+  const [includeThumbnails, setIncludeThumbnails] = useState(true)
+  const [mode, setMode] = useState<BackupImportMode>('merge')
+  const [conflict, setConflict] = useState<BackupConflictStrategy>('newest')
+  const [includeSettings, setIncludeSettings] = useState(true)
+  const includeThumbnailsId = useId()
+  const includeSettingsId = useId()
+
+  const handleExport = async () => {
+    setBusy(true)
+    try {
+      const filePath = await ipcServices.backup.exportBackup({ includeThumbnails })
+      if (filePath) {
+        toast.success(t('settings.backupExported', { path: filePath }))
+        setDialog(null)
+      }
+    } catch (error) {
+      logger.error('[Settings] Failed to export backup:', error)
+      toast.error(t('settings.backupExportFailed'))
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const handleImport = async () => {
+    setBusy(true)
+    try {
+      const result = await ipcServices.backup.importBackup({ mode, conflict, includeSettings })
+      if (!result) {
+        return
+      }
+      if (result.settings) {
+        await ipcServices.settings.setAll(result.settings)
+        await loadSettings()
+      }
+      // A new filters object reloads the history list
+      setHistoryFilters((current) => ({ ...current }))
+      toast.success(
+        t('settings.backupImported', {
+          history: result.history.added + result.history.updated,
+          subscriptions: result.subscriptions.added + result.subscriptions.updated,
+          skipped: result.history.skipped + result.subscriptions.skipped
+        })
+      )
+      setDialog(null)
+    } catch (error) {
+      logger.error('[Settings] Failed to import backup:', error)
+      toast.error(t('settings.backupImportFailed'))
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  return (
+    <div className="flex items-center gap-2">
+      <Button variant="outline" disabled={busy} onClick={() => setDialog('import')}>
+        {t('settings.backupImport')}
+      </Button>
+      <Button variant="outline" disabled={busy} onClick={() => setDialog('export')}>
+        {t('settings.backupExport')}
+      </Button>
+
+      <Dialog
+        open={dialog !== null}
+        onOpenChange={(open) => {
+          if (!open && !busy) {
+            setDialog(null)
+          }
+        }}
+      >
+        <DialogContent>
+          {dialog === 'export' ? (
+            <>
+              <DialogHeader>
+                <DialogTitle>{t('settings.backupExportTitle')}</DialogTitle>
+                <DialogDescription>{t('settings.backupExportDescription')}</DialogDescription>
+              </DialogHeader>
+              <div className="flex items-center space-x-2">
+                <Checkbox
+                  id={includeThumbnailsId}
+                  checked={includeThumbnails}
+                  onCheckedChange={(checked) => setIncludeThumbnails(checked === true)}
+                />
+                <Label htmlFor={includeThumbnailsId} className="cursor-pointer">
+                  {t('settings.backupIncludeThumbnails')}
+                </Label>
+              </div>
+            </>
+          ) : (
+            <>
+              <DialogHeader>
+                <DialogTitle>{t('settings.backupImportTitle')}</DialogTitle>
+                <DialogDescription>{t('settings.backupImportDescription')}</DialogDescription>
+              </DialogHeader>
+              <div className="space-y-4">
+                <div className="space-y-1.5">
+                  <Label>{t('settings.backupImportMode')}</Label>
+                  <Select
+                    value={mode}
+                    onValueChange={(value) => setMode(value as BackupImportMode)}
+                  >
+                    <SelectTrigger className="w-full">
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {(['merge', 'replace'] as const).map((value) => (
+                        <SelectItem key={value} value={value}>
+                          {t(`settings.backupImportModes.${value}`)}
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+                {mode === 'merge' && (
+                  <div className="space-y-1.5">
+                    <Label>{t('settings.backupConflict')}</Label>
+                    <Select
+                      value={conflict}
+                      onValueChange={(value) => setConflict(value as BackupConflictStrategy)}
+                    >
+                      <SelectTrigger className="w-full">
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent>
+                        {(['newest', 'skip', 'overwrite'] as const).map((value) => (
+                          <SelectItem key={value} value={value}>
+                            {t(`settings.backupConflicts.${value}`)}
+                          </SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                  </div>
+                )}
+                <div className="flex items-center space-x-2">
+                  <Checkbox
+                    id={includeSettingsId}
+                    checked={includeSettings}
+                    onCheckedChange={(checked) => setIncludeSettings(checked === true)}
+                  />
+                  <Label htmlFor={includeSettingsId} className="cursor-pointer">
+                    {t('settings.backupIncludeSettings')}
+                  </Label>
+                </div>
+                {mode === 'replace' && (
+                  <p className="text-sm text-destructive">{t('settings.backupReplaceWarning')}</p>
+                )}
+              </div>
+            </>
+          )}
+          <DialogFooter>
+            <Button variant="outline" onClick={() => setDialog(null)} disabled={busy}>
+              {t('download.cancel')}
+            </Button>
+            <Button
+              variant={dialog === 'import' && mode === 'replace' ? 'destructive' : 'default'}
+              disabled={busy}
+              onClick={() => void (dialog === 'export' ? handleExport() : handleImport())}
+            >
+              {t('settings.backupChooseFile')}
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+    </div>
+  )
+}
@@ -0,0 +1,79 @@
+import { Button } from '@renderer/components/ui/button'
+import { Input } from '@renderer/components/ui/input'
+import type { BandwidthScheduleRule } from '@shared/types'
+import { Plus, Trash2 } from 'lucide-react'
+import { useTranslation } from 'react-i18next'
+
+interface BandwidthScheduleEditorProps {
+  rules: BandwidthScheduleRule[]
+  onChange: (rules: BandwidthScheduleRule[]) => void
+}
+
+export function BandwidthScheduleEditor({ rules, onChange }: BandwidthScheduleEditorProps) {
+  const { t } = useTranslation()
+
+  const updateRule = (id: string, updates: Partial<BandwidthScheduleRule>) => {
+    onChange(rules.map((rule) => (rule.id === id ? { ...rule, ...updates } : rule)))
+  }
+
+  const removeRule = (id: string) => {
+    onChange(rules.filter((rule) => rule.id !== id))
+  }
+
+  const addRule = () => {
+    onChange([
+      ...rules,
+      { id: `schedule_${Date.now().toString(36)}`, start: '00:00', end: '07:00', limit: 0 }
+    ])
+  }
+
+  return (
+    <div className="flex w-full flex-col gap-2">
+      {rules.length === 0 && (
+        <p className="text-xs text-muted-foreground">{t('settings.bandwidthScheduleEmpty')}</p>
+      )}
+      {rules.map((rule) => (
+        <div key={rule.id} className="flex items-center gap-2">
+          <Input
+            type="time"
+            value={rule.start}
+            onChange={(e) => updateRule(rule.id, { start: e.target.value })}
+            className="w-28"
+          />
+          <span className="text-xs text-muted-foreground">-</span>
+          <Input
+            type="time"
+            value={rule.end}
+            onChange={(e) => updateRule(rule.id, { end: e.target.value })}
+            className="w-28"
+          />
+          <Input
+            type="number"
+            min={0}
+            value={rule.limit > 0 ? rule.limit.toString() : ''}
+            placeholder={t('settings.bandwidthUnlimited')}
+            onChange={(e) =>
+              updateRule(rule.id, { limit: Math.max(0, Number(e.target.value) || 0) })
+            }
+            className="w-32"
+          />
+          <span className="text-xs text-muted-foreground shrink-0">KiB/s</span>
+          <Button
+            variant="ghost"
+            size="icon"
+            className="h-8 w-8 shrink-0"
+            onClick={() => removeRule(rule.id)}
+          >
+            <Trash2 className="h-4 w-4" />
+          </Button>
+        </div>
+      ))}
+      <div>
+        <Button variant="outline" size="sm" onClick={addRule}>
+          <Plus className="h-4 w-4" />
+          {t('settings.bandwidthScheduleAdd')}
+        </Button>
+      </div>
+    </div>
+  )
+}
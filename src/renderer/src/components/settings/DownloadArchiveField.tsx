@@ -0,0 +1,115 @@
+import { Button } from '@renderer/components/ui/button'
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle
+} from '@renderer/components/ui/dialog'
+import { ipcServices } from '@renderer/lib/ipc'
+import { logger } from '@renderer/lib/logger'
+import { useCallback, useEffect, useState } from 'react'
+import { useTranslation } from 'react-i18next'
+import { toast } from 'sonner'
+
+export function DownloadArchiveField() {
+  const { t } = useTranslation()
+  const [count, setCount] = useState<number | null>(null)
+  const [busy, setBusy] = useState(false)
+  const [confirmClear, setConfirmClear] = useState(false)
+
+  const refreshCount = useCallback(async () => {
+    try {
+      setCount(await ipcServices.archive.getCount())
+    } catch (error) {
+      logger.error('[Settings] Failed to count download archive entries:', error)
+    }
+  }, [])
+
+  useEffect(() => {
+    void refreshCount()
+  }, [refreshCount])
+
+  const handleImport = async () => {
+    setBusy(true)
+    try {
+      const result = await ipcServices.archive.importFile()
+      if (result) {
+        toast.success(t('settings.downloadArchiveImported', { ...result }))
+        await refreshCount()
+      }
+    } catch (error) {
+      logger.error('[Settings] Failed to import download archive:', error)
+      toast.error(t('settings.downloadArchiveImportFailed'))
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const handleExport = async () => {
+    setBusy(true)
+    try {
+      const filePath = await ipcServices.archive.exportFile()
+      if (filePath) {
+        toast.success(t('settings.downloadArchiveExported', { path: filePath }))
+      }
+    } catch (error) {
+      logger.error('[Settings] Failed to export download archive:', error)
+      toast.error(t('settings.downloadArchiveExportFailed'))
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const handleClear = async () => {
+    setBusy(true)
+    try {
+      await ipcServices.archive.clear()
+      await refreshCount()
+      toast.success(t('settings.downloadArchiveCleared'))
+    } catch (error) {
+      logger.error('[Settings] Failed to clear download archive:', error)
+      toast.error(t('settings.downloadArchiveClearFailed'))
+    } finally {
+      setBusy(false)
+      setConfirmClear(false)
+    }
+  }
+
+  return (
+    <div className="flex items-center gap-2">
+      {count !== null && (
+        <span className="text-sm text-muted-foreground tabular-nums">
+          {t('settings.downloadArchiveCount', { count })}
+        </span>
+      )}
+      <Button variant="outline" disabled={busy} onClick={() => void handleImport()}>
+        {t('settings.downloadArchiveImport')}
+      </Button>
+      <Button variant="outline" disabled={busy} onClick={() => void handleExport()}>
+        {t('settings.downloadArchiveExport')}
+      </Button>
+      <Button variant="secondary" disabled={busy || !count} onClick={() => setConfirmClear(true)}>
+        {t('settings.downloadArchiveClear')}
+      </Button>
+
+      <Dialog open={confirmClear} onOpenChange={setConfirmClear}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>{t('settings.downloadArchiveClearTitle')}</DialogTitle>
+            <DialogDescription>{t('settings.downloadArchiveClearConfirm')}</DialogDescription>
+          </DialogHeader>
+          <DialogFooter>
+            <Button variant="outline" onClick={() => setConfirmClear(false)} disabled={busy}>
+              {t('download.cancel')}
+            </Button>
+            <Button variant="destructive" onClick={() => void handleClear()} disabled={busy}>
+              {t('settings.downloadArchiveClear')}
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+    </div>
+  )
+}
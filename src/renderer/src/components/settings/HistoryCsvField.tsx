@@ -0,0 +1,32 @@
+import { Button } from '@renderer/components/ui/button'
+import { ipcServices } from '@renderer/lib/ipc'
+import { logger } from '@renderer/lib/logger'
+import { useState } from 'react'
+import { useTranslation } from 'react-i18next'
+import { toast } from 'sonner'
+
+export function HistoryCsvField() {
+  const { t } = useTranslation()
+  const [busy, setBusy] = useState(false)
+
+  const handleExportHistoryCsv = async () => {
+    setBusy(true)
+    try {
+      const filePath = await ipcServices.backup.exportHistoryCsv()
+      if (filePath) {
+        toast.success(t('settings.exportedTo', { path: filePath }))
+      }
+    } catch (error) {
+      logger.error('[Settings] Failed to export history as CSV:', error)
+      toast.error(t('settings.exportFailed'))
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  return (
+    <Button variant="outline" disabled={busy} onClick={() => void handleExportHistoryCsv()}>
+      {t('settings.historyCsvExport')}
+    </Button>
+  )
+}
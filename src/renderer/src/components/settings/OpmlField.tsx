@@ -0,0 +1,52 @@
+import { Button } from '@renderer/components/ui/button'
+import { ipcServices } from '@renderer/lib/ipc'
+import { logger } from '@renderer/lib/logger'
+import { useState } from 'react'
+import { useTranslation } from 'react-i18next'
+import { toast } from 'sonner'
+
+export function OpmlField() {
+  const { t } = useTranslation()
+  const [busy, setBusy] = useState(false)
+
+  const handleImport = async () => {
+    setBusy(true)
+    try {
+      const result = await ipcServices.backup.importOpml()
+      if (result) {
+        toast.success(t('settings.opmlImported', { ...result }))
+      }
+    } catch (error) {
+      logger.error('[Settings] Failed to import OPML:', error)
+      toast.error(t('settings.opmlImportFailed'))
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const handleExport = async () => {
+    setBusy(true)
+    try {
+      const filePath = await ipcServices.backup.exportOpml()
+      if (filePath) {
+        toast.success(t('settings.exportedTo', { path: filePath }))
+      }
+    } catch (error) {
+      logger.error('[Settings] Failed to export OPML:', error)
+      toast.error(t('settings.exportFailed'))
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  return (
+    <div className="flex items-center gap-2">
+      <Button variant="outline" disabled={busy} onClick={() => void handleImport()}>
+        {t('settings.opmlImport')}
+      </Button>
+      <Button variant="outline" disabled={busy} onClick={() => void handleExport()}>
+        {t('settings.opmlExport')}
+      </Button>
+    </div>
+  )
+}
@@ -0,0 +1,187 @@
+import { Button } from '@renderer/components/ui/button'
+import { Input } from '@renderer/components/ui/input'
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue
+} from '@renderer/components/ui/select'
+import { Switch } from '@renderer/components/ui/switch'
+import type {
+  PostProcessingPreset,
+  PostProcessingStep,
+  PostProcessingStepType
+} from '@shared/types'
+import { Plus, Trash2 } from 'lucide-react'
+import { useTranslation } from 'react-i18next'
+
+interface PostProcessingPresetsEditorProps {
+  presets: PostProcessingPreset[]
+  onChange: (presets: PostProcessingPreset[]) => void
+}
+
+const stepTypes: PostProcessingStepType[] = [
+  'remux-mp4',
+  'transcode-h264',
+  'extract-audio',
+  'normalize-loudness',
+  'trim-silence'
+]
+
+const createStep = (type: PostProcessingStepType): PostProcessingStep =>
+  type === 'extract-audio' ? { type, audioCodec: 'mp3', audioBitrate: 192 } : { type }
+
+export function PostProcessingPresetsEditor({
+  presets,
+  onChange
+}: PostProcessingPresetsEditorProps) {
+  const { t } = useTranslation()
+
+  const updatePreset = (id: string, updates: Partial<PostProcessingPreset>) => {
+    onChange(presets.map((preset) => (preset.id === id ? { ...preset, ...updates } : preset)))
+  }
+
+  const updateStep = (
+    preset: PostProcessingPreset,
+    index: number,
+    updates: Partial<PostProcessingStep>
+  ) => {
+    updatePreset(preset.id, {
+      steps: preset.steps.map((step, stepIndex) =>
+        stepIndex === index ? { ...step, ...updates } : step
+      )
+    })
+  }
+
+  const addPreset = () => {
+    onChange([
+      ...presets,
+      {
+        id: `preset_${Date.now().toString(36)}`,
+        name: t('settings.postProcessingNewPreset'),
+        steps: [createStep('remux-mp4')],
+        keepOriginal: false
+      }
+    ])
+  }
+
+  return (
+    <div className="flex w-full flex-col gap-3">
+      {presets.map((preset) => (
+        <div key={preset.id} className="flex flex-col gap-2 rounded-md border p-3">
+          <div className="flex items-center gap-2">
+            <Input
+              value={preset.name}
+              onChange={(e) => updatePreset(preset.id, { name: e.target.value })}
+              className="h-8 flex-1"
+            />
+            <span className="text-xs text-muted-foreground shrink-0">
+              {t('settings.postProcessingKeepOriginal')}
+            </span>
+            <Switch
+              checked={preset.keepOriginal}
+              onCheckedChange={(checked) => updatePreset(preset.id, { keepOriginal: checked })}
+            />
+            <Button
+              variant="ghost"
+              size="icon"
+              className="h-8 w-8 shrink-0"
+              onClick={() => onChange(presets.filter((candidate) => candidate.id !== preset.id))}
+            >
+              <Trash2 className="h-4 w-4" />
+            </Button>
+          </div>
+          {preset.steps.map((step, index) => (
+            <div key={`${preset.id}-step-${index}`} className="flex items-center gap-2 pl-2">
+              <span className="w-4 text-xs text-muted-foreground tabular-nums">{index + 1}.</span>
+              <Select
+                value={step.type}
+                onValueChange={(value) =>
+                  updatePreset(preset.id, {
+                    steps: preset.steps.map((current, stepIndex) =>
+                      stepIndex === index ? createStep(value as PostProcessingStepType) : current
+                    )
+                  })
+                }
+              >
+                <SelectTrigger className="h-8 w-48">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {stepTypes.map((type) => (
+                    <SelectItem key={type} value={type}>
+                      {t(`postProcessing.steps.${type}`)}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              {step.type === 'extract-audio' && (
+                <>
+                  <Select
+                    value={step.audioCodec ?? 'mp3'}
+                    onValueChange={(value) =>
+                      updateStep(preset, index, { audioCodec: value as 'mp3' | 'opus' })
+                    }
+                  >
+                    <SelectTrigger className="h-8 w-24">
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value="mp3">MP3</SelectItem>
+                      <SelectItem value="opus">Opus</SelectItem>
+                    </SelectContent>
+                  </Select>
+                  <Input
+                    type="number"
+                    min={32}
+                    max={512}
+                    value={step.audioBitrate?.toString() ?? ''}
+                    onChange={(e) =>
+                      updateStep(preset, index, {
+                        audioBitrate: Math.max(0, Math.floor(Number(e.target.value) || 0))
+                      })
+                    }
+                    className="h-8 w-20"
+                  />
+                  <span className="text-xs text-muted-foreground shrink-0">kbps</span>
+                </>
+              )}
+              <Button
+                variant="ghost"
+                size="icon"
+                className="ml-auto h-8 w-8 shrink-0"
+                disabled={preset.steps.length <= 1}
+                onClick={() =>
+                  updatePreset(preset.id, {
+                    steps: preset.steps.filter((_, stepIndex) => stepIndex !== index)
+                  })
+                }
+              >
+                <Trash2 className="h-4 w-4" />
+              </Button>
+            </div>
+          ))}
+          <div className="pl-2">
+            <Button
+              variant="ghost"
+              size="sm"
+              onClick={() =>
+                updatePreset(preset.id, { steps: [...preset.steps, createStep('remux-mp4')] })
+              }
+            >
+              <Plus className="h-4 w-4" />
+              {t('settings.postProcessingAddStep')}
+            </Button>
+          </div>
+        </div>
+      ))}
+      <div>
+        <Button variant="outline" size="sm" onClick={addPreset}>
+          <Plus className="h-4 w-4" />
+          {t('settings.postProcessingAddPreset')}
+        </Button>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,426 @@
+import { Button } from '@renderer/components/ui/button'
+import { Input } from '@renderer/components/ui/input'
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue
+} from '@renderer/components/ui/select'
+import { Switch } from '@renderer/components/ui/switch'
+import { ipcServices } from '@renderer/lib/ipc'
+import { logger } from '@renderer/lib/logger'
+import { settingsAtom } from '@renderer/store/settings'
+import type { OneClickQualityPreset, SiteRule } from '@shared/types'
+import {
+  applySiteRule,
+  findSiteRule,
+  getSiteRuleArgs,
+  isBlockedExtraArg,
+  normalizeSiteDomain,
+  parseExtraArgs
+} from '@shared/utils/site-rules'
+import { useAtomValue } from 'jotai'
+import { ArrowUp, Plus, Trash2 } from 'lucide-react'
+import { useState } from 'react'
+import { useTranslation } from 'react-i18next'
+import { toast } from 'sonner'
+
+interface SiteRulesEditorProps {
+  rules: SiteRule[]
+  onChange: (rules: SiteRule[]) => void
+}
+
+// Radix Select does not allow empty item values
+const USE_GLOBAL = '__default__'
+const COOKIES_FILE = '__file__'
+const DIRECT_PROXY = '__direct__'
+const CUSTOM_PROXY = '__custom__'
+
+const browsers = [
+  'chrome',
+  'chromium',
+  'firefox',
+  'edge',
+  'safari',
+  'brave',
+  'opera',
+  'vivaldi',
+  'whale'
+] as const
+
+const qualityPresets: OneClickQualityPreset[] = ['best', 'good', 'normal', 'bad', 'worst']
+
+const splitList = (value: string): string[] =>
+  Array.from(
+    new Set(
+      value
+        .split(',')
+        .map((entry) => entry.trim())
+        .filter((entry) => entry !== '')
+    )
+  )
+
+const resolveCookiesMode = (rule: SiteRule): string => {
+  if (rule.browserForCookies === undefined && rule.cookiesPath === undefined) {
+    return USE_GLOBAL
+  }
+  if (rule.cookiesPath?.trim()) {
+    return COOKIES_FILE
+  }
+  return rule.browserForCookies && rule.browserForCookies !== 'none'
+    ? rule.browserForCookies.split(':')[0]
+    : 'none'
+}
+
+export function SiteRulesEditor({ rules, onChange }: SiteRulesEditorProps) {
+  const { t } = useTranslation()
+  const settings = useAtomValue(settingsAtom)
+  const [testUrl, setTestUrl] = useState('')
+  // An empty proxy connects directly, rules stay in custom mode while their proxy is typed
+  const [customProxyIds, setCustomProxyIds] = useState<Set<string>>(new Set())
+
+  const resolveProxyMode = (rule: SiteRule): string => {
+    if (rule.proxy === undefined) {
+      return USE_GLOBAL
+    }
+    return rule.proxy === '' && !customProxyIds.has(rule.id) ? DIRECT_PROXY : CUSTOM_PROXY
+  }
+
+  const updateRule = (id: string, updates: Partial<SiteRule>) => {
+    onChange(rules.map((rule) => (rule.id === id ? { ...rule, ...updates } : rule)))
+  }
+
+  const moveUp = (index: number) => {
+    const next = [...rules]
+    ;[next[index - 1], next[index]] = [next[index], next[index - 1]]
+    onChange(next)
+  }
+
+  const addRule = () => {
+    onChange([
+      ...rules,
+      {
+        id: `site_${Date.now().toString(36)}`,
+        name: t('siteRules.newRule'),
+        enabled: true,
+        domains: [],
+        extractors: []
+      }
+    ])
+  }
+
+  const selectPath = async (rule: SiteRule, key: 'cookiesPath' | 'downloadPath') => {
+    try {
+      const selected =
+        key === 'cookiesPath'
+          ? await ipcServices.fs.selectFile()
+          : await ipcServices.fs.selectDirectory()
+      if (!selected) {
+        return
+      }
+      updateRule(
+        rule.id,
+        key === 'cookiesPath'
+          ? { browserForCookies: 'none', cookiesPath: selected }
+          : { downloadPath: selected }
+      )
+    } catch (error) {
+      logger.error('[Settings] Failed to select site rule path:', error)
+      toast.error(
+        t(key === 'cookiesPath' ? 'settings.fileSelectError' : 'settings.directorySelectError')
+      )
+    }
+  }
+
+  const changeCookies = (rule: SiteRule, mode: string) => {
+    if (mode === COOKIES_FILE) {
+      void selectPath(rule, 'cookiesPath')
+      return
+    }
+    updateRule(
+      rule.id,
+      mode === USE_GLOBAL
+        ? { browserForCookies: undefined, cookiesPath: undefined }
+        : { browserForCookies: mode, cookiesPath: '' }
+    )
+  }
+
+  const changeProxy = (rule: SiteRule, mode: string) => {
+    setCustomProxyIds((current) => {
+      const next = new Set(current)
+      if (mode === CUSTOM_PROXY) {
+        next.add(rule.id)
+      } else {
+        next.delete(rule.id)
+      }
+      return next
+    })
+    updateRule(rule.id, {
+      proxy: mode === USE_GLOBAL ? undefined : mode === DIRECT_PROXY ? '' : (rule.proxy ?? '')
+    })
+  }
+
+  const describeCookies = (browserForCookies: string, cookiesPath: string): string => {
+    const sources = [
+      browserForCookies && browserForCookies !== 'none'
+        ? t('siteRules.previewBrowserCookies', { browser: browserForCookies })
+        : undefined,
+      cookiesPath.trim() ? t('siteRules.previewCookiesFile', { path: cookiesPath }) : undefined
+    ].filter(Boolean)
+    return sources.length > 0 ? sources.join(', ') : t('settings.none')
+  }
+
+  const renderPreview = () => {
+    const input = testUrl.trim()
+    if (!input) {
+      return null
+    }
+    const url = input.includes('://') ? input : `https://${input}`
+    if (!normalizeSiteDomain(url)) {
+      return <p className="text-xs text-destructive">{t('siteRules.previewInvalidUrl')}</p>
+    }
+    const rule = findSiteRule(rules, { url })
+    const effective = applySiteRule(settings, rule)
+    const extraArgs = getSiteRuleArgs(rule)
+    const rows: Array<[string, string]> = [
+      [t('siteRules.cookies'), describeCookies(effective.browserForCookies, effective.cookiesPath)],
+      [t('siteRules.proxy'), effective.proxy || t('siteRules.directConnection')],
+      [t('siteRules.quality'), t(`settings.oneClickQualityOptions.${effective.oneClickQuality}`)],
+      [t('siteRules.downloadPath'), effective.downloadPath],
+      [t('siteRules.filenameTemplate'), rule?.filenameTemplate?.trim() || t('siteRules.default')],
+      [
+        t('siteRules.extraArgs'),
+        extraArgs.length > 0
+          ? extraArgs.map((arg) => (/\s/.test(arg) ? JSON.stringify(arg) : arg)).join(' ')
+          : t('settings.none')
+      ]
+    ]
+    const hasExtractorRules = rules.some((entry) => entry.enabled && entry.extractors.length > 0)
+    return (
+      <div className="space-y-2 rounded-md border p-3 text-xs">
+        <p className="font-medium">
+          {rule
+            ? t('siteRules.previewMatched', { name: rule.name || t('siteRules.untitled') })
+            : t('siteRules.previewNoMatch')}
+        </p>
+        <dl className="grid grid-cols-[auto_1fr] gap-x-4 gap-y-1">
+          {rows.map(([label, value]) => (
+            <div key={label} className="contents">
+              <dt className="text-muted-foreground">{label}</dt>
+              <dd className="break-all">{value}</dd>
+            </div>
+          ))}
+        </dl>
+        {!rule && hasExtractorRules && (
+          <p className="text-muted-foreground">{t('siteRules.previewExtractorHint')}</p>
+        )}
+      </div>
+    )
+  }
+
+  return (
+    <div className="flex w-full flex-col gap-3">
+      {rules.length === 0 && (
+        <p className="text-xs text-muted-foreground">{t('siteRules.empty')}</p>
+      )}
+      {rules.map((rule, index) => {
+        const cookiesMode = resolveCookiesMode(rule)
+        const proxyMode = resolveProxyMode(rule)
+        return (
+          <div key={rule.id} className="flex flex-col gap-2 rounded-md border p-3">
+            <div className="flex items-center gap-2">
+              <Input
+                value={rule.name}
+                placeholder={t('siteRules.untitled')}
+                onChange={(e) => updateRule(rule.id, { name: e.target.value })}
+                className="h-8 flex-1"
+              />
+              <span className="text-xs text-muted-foreground shrink-0">
+                {t('siteRules.enabled')}
+              </span>
+              <Switch
+                checked={rule.enabled}
+                onCheckedChange={(checked) => updateRule(rule.id, { enabled: checked })}
+              />
+              <Button
+                variant="ghost"
+                size="icon"
+                className="h-8 w-8 shrink-0"
+                disabled={index === 0}
+                onClick={() => moveUp(index)}
+                title={t('siteRules.moveUp')}
+              >
+                <ArrowUp className="h-4 w-4" />
+              </Button>
+              <Button
+                variant="ghost"
+                size="icon"
+                className="h-8 w-8 shrink-0"
+                onClick={() => onChange(rules.filter((candidate) => candidate.id !== rule.id))}
+                title={t('siteRules.remove')}
+              >
+                <Trash2 className="h-4 w-4" />
+              </Button>
+            </div>
+
+            <div className="grid grid-cols-[8rem_1fr] items-center gap-2 text-xs">
+              <span className="text-muted-foreground">{t('siteRules.domains')}</span>
+              <Input
+                key={`${rule.id}-domains-${rule.domains.join(',')}`}
+                defaultValue={rule.domains.join(', ')}
+                placeholder={t('siteRules.domainsPlaceholder')}
+                onBlur={(e) =>
+                  updateRule(rule.id, {
+                    domains: splitList(e.target.value)
+                      .map(normalizeSiteDomain)
+                      .filter((domain) => domain !== '')
+                  })
+                }
+                className="h-8"
+              />
+
+              <span className="text-muted-foreground">{t('siteRules.extractors')}</span>
+              <Input
+                key={`${rule.id}-extractors-${rule.extractors.join(',')}`}
+                defaultValue={rule.extractors.join(', ')}
+                placeholder={t('siteRules.extractorsPlaceholder')}
+                onBlur={(e) => updateRule(rule.id, { extractors: splitList(e.target.value) })}
+                className="h-8"
+              />
+
+              <span className="text-muted-foreground">{t('siteRules.cookies')}</span>
+              <div className="flex items-center gap-2 min-w-0">
+                <Select value={cookiesMode} onValueChange={(mode) => changeCookies(rule, mode)}>
+                  <SelectTrigger className="h-8 w-40 shrink-0">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value={USE_GLOBAL}>{t('siteRules.useGlobal')}</SelectItem>
+                    <SelectItem value="none">{t('settings.none')}</SelectItem>
+                    {browsers.map((browser) => (
+                      <SelectItem key={browser} value={browser}>
+                        {t(`settings.browserOptions.${browser}`)}
+                      </SelectItem>
+                    ))}
+                    <SelectItem value={COOKIES_FILE}>{t('siteRules.cookiesFile')}</SelectItem>
+                  </SelectContent>
+                </Select>
+                {cookiesMode === COOKIES_FILE && (
+                  <>
+                    <Input value={rule.cookiesPath ?? ''} readOnly className="h-8 flex-1" />
+                    <Button size="sm" onClick={() => void selectPath(rule, 'cookiesPath')}>
+                      {t('settings.selectPath')}
+                    </Button>
+                  </>
+                )}
+              </div>
+
+              <span className="text-muted-foreground">{t('siteRules.proxy')}</span>
+              <div className="flex items-center gap-2 min-w-0">
+                <Select value={proxyMode} onValueChange={(mode) => changeProxy(rule, mode)}>
+                  <SelectTrigger className="h-8 w-40 shrink-0">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value={USE_GLOBAL}>{t('siteRules.useGlobal')}</SelectItem>
+                    <SelectItem value={DIRECT_PROXY}>{t('siteRules.directConnection')}</SelectItem>
+                    <SelectItem value={CUSTOM_PROXY}>{t('siteRules.customProxy')}</SelectItem>
+                  </SelectContent>
+                </Select>
+                {proxyMode === CUSTOM_PROXY && (
+                  <Input
+                    value={rule.proxy ?? ''}
+                    placeholder={t('settings.proxyPlaceholder')}
+                    onChange={(e) => updateRule(rule.id, { proxy: e.target.value })}
+                    className="h-8 flex-1"
+                  />
+                )}
+              </div>
+
+              <span className="text-muted-foreground">{t('siteRules.quality')}</span>
+              <Select
+                value={rule.quality ?? USE_GLOBAL}
+                onValueChange={(value) =>
+                  updateRule(rule.id, {
+                    quality: value === USE_GLOBAL ? undefined : (value as OneClickQualityPreset)
+                  })
+                }
+              >
+                <SelectTrigger className="h-8 w-40">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value={USE_GLOBAL}>{t('siteRules.useGlobal')}</SelectItem>
+                  {qualityPresets.map((preset) => (
+                    <SelectItem key={preset} value={preset}>
+                      {t(`settings.oneClickQualityOptions.${preset}`)}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+
+              <span className="text-muted-foreground">{t('siteRules.filenameTemplate')}</span>
+              <Input
+                value={rule.filenameTemplate ?? ''}
+                placeholder={t('siteRules.filenameTemplatePlaceholder')}
+                onChange={(e) =>
+                  updateRule(rule.id, { filenameTemplate: e.target.value || undefined })
+                }
+                className="h-8"
+              />
+
+              <span className="text-muted-foreground">{t('siteRules.downloadPath')}</span>
+              <div className="flex items-center gap-2 min-w-0">
+                <Input
+                  value={rule.downloadPath ?? ''}
+                  placeholder={t('siteRules.useGlobal')}
+                  readOnly
+                  className="h-8 flex-1"
+                />
+                <Button size="sm" onClick={() => void selectPath(rule, 'downloadPath')}>
+                  {t('settings.selectPath')}
+                </Button>
+                <Button
+                  size="sm"
+                  variant="secondary"
+                  disabled={!rule.downloadPath}
+                  onClick={() => updateRule(rule.id, { downloadPath: undefined })}
+                >
+                  {t('siteRules.clear')}
+                </Button>
+              </div>
+
+              <span className="text-muted-foreground">{t('siteRules.extraArgs')}</span>
+              <Input
+                value={rule.extraArgs ?? ''}
+                placeholder={t('siteRules.extraArgsPlaceholder')}
+                onChange={(e) => updateRule(rule.id, { extraArgs: e.target.value || undefined })}
+                className="h-8 font-mono"
+              />
+              {parseExtraArgs(rule.extraArgs).some(isBlockedExtraArg) && (
+                <p className="col-start-2 text-destructive">{t('siteRules.extraArgsBlocked')}</p>
+              )}
+            </div>
+          </div>
+        )
+      })}
+      <div>
+        <Button variant="outline" size="sm" onClick={addRule}>
+          <Plus className="h-4 w-4" />
+          {t('siteRules.add')}
+        </Button>
+      </div>
+
+      <div className="space-y-2 pt-2">
+        <Input
+          value={testUrl}
+          placeholder={t('siteRules.testUrlPlaceholder')}
+          onChange={(e) => setTestUrl(e.target.value)}
+          className="h-8"
+        />
+        {renderPreview()}
+      </div>
+    </div>
+  )
+}
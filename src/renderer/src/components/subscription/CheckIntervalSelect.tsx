@@ -0,0 +1,69 @@
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue
+} from '@renderer/components/ui/select'
+import { cn } from '@renderer/lib/utils'
+import { settingsAtom } from '@renderer/store/settings'
+import { subscriptionCheckIntervalOptions } from '@shared/utils/subscription-schedule'
+import { useAtomValue } from 'jotai'
+import { useTranslation } from 'react-i18next'
+
+// Radix Select does not allow empty item values
+const DEFAULT_VALUE = '__default__'
+
+interface CheckIntervalSelectProps {
+  // Minutes; undefined follows the settings default
+  value: number | undefined
+  onChange: (value: number | undefined) => void
+  allowDefault?: boolean
+  className?: string
+}
+
+export function CheckIntervalSelect({
+  value,
+  onChange,
+  allowDefault = true,
+  className
+}: CheckIntervalSelectProps) {
+  const { t } = useTranslation()
+  const settings = useAtomValue(settingsAtom)
+
+  const formatInterval = (minutes: number) =>
+    minutes % 60 === 0
+      ? t('subscriptions.schedule.hours', { count: minutes / 60 })
+      : t('subscriptions.schedule.minutes', { count: minutes })
+
+  // Keep values outside the presets selectable
+  const options =
+    value && !subscriptionCheckIntervalOptions.includes(value)
+      ? [...subscriptionCheckIntervalOptions, value].sort((a, b) => a - b)
+      : subscriptionCheckIntervalOptions
+
+  return (
+    <Select
+      value={value === undefined && allowDefault ? DEFAULT_VALUE : String(value ?? '')}
+      onValueChange={(next) => onChange(next === DEFAULT_VALUE ? undefined : Number(next))}
+    >
+      <SelectTrigger className={cn('h-9', className)}>
+        <SelectValue />
+      </SelectTrigger>
+      <SelectContent>
+        {allowDefault && (
+          <SelectItem value={DEFAULT_VALUE}>
+            {t('subscriptions.schedule.useDefault', {
+              interval: formatInterval(settings.subscriptionCheckInterval)
+            })}
+          </SelectItem>
+        )}
+        {options.map((minutes) => (
+          <SelectItem key={minutes} value={String(minutes)}>
+            {formatInterval(minutes)}
+          </SelectItem>
+        ))}
+      </SelectContent>
+    </Select>
+  )
+}
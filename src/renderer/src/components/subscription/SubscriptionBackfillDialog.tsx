@@ -0,0 +1,213 @@
+import { Button } from '@renderer/components/ui/button'
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle
+} from '@renderer/components/ui/dialog'
+import { Input } from '@renderer/components/ui/input'
+import { Label } from '@renderer/components/ui/label'
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue
+} from '@renderer/components/ui/select'
+import { ipcServices } from '@renderer/lib/ipc'
+import type { SubscriptionBackfillOptions, SubscriptionRule } from '@shared/types'
+import dayjs from 'dayjs'
+import { useEffect, useState } from 'react'
+import { useTranslation } from 'react-i18next'
+import { toast } from 'sonner'
+import { CheckIntervalSelect } from './CheckIntervalSelect'
+
+interface BackfillFormState {
+  mode: SubscriptionBackfillOptions['mode']
+  count: string
+  // YYYY-MM-DD as used by the date inputs
+  from: string
+  to: string
+  batchSize: string
+  batchIntervalMinutes: number
+}
+
+const initialFormState: BackfillFormState = {
+  mode: 'count',
+  count: '50',
+  from: '',
+  to: '',
+  batchSize: '5',
+  batchIntervalMinutes: 60
+}
+
+const parsePositive = (value: string): number | undefined => {
+  const parsed = Number(value)
+  return Number.isFinite(parsed) && parsed > 0 ? Math.round(parsed) : undefined
+}
+
+const parseDate = (value: string, endOfDay = false): number | undefined => {
+  if (!value) {
+    return undefined
+  }
+  const date = dayjs(value)
+  if (!date.isValid()) {
+    return undefined
+  }
+  return (endOfDay ? date.endOf('day') : date.startOf('day')).valueOf()
+}
+
+interface SubscriptionBackfillDialogProps {
+  subscription: SubscriptionRule
+  open: boolean
+  onClose: () => void
+}
+
+export function SubscriptionBackfillDialog({
+  subscription,
+  open,
+  onClose
+}: SubscriptionBackfillDialogProps) {
+  const { t } = useTranslation()
+  const [form, setForm] = useState<BackfillFormState>(initialFormState)
+  const [submitting, setSubmitting] = useState(false)
+
+  useEffect(() => {
+    if (open) {
+      setForm(initialFormState)
+    }
+  }, [open])
+
+  const updateForm = (updates: Partial<BackfillFormState>) => {
+    setForm((prev) => ({ ...prev, ...updates }))
+  }
+
+  const handleStart = async () => {
+    const options: SubscriptionBackfillOptions = {
+      mode: form.mode,
+      count: form.mode === 'count' ? parsePositive(form.count) : undefined,
+      from: form.mode === 'date-range' ? parseDate(form.from) : undefined,
+      to: form.mode === 'date-range' ? parseDate(form.to, true) : undefined,
+      batchSize: parsePositive(form.batchSize) ?? 5,
+      batchIntervalMinutes: form.batchIntervalMinutes
+    }
+    if (options.from && options.to && options.from > options.to) {
+      toast.error(t('subscriptions.backfill.invalidRange'))
+      return
+    }
+
+    setSubmitting(true)
+    try {
+      const started = await ipcServices.subscriptions.startBackfill(subscription.id, options)
+      if (!started) {
+        toast.info(t('subscriptions.backfill.alreadyListing'))
+        return
+      }
+      toast.success(t('subscriptions.backfill.started'))
+      onClose()
+    } catch (error) {
+      console.error('Failed to start subscription backfill:', error)
+      toast.error(t('subscriptions.backfill.startError'))
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  return (
+    <Dialog open={open} onOpenChange={(isOpen) => !isOpen && onClose()}>
+      <DialogContent className="max-w-md">
+        <DialogHeader>
+          <DialogTitle>{t('subscriptions.backfill.title')}</DialogTitle>
+          <DialogDescription>
+            {t('subscriptions.backfill.description', {
+              title: subscription.title || t('subscriptions.labels.unknown')
+            })}
+          </DialogDescription>
+        </DialogHeader>
+        <div className="space-y-3">
+          <div className="space-y-2">
+            <Label>{t('subscriptions.backfill.mode')}</Label>
+            <Select
+              value={form.mode}
+              onValueChange={(next) =>
+                updateForm({ mode: next as SubscriptionBackfillOptions['mode'] })
+              }
+            >
+              <SelectTrigger className="h-9">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value="count">{t('subscriptions.backfill.modes.count')}</SelectItem>
+                <SelectItem value="date-range">
+                  {t('subscriptions.backfill.modes.date-range')}
+                </SelectItem>
+              </SelectContent>
+            </Select>
+          </div>
+          {form.mode === 'count' ? (
+            <div className="space-y-2">
+              <Label>{t('subscriptions.backfill.count')}</Label>
+              <Input
+                type="number"
+                min={0}
+                value={form.count}
+                placeholder={t('subscriptions.backfill.allUploads')}
+                onChange={(event) => updateForm({ count: event.target.value })}
+              />
+            </div>
+          ) : (
+            <div className="grid grid-cols-2 gap-3">
+              <div className="space-y-2">
+                <Label>{t('subscriptions.backfill.from')}</Label>
+                <Input
+                  type="date"
+                  value={form.from}
+                  onChange={(event) => updateForm({ from: event.target.value })}
+                />
+              </div>
+              <div className="space-y-2">
+                <Label>{t('subscriptions.backfill.to')}</Label>
+                <Input
+                  type="date"
+                  value={form.to}
+                  onChange={(event) => updateForm({ to: event.target.value })}
+                />
+              </div>
+            </div>
+          )}
+          <div className="grid grid-cols-2 gap-3">
+            <div className="space-y-2">
+              <Label>{t('subscriptions.backfill.batchSize')}</Label>
+              <Input
+                type="number"
+                min={1}
+                max={50}
+                value={form.batchSize}
+                onChange={(event) => updateForm({ batchSize: event.target.value })}
+              />
+            </div>
+            <div className="space-y-2">
+              <Label>{t('subscriptions.backfill.batchInterval')}</Label>
+              <CheckIntervalSelect
+                value={form.batchIntervalMinutes}
+                allowDefault={false}
+                onChange={(next) => updateForm({ batchIntervalMinutes: next ?? 60 })}
+              />
+            </div>
+          </div>
+          <p className="text-xs text-muted-foreground">{t('subscriptions.backfill.hint')}</p>
+        </div>
+        <DialogFooter>
+          <Button variant="outline" onClick={onClose}>
+            {t('download.cancel')}
+          </Button>
+          <Button disabled={submitting} onClick={() => void handleStart()}>
+            {t('subscriptions.backfill.start')}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  )
+}
@@ -0,0 +1,283 @@
+import { Badge } from '@renderer/components/ui/badge'
+import { Button } from '@renderer/components/ui/button'
+import { Input } from '@renderer/components/ui/input'
+import { Label } from '@renderer/components/ui/label'
+import { ipcServices } from '@renderer/lib/ipc'
+import { cn } from '@renderer/lib/utils'
+import type {
+  SubscriptionFeedType,
+  SubscriptionFilterPreviewItem,
+  SubscriptionFilters,
+  SubscriptionRule
+} from '@shared/types'
+import dayjs from 'dayjs'
+import { Loader2 } from 'lucide-react'
+import { useState } from 'react'
+import { useTranslation } from 'react-i18next'
+
+export interface SubscriptionFilterFormState {
+  excludeKeywords: string
+  titlePattern: string
+  descriptionPattern: string
+  minDurationMinutes: string
+  maxDurationMinutes: string
+  // YYYY-MM-DD as used by the date input
+  publishedAfter: string
+  maxItemsPerRun: string
+}
+
+export const buildFilterFormState = (
+  subscription?: SubscriptionRule
+): SubscriptionFilterFormState => ({
+  excludeKeywords: subscription?.excludeKeywords.join(', ') ?? '',
+  titlePattern: subscription?.titlePattern ?? '',
+  descriptionPattern: subscription?.descriptionPattern ?? '',
+  minDurationMinutes: subscription?.minDuration
+    ? String(Math.round(subscription.minDuration / 60))
+    : '',
+  maxDurationMinutes: subscription?.maxDuration
+    ? String(Math.round(subscription.maxDuration / 60))
+    : '',
+  publishedAfter: subscription?.publishedAfter
+    ? dayjs(subscription.publishedAfter).format('YYYY-MM-DD')
+    : '',
+  maxItemsPerRun: subscription?.maxItemsPerRun ? String(subscription.maxItemsPerRun) : ''
+})
+
+const parsePositive = (value: string): number | undefined => {
+  const parsed = Number(value)
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : undefined
+}
+
+const minutesToSeconds = (value: string): number | undefined => {
+  const minutes = parsePositive(value)
+  return minutes ? Math.round(minutes * 60) : undefined
+}
+
+export const buildSubscriptionFilters = (
+  state: SubscriptionFilterFormState
+): SubscriptionFilters => {
+  const publishedAfter = state.publishedAfter ? dayjs(state.publishedAfter) : null
+  const maxItemsPerRun = parsePositive(state.maxItemsPerRun)
+  return {
+    excludeKeywords: state.excludeKeywords
+      .split(',')
+      .map((keyword) => keyword.trim())
+      .filter((keyword, index, array) => keyword.length > 0 && array.indexOf(keyword) === index),
+    titlePattern: state.titlePattern.trim() || undefined,
+    descriptionPattern: state.descriptionPattern.trim() || undefined,
+    minDuration: minutesToSeconds(state.minDurationMinutes),
+    maxDuration: minutesToSeconds(state.maxDurationMinutes),
+    publishedAfter: publishedAfter?.isValid() ? publishedAfter.valueOf() : undefined,
+    maxItemsPerRun: maxItemsPerRun ? Math.round(maxItemsPerRun) : undefined
+  }
+}
+
+const getPatternError = (pattern: string): string | null => {
+  if (!pattern.trim()) {
+    return null
+  }
+  try {
+    new RegExp(pattern.trim(), 'i')
+    return null
+  } catch (error) {
+    return error instanceof Error ? error.message : String(error)
+  }
+}
+
+/**
+ * Returns the error message of an invalid pattern, or null when both patterns compile.
+ */
+export const validateFilterPatterns = (state: SubscriptionFilterFormState): string | null => {
+  for (const pattern of [state.titlePattern, state.descriptionPattern]) {
+    const error = getPatternError(pattern)
+    if (error) {
+      return error
+    }
+  }
+  return null
+}
+
+interface SubscriptionFilterFieldsProps {
+  value: SubscriptionFilterFormState
+  onChange: (updates: Partial<SubscriptionFilterFormState>) => void
+  // Used for the preview, which runs against the live feed
+  url: string
+  feedType?: SubscriptionFeedType
+  keywords: string[]
+}
+
+export function SubscriptionFilterFields({
+  value,
+  onChange,
+  url,
+  feedType,
+  keywords
+}: SubscriptionFilterFieldsProps) {
+  const { t } = useTranslation()
+  const [previewItems, setPreviewItems] = useState<SubscriptionFilterPreviewItem[] | null>(null)
+  const [previewLoading, setPreviewLoading] = useState(false)
+  const [previewError, setPreviewError] = useState(false)
+
+  const titlePatternError = getPatternError(value.titlePattern)
+  const descriptionPatternError = getPatternError(value.descriptionPattern)
+  const canPreview = url.trim().length > 0 && !titlePatternError && !descriptionPatternError
+
+  const handlePreview = async () => {
+    setPreviewLoading(true)
+    setPreviewError(false)
+    try {
+      const items = await ipcServices.subscriptions.previewFilters(
+        url.trim(),
+        { ...buildSubscriptionFilters(value), keywords },
+        feedType
+      )
+      setPreviewItems(items)
+    } catch (error) {
+      console.error('Failed to preview subscription filters:', error)
+      setPreviewItems(null)
+      setPreviewError(true)
+    } finally {
+      setPreviewLoading(false)
+    }
+  }
+
+  const matchedCount = previewItems?.filter((item) => item.matched).length ?? 0
+
+  return (
+    <div className="space-y-3">
+      <p className="text-sm font-medium">{t('subscriptions.filters.title')}</p>
+      <div className="space-y-2">
+        <Label>{t('subscriptions.filters.excludeKeywords')}</Label>
+        <Input
+          value={value.excludeKeywords}
+          placeholder={t('subscriptions.filters.excludeKeywordsPlaceholder')}
+          onChange={(event) => onChange({ excludeKeywords: event.target.value })}
+        />
+      </div>
+      <div className="grid grid-cols-2 gap-3">
+        <div className="space-y-2">
+          <Label>{t('subscriptions.filters.titlePattern')}</Label>
+          <Input
+            value={value.titlePattern}
+            placeholder={t('subscriptions.filters.patternPlaceholder')}
+            aria-invalid={Boolean(titlePatternError)}
+            onChange={(event) => onChange({ titlePattern: event.target.value })}
+          />
+          {titlePatternError && (
+            <p className="text-xs text-destructive">
+              {t('subscriptions.filters.invalidPattern', { message: titlePatternError })}
+            </p>
+          )}
+        </div>
+        <div className="space-y-2">
+          <Label>{t('subscriptions.filters.descriptionPattern')}</Label>
+          <Input
+            value={value.descriptionPattern}
+            placeholder={t('subscriptions.filters.patternPlaceholder')}
+            aria-invalid={Boolean(descriptionPatternError)}
+            onChange={(event) => onChange({ descriptionPattern: event.target.value })}
+          />
+          {descriptionPatternError && (
+            <p className="text-xs text-destructive">
+              {t('subscriptions.filters.invalidPattern', { message: descriptionPatternError })}
+            </p>
+          )}
+        </div>
+      </div>
+      <div className="grid grid-cols-2 gap-3">
+        <div className="space-y-2">
+          <Label>{t('subscriptions.filters.minDuration')}</Label>
+          <Input
+            type="number"
+            min={0}
+            value={value.minDurationMinutes}
+            placeholder={t('subscriptions.filters.noLimit')}
+            onChange={(event) => onChange({ minDurationMinutes: event.target.value })}
+          />
+        </div>
+        <div className="space-y-2">
+          <Label>{t('subscriptions.filters.maxDuration')}</Label>
+          <Input
+            type="number"
+            min={0}
+            value={value.maxDurationMinutes}
+            placeholder={t('subscriptions.filters.noLimit')}
+            onChange={(event) => onChange({ maxDurationMinutes: event.target.value })}
+          />
+        </div>
+      </div>
+      <p className="text-xs text-muted-foreground">{t('subscriptions.filters.durationHint')}</p>
+      <div className="grid grid-cols-2 gap-3">
+        <div className="space-y-2">
+          <Label>{t('subscriptions.filters.publishedAfter')}</Label>
+          <Input
+            type="date"
+            value={value.publishedAfter}
+            onChange={(event) => onChange({ publishedAfter: event.target.value })}
+          />
+        </div>
+        <div className="space-y-2">
+          <Label>{t('subscriptions.filters.maxItemsPerRun')}</Label>
+          <Input
+            type="number"
+            min={0}
+            value={value.maxItemsPerRun}
+            placeholder={t('subscriptions.filters.noLimit')}
+            onChange={(event) => onChange({ maxItemsPerRun: event.target.value })}
+          />
+        </div>
+      </div>
+      <div className="space-y-2">
+        <Button
+          variant="outline"
+          size="sm"
+          disabled={!canPreview || previewLoading}
+          onClick={() => void handlePreview()}
+        >
+          {previewLoading && <Loader2 className="h-4 w-4 animate-spin" />}
+          {previewLoading
+            ? t('subscriptions.filters.previewing')
+            : t('subscriptions.filters.preview')}
+        </Button>
+        {previewError && (
+          <p className="text-xs text-destructive">{t('subscriptions.filters.previewError')}</p>
+        )}
+        {previewItems && (
+          <div className="space-y-2">
+            <p className="text-xs text-muted-foreground">
+              {previewItems.length === 0
+                ? t('subscriptions.filters.previewEmpty')
+                : t('subscriptions.filters.previewSummary', {
+                    matched: matchedCount,
+                    total: previewItems.length
+                  })}
+            </p>
+            {previewItems.length > 0 && (
+              <div className="max-h-60 space-y-1 overflow-y-auto rounded-md border p-2">
+                {previewItems.map((item) => (
+                  <div key={item.id} className="flex items-center gap-2 text-xs">
+                    <span className="w-28 shrink-0 tabular-nums text-muted-foreground">
+                      {dayjs(item.publishedAt).format('YYYY-MM-DD HH:mm')}
+                    </span>
+                    <span
+                      className={cn('flex-1 truncate', !item.matched && 'text-muted-foreground')}
+                      title={item.title}
+                    >
+                      {item.title}
+                    </span>
+                    <Badge variant={item.matched ? 'default' : 'outline'}>
+                      {item.matched
+                        ? t('subscriptions.filters.matched')
+                        : t(`subscriptions.filters.rejection.${item.rejection}`)}
+                    </Badge>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
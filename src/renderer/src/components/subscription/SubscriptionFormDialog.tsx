@@ -10,17 +10,47 @@ import {
 } from '@renderer/components/ui/dialog'
 import { Input } from '@renderer/components/ui/input'
 import { Label } from '@renderer/components/ui/label'
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue
+} from '@renderer/components/ui/select'
 import { Switch } from '@renderer/components/ui/switch'
 import { ipcServices } from '@renderer/lib/ipc'
 import { cn } from '@renderer/lib/utils'
 import { settingsAtom } from '@renderer/store/settings'
 import { resolveFeedAtom } from '@renderer/store/subscriptions'
-import { DEFAULT_SUBSCRIPTION_FILENAME_TEMPLATE, type SubscriptionRule } from '@shared/types'
+import {
+  DEFAULT_SUBSCRIPTION_FILENAME_TEMPLATE,
+  type SubscriptionDownloadProfile,
+  type SubscriptionFeedType,
+  type SubscriptionFilters,
+  type SubscriptionRule
+} from '@shared/types'
 import { useAtom, useSetAtom } from 'jotai'
 import { ChevronRight } from 'lucide-react'
 import { useEffect, useId, useRef, useState } from 'react'
 import { useTranslation } from 'react-i18next'
 import { toast } from 'sonner'
+import { CheckIntervalSelect } from './CheckIntervalSelect'
+import {
+  buildFilterFormState,
+  buildSubscriptionFilters,
+  SubscriptionFilterFields,
+  type SubscriptionFilterFormState,
+  validateFilterPatterns
+} from './SubscriptionFilterFields'
+import {
+  buildDownloadProfile,
+  buildProfileFormState,
+  SubscriptionProfileFields,
+  type SubscriptionProfileFormState
+} from './SubscriptionProfileFields'
+
+// Radix Select does not allow empty item values
+const AUTO_FEED_TYPE = '__auto__'
 
 const sanitizeCommaList = (value: string) =>
   value
@@ -40,11 +70,17 @@ const buildDefaultSubscriptionDirectory = (downloadPath: string) => {
 
 export interface SubscriptionFormData {
   url?: string
+  // undefined lets the URL decide between RSS and yt-dlp polling
+  feedType?: SubscriptionFeedType
   keywords?: string[]
   tags?: string[]
   onlyDownloadLatest?: boolean
   downloadDirectory?: string
   namingTemplate?: string
+  // Minutes; undefined follows the settings default
+  checkInterval?: number
+  profile?: SubscriptionDownloadProfile
+  filters?: SubscriptionFilters
   enabled?: boolean
 }
 
@@ -69,14 +105,21 @@ export function SubscriptionFormDialog({
 
   // Form state
   const [url, setUrl] = useState('')
+  const [feedType, setFeedType] = useState<SubscriptionFeedType | undefined>(undefined)
   const [keywords, setKeywords] = useState('')
   const [tags, setTags] = useState('')
   const [onlyLatest, setOnlyLatest] = useState(false)
   const [downloadDirectory, setDownloadDirectory] = useState('')
   const [namingTemplate, setNamingTemplate] = useState('')
+  const [checkInterval, setCheckInterval] = useState<number | undefined>(undefined)
+  const [profile, setProfile] = useState<SubscriptionProfileFormState>(() =>
+    buildProfileFormState()
+  )
+  const [filters, setFilters] = useState<SubscriptionFilterFormState>(() => buildFilterFormState())
 
   // Feed detection state
   const [detectingFeed, setDetectingFeed] = useState(false)
+  const [detectedFeedType, setDetectedFeedType] = useState<SubscriptionFeedType | null>(null)
 
   const detectTimeout = useRef<NodeJS.Timeout | null>(null)
   const prevDefaultPathRef = useRef(buildDefaultSubscriptionDirectory(settings.downloadPath))
@@ -94,19 +137,29 @@ export function SubscriptionFormDialog({
 
     if (mode === 'edit' && subscription) {
       setUrl(subscription.feedUrl)
+      setFeedType(subscription.feedType)
+      setDetectedFeedType(subscription.feedType)
       setKeywords(subscription.keywords.join(', '))
       setTags(subscription.tags.join(', '))
       setOnlyLatest(subscription.onlyDownloadLatest)
       setDownloadDirectory(subscription.downloadDirectory || '')
       setNamingTemplate(subscription.namingTemplate || '')
+      setCheckInterval(subscription.checkInterval)
+      setProfile(buildProfileFormState(subscription))
+      setFilters(buildFilterFormState(subscription))
     } else {
       // Add mode - use defaults from settings
       setUrl('')
+      setFeedType(undefined)
+      setDetectedFeedType(null)
       setKeywords('')
       setTags('')
       setOnlyLatest(settings.subscriptionOnlyLatestDefault)
       setDownloadDirectory(buildDefaultSubscriptionDirectory(settings.downloadPath))
       setNamingTemplate(DEFAULT_SUBSCRIPTION_FILENAME_TEMPLATE)
+      setCheckInterval(undefined)
+      setProfile(buildProfileFormState())
+      setFilters(buildFilterFormState())
     }
   }, [open, mode, subscription, settings.subscriptionOnlyLatestDefault, settings.downloadPath])
 
@@ -137,8 +190,13 @@ export function SubscriptionFormDialog({
       return
     }
 
-    // In edit mode, don't detect if URL hasn't changed
-    if (mode === 'edit' && subscription && url.trim() === subscription.feedUrl) {
+    // In edit mode, don't detect if URL and feed type haven't changed
+    if (
+      mode === 'edit' &&
+      subscription &&
+      url.trim() === subscription.feedUrl &&
+      feedType === subscription.feedType
+    ) {
       return
     }
 
@@ -149,7 +207,8 @@ export function SubscriptionFormDialog({
     detectTimeout.current = setTimeout(async () => {
       setDetectingFeed(true)
       try {
-        await resolveFeed(url.trim())
+        const resolved = await resolveFeed(url.trim(), feedType)
+        setDetectedFeedType(resolved.feedType)
       } catch (error) {
         console.error('Failed to resolve feed:', error)
       } finally {
@@ -162,7 +221,7 @@ export function SubscriptionFormDialog({
         clearTimeout(detectTimeout.current)
       }
     }
-  }, [url, resolveFeed, mode, subscription])
+  }, [url, feedType, resolveFeed, mode, subscription])
 
   const handleSelectDirectory = async () => {
     try {
@@ -192,22 +251,35 @@ export function SubscriptionFormDialog({
       return
     }
 
+    const patternError = validateFilterPatterns(filters)
+    if (patternError) {
+      setAdvancedOptionsOpen(true)
+      toast.error(t('subscriptions.filters.invalidPattern', { message: patternError }))
+      return
+    }
+
     const formData: SubscriptionFormData = {
       keywords: sanitizeCommaList(keywords),
       tags: sanitizeCommaList(tags),
       onlyDownloadLatest: onlyLatest,
       downloadDirectory: downloadDirectory || undefined,
-      namingTemplate: namingTemplate || undefined
+      namingTemplate: namingTemplate || undefined,
+      checkInterval,
+      profile: buildDownloadProfile(profile),
+      filters: buildSubscriptionFilters(filters),
+      feedType
     }
 
-    // Include URL if it's provided and different from current (for edit mode)
+    // Include URL if it's provided and the feed changed (for edit mode)
     if (url.trim()) {
       if (
         mode === 'add' ||
-        (mode === 'edit' && subscription && url.trim() !== subscription.feedUrl)
+        (mode === 'edit' &&
+          subscription &&
+          (url.trim() !== subscription.feedUrl || feedType !== subscription.feedType))
       ) {
         try {
-          await resolveFeed(url.trim())
+          await resolveFeed(url.trim(), feedType)
           formData.url = url.trim()
         } catch (error) {
           console.error('Failed to resolve feed:', error)
@@ -245,9 +317,33 @@ export function SubscriptionFormDialog({
               placeholder={t('subscriptions.placeholders.url')}
               onChange={(event) => setUrl(event.target.value)}
             />
-            {detectingFeed && (
-              <p className="text-xs text-muted-foreground">{t('subscriptions.detecting')}</p>
-            )}
+            <div className="flex items-center gap-2">
+              <Select
+                value={feedType ?? AUTO_FEED_TYPE}
+                onValueChange={(next) =>
+                  setFeedType(next === AUTO_FEED_TYPE ? undefined : (next as SubscriptionFeedType))
+                }
+              >
+                <SelectTrigger className="h-8 w-56">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value={AUTO_FEED_TYPE}>{t('subscriptions.feedType.auto')}</SelectItem>
+                  <SelectItem value="rss">{t('subscriptions.feedType.rss')}</SelectItem>
+                  <SelectItem value="ytdlp">{t('subscriptions.feedType.ytdlp')}</SelectItem>
+                </SelectContent>
+              </Select>
+              {detectingFeed ? (
+                <p className="text-xs text-muted-foreground">{t('subscriptions.detecting')}</p>
+              ) : (
+                detectedFeedType &&
+                url.trim() && (
+                  <p className="text-xs text-muted-foreground">
+                    {t(`subscriptions.feedType.detected.${detectedFeedType}`)}
+                  </p>
+                )
+              )}
+            </div>
             {mode === 'add' && !url.trim() && (
               <div className="flex items-center gap-2 rounded-md bg-primary/5 px-3 py-2">
                 <p className="text-xs text-muted-foreground flex-1">
@@ -301,10 +397,29 @@ export function SubscriptionFormDialog({
                     }
                   />
                 </div>
+                <div className="space-y-2">
+                  <Label>{t('subscriptions.schedule.checkInterval')}</Label>
+                  <CheckIntervalSelect value={checkInterval} onChange={setCheckInterval} />
+                </div>
                 <div className="flex items-center justify-between gap-4 rounded-md border px-3 py-2">
                   <p className="text-sm">{t('subscriptions.fields.onlyLatest')}</p>
                   <Switch checked={onlyLatest} onCheckedChange={setOnlyLatest} />
                 </div>
+                <div className="border-t pt-3">
+                  <SubscriptionFilterFields
+                    value={filters}
+                    onChange={(updates) => setFilters((prev) => ({ ...prev, ...updates }))}
+                    url={url}
+                    feedType={feedType}
+                    keywords={sanitizeCommaList(keywords)}
+                  />
+                </div>
+                <div className="border-t pt-3">
+                  <SubscriptionProfileFields
+                    value={profile}
+                    onChange={(updates) => setProfile((prev) => ({ ...prev, ...updates }))}
+                  />
+                </div>
               </div>
             </div>
           </div>
@@ -0,0 +1,286 @@
+import { PostProcessingPresetSelect } from '@renderer/components/download/PostProcessingPresetSelect'
+import { SponsorBlockSelect } from '@renderer/components/download/SponsorBlockSelect'
+import { SubtitleFormatSelect } from '@renderer/components/download/SubtitleFormatSelect'
+import { Input } from '@renderer/components/ui/input'
+import { Label } from '@renderer/components/ui/label'
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue
+} from '@renderer/components/ui/select'
+import { settingsAtom } from '@renderer/store/settings'
+import type {
+  OneClickQualityPreset,
+  SponsorBlockOptions,
+  SubscriptionDownloadProfile,
+  SubscriptionRule,
+  SubtitleFormat
+} from '@shared/types'
+import { parseSubtitleLanguages } from '@shared/utils/subtitles'
+import { useAtomValue } from 'jotai'
+import { useTranslation } from 'react-i18next'
+
+// Radix Select does not allow empty item values
+const DEFAULT_VALUE = '__default__'
+
+const qualityPresets: OneClickQualityPreset[] = ['best', 'good', 'normal', 'bad', 'worst']
+
+export interface SubscriptionProfileFormState {
+  downloadType?: 'video' | 'audio'
+  quality?: OneClickQualityPreset
+  formatSelector: string
+  subtitleLanguages: string
+  autoSubtitles?: boolean
+  subtitleFormat?: SubtitleFormat | ''
+  embedSubs?: boolean
+  embedThumbnail?: boolean
+  embedMetadata?: boolean
+  embedChapters?: boolean
+  mediaLibrary?: boolean
+  sponsorBlock?: SponsorBlockOptions
+  autoRecordLive?: boolean
+  maxFileSize: string
+  postProcessingPreset?: string
+}
+
+type ToggleKey =
+  | 'autoSubtitles'
+  | 'embedSubs'
+  | 'embedThumbnail'
+  | 'embedMetadata'
+  | 'embedChapters'
+  | 'mediaLibrary'
+
+const toggleKeys: ToggleKey[] = [
+  'autoSubtitles',
+  'embedSubs',
+  'embedThumbnail',
+  'embedMetadata',
+  'embedChapters',
+  'mediaLibrary'
+]
+
+export const buildProfileFormState = (
+  subscription?: SubscriptionRule
+): SubscriptionProfileFormState => ({
+  downloadType: subscription?.downloadType,
+  quality: subscription?.quality,
+  formatSelector: subscription?.formatSelector ?? '',
+  subtitleLanguages: subscription?.subtitleLanguages.join(', ') ?? '',
+  autoSubtitles: subscription?.autoSubtitles,
+  subtitleFormat: subscription?.subtitleFormat,
+  embedSubs: subscription?.embedSubs,
+  embedThumbnail: subscription?.embedThumbnail,
+  embedMetadata: subscription?.embedMetadata,
+  embedChapters: subscription?.embedChapters,
+  mediaLibrary: subscription?.mediaLibrary,
+  sponsorBlock: subscription?.sponsorBlock,
+  autoRecordLive: subscription?.autoRecordLive,
+  maxFileSize: subscription?.maxFileSize ? String(subscription.maxFileSize) : '',
+  postProcessingPreset: subscription?.postProcessingPreset
+})
+
+const parsePositive = (value: string): number | undefined => {
+  const parsed = Number(value)
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : undefined
+}
+
+export const buildDownloadProfile = (
+  state: SubscriptionProfileFormState
+): SubscriptionDownloadProfile => {
+  const maxFileSize = parsePositive(state.maxFileSize)
+  return {
+    downloadType: state.downloadType,
+    quality: state.quality,
+    formatSelector: state.formatSelector.trim() || undefined,
+    subtitleLanguages: parseSubtitleLanguages(state.subtitleLanguages),
+    autoSubtitles: state.autoSubtitles,
+    subtitleFormat: state.subtitleFormat,
+    embedSubs: state.embedSubs,
+    embedThumbnail: state.embedThumbnail,
+    embedMetadata: state.embedMetadata,
+    embedChapters: state.embedChapters,
+    mediaLibrary: state.mediaLibrary,
+    sponsorBlock: state.sponsorBlock,
+    autoRecordLive: state.autoRecordLive,
+    maxFileSize: maxFileSize ? Math.round(maxFileSize) : undefined,
+    postProcessingPreset: state.postProcessingPreset
+  }
+}
+
+interface SubscriptionProfileFieldsProps {
+  value: SubscriptionProfileFormState
+  onChange: (updates: Partial<SubscriptionProfileFormState>) => void
+}
+
+export function SubscriptionProfileFields({ value, onChange }: SubscriptionProfileFieldsProps) {
+  const { t } = useTranslation()
+  const settings = useAtomValue(settingsAtom)
+
+  const toOverrideValue = (enabled?: boolean) =>
+    enabled === undefined ? DEFAULT_VALUE : enabled ? 'on' : 'off'
+  const fromOverrideValue = (next: string) => (next === DEFAULT_VALUE ? undefined : next === 'on')
+
+  return (
+    <div className="space-y-3">
+      <p className="text-sm font-medium">{t('subscriptions.profile.title')}</p>
+      <div className="grid grid-cols-2 gap-3">
+        <div className="space-y-2">
+          <Label>{t('subscriptions.profile.type')}</Label>
+          <Select
+            value={value.downloadType ?? DEFAULT_VALUE}
+            onValueChange={(next) =>
+              onChange({
+                downloadType: next === DEFAULT_VALUE ? undefined : (next as 'video' | 'audio')
+              })
+            }
+          >
+            <SelectTrigger className="h-9">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value={DEFAULT_VALUE}>{t('subscriptions.profile.useDefault')}</SelectItem>
+              <SelectItem value="video">{t('download.video')}</SelectItem>
+              <SelectItem value="audio">{t('download.audio')}</SelectItem>
+            </SelectContent>
+          </Select>
+        </div>
+        <div className="space-y-2">
+          <Label>{t('subscriptions.profile.quality')}</Label>
+          <Select
+            value={value.quality ?? DEFAULT_VALUE}
+            onValueChange={(next) =>
+              onChange({
+                quality: next === DEFAULT_VALUE ? undefined : (next as OneClickQualityPreset)
+              })
+            }
+            disabled={value.formatSelector.trim().length > 0}
+          >
+            <SelectTrigger className="h-9">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value={DEFAULT_VALUE}>{t('subscriptions.profile.useDefault')}</SelectItem>
+              {qualityPresets.map((preset) => (
+                <SelectItem key={preset} value={preset}>
+                  {t(`settings.oneClickQualityOptions.${preset}`)}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+      </div>
+      <div className="space-y-2">
+        <Label>{t('subscriptions.profile.formatSelector')}</Label>
+        <Input
+          value={value.formatSelector}
+          placeholder={t('subscriptions.profile.formatSelectorPlaceholder')}
+          onChange={(event) => onChange({ formatSelector: event.target.value })}
+        />
+      </div>
+      <div className="space-y-2">
+        <Label>{t('subscriptions.profile.subtitleLanguages')}</Label>
+        <Input
+          value={value.subtitleLanguages}
+          placeholder={t('subscriptions.profile.subtitleLanguagesPlaceholder')}
+          onChange={(event) => onChange({ subtitleLanguages: event.target.value })}
+        />
+        <p className="text-xs text-muted-foreground">
+          {t('subscriptions.profile.subtitleLanguagesHint')}
+        </p>
+      </div>
+      <div className="space-y-2">
+        <Label>{t('subscriptions.profile.subtitleFormat')}</Label>
+        <SubtitleFormatSelect
+          value={value.subtitleFormat}
+          onChange={(next) => onChange({ subtitleFormat: next })}
+        />
+      </div>
+      <div className="grid grid-cols-2 gap-3">
+        {toggleKeys.map((key) => (
+          <div key={key} className="space-y-2">
+            <Label>{t(`subscriptions.profile.${key}`)}</Label>
+            <Select
+              value={toOverrideValue(value[key])}
+              onValueChange={(next) => onChange({ [key]: fromOverrideValue(next) })}
+            >
+              <SelectTrigger className="h-9">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value={DEFAULT_VALUE}>
+                  {t('subscriptions.profile.useDefault')}
+                </SelectItem>
+                <SelectItem value="on">{t('subscriptions.profile.on')}</SelectItem>
+                <SelectItem value="off">{t('subscriptions.profile.off')}</SelectItem>
+              </SelectContent>
+            </Select>
+          </div>
+        ))}
+      </div>
+      <div className="grid grid-cols-2 gap-3">
+        <div className="space-y-2">
+          <Label>{t('subscriptions.profile.maxFileSize')}</Label>
+          <Input
+            type="number"
+            min={0}
+            value={value.maxFileSize}
+            placeholder={t('subscriptions.profile.noLimit')}
+            onChange={(event) => onChange({ maxFileSize: event.target.value })}
+          />
+        </div>
+      </div>
+      <p className="text-xs text-muted-foreground">{t('subscriptions.profile.limitsHint')}</p>
+      <div className="space-y-2">
+        <Label>{t('subscriptions.profile.autoRecordLive')}</Label>
+        <Select
+          value={value.autoRecordLive ? 'on' : 'off'}
+          onValueChange={(next) => onChange({ autoRecordLive: next === 'on' || undefined })}
+        >
+          <SelectTrigger className="h-9">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            <SelectItem value="off">{t('subscriptions.profile.off')}</SelectItem>
+            <SelectItem value="on">{t('subscriptions.profile.on')}</SelectItem>
+          </SelectContent>
+        </Select>
+        <p className="text-xs text-muted-foreground">
+          {t('subscriptions.profile.autoRecordLiveHint')}
+        </p>
+      </div>
+      <div className="space-y-2">
+        <Label>{t('settings.sponsorBlock')}</Label>
+        <Select
+          value={value.sponsorBlock ? 'custom' : DEFAULT_VALUE}
+          onValueChange={(next) =>
+            onChange({ sponsorBlock: next === DEFAULT_VALUE ? undefined : settings.sponsorBlock })
+          }
+        >
+          <SelectTrigger className="h-9">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            <SelectItem value={DEFAULT_VALUE}>{t('subscriptions.profile.useDefault')}</SelectItem>
+            <SelectItem value="custom">{t('subscriptions.profile.custom')}</SelectItem>
+          </SelectContent>
+        </Select>
+        {value.sponsorBlock && (
+          <SponsorBlockSelect
+            value={value.sponsorBlock}
+            onChange={(next) => onChange({ sponsorBlock: next })}
+          />
+        )}
+      </div>
+      <div className="space-y-2">
+        <Label>{t('postProcessing.title')}</Label>
+        <PostProcessingPresetSelect
+          value={value.postProcessingPreset}
+          onChange={(next) => onChange({ postProcessingPreset: next })}
+        />
+      </div>
+    </div>
+  )
+}
@@ -4,61 +4,207 @@ import {
   AccordionItem,
   AccordionTrigger
 } from '@renderer/components/ui/accordion'
+import { Button } from '@renderer/components/ui/button'
 import { Input } from '@renderer/components/ui/input'
 import { Label } from '@renderer/components/ui/label'
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue
+} from '@renderer/components/ui/select'
 import { Switch } from '@renderer/components/ui/switch'
+import { settingsAtom } from '@renderer/store/settings'
+import type {
+  DownloadPartsPlaylist,
+  DownloadTimeRange,
+  SponsorBlockOptions,
+  VideoChapter,
+  VideoInfo
+} from '@shared/types'
+import { useAtomValue } from 'jotai'
+import { Plus, X } from 'lucide-react'
 import { useTranslation } from 'react-i18next'
+import { PostProcessingPresetSelect } from '../download/PostProcessingPresetSelect'
+import { SponsorBlockSelect } from '../download/SponsorBlockSelect'
+import { ChapterPicker } from './ChapterPicker'
+import { SubtitlePicker, type SubtitleSelection } from './SubtitlePicker'
+
+// Radix Select does not allow empty item values
+const NO_PLAYLIST = '__none__'
+
+// Rows carry an id so removing one does not hand its inputs to the next row
+export interface TimeRangeRow extends DownloadTimeRange {
+  id: string
+}
+
+// The first row is shown before anything is typed
+const EMPTY_RANGE_ROW: TimeRangeRow = { id: 'range_initial', start: '', end: '' }
+
+const createRangeRow = (): TimeRangeRow => ({
+  id: `range_${Date.now().toString(36)}`,
+  start: '',
+  end: ''
+})
 
 interface AdvancedOptionsProps {
-  startTime: string
-  endTime: string
+  timeRanges: TimeRangeRow[]
+  chapters?: VideoChapter[]
+  // Streams cannot be cut, the time range and chapters are hidden
+  liveStream?: boolean
+  selectedChapters: number[]
+  splitChapters: boolean
+  partsPlaylist?: DownloadPartsPlaylist
   downloadSubs: boolean
-  onStartTimeChange: (value: string) => void
-  onEndTimeChange: (value: string) => void
+  // Tracks offered by the video, the languages are picked from them
+  subtitleTracks?: Pick<VideoInfo, 'subtitles' | 'automatic_captions'>
+  subtitles: SubtitleSelection
+  bandwidthLimit: string
+  postProcessingPreset?: string
+  // undefined follows the settings default
+  sponsorBlock?: SponsorBlockOptions
+  onTimeRangesChange: (value: TimeRangeRow[]) => void
+  onSelectedChaptersChange: (value: number[]) => void
+  onSplitChaptersChange: (value: boolean) => void
+  onPartsPlaylistChange: (value: DownloadPartsPlaylist | undefined) => void
   onDownloadSubsChange: (value: boolean) => void
+  onSubtitlesChange: (value: SubtitleSelection) => void
+  onBandwidthLimitChange: (value: string) => void
+  onPostProcessingPresetChange: (value: string | undefined) => void
+  onSponsorBlockChange: (value: SponsorBlockOptions) => void
   showAccordion?: boolean
 }
 
 export function AdvancedOptions({
-  startTime,
-  endTime,
+  timeRanges,
+  chapters,
+  liveStream = false,
+  selectedChapters,
+  splitChapters,
+  partsPlaylist,
   downloadSubs,
-  onStartTimeChange,
-  onEndTimeChange,
+  subtitleTracks,
+  subtitles,
+  bandwidthLimit,
+  postProcessingPreset,
+  sponsorBlock,
+  onTimeRangesChange,
+  onSelectedChaptersChange,
+  onSplitChaptersChange,
+  onPartsPlaylistChange,
   onDownloadSubsChange,
+  onSubtitlesChange,
+  onBandwidthLimitChange,
+  onPostProcessingPresetChange,
+  onSponsorBlockChange,
   showAccordion = true
 }: AdvancedOptionsProps) {
   const { t } = useTranslation()
+  const settings = useAtomValue(settingsAtom)
+  // The first range row is always shown, empty until filled in
+  const rangeRows = timeRanges.length > 0 ? timeRanges : [EMPTY_RANGE_ROW]
+  const filledRanges = timeRanges.filter((range) => range.start.trim() || range.end?.trim())
+  const producesParts = splitChapters || filledRanges.length + selectedChapters.length > 1
+
+  const updateRange = (id: string, changes: Partial<DownloadTimeRange>) => {
+    onTimeRangesChange(
+      rangeRows.map((range) => (range.id === id ? { ...range, ...changes } : range))
+    )
+  }
 
   const content = (
     <div className="space-y-6">
       {/* Time Range */}
-      <div className="space-y-2">
-        <Label className="text-xs font-medium text-muted-foreground ml-1">
-          {t('advancedOptions.timeRange')}
-        </Label>
-        <div className="flex items-center gap-4">
-          <div className="flex-1 relative group">
-            <Input
-              placeholder={t('advancedOptions.startPlaceholder')}
-              value={startTime}
-              onChange={(e) => onStartTimeChange(e.target.value)}
-              className="h-9 text-center"
-              title={t('advancedOptions.startHint')}
-            />
-          </div>
-          <span className="text-muted-foreground text-xs">-</span>
-          <div className="flex-1 relative group">
-            <Input
-              placeholder={t('advancedOptions.endPlaceholder')}
-              value={endTime}
-              onChange={(e) => onEndTimeChange(e.target.value)}
-              className="h-9 text-center"
-              title={t('advancedOptions.endHint')}
-            />
-          </div>
+      {!liveStream && (
+        <div className="space-y-2">
+          <Label className="text-xs font-medium text-muted-foreground ml-1">
+            {t('advancedOptions.timeRange')}
+          </Label>
+          {rangeRows.map((range) => (
+            <div key={range.id} className="flex items-center gap-4">
+              <div className="flex-1 relative group">
+                <Input
+                  placeholder={t('advancedOptions.startPlaceholder')}
+                  value={range.start}
+                  onChange={(e) => updateRange(range.id, { start: e.target.value })}
+                  className="h-9 text-center"
+                  title={t('advancedOptions.startHint')}
+                  disabled={splitChapters}
+                />
+              </div>
+              <span className="text-muted-foreground text-xs">-</span>
+              <div className="flex-1 relative group">
+                <Input
+                  placeholder={t('advancedOptions.endPlaceholder')}
+                  value={range.end ?? ''}
+                  onChange={(e) => updateRange(range.id, { end: e.target.value })}
+                  className="h-9 text-center"
+                  title={t('advancedOptions.endHint')}
+                  disabled={splitChapters}
+                />
+              </div>
+              {rangeRows.length > 1 && (
+                <Button
+                  variant="ghost"
+                  size="icon"
+                  className="h-9 w-9 shrink-0"
+                  onClick={() => onTimeRangesChange(rangeRows.filter((row) => row.id !== range.id))}
+                  title={t('advancedOptions.removeRange')}
+                >
+                  <X className="h-4 w-4" />
+                </Button>
+              )}
+            </div>
+          ))}
+          <Button
+            variant="ghost"
+            size="sm"
+            className="h-8 gap-1.5 text-xs"
+            disabled={splitChapters}
+            onClick={() => onTimeRangesChange([...rangeRows, createRangeRow()])}
+          >
+            <Plus className="h-3.5 w-3.5" />
+            {t('advancedOptions.addRange')}
+          </Button>
         </div>
-      </div>
+      )}
+
+      {!liveStream && chapters && chapters.length > 0 && (
+        <ChapterPicker
+          chapters={chapters}
+          selected={selectedChapters}
+          splitChapters={splitChapters}
+          onSelectedChange={onSelectedChaptersChange}
+          onSplitChaptersChange={onSplitChaptersChange}
+        />
+      )}
+
+      {!liveStream && producesParts && (
+        <div className="space-y-2">
+          <Label className="text-xs font-medium text-muted-foreground ml-1">
+            {t('advancedOptions.partsPlaylist')}
+          </Label>
+          <Select
+            value={partsPlaylist ?? NO_PLAYLIST}
+            onValueChange={(next) =>
+              onPartsPlaylistChange(
+                next === NO_PLAYLIST ? undefined : (next as DownloadPartsPlaylist)
+              )
+            }
+          >
+            <SelectTrigger className="h-9 w-full">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value={NO_PLAYLIST}>{t('advancedOptions.partsPlaylistNone')}</SelectItem>
+              <SelectItem value="m3u">M3U</SelectItem>
+              <SelectItem value="cue">CUE</SelectItem>
+            </SelectContent>
+          </Select>
+          <p className="text-[11px] text-muted-foreground ml-1">{t('advancedOptions.partsHint')}</p>
+        </div>
+      )}
 
       {/* Subtitles */}
       <div className="flex items-center justify-between p-3 border rounded-md bg-muted/30">
@@ -70,6 +216,53 @@ export function AdvancedOptions({
         </div>
         <Switch checked={downloadSubs} onCheckedChange={onDownloadSubsChange} />
       </div>
+      {downloadSubs && (
+        <SubtitlePicker videoInfo={subtitleTracks} value={subtitles} onChange={onSubtitlesChange} />
+      )}
+
+      {/* Bandwidth */}
+      <div className="space-y-2">
+        <Label className="text-xs font-medium text-muted-foreground ml-1">
+          {t('advancedOptions.bandwidthLimit')}
+        </Label>
+        <div className="flex items-center gap-2">
+          <Input
+            type="number"
+            min={0}
+            inputMode="numeric"
+            placeholder={t('advancedOptions.bandwidthLimitPlaceholder')}
+            value={bandwidthLimit}
+            onChange={(e) => onBandwidthLimitChange(e.target.value)}
+            className="h-9"
+            title={t('advancedOptions.bandwidthLimitHint')}
+          />
+          <span className="text-muted-foreground text-xs shrink-0">KiB/s</span>
+        </div>
+      </div>
+
+      {/* Post-processing */}
+      <div className="space-y-2">
+        <Label className="text-xs font-medium text-muted-foreground ml-1">
+          {t('postProcessing.title')}
+        </Label>
+        <PostProcessingPresetSelect
+          value={postProcessingPreset}
+          onChange={onPostProcessingPresetChange}
+        />
+        <p className="text-[11px] text-muted-foreground ml-1">{t('postProcessing.hint')}</p>
+      </div>
+
+      {/* SponsorBlock */}
+      <div className="space-y-2">
+        <Label className="text-xs font-medium text-muted-foreground ml-1">
+          {t('settings.sponsorBlock')}
+        </Label>
+        <SponsorBlockSelect
+          value={sponsorBlock ?? settings.sponsorBlock}
+          onChange={onSponsorBlockChange}
+        />
+        <p className="text-[11px] text-muted-foreground ml-1">{t('sponsorBlock.hint')}</p>
+      </div>
     </div>
   )
 
@@ -0,0 +1,76 @@
+import { Checkbox } from '@renderer/components/ui/checkbox'
+import { Label } from '@renderer/components/ui/label'
+import { Switch } from '@renderer/components/ui/switch'
+import type { VideoChapter } from '@shared/types'
+import { useTranslation } from 'react-i18next'
+
+interface ChapterPickerProps {
+  chapters: VideoChapter[]
+  // Indexes into chapters
+  selected: number[]
+  splitChapters: boolean
+  onSelectedChange: (value: number[]) => void
+  onSplitChaptersChange: (value: boolean) => void
+}
+
+const formatTimestamp = (seconds: number): string => {
+  const h = Math.floor(seconds / 3600)
+  const m = Math.floor((seconds % 3600) / 60)
+  const s = Math.floor(seconds % 60)
+  const mm = h > 0 ? m.toString().padStart(2, '0') : m.toString()
+  return `${h > 0 ? `${h}:` : ''}${mm}:${s.toString().padStart(2, '0')}`
+}
+
+export function ChapterPicker({
+  chapters,
+  selected,
+  splitChapters,
+  onSelectedChange,
+  onSplitChaptersChange
+}: ChapterPickerProps) {
+  const { t } = useTranslation()
+
+  const toggleChapter = (index: number, checked: boolean) => {
+    const next = selected.filter((entry) => entry !== index)
+    if (checked) {
+      next.push(index)
+    }
+    onSelectedChange(next.sort((a, b) => a - b))
+  }
+
+  return (
+    <div className="space-y-2">
+      <Label className="text-xs font-medium text-muted-foreground ml-1">
+        {t('advancedOptions.chapters', { count: chapters.length })}
+      </Label>
+      <div className="flex items-center justify-between p-3 border rounded-md bg-muted/30">
+        <div className="space-y-0.5">
+          <Label className="text-sm font-semibold">{t('advancedOptions.splitChapters')}</Label>
+          <p className="text-[11px] text-muted-foreground">
+            {t('advancedOptions.splitChaptersHint')}
+          </p>
+        </div>
+        <Switch checked={splitChapters} onCheckedChange={onSplitChaptersChange} />
+      </div>
+      <div className="max-h-48 overflow-y-auto rounded-md border">
+        {chapters.map((chapter, index) => (
+          <Label
+            key={`${chapter.start_time}-${chapter.title}`}
+            className="flex cursor-pointer items-center gap-3 px-3 py-2 text-sm font-normal hover:bg-muted/50"
+          >
+            <Checkbox
+              checked={splitChapters || selected.includes(index)}
+              disabled={splitChapters}
+              onCheckedChange={(checked) => toggleChapter(index, checked === true)}
+            />
+            <span className="flex-1 truncate">{chapter.title}</span>
+            <span className="shrink-0 font-mono text-xs text-muted-foreground">
+              {formatTimestamp(chapter.start_time)}
+            </span>
+          </Label>
+        ))}
+      </div>
+      <p className="text-[11px] text-muted-foreground ml-1">{t('advancedOptions.chaptersHint')}</p>
+    </div>
+  )
+}
@@ -1,5 +1,6 @@
 import { RadioGroup, RadioGroupItem } from '@renderer/components/ui/radio-group'
 import { Table, TableBody, TableCell, TableRow } from '@renderer/components/ui/table'
+import { findSiteRule, type SiteRuleTarget } from '@shared/utils/site-rules'
 import { useAtom } from 'jotai'
 import { useCallback, useEffect, useState } from 'react'
 import { useTranslation } from 'react-i18next'
@@ -21,6 +22,8 @@ interface FormatSelectorProps {
   onVideoFormatChange?: (format: string) => void
   onAudioFormatChange?: (format: string) => void
   codec?: string // 'auto' or specific codec name
+  // The video's site, a rule for it may prefer another quality than Settings
+  site?: SiteRuleTarget
 }
 
 export function FormatSelector({
@@ -28,10 +31,13 @@ export function FormatSelector({
   type,
   onVideoFormatChange,
   onAudioFormatChange,
-  codec
+  codec,
+  site
 }: FormatSelectorProps) {
   const { t } = useTranslation()
   const [settings] = useAtom(settingsAtom)
+  const quality =
+    (site && findSiteRule(settings.siteRules, site)?.quality) ?? settings.oneClickQuality
   const [videoFormats, setVideoFormats] = useState<VideoFormat[]>([])
   const [audioFormats, setAudioFormats] = useState<VideoFormat[]>([])
   const [selectedVideo, setSelectedVideo] = useState('')
@@ -193,7 +199,7 @@ export function FormatSelector({
 
       const hasSelectedVideo = finalVideos.some((format) => format.format_id === selectedVideo)
       if (autoVideos.length > 0 && (!selectedVideo || !hasSelectedVideo)) {
-        const preferred = pickVideoFormatForPreset(autoVideos, settings.oneClickQuality)
+        const preferred = pickVideoFormatForPreset(autoVideos, quality)
         if (preferred) {
           setSelectedVideo(preferred.format_id)
           onVideoFormatChange?.(preferred.format_id)
@@ -209,7 +215,7 @@ export function FormatSelector({
     }
   }, [
     formats,
-    settings.oneClickQuality,
+    quality,
     type,
     selectedVideo,
     selectedAudio,
@@ -0,0 +1,87 @@
+import { Input } from '@renderer/components/ui/input'
+import { Label } from '@renderer/components/ui/label'
+import { Switch } from '@renderer/components/ui/switch'
+import type { LiveStreamStatus } from '@shared/utils/live-stream'
+import { Radio } from 'lucide-react'
+import { useTranslation } from 'react-i18next'
+
+interface LiveRecordingPanelProps {
+  status: LiveStreamStatus
+  // Epoch milliseconds
+  scheduledAt?: number
+  fromStart: boolean
+  // Minutes, as typed
+  stopAfter: string
+  // HH:MM, as typed
+  stopAt: string
+  onFromStartChange: (value: boolean) => void
+  onStopAfterChange: (value: string) => void
+  onStopAtChange: (value: string) => void
+}
+
+/**
+ * Recording options shown instead of the time range when the video is a live or upcoming
+ * stream.
+ */
+export function LiveRecordingPanel({
+  status,
+  scheduledAt,
+  fromStart,
+  stopAfter,
+  stopAt,
+  onFromStartChange,
+  onStopAfterChange,
+  onStopAtChange
+}: LiveRecordingPanelProps) {
+  const { t } = useTranslation()
+
+  return (
+    <div className="space-y-3 rounded-md border border-destructive/40 bg-destructive/5 p-3">
+      <div className="flex items-start gap-2">
+        <Radio className="h-4 w-4 shrink-0 text-destructive mt-0.5" />
+        <p className="text-xs text-muted-foreground">
+          {status === 'upcoming'
+            ? scheduledAt
+              ? t('liveRecording.upcomingAt', { time: new Date(scheduledAt).toLocaleString() })
+              : t('liveRecording.upcoming')
+            : t('liveRecording.live')}
+        </p>
+      </div>
+      <div className="flex items-center justify-between gap-4">
+        <div className="space-y-0.5">
+          <Label className="text-sm font-semibold">{t('liveRecording.fromStart')}</Label>
+          <p className="text-[11px] text-muted-foreground">{t('liveRecording.fromStartHint')}</p>
+        </div>
+        <Switch checked={fromStart} onCheckedChange={onFromStartChange} />
+      </div>
+      <div className="grid grid-cols-2 gap-4">
+        <div className="space-y-1.5">
+          <Label className="text-xs font-medium text-muted-foreground">
+            {t('liveRecording.stopAfter')}
+          </Label>
+          <Input
+            type="number"
+            min={1}
+            inputMode="numeric"
+            placeholder={t('liveRecording.noLimit')}
+            value={stopAfter}
+            onChange={(e) => onStopAfterChange(e.target.value)}
+            className="h-9"
+          />
+        </div>
+        <div className="space-y-1.5">
+          <Label className="text-xs font-medium text-muted-foreground">
+            {t('liveRecording.stopAt')}
+          </Label>
+          <Input
+            type="time"
+            value={stopAt}
+            onChange={(e) => onStopAtChange(e.target.value)}
+            className="h-9"
+          />
+        </div>
+      </div>
+      <p className="text-[11px] text-muted-foreground">{t('liveRecording.stopHint')}</p>
+    </div>
+  )
+}
@@ -0,0 +1,163 @@
+import { Button } from '@renderer/components/ui/button'
+import { Label } from '@renderer/components/ui/label'
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue
+} from '@renderer/components/ui/select'
+import { Switch } from '@renderer/components/ui/switch'
+import { settingsAtom } from '@renderer/store/settings'
+import type { SubtitleFormat, VideoInfo } from '@shared/types'
+import { listSubtitleLanguages, pickSubtitleLanguage } from '@shared/utils/subtitles'
+import { useAtomValue } from 'jotai'
+import { ArrowUp, X } from 'lucide-react'
+import { useMemo } from 'react'
+import { useTranslation } from 'react-i18next'
+import { SubtitleFormatSelect } from '../download/SubtitleFormatSelect'
+
+// Unset fields follow the subtitle settings
+export interface SubtitleSelection {
+  // Preferred first, the rest are fallbacks in order
+  languages?: string[]
+  autoSubtitles?: boolean
+  format?: SubtitleFormat | ''
+}
+
+interface SubtitlePickerProps {
+  videoInfo?: Pick<VideoInfo, 'subtitles' | 'automatic_captions'>
+  value: SubtitleSelection
+  onChange: (value: SubtitleSelection) => void
+}
+
+/**
+ * Orders the preferred subtitle languages from the tracks the video lists and shows which
+ * one will be downloaded.
+ */
+export function SubtitlePicker({ videoInfo, value, onChange }: SubtitlePickerProps) {
+  const { t } = useTranslation()
+  const settings = useAtomValue(settingsAtom)
+  const languages = value.languages ?? settings.subtitleLanguages
+  const autoSubtitles = value.autoSubtitles ?? settings.subtitleAutoCaptions
+
+  const tracks = useMemo(
+    () => listSubtitleLanguages(videoInfo).filter((track) => autoSubtitles || !track.automatic),
+    [videoInfo, autoSubtitles]
+  )
+  // The first preference the video has a track for, the one yt-dlp is asked for
+  const pickedIndex = languages.findIndex((code) =>
+    pickSubtitleLanguage([code], videoInfo, autoSubtitles)
+  )
+  const picked =
+    pickedIndex >= 0
+      ? pickSubtitleLanguage([languages[pickedIndex]], videoInfo, autoSubtitles)
+      : undefined
+  const available = tracks.filter((track) => !languages.includes(track.code))
+
+  const describe = (code: string) => {
+    const track = tracks.find((entry) => entry.code === code)
+    const name = track?.name ? `${track.name} (${code})` : code
+    return track?.automatic ? `${name} · ${t('subtitles.automatic')}` : name
+  }
+
+  const moveUp = (index: number) => {
+    const next = [...languages]
+    ;[next[index - 1], next[index]] = [next[index], next[index - 1]]
+    onChange({ ...value, languages: next })
+  }
+
+  return (
+    <div className="space-y-3">
+      <div className="space-y-2">
+        <Label className="text-xs font-medium text-muted-foreground ml-1">
+          {t('subtitles.languages')}
+        </Label>
+        {languages.length > 0 && (
+          <div className="rounded-md border divide-y">
+            {languages.map((code, index) => (
+              <div key={code} className="flex items-center gap-2 px-3 py-1.5 text-sm">
+                <span className="w-4 shrink-0 text-xs text-muted-foreground">{index + 1}</span>
+                <span className="flex-1 truncate">{describe(code)}</span>
+                {index === pickedIndex && (
+                  <span className="shrink-0 text-[11px] text-primary">
+                    {t('subtitles.willDownload', { code: picked })}
+                  </span>
+                )}
+                {index > 0 && (
+                  <Button
+                    variant="ghost"
+                    size="icon"
+                    className="h-7 w-7 shrink-0"
+                    onClick={() => moveUp(index)}
+                    title={t('subtitles.moveUp')}
+                  >
+                    <ArrowUp className="h-3.5 w-3.5" />
+                  </Button>
+                )}
+                <Button
+                  variant="ghost"
+                  size="icon"
+                  className="h-7 w-7 shrink-0"
+                  onClick={() =>
+                    onChange({ ...value, languages: languages.filter((entry) => entry !== code) })
+                  }
+                  title={t('subtitles.remove')}
+                >
+                  <X className="h-3.5 w-3.5" />
+                </Button>
+              </div>
+            ))}
+          </div>
+        )}
+        {available.length > 0 ? (
+          <Select
+            value=""
+            onValueChange={(code) => onChange({ ...value, languages: [...languages, code] })}
+          >
+            <SelectTrigger className="h-9 w-full">
+              <SelectValue placeholder={t('subtitles.addLanguage')} />
+            </SelectTrigger>
+            <SelectContent>
+              {available.map((track) => (
+                <SelectItem key={track.code} value={track.code}>
+                  {describe(track.code)}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        ) : (
+          tracks.length === 0 && (
+            <p className="text-[11px] text-muted-foreground ml-1">{t('subtitles.noTracks')}</p>
+          )
+        )}
+        <p className="text-[11px] text-muted-foreground ml-1">
+          {languages.length > 0 && tracks.length > 0 && !picked
+            ? t('subtitles.noMatch')
+            : t('subtitles.fallbackHint')}
+        </p>
+      </div>
+
+      <div className="flex items-center justify-between gap-4">
+        <div className="space-y-0.5">
+          <Label className="text-sm font-semibold">{t('subtitles.autoSubtitles')}</Label>
+          <p className="text-[11px] text-muted-foreground">{t('subtitles.autoSubtitlesHint')}</p>
+        </div>
+        <Switch
+          checked={autoSubtitles}
+          onCheckedChange={(checked) => onChange({ ...value, autoSubtitles: checked })}
+        />
+      </div>
+
+      <div className="space-y-2">
+        <Label className="text-xs font-medium text-muted-foreground ml-1">
+          {t('subtitles.format')}
+        </Label>
+        <SubtitleFormatSelect
+          value={value.format}
+          onChange={(format) => onChange({ ...value, format })}
+        />
+      </div>
+    </div>
+  )
+}
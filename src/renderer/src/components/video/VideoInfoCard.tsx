@@ -8,12 +8,20 @@ import {
   SelectTrigger,
   SelectValue
 } from '@renderer/components/ui/select'
+import { resolveLiveStreamStatus } from '@shared/utils/live-stream'
 import { ExternalLink } from 'lucide-react'
 import { useEffect, useMemo } from 'react'
 import { useTranslation } from 'react-i18next'
-import type { VideoInfo } from '../../../../shared/types'
+import type {
+  DownloadPartsPlaylist,
+  SponsorBlockOptions,
+  VideoInfo
+} from '../../../../shared/types'
 import { useCachedThumbnail } from '../../hooks/use-cached-thumbnail'
+import { AdvancedOptions, type TimeRangeRow } from './AdvancedOptions'
 import { FormatSelector } from './FormatSelector'
+import { LiveRecordingPanel } from './LiveRecordingPanel'
+import { SubtitlePicker, type SubtitleSelection } from './SubtitlePicker'
 
 const VideoInfoSkeleton = () => (
   <div className="flex flex-col w-full flex-1 h-full min-h-0">
@@ -31,15 +39,34 @@ const VideoInfoSkeleton = () => (
   </div>
 )
 
+// 'subtitles' downloads only the subtitle files of the video
+export type VideoInfoCardTab = 'video' | 'audio' | 'subtitles'
+
 export interface VideoInfoCardState {
   title: string
-  activeTab: 'video' | 'audio'
+  activeTab: VideoInfoCardTab
   selectedVideoFormat: string
   selectedAudioFormat: string
   customDownloadPath: string
   selectedContainer?: string
   selectedCodec?: string
   selectedFps?: string
+  timeRanges?: TimeRangeRow[]
+  // Indexes into videoInfo.chapters
+  selectedChapters?: number[]
+  splitChapters?: boolean
+  partsPlaylist?: DownloadPartsPlaylist
+  // Live recording inputs, only used for live and upcoming streams
+  liveFromStart?: boolean
+  liveStopAfter?: string
+  liveStopAt?: string
+  downloadSubs?: boolean
+  subtitles?: SubtitleSelection
+  bandwidthLimit?: string
+  // undefined follows the settings default, '' disables post-processing
+  postProcessingPreset?: string
+  // undefined follows the settings default
+  sponsorBlock?: SponsorBlockOptions
 }
 
 interface VideoInfoCardProps {
@@ -47,7 +74,7 @@ interface VideoInfoCardProps {
   loading?: boolean
   state: VideoInfoCardState
   onStateChange: (state: Partial<VideoInfoCardState>) => void
-  onTabChange: (tab: 'video' | 'audio') => void
+  onTabChange: (tab: VideoInfoCardTab) => void
 }
 
 function formatDuration(seconds?: number): string {
@@ -241,6 +268,8 @@ export function VideoInfoCard({
     return <VideoInfoSkeleton />
   }
 
+  const liveStatus = resolveLiveStreamStatus(videoInfo)
+
   return (
     <div className="flex flex-col w-full flex-1 h-full min-h-0">
       {/* Header Info */}
@@ -251,9 +280,15 @@ export function VideoInfoCard({
             alt={title}
             className="w-full h-full object-cover"
           />
-          <div className="absolute bottom-1 right-1 bg-black/70 text-white text-[10px] px-1 rounded">
-            {formatDuration(videoInfo.duration)}
-          </div>
+          {liveStatus ? (
+            <div className="absolute bottom-1 right-1 bg-destructive text-white text-[10px] px-1 rounded">
+              {t(`liveRecording.badges.${liveStatus}`)}
+            </div>
+          ) : (
+            <div className="absolute bottom-1 right-1 bg-black/70 text-white text-[10px] px-1 rounded">
+              {formatDuration(videoInfo.duration)}
+            </div>
+          )}
         </div>
         <div className="flex-1 min-w-0 py-1 flex flex-col justify-between">
           <div className="flex items-start justify-between gap-2">
@@ -274,6 +309,20 @@ export function VideoInfoCard({
       {/* Controls Area */}
       <ScrollArea className="bg-muted/30 overflow-y-auto max-h-68 -mx-6 flex-1 min-h-0">
         <div className="px-6 py-4 space-y-4">
+          {liveStatus && (
+            <LiveRecordingPanel
+              status={liveStatus}
+              scheduledAt={
+                videoInfo.release_timestamp ? videoInfo.release_timestamp * 1000 : undefined
+              }
+              fromStart={state.liveFromStart ?? false}
+              stopAfter={state.liveStopAfter ?? ''}
+              stopAt={state.liveStopAt ?? ''}
+              onFromStartChange={(value) => onStateChange({ liveFromStart: value })}
+              onStopAfterChange={(value) => onStateChange({ liveStopAfter: value })}
+              onStopAtChange={(value) => onStateChange({ liveStopAt: value })}
+            />
+          )}
           <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
             <div className="space-y-1.5">
               <Label className="text-xs text-muted-foreground font-medium">
@@ -282,8 +331,8 @@ export function VideoInfoCard({
               <Select
                 value={activeTab}
                 onValueChange={(v) => {
-                  onTabChange(v as 'video' | 'audio')
-                  onStateChange({ activeTab: v as 'video' | 'audio' })
+                  onTabChange(v as VideoInfoCardTab)
+                  onStateChange({ activeTab: v as VideoInfoCardTab })
                 }}
               >
                 <SelectTrigger className="bg-background">
@@ -292,74 +341,32 @@ export function VideoInfoCard({
                 <SelectContent>
                   <SelectItem value="video">{t('download.video')}</SelectItem>
                   <SelectItem value="audio">{t('download.audio')}</SelectItem>
+                  {!liveStatus && (
+                    <SelectItem value="subtitles">{t('subtitles.subtitlesOnly')}</SelectItem>
+                  )}
                 </SelectContent>
               </Select>
             </div>
 
-            <div className="space-y-1.5">
-              <Label className="text-xs text-muted-foreground font-medium">
-                {t('download.container') || 'Container'}
-              </Label>
-              <Select
-                value={selectedContainer || ''}
-                onValueChange={(v) => {
-                  onStateChange({ selectedContainer: v })
-                }}
-                disabled={containers.length === 0}
-              >
-                <SelectTrigger className="bg-background">
-                  <SelectValue placeholder="Select container" />
-                </SelectTrigger>
-                <SelectContent>
-                  {containers.map((ext) => (
-                    <SelectItem key={ext} value={ext}>
-                      {ext.toUpperCase()}
-                    </SelectItem>
-                  ))}
-                </SelectContent>
-              </Select>
-            </div>
-          </div>
-
-          {/* Advanced Filters */}
-          <div className="flex flex-wrap items-center gap-4 pt-1">
-            <div className="flex items-center gap-2">
-              <span className="text-xs text-muted-foreground">Codec</span>
-              <Select
-                value={selectedCodec || 'auto'}
-                onValueChange={(v) => onStateChange({ selectedCodec: v })}
-                disabled={codecs.length === 0}
-              >
-                <SelectTrigger className="h-7 w-auto min-w-[70px] text-xs bg-transparent border-none shadow-none focus:ring-0 px-0 gap-1">
-                  <SelectValue placeholder="Auto" />
-                </SelectTrigger>
-                <SelectContent>
-                  <SelectItem value="auto">Auto</SelectItem>
-                  {codecs.map((c) => (
-                    <SelectItem key={c} value={c}>
-                      {c}
-                    </SelectItem>
-                  ))}
-                </SelectContent>
-              </Select>
-            </div>
-
-            {activeTab === 'video' && (
-              <div className="flex items-center gap-2">
-                <span className="text-xs text-muted-foreground">Frame Rate</span>
+            {activeTab !== 'subtitles' && (
+              <div className="space-y-1.5">
+                <Label className="text-xs text-muted-foreground font-medium">
+                  {t('download.container') || 'Container'}
+                </Label>
                 <Select
-                  value={selectedFps || 'highest'}
-                  onValueChange={(v) => onStateChange({ selectedFps: v })}
-                  disabled={framerates.length === 0}
+                  value={selectedContainer || ''}
+                  onValueChange={(v) => {
+                    onStateChange({ selectedContainer: v })
+                  }}
+                  disabled={containers.length === 0}
                 >
-                  <SelectTrigger className="h-7 w-auto min-w-[80px] text-xs bg-transparent border-none shadow-none focus:ring-0 px-0 gap-1">
-                    <SelectValue placeholder="Highest" />
+                  <SelectTrigger className="bg-background">
+                    <SelectValue placeholder="Select container" />
                   </SelectTrigger>
                   <SelectContent>
-                    <SelectItem value="highest">Highest</SelectItem>
-                    {framerates.map((fps) => (
-                      <SelectItem key={fps} value={String(fps)}>
-                        {fps}fps
+                    {containers.map((ext) => (
+                      <SelectItem key={ext} value={ext}>
+                        {ext.toUpperCase()}
                       </SelectItem>
                     ))}
                   </SelectContent>
@@ -368,16 +375,100 @@ export function VideoInfoCard({
             )}
           </div>
 
-          {/* List */}
-          <div className="mt-4 min-h-[200px]">
-            <FormatSelector
-              formats={filteredFormats}
-              type={activeTab}
-              codec={selectedCodec}
-              onVideoFormatChange={(format) => onStateChange({ selectedVideoFormat: format })}
-              onAudioFormatChange={(format) => onStateChange({ selectedAudioFormat: format })}
+          {activeTab === 'subtitles' ? (
+            <SubtitlePicker
+              videoInfo={videoInfo}
+              value={state.subtitles ?? {}}
+              onChange={(value) => onStateChange({ subtitles: value })}
             />
-          </div>
+          ) : (
+            <>
+              {/* Advanced Filters */}
+              <div className="flex flex-wrap items-center gap-4 pt-1">
+                <div className="flex items-center gap-2">
+                  <span className="text-xs text-muted-foreground">Codec</span>
+                  <Select
+                    value={selectedCodec || 'auto'}
+                    onValueChange={(v) => onStateChange({ selectedCodec: v })}
+                    disabled={codecs.length === 0}
+                  >
+                    <SelectTrigger className="h-7 w-auto min-w-[70px] text-xs bg-transparent border-none shadow-none focus:ring-0 px-0 gap-1">
+                      <SelectValue placeholder="Auto" />
+                    </SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value="auto">Auto</SelectItem>
+                      {codecs.map((c) => (
+                        <SelectItem key={c} value={c}>
+                          {c}
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+
+                {activeTab === 'video' && (
+                  <div className="flex items-center gap-2">
+                    <span className="text-xs text-muted-foreground">Frame Rate</span>
+                    <Select
+                      value={selectedFps || 'highest'}
+                      onValueChange={(v) => onStateChange({ selectedFps: v })}
+                      disabled={framerates.length === 0}
+                    >
+                      <SelectTrigger className="h-7 w-auto min-w-[80px] text-xs bg-transparent border-none shadow-none focus:ring-0 px-0 gap-1">
+                        <SelectValue placeholder="Highest" />
+                      </SelectTrigger>
+                      <SelectContent>
+                        <SelectItem value="highest">Highest</SelectItem>
+                        {framerates.map((fps) => (
+                          <SelectItem key={fps} value={String(fps)}>
+                            {fps}fps
+                          </SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                  </div>
+                )}
+              </div>
+
+              {/* List */}
+              <div className="mt-4 min-h-[200px]">
+                <FormatSelector
+                  formats={filteredFormats}
+                  type={activeTab}
+                  codec={selectedCodec}
+                  site={{ url: videoInfo.webpage_url ?? '', extractorKey: videoInfo.extractor_key }}
+                  onVideoFormatChange={(format) => onStateChange({ selectedVideoFormat: format })}
+                  onAudioFormatChange={(format) => onStateChange({ selectedAudioFormat: format })}
+                />
+              </div>
+
+              <AdvancedOptions
+                timeRanges={state.timeRanges ?? []}
+                chapters={videoInfo.chapters}
+                liveStream={Boolean(liveStatus)}
+                selectedChapters={state.selectedChapters ?? []}
+                splitChapters={state.splitChapters ?? false}
+                partsPlaylist={state.partsPlaylist}
+                downloadSubs={state.downloadSubs ?? false}
+                subtitleTracks={videoInfo}
+                subtitles={state.subtitles ?? {}}
+                bandwidthLimit={state.bandwidthLimit ?? ''}
+                postProcessingPreset={state.postProcessingPreset}
+                sponsorBlock={state.sponsorBlock}
+                onTimeRangesChange={(value) => onStateChange({ timeRanges: value })}
+                onSelectedChaptersChange={(value) => onStateChange({ selectedChapters: value })}
+                onSplitChaptersChange={(value) => onStateChange({ splitChapters: value })}
+                onPartsPlaylistChange={(value) => onStateChange({ partsPlaylist: value })}
+                onDownloadSubsChange={(value) => onStateChange({ downloadSubs: value })}
+                onSubtitlesChange={(value) => onStateChange({ subtitles: value })}
+                onBandwidthLimitChange={(value) => onStateChange({ bandwidthLimit: value })}
+                onPostProcessingPresetChange={(value) =>
+                  onStateChange({ postProcessingPreset: value })
+                }
+                onSponsorBlockChange={(value) => onStateChange({ sponsorBlock: value })}
+              />
+            </>
+          )}
         </div>
       </ScrollArea>
     </div>
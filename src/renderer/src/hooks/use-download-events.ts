@@ -0,0 +1,190 @@
+import { useSetAtom } from 'jotai'
+import { useCallback, useEffect } from 'react'
+import { useTranslation } from 'react-i18next'
+import { toast } from 'sonner'
+import type {
+  DownloadErrorCategory,
+  DownloadItem,
+  DownloadQueueStatus,
+  LiveRecordingStatus,
+  PostProcessingState
+} from '../../../shared/types'
+import { ipcEvents, ipcServices } from '../lib/ipc'
+import {
+  addHistoryRecordAtom,
+  downloadQueueStatusAtom,
+  refreshHistoryCountsAtom,
+  removeDownloadAtom,
+  trackDownloadAtom,
+  updateDownloadAtom
+} from '../store/downloads'
+
+export function useDownloadEvents() {
+  const { t } = useTranslation()
+  const updateDownload = useSetAtom(updateDownloadAtom)
+  const addHistoryRecord = useSetAtom(addHistoryRecordAtom)
+  const removeDownload = useSetAtom(removeDownloadAtom)
+  const setQueueStatus = useSetAtom(downloadQueueStatusAtom)
+  const trackDownload = useSetAtom(trackDownloadAtom)
+  const refreshHistoryCounts = useSetAtom(refreshHistoryCountsAtom)
+
+  const syncHistoryItem = useCallback(
+    async (id: string) => {
+      try {
+        const historyItem = await ipcServices.history.getHistoryById(id)
+        if (historyItem) {
+          addHistoryRecord(historyItem)
+          // Chapter and section downloads group their extra parts under their own id
+          if (historyItem.playlistId === id) {
+            const { items } = await ipcServices.history.queryHistory({ playlistId: id, limit: 500 })
+            for (const part of items) {
+              if (part.id !== id) {
+                addHistoryRecord(part)
+              }
+            }
+          }
+          removeDownload(id)
+        }
+        void refreshHistoryCounts()
+      } catch (error) {
+        console.error('Failed to sync history item:', error)
+      }
+    },
+    [addHistoryRecord, removeDownload, refreshHistoryCounts]
+  )
+
+  useEffect(() => {
+    ipcServices.download
+      .getQueueStatus()
+      .then(setQueueStatus)
+      .catch((error) => {
+        console.error('Failed to load queue status:', error)
+      })
+
+    const handleQueueUpdated = (...args: unknown[]) => {
+      setQueueStatus(args[0] as DownloadQueueStatus)
+    }
+
+    const handleAdded = (...args: unknown[]) => {
+      trackDownload(args[0] as DownloadItem)
+    }
+
+    const handleStarted = (...args: unknown[]) => {
+      const id = args[0] as string
+      updateDownload({ id, changes: { status: 'downloading' } })
+    }
+
+    const handleProgress = (...args: unknown[]) => {
+      const data = args[0] as { id: string; progress: unknown }
+      const progress = data.progress as {
+        percent: number
+        currentSpeed?: string
+        eta?: string
+        downloaded?: string
+        total?: string
+      }
+      updateDownload({
+        id: data.id,
+        changes: {
+          progress: {
+            percent: progress.percent || 0,
+            currentSpeed: progress.currentSpeed || '',
+            eta: progress.eta || '',
+            downloaded: progress.downloaded || '',
+            total: progress.total || ''
+          },
+          speed: progress.currentSpeed || ''
+        }
+      })
+    }
+
+    const handleProcessing = (...args: unknown[]) => {
+      const { id, ...postProcessing } = args[0] as { id: string } & PostProcessingState
+      updateDownload({ id, changes: { status: 'processing', speed: '', postProcessing } })
+    }
+
+    const handleCompleted = (...args: unknown[]) => {
+      const id = args[0] as string
+      updateDownload({ id, changes: { status: 'completed' } })
+      toast.success(t('notifications.downloadCompleted'))
+      void syncHistoryItem(id)
+    }
+
+    const handleError = (...args: unknown[]) => {
+      const data = args[0] as { id: string; error: string; errorCategory?: DownloadErrorCategory }
+      console.error('Download error:', data)
+      updateDownload({
+        id: data.id,
+        changes: { status: 'error', error: data.error, errorCategory: data.errorCategory }
+      })
+      toast.error(t('notifications.downloadFailed'))
+      void syncHistoryItem(data.id)
+    }
+
+    const handleRetry = (...args: unknown[]) => {
+      const data = args[0] as {
+        id: string
+        attempt: number
+        errorCategory: DownloadErrorCategory
+      }
+      updateDownload({
+        id: data.id,
+        changes: {
+          status: 'pending',
+          speed: '',
+          retryCount: data.attempt,
+          errorCategory: data.errorCategory
+        }
+      })
+    }
+
+    const handleLive = (...args: unknown[]) => {
+      const { id, ...liveRecording } = args[0] as { id: string } & LiveRecordingStatus
+      updateDownload({ id, changes: { liveRecording } })
+    }
+
+    const handlePaused = (...args: unknown[]) => {
+      const id = args[0] as string
+      updateDownload({ id, changes: { status: 'paused', speed: '' } })
+    }
+
+    const handleQueued = (...args: unknown[]) => {
+      const id = args[0] as string
+      updateDownload({ id, changes: { status: 'pending', speed: '' } })
+    }
+
+    const handleCancelled = (...args: unknown[]) => {
+      const id = args[0] as string
+      updateDownload({ id, changes: { status: 'cancelled' } })
+      void syncHistoryItem(id)
+    }
+
+    ipcEvents.on('download:added', handleAdded)
+    ipcEvents.on('download:started', handleStarted)
+    ipcEvents.on('download:progress', handleProgress)
+    ipcEvents.on('download:processing', handleProcessing)
+    ipcEvents.on('download:completed', handleCompleted)
+    ipcEvents.on('download:error', handleError)
+    ipcEvents.on('download:cancelled', handleCancelled)
+    ipcEvents.on('download:retry', handleRetry)
+    ipcEvents.on('download:live', handleLive)
+    ipcEvents.on('download:paused', handlePaused)
+    ipcEvents.on('download:queued', handleQueued)
+    ipcEvents.on('download:queue-updated', handleQueueUpdated)
+
+    return () => {
+      ipcEvents.removeListener('download:added', handleAdded)
+      ipcEvents.removeListener('download:started', handleStarted)
+      ipcEvents.removeListener('download:progress', handleProgress)
+      ipcEvents.removeListener('download:processing', handleProcessing)
+      ipcEvents.removeListener('download:completed', handleCompleted)
+      ipcEvents.removeListener('download:error', handleError)
+      ipcEvents.removeListener('download:cancelled', handleCancelled)
+      ipcEvents.removeListener('download:retry', handleRetry)
+      ipcEvents.removeListener('download:live', handleLive)
+      ipcEvents.removeListener('download:paused', handlePaused)
+      ipcEvents.removeListener('download:queued', handleQueued)
+      ipcEvents.removeListener('download:queue-updated', handleQueueUpdated)
+    }
+  }, [setQueueStatus, syncHistoryItem, t, trackDownload, updateDownload])
+}
@@ -1,36 +1,92 @@
-import { useSetAtom } from 'jotai'
-import { useEffect } from 'react'
-// import type { DownloadHistoryItem } from '../../../shared/types'
-import { ipcServices } from '../lib/ipc'
-import { addHistoryRecordAtom, clearHistoryRecordsAtom } from '../store/downloads'
+import { useAtom, useAtomValue, useSetAtom } from 'jotai'
+import { useCallback, useEffect, useRef, useState } from 'react'
+import { ipcEvents, ipcServices } from '../lib/ipc'
+import {
+  addDownloadAtom,
+  HISTORY_PAGE_SIZE,
+  historyFiltersAtom,
+  historyLoadedCountAtom,
+  historyTotalAtom,
+  refreshHistoryCountsAtom,
+  setHistoryPageAtom
+} from '../store/downloads'
 
+/**
+ * Loads the active downloads and the history page by page through the history query, again
+ * whenever the filters change.
+ */
 export function useHistorySync() {
-  const addHistoryItem = useSetAtom(addHistoryRecordAtom)
-  const clearHistory = useSetAtom(clearHistoryRecordsAtom)
+  const filters = useAtomValue(historyFiltersAtom)
+  const [total, setTotal] = useAtom(historyTotalAtom)
+  const setHistoryPage = useSetAtom(setHistoryPageAtom)
+  const refreshHistoryCounts = useSetAtom(refreshHistoryCountsAtom)
+  const addDownload = useSetAtom(addDownloadAtom)
+  const [loadedCount, setLoadedCount] = useAtom(historyLoadedCountAtom)
+  const [loadingMore, setLoadingMore] = useState(false)
+  // Answers to an older query are dropped when the filters changed in between
+  const requestRef = useRef(0)
 
-  useEffect(() => {
-    // Load initial history from main process
-    const loadHistory = async () => {
-      try {
-        const historyData = await ipcServices.history.getHistory()
-        // Clear existing history and load from main process
-        clearHistory()
-        historyData.forEach((item) => {
-          addHistoryItem(item)
-        })
-      } catch (error) {
-        console.error('Failed to load history:', error)
+  const loadFirstPage = useCallback(async () => {
+    const request = ++requestRef.current
+    try {
+      const [page, activeDownloads] = await Promise.all([
+        ipcServices.history.queryHistory({ ...filters, offset: 0, limit: HISTORY_PAGE_SIZE }),
+        ipcServices.download.getActiveDownloads()
+      ])
+      if (request !== requestRef.current) {
+        return
       }
+      // Queued and running downloads (including ones restored after a restart)
+      // are shown as active items instead of their history rows
+      activeDownloads.forEach((item) => {
+        addDownload(item)
+      })
+      setHistoryPage({ items: page.items, replace: true })
+      setTotal(page.total)
+      setLoadedCount(page.items.length)
+    } catch (error) {
+      console.error('Failed to load history:', error)
     }
+    void refreshHistoryCounts()
+  }, [filters, addDownload, setHistoryPage, setTotal, setLoadedCount, refreshHistoryCounts])
 
-    loadHistory()
+  const loadMore = useCallback(async () => {
+    if (loadingMore || loadedCount >= total) {
+      return
+    }
+    const request = requestRef.current
+    setLoadingMore(true)
+    try {
+      const page = await ipcServices.history.queryHistory({
+        ...filters,
+        offset: loadedCount,
+        limit: HISTORY_PAGE_SIZE
+      })
+      if (request === requestRef.current) {
+        setHistoryPage({ items: page.items, replace: false })
+        setTotal(page.total)
+        setLoadedCount((count) => count + page.items.length)
+      }
+    } catch (error) {
+      console.error('Failed to load more history:', error)
+    } finally {
+      setLoadingMore(false)
+    }
+  }, [filters, loadedCount, loadingMore, total, setHistoryPage, setTotal, setLoadedCount])
 
-    // Listen for new history items from main process
-    // const _handleHistoryAdded = (item: DownloadHistoryItem) => {
-    //   addHistoryItem(item)
-    // }
+  useEffect(() => {
+    void loadFirstPage()
+
+    // The library scan updates entries whose files moved or went missing
+    const handleLibraryScanCompleted = () => {
+      void loadFirstPage()
+    }
+    ipcEvents.on('library:scan-completed', handleLibraryScanCompleted)
+
+    return () => {
+      ipcEvents.removeListener('library:scan-completed', handleLibraryScanCompleted)
+    }
+  }, [loadFirstPage])
 
-    // Note: We would need to add IPC events for real-time updates
-    // For now, we'll rely on manual refresh or page navigation
-  }, [addHistoryItem, clearHistory])
+  return { hasMore: loadedCount < total, loadMore, loadingMore }
 }
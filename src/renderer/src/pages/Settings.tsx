@@ -1,3 +1,15 @@
+import { PostProcessingPresetSelect } from '@renderer/components/download/PostProcessingPresetSelect'
+import { SponsorBlockSelect } from '@renderer/components/download/SponsorBlockSelect'
+import { SubtitleFormatSelect } from '@renderer/components/download/SubtitleFormatSelect'
+import { ApiKeyField } from '@renderer/components/settings/ApiKeyField'
+import { BackupField } from '@renderer/components/settings/BackupField'
+import { BandwidthScheduleEditor } from '@renderer/components/settings/BandwidthScheduleEditor'
+import { DownloadArchiveField } from '@renderer/components/settings/DownloadArchiveField'
+import { HistoryCsvField } from '@renderer/components/settings/HistoryCsvField'
+import { OpmlField } from '@renderer/components/settings/OpmlField'
+import { PostProcessingPresetsEditor } from '@renderer/components/settings/PostProcessingPresetsEditor'
+import { SiteRulesEditor } from '@renderer/components/settings/SiteRulesEditor'
+import { CheckIntervalSelect } from '@renderer/components/subscription/CheckIntervalSelect'
 import { Button } from '@renderer/components/ui/button'
 import { Input } from '@renderer/components/ui/input'
 import {
@@ -20,7 +32,12 @@ import { Switch } from '@renderer/components/ui/switch'
 import { Tabs, TabsContent, TabsList, TabsTrigger } from '@renderer/components/ui/tabs'
 import { Tooltip, TooltipContent, TooltipTrigger } from '@renderer/components/ui/tooltip'
 import { type LanguageCode, languageList, normalizeLanguageCode } from '@shared/languages'
-import type { OneClickQualityPreset } from '@shared/types'
+import {
+  DEFAULT_SPONSORBLOCK_API_URL,
+  type DuplicateDownloadAction,
+  type OneClickQualityPreset
+} from '@shared/types'
+import { parseSubtitleLanguages } from '@shared/utils/subtitles'
 import { useAtom, useSetAtom } from 'jotai'
 import { AlertTriangle, CheckCircle2 } from 'lucide-react'
 import { useTheme } from 'next-themes'
@@ -495,10 +512,161 @@ export function Settings() {
                 </ItemActions>
               </Item>
             </ItemGroup>
+
+            <ItemGroup>
+              <Item variant="muted">
+                <ItemContent>
+                  <ItemTitle>{t('settings.subscriptionCheckInterval')}</ItemTitle>
+                  <ItemDescription>
+                    {t('settings.subscriptionCheckIntervalDescription')}
+                  </ItemDescription>
+                </ItemContent>
+                <ItemActions>
+                  <CheckIntervalSelect
+                    value={settings.subscriptionCheckInterval}
+                    onChange={(value) => {
+                      if (value) {
+                        handleSettingChange('subscriptionCheckInterval', value)
+                      }
+                    }}
+                    allowDefault={false}
+                    className="w-40"
+                  />
+                </ItemActions>
+              </Item>
+
+              <ItemSeparator />
+
+              <Item variant="muted">
+                <ItemContent>
+                  <ItemTitle>{t('settings.subscriptionCheckConcurrency')}</ItemTitle>
+                  <ItemDescription>
+                    {t('settings.subscriptionCheckConcurrencyDescription')}
+                  </ItemDescription>
+                </ItemContent>
+                <ItemActions>
+                  <Select
+                    value={(settings.subscriptionCheckConcurrency ?? 2).toString()}
+                    onValueChange={(value) => {
+                      try {
+                        handleSettingChange('subscriptionCheckConcurrency', Number(value))
+                      } catch (error) {
+                        logger.error('[Settings] Error changing subscription concurrency:', error)
+                      }
+                    }}
+                  >
+                    <SelectTrigger className="w-20">
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {[1, 2, 3, 4, 5].map((num) => (
+                        <SelectItem key={num} value={num.toString()}>
+                          {num}
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </ItemActions>
+              </Item>
+
+              <ItemSeparator />
+
+              <Item variant="muted">
+                <ItemContent>
+                  <ItemTitle>{t('settings.subscriptionQuietHours')}</ItemTitle>
+                  <ItemDescription>
+                    {t('settings.subscriptionQuietHoursDescription')}
+                  </ItemDescription>
+                </ItemContent>
+                <ItemActions>
+                  <Input
+                    type="time"
+                    value={settings.subscriptionQuietHoursStart}
+                    onChange={(e) =>
+                      handleSettingChange('subscriptionQuietHoursStart', e.target.value)
+                    }
+                    disabled={!settings.subscriptionQuietHoursEnabled}
+                    className="w-28"
+                  />
+                  <span className="text-xs text-muted-foreground">-</span>
+                  <Input
+                    type="time"
+                    value={settings.subscriptionQuietHoursEnd}
+                    onChange={(e) =>
+                      handleSettingChange('subscriptionQuietHoursEnd', e.target.value)
+                    }
+                    disabled={!settings.subscriptionQuietHoursEnabled}
+                    className="w-28"
+                  />
+                  <Switch
+                    checked={settings.subscriptionQuietHoursEnabled}
+                    onCheckedChange={(value) =>
+                      handleSettingChange('subscriptionQuietHoursEnabled', value)
+                    }
+                  />
+                </ItemActions>
+              </Item>
+            </ItemGroup>
           </TabsContent>
 
           <TabsContent value="advanced" className="space-y-4 mt-2">
             <ItemGroup>
+              <Item variant="muted">
+                <ItemContent>
+                  <ItemTitle>{t('settings.subtitleLanguages')}</ItemTitle>
+                  <ItemDescription>{t('settings.subtitleLanguagesDescription')}</ItemDescription>
+                </ItemContent>
+                <ItemActions>
+                  {/* Saved on blur, the list is only parsed once typing is done */}
+                  <Input
+                    key={settings.subtitleLanguages.join(',')}
+                    placeholder={t('settings.subtitleLanguagesPlaceholder')}
+                    defaultValue={settings.subtitleLanguages.join(', ')}
+                    onBlur={(e) =>
+                      handleSettingChange(
+                        'subtitleLanguages',
+                        parseSubtitleLanguages(e.target.value)
+                      )
+                    }
+                    className="w-64"
+                  />
+                </ItemActions>
+              </Item>
+
+              <ItemSeparator />
+
+              <Item variant="muted">
+                <ItemContent>
+                  <ItemTitle>{t('settings.subtitleAutoCaptions')}</ItemTitle>
+                  <ItemDescription>{t('settings.subtitleAutoCaptionsDescription')}</ItemDescription>
+                </ItemContent>
+                <ItemActions>
+                  <Switch
+                    checked={settings.subtitleAutoCaptions}
+                    onCheckedChange={(value) => handleSettingChange('subtitleAutoCaptions', value)}
+                  />
+                </ItemActions>
+              </Item>
+
+              <ItemSeparator />
+
+              <Item variant="muted">
+                <ItemContent>
+                  <ItemTitle>{t('settings.subtitleFormat')}</ItemTitle>
+                  <ItemDescription>{t('settings.subtitleFormatDescription')}</ItemDescription>
+                </ItemContent>
+                <ItemActions>
+                  <SubtitleFormatSelect
+                    value={settings.subtitleFormat}
+                    onChange={(value) => handleSettingChange('subtitleFormat', value ?? '')}
+                    allowDefault={false}
+                    className="w-40"
+                  />
+                </ItemActions>
+              </Item>
+
+              <ItemSeparator />
+
               <Item variant="muted">
                 <ItemContent>
                   <ItemTitle>{t('settings.embedSubs')}</ItemTitle>
@@ -584,6 +752,69 @@ export function Settings() {
                   />
                 </ItemActions>
               </Item>
+
+              <ItemSeparator />
+
+              <Item variant="muted">
+                <ItemContent>
+                  <ItemTitle>{t('settings.mediaLibraryMode')}</ItemTitle>
+                  <ItemDescription>{t('settings.mediaLibraryModeDescription')}</ItemDescription>
+                </ItemContent>
+                <ItemActions>
+                  <Switch
+                    checked={settings.mediaLibraryMode}
+                    onCheckedChange={(value) => {
+                      try {
+                        handleSettingChange('mediaLibraryMode', value)
+                      } catch (error) {
+                        logger.error('[Settings] Error toggling mediaLibraryMode:', error)
+                      }
+                    }}
+                  />
+                </ItemActions>
+              </Item>
+            </ItemGroup>
+
+            <ItemGroup>
+              <Item variant="muted" className="flex-col items-start">
+                <ItemContent>
+                  <ItemTitle>{t('settings.sponsorBlock')}</ItemTitle>
+                  <ItemDescription>{t('settings.sponsorBlockDescription')}</ItemDescription>
+                </ItemContent>
+                <SponsorBlockSelect
+                  value={settings.sponsorBlock}
+                  onChange={(value) => {
+                    try {
+                      handleSettingChange('sponsorBlock', value)
+                    } catch (error) {
+                      logger.error('[Settings] Error changing SponsorBlock categories:', error)
+                    }
+                  }}
+                />
+              </Item>
+
+              <ItemSeparator />
+
+              <Item variant="muted">
+                <ItemContent>
+                  <ItemTitle>{t('settings.sponsorBlockApiUrl')}</ItemTitle>
+                  <ItemDescription>{t('settings.sponsorBlockApiUrlDescription')}</ItemDescription>
+                </ItemContent>
+                <ItemActions>
+                  <Input
+                    placeholder={DEFAULT_SPONSORBLOCK_API_URL}
+                    value={settings.sponsorBlockApiUrl}
+                    onChange={(e) => {
+                      try {
+                        handleSettingChange('sponsorBlockApiUrl', e.target.value)
+                      } catch (error) {
+                        logger.error('[Settings] Error changing SponsorBlock API URL:', error)
+                      }
+                    }}
+                    className="w-64"
+                  />
+                </ItemActions>
+              </Item>
             </ItemGroup>
 
             <ItemGroup>
@@ -639,6 +870,136 @@ export function Settings() {
 
               <ItemSeparator />
 
+              <Item variant="muted">
+                <ItemContent>
+                  <ItemTitle>{t('settings.maxDownloadRetries')}</ItemTitle>
+                  <ItemDescription>{t('settings.maxDownloadRetriesDescription')}</ItemDescription>
+                </ItemContent>
+                <ItemActions>
+                  <Select
+                    value={(settings.maxDownloadRetries ?? 3).toString()}
+                    onValueChange={(value) => {
+                      try {
+                        handleSettingChange('maxDownloadRetries', Number(value))
+                      } catch (error) {
+                        logger.error('[Settings] Error changing max download retries:', error)
+                      }
+                    }}
+                  >
+                    <SelectTrigger className="w-20">
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {[0, 1, 2, 3, 4, 5].map((num) => (
+                        <SelectItem key={num} value={num.toString()}>
+                          {num}
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </ItemActions>
+              </Item>
+
+              <ItemSeparator />
+
+              <Item variant="muted">
+                <ItemContent>
+                  <ItemTitle>{t('settings.bandwidthLimit')}</ItemTitle>
+                  <ItemDescription>{t('settings.bandwidthLimitDescription')}</ItemDescription>
+                </ItemContent>
+                <ItemActions>
+                  <Input
+                    type="number"
+                    min={0}
+                    placeholder={t('settings.bandwidthUnlimited')}
+                    value={settings.bandwidthLimit > 0 ? settings.bandwidthLimit.toString() : ''}
+                    onChange={(e) => {
+                      try {
+                        handleSettingChange(
+                          'bandwidthLimit',
+                          Math.max(0, Math.floor(Number(e.target.value) || 0))
+                        )
+                      } catch (error) {
+                        logger.error('[Settings] Error changing bandwidth limit:', error)
+                      }
+                    }}
+                    className="w-32"
+                  />
+                  <span className="text-xs text-muted-foreground">KiB/s</span>
+                </ItemActions>
+              </Item>
+
+              <ItemSeparator />
+
+              <Item variant="muted" className="flex-col items-start">
+                <ItemContent>
+                  <ItemTitle>{t('settings.bandwidthSchedule')}</ItemTitle>
+                  <ItemDescription>{t('settings.bandwidthScheduleDescription')}</ItemDescription>
+                </ItemContent>
+                <BandwidthScheduleEditor
+                  rules={settings.bandwidthSchedule ?? []}
+                  onChange={(rules) => {
+                    try {
+                      handleSettingChange('bandwidthSchedule', rules)
+                    } catch (error) {
+                      logger.error('[Settings] Error changing bandwidth schedule:', error)
+                    }
+                  }}
+                />
+              </Item>
+
+              <ItemSeparator />
+
+              <Item variant="muted">
+                <ItemContent>
+                  <ItemTitle>{t('settings.defaultPostProcessingPreset')}</ItemTitle>
+                  <ItemDescription>
+                    {t('settings.defaultPostProcessingPresetDescription')}
+                  </ItemDescription>
+                </ItemContent>
+                <ItemActions>
+                  <PostProcessingPresetSelect
+                    value={settings.defaultPostProcessingPreset ?? ''}
+                    allowDefault={false}
+                    onChange={(value) => {
+                      try {
+                        handleSettingChange('defaultPostProcessingPreset', value ?? '')
+                      } catch (error) {
+                        logger.error('[Settings] Error changing default post-processing:', error)
+                      }
+                    }}
+                    className="w-56"
+                  />
+                </ItemActions>
+              </Item>
+
+              <ItemSeparator />
+
+              <Item variant="muted" className="flex-col items-start">
+                <ItemContent>
+                  <ItemTitle>{t('settings.postProcessingPresets')}</ItemTitle>
+                  <ItemDescription>
+                    {t('settings.postProcessingPresetsDescription')}
+                  </ItemDescription>
+                </ItemContent>
+                <PostProcessingPresetsEditor
+                  presets={settings.postProcessingPresets ?? []}
+                  onChange={(presets) => {
+                    try {
+                      handleSettingChange('postProcessingPresets', presets)
+                      const defaultPreset = settings.defaultPostProcessingPreset
+                      if (defaultPreset && !presets.some((preset) => preset.id === defaultPreset)) {
+                        handleSettingChange('defaultPostProcessingPreset', '')
+                      }
+                    } catch (error) {
+                      logger.error('[Settings] Error changing post-processing presets:', error)
+                    }
+                  }}
+                />
+              </Item>
+
+              <ItemSeparator />
+
               <Item variant="muted">
                 <ItemContent>
                   <ItemTitle>{t('settings.proxy')}</ItemTitle>
@@ -899,6 +1260,137 @@ export function Settings() {
               </Item>
             </ItemGroup>
 
+            <ItemGroup>
+              <Item variant="muted" className="flex-col items-start">
+                <ItemContent>
+                  <ItemTitle>{t('settings.siteRules')}</ItemTitle>
+                  <ItemDescription>{t('settings.siteRulesDescription')}</ItemDescription>
+                </ItemContent>
+                <SiteRulesEditor
+                  rules={settings.siteRules ?? []}
+                  onChange={(rules) => {
+                    try {
+                      handleSettingChange('siteRules', rules)
+                    } catch (error) {
+                      logger.error('[Settings] Error changing site rules:', error)
+                    }
+                  }}
+                />
+              </Item>
+            </ItemGroup>
+
+            <ItemGroup>
+              <Item variant="muted">
+                <ItemContent>
+                  <ItemTitle>{t('settings.duplicateDownloadAction')}</ItemTitle>
+                  <ItemDescription>
+                    {t('settings.duplicateDownloadActionDescription')}
+                  </ItemDescription>
+                </ItemContent>
+                <ItemActions>
+                  <Select
+                    value={settings.duplicateDownloadAction ?? 'warn'}
+                    onValueChange={(value) => {
+                      try {
+                        handleSettingChange(
+                          'duplicateDownloadAction',
+                          value as DuplicateDownloadAction
+                        )
+                      } catch (error) {
+                        logger.error('[Settings] Error changing duplicate download action:', error)
+                      }
+                    }}
+                  >
+                    <SelectTrigger className="w-40">
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {(['warn', 'skip', 'redownload'] as const).map((action) => (
+                        <SelectItem key={action} value={action}>
+                          {t(`settings.duplicateDownloadActions.${action}`)}
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </ItemActions>
+              </Item>
+
+              <ItemSeparator />
+
+              <Item variant="muted">
+                <ItemContent>
+                  <ItemTitle>{t('settings.downloadArchive')}</ItemTitle>
+                  <ItemDescription>{t('settings.downloadArchiveDescription')}</ItemDescription>
+                </ItemContent>
+                <ItemActions>
+                  <DownloadArchiveField />
+                </ItemActions>
+              </Item>
+
+              <ItemSeparator />
+
+              <Item variant="muted">
+                <ItemContent>
+                  <ItemTitle>{t('settings.autoLibraryScan')}</ItemTitle>
+                  <ItemDescription>{t('settings.autoLibraryScanDescription')}</ItemDescription>
+                </ItemContent>
+                <ItemActions>
+                  <Switch
+                    checked={settings.autoLibraryScan}
+                    onCheckedChange={(value) => handleSettingChange('autoLibraryScan', value)}
+                  />
+                </ItemActions>
+              </Item>
+            </ItemGroup>
+
+            <ItemGroup>
+              <Item variant="muted">
+                <ItemContent>
+                  <ItemTitle>{t('settings.backup')}</ItemTitle>
+                  <ItemDescription>{t('settings.backupDescription')}</ItemDescription>
+                </ItemContent>
+                <ItemActions>
+                  <BackupField />
+                </ItemActions>
+              </Item>
+
+              <ItemSeparator />
+
+              <Item variant="muted">
+                <ItemContent>
+                  <ItemTitle>{t('settings.opml')}</ItemTitle>
+                  <ItemDescription>{t('settings.opmlDescription')}</ItemDescription>
+                </ItemContent>
+                <ItemActions>
+                  <OpmlField />
+                </ItemActions>
+              </Item>
+
+              <ItemSeparator />
+
+              <Item variant="muted">
+                <ItemContent>
+                  <ItemTitle>{t('settings.historyCsv')}</ItemTitle>
+                  <ItemDescription>{t('settings.historyCsvDescription')}</ItemDescription>
+                </ItemContent>
+                <ItemActions>
+                  <HistoryCsvField />
+                </ItemActions>
+              </Item>
+            </ItemGroup>
+
+            <ItemGroup>
+              <Item variant="muted">
+                <ItemContent>
+                  <ItemTitle>{t('settings.apiKey')}</ItemTitle>
+                  <ItemDescription>{t('settings.apiKeyDescription')}</ItemDescription>
+                </ItemContent>
+                <ItemActions>
+                  <ApiKeyField />
+                </ItemActions>
+              </Item>
+            </ItemGroup>
+
             <ItemGroup>
               <Item variant="muted">
                 <ItemContent>
@@ -1,3 +1,4 @@
+import { SubscriptionBackfillDialog } from '@renderer/components/subscription/SubscriptionBackfillDialog'
 import {
   type SubscriptionFormData,
   SubscriptionFormDialog
@@ -19,12 +20,14 @@ import {
   ContextMenuTrigger
 } from '@renderer/components/ui/context-menu'
 import { HoverCard, HoverCardContent, HoverCardTrigger } from '@renderer/components/ui/hover-card'
+import { Progress } from '@renderer/components/ui/progress'
 import { RemoteImage } from '@renderer/components/ui/remote-image'
 import { Tabs, TabsList, TabsTrigger } from '@renderer/components/ui/tabs'
 import { Tooltip, TooltipContent, TooltipTrigger } from '@renderer/components/ui/tooltip'
 import { ipcServices } from '@renderer/lib/ipc'
 import { cn } from '@renderer/lib/utils'
 import { type DownloadRecord, downloadsArrayAtom } from '@renderer/store/downloads'
+import { settingsAtom } from '@renderer/store/settings'
 import {
   createSubscriptionAtom,
   refreshSubscriptionAtom,
@@ -34,9 +37,22 @@ import {
   updateSubscriptionAtom
 } from '@renderer/store/subscriptions'
 import type { DownloadStatus, SubscriptionFeedItem, SubscriptionRule } from '@shared/types'
+import { resolveNextCheckAt } from '@shared/utils/subscription-schedule'
 import dayjs from 'dayjs'
 import { useAtom, useAtomValue, useSetAtom } from 'jotai'
-import { Download, Edit, ExternalLink, Plus, Power, RefreshCw, Trash2 } from 'lucide-react'
+import {
+  Download,
+  Edit,
+  ExternalLink,
+  History,
+  Pause,
+  Play,
+  Plus,
+  Power,
+  RefreshCw,
+  Trash2,
+  X
+} from 'lucide-react'
 import { useCallback, useEffect, useMemo, useState } from 'react'
 import { useTranslation } from 'react-i18next'
 import { toast } from 'sonner'
@@ -81,6 +97,7 @@ const subscriptionItemStatusLabels: Record<SubscriptionItemStatus, string> = {
   pending: 'subscriptions.items.status.pending',
   downloading: 'subscriptions.items.status.downloading',
   processing: 'subscriptions.items.status.processing',
+  paused: 'subscriptions.items.status.paused',
   completed: 'subscriptions.items.status.completed',
   error: 'subscriptions.items.status.error',
   cancelled: 'subscriptions.items.status.cancelled'
@@ -94,7 +111,9 @@ function SubscriptionTab({
   isActive
 }: SubscriptionTabProps) {
   const { t } = useTranslation()
+  const settings = useAtomValue(settingsAtom)
   const [editOpen, setEditOpen] = useState(false)
+  const [backfillOpen, setBackfillOpen] = useState(false)
   const isDisabled = !subscription.enabled
   const statusMeta = isDisabled ? disabledStatusStyle : statusStyles[subscription.status]
   const statusDescription =
@@ -106,6 +125,10 @@ function SubscriptionTab({
   const lastUpdatedLabel = lastUpdatedTimestamp
     ? dayjs(lastUpdatedTimestamp).format('YYYY-MM-DD HH:mm')
     : t('subscriptions.never')
+  const nextCheckLabel =
+    subscription.enabled && subscription.status !== 'checking'
+      ? dayjs(resolveNextCheckAt(subscription, settings)).format('YYYY-MM-DD HH:mm')
+      : null
 
   const handleToggleEnabled = async (checked: boolean) => {
     await onUpdate({ enabled: checked })
@@ -167,6 +190,18 @@ function SubscriptionTab({
             <p className="text-xs">
               {t('subscriptions.status.tooltip.updatedAt', { time: lastUpdatedLabel })}
             </p>
+            {nextCheckLabel && (
+              <p className="text-xs">
+                {t('subscriptions.status.tooltip.nextCheckAt', { time: nextCheckLabel })}
+              </p>
+            )}
+            {subscription.consecutiveFailures > 1 && (
+              <p className="text-xs text-muted-foreground">
+                {t('subscriptions.status.tooltip.backoff', {
+                  count: subscription.consecutiveFailures
+                })}
+              </p>
+            )}
           </HoverCardContent>
         </HoverCard>
         <ContextMenuContent>
@@ -178,6 +213,10 @@ function SubscriptionTab({
             <Edit className="h-4 w-4" />
             {t('subscriptions.actions.edit')}
           </ContextMenuItem>
+          <ContextMenuItem onClick={() => setBackfillOpen(true)}>
+            <History className="h-4 w-4" />
+            {t('subscriptions.actions.backfill')}
+          </ContextMenuItem>
           <ContextMenuItem onClick={() => void handleToggleEnabled(!subscription.enabled)}>
             <Power className="h-4 w-4" />
             {subscription.enabled
@@ -203,6 +242,11 @@ function SubscriptionTab({
         }}
         onClose={() => setEditOpen(false)}
       />
+      <SubscriptionBackfillDialog
+        subscription={subscription}
+        open={backfillOpen}
+        onClose={() => setBackfillOpen(false)}
+      />
     </>
   )
 }
@@ -234,16 +278,20 @@ export function Subscriptions() {
         onlyDownloadLatest: data.onlyDownloadLatest,
         downloadDirectory: data.downloadDirectory,
         namingTemplate: data.namingTemplate,
+        checkInterval: data.checkInterval,
+        ...data.profile,
+        ...data.filters,
         enabled: data.enabled
       }
 
       // If feed URL is provided, resolve it and include sourceUrl, feedUrl, and platform
       if (data.url) {
         try {
-          const resolved = await resolveFeed(data.url)
+          const resolved = await resolveFeed(data.url, data.feedType)
           updatePayload.sourceUrl = resolved.sourceUrl
           updatePayload.feedUrl = resolved.feedUrl
           updatePayload.platform = resolved.platform
+          updatePayload.feedType = resolved.feedType
         } catch (error) {
           console.error('Failed to resolve feed URL:', error)
           toast.error(t('subscriptions.notifications.resolveError'))
@@ -269,11 +317,15 @@ export function Subscriptions() {
       try {
         await createSubscription({
           url: data.url,
+          feedType: data.feedType,
           keywords: data.keywords?.join(', '),
           tags: data.tags?.join(', '),
           onlyDownloadLatest: data.onlyDownloadLatest,
           downloadDirectory: data.downloadDirectory,
           namingTemplate: data.namingTemplate,
+          checkInterval: data.checkInterval,
+          profile: data.profile,
+          filters: data.filters,
           enabled: data.enabled
         })
         toast.success(t('subscriptions.notifications.created'))
@@ -373,7 +425,10 @@ export function Subscriptions() {
           ) : (
             <div className="space-y-3">
               {displayedSubscriptions.map((subscription) => (
-                <SubscriptionCard key={subscription.id} subscription={subscription} />
+                <div key={subscription.id} className="space-y-3">
+                  <SubscriptionBackfillBanner subscription={subscription} />
+                  <SubscriptionCard subscription={subscription} />
+                </div>
               ))}
             </div>
           )}
@@ -420,6 +475,85 @@ interface SubscriptionTabProps {
 
 type SubscriptionRuleUpdateForm = SubscriptionFormData
 
+function SubscriptionBackfillBanner({ subscription }: { subscription: SubscriptionRule }) {
+  const { t } = useTranslation()
+  const backfill = subscription.backfill
+  if (!backfill) {
+    return null
+  }
+
+  const runAction = async (action: () => Promise<boolean>) => {
+    try {
+      await action()
+    } catch (error) {
+      console.error('Failed to update subscription backfill:', error)
+      toast.error(t('subscriptions.backfill.actionError'))
+    }
+  }
+
+  const isFinished = backfill.status === 'completed' || backfill.status === 'failed'
+  const progress = backfill.total > 0 ? Math.round((backfill.processed / backfill.total) * 100) : 0
+
+  return (
+    <div className="flex items-center gap-3 rounded-md border px-3 py-2 text-sm">
+      <History className="h-4 w-4 shrink-0 text-muted-foreground" />
+      <div className="min-w-0 flex-1 space-y-1">
+        <p className={cn('truncate', backfill.status === 'failed' && 'text-destructive')}>
+          {t(`subscriptions.backfill.status.${backfill.status}`, {
+            processed: backfill.processed,
+            total: backfill.total,
+            error: backfill.error
+          })}
+        </p>
+        {backfill.status !== 'listing' && backfill.status !== 'failed' && (
+          <Progress value={progress} className="h-1" />
+        )}
+        {backfill.status === 'running' && backfill.nextBatchAt && (
+          <p className="text-xs text-muted-foreground">
+            {t('subscriptions.backfill.nextBatch', {
+              time: dayjs(backfill.nextBatchAt).format('YYYY-MM-DD HH:mm')
+            })}
+          </p>
+        )}
+      </div>
+      {backfill.status === 'running' && (
+        <Button
+          variant="ghost"
+          size="sm"
+          onClick={() =>
+            void runAction(() => ipcServices.subscriptions.pauseBackfill(subscription.id))
+          }
+        >
+          <Pause className="h-4 w-4" />
+          {t('subscriptions.backfill.pause')}
+        </Button>
+      )}
+      {backfill.status === 'paused' && (
+        <Button
+          variant="ghost"
+          size="sm"
+          onClick={() =>
+            void runAction(() => ipcServices.subscriptions.resumeBackfill(subscription.id))
+          }
+        >
+          <Play className="h-4 w-4" />
+          {t('subscriptions.backfill.resume')}
+        </Button>
+      )}
+      <Button
+        variant="ghost"
+        size="sm"
+        onClick={() =>
+          void runAction(() => ipcServices.subscriptions.cancelBackfill(subscription.id))
+        }
+      >
+        <X className="h-4 w-4" />
+        {isFinished ? t('subscriptions.backfill.dismiss') : t('subscriptions.backfill.cancel')}
+      </Button>
+    </div>
+  )
+}
+
 function SubscriptionCard({ subscription }: { subscription: SubscriptionRule }) {
   const { t } = useTranslation()
   const feedItems: SubscriptionFeedItem[] = subscription.items ?? []
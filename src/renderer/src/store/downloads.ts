@@ -1,11 +1,18 @@
-import { atom } from 'jotai'
-import type { DownloadHistoryItem, DownloadItem } from '../../../shared/types'
+import { atom, type Getter, type Setter } from 'jotai'
+import type {
+  DownloadHistoryItem,
+  DownloadItem,
+  DownloadQueueStatus,
+  SavedHistoryView
+} from '../../../shared/types'
+import { ipcServices } from '../lib/ipc'
 
 export type DownloadRecord = DownloadItem & {
   entryType: 'active' | 'history'
   downloadedAt?: number
   downloadPath?: string
   savedFileName?: string
+  fileMissing?: boolean
 }
 
 const recordKey = (entryType: DownloadRecord['entryType'], id: string) => `${entryType}:${id}`
@@ -24,6 +31,7 @@ const toHistoryRecord = (item: DownloadHistoryItem): DownloadRecord => ({
   status: item.status,
   progress: undefined,
   error: item.error,
+  errorCategory: item.errorCategory,
   downloadPath: item.downloadPath,
   speed: undefined,
   duration: item.duration,
@@ -42,18 +50,78 @@ const toHistoryRecord = (item: DownloadHistoryItem): DownloadRecord => ({
   playlistIndex: item.playlistIndex,
   playlistSize: item.playlistSize,
   savedFileName: item.savedFileName,
+  fileMissing: item.fileMissing,
+  sponsorBlockSummary: item.sponsorBlockSummary,
+  subtitlesOnly: item.subtitlesOnly,
+  subtitleFiles: item.subtitleFiles,
   entryType: 'history',
   downloadedAt: item.downloadedAt
 })
 
+export const HISTORY_PAGE_SIZE = 50
+
+export type HistoryFilters = SavedHistoryView['query']
+
+export type HistoryCounts = Awaited<ReturnType<typeof ipcServices.history.getHistoryCount>>
+
+const historyRecordDate = (record: DownloadRecord) =>
+  record.completedAt ?? record.downloadedAt ?? record.createdAt
+
+// Mirrors the sorting of the history query, so entries added by events land in place
+const compareHistoryRecords = (a: DownloadRecord, b: DownloadRecord, filters: HistoryFilters) => {
+  let diff = 0
+  switch (filters.sortBy) {
+    case 'title':
+      diff = a.title.localeCompare(b.title, undefined, { sensitivity: 'base' })
+      break
+    case 'size':
+      diff = (a.fileSize ?? 0) - (b.fileSize ?? 0)
+      break
+    case 'duration':
+      diff = (a.duration ?? 0) - (b.duration ?? 0)
+      break
+  }
+  const result = diff || historyRecordDate(a) - historyRecordDate(b)
+  return filters.sortOrder === 'asc' ? result : -result
+}
+
 export const downloadRecordsAtom = atom<Map<string, DownloadRecord>>(new Map())
 
+// Filters and sorting of the history list, the pages are loaded by useHistorySync
+export const historyFiltersAtom = atom<HistoryFilters>({})
+
+// Entries in the main process matching the filters, more than the loaded pages hold
+export const historyTotalAtom = atom(0)
+
+// Query results loaded so far, the offset of the next page
+export const historyLoadedCountAtom = atom(0)
+
+export const historyCountsAtom = atom<HistoryCounts | null>(null)
+
+export const refreshHistoryCountsAtom = atom(null, async (_get, set) => {
+  try {
+    set(historyCountsAtom, await ipcServices.history.getHistoryCount())
+  } catch (error) {
+    console.error('Failed to load history counts:', error)
+  }
+})
+
+export const downloadQueueStatusAtom = atom<DownloadQueueStatus | null>(null)
+
 export const addDownloadAtom = atom(null, (get, set, item: DownloadItem) => {
   const downloads = new Map(get(downloadRecordsAtom))
   downloads.set(recordKey('active', item.id), toActiveRecord(item))
   set(downloadRecordsAtom, downloads)
 })
 
+// Downloads queued outside the renderer (subscriptions, local API) arrive through events
+export const trackDownloadAtom = atom(null, (get, set, item: DownloadItem) => {
+  if (get(downloadRecordsAtom).has(recordKey('active', item.id))) {
+    return
+  }
+  set(addDownloadAtom, item)
+})
+
 export const updateDownloadAtom = atom(
   null,
   (get, set, update: { id: string; changes: Partial<DownloadItem> }) => {
@@ -90,10 +158,45 @@ export const addHistoryRecordAtom = atom(null, (get, set, item: DownloadHistoryI
   set(downloadRecordsAtom, downloads)
 })
 
+// Shows a page of query results, leaving out downloads that are still tracked as active
+export const setHistoryPageAtom = atom(
+  null,
+  (get, set, page: { items: DownloadHistoryItem[]; replace: boolean }) => {
+    const downloads = new Map(get(downloadRecordsAtom))
+    if (page.replace) {
+      for (const [key, item] of downloads.entries()) {
+        if (item.entryType === 'history') {
+          downloads.delete(key)
+        }
+      }
+    }
+    for (const item of page.items) {
+      if (!downloads.has(recordKey('active', item.id))) {
+        downloads.set(recordKey('history', item.id), toHistoryRecord(item))
+      }
+    }
+    set(downloadRecordsAtom, downloads)
+  }
+)
+
+// Removed entries no longer take up room in the query results, keep the next page in line
+const shrinkLoadedHistory = (
+  get: Getter,
+  set: Setter,
+  downloads: Map<string, DownloadRecord>,
+  removed: number
+) => {
+  set(downloadRecordsAtom, downloads)
+  if (removed > 0) {
+    set(historyLoadedCountAtom, Math.max(0, get(historyLoadedCountAtom) - removed))
+    set(historyTotalAtom, Math.max(0, get(historyTotalAtom) - removed))
+  }
+}
+
 export const removeHistoryRecordAtom = atom(null, (get, set, id: string) => {
   const downloads = new Map(get(downloadRecordsAtom))
-  downloads.delete(recordKey('history', id))
-  set(downloadRecordsAtom, downloads)
+  const removed = downloads.delete(recordKey('history', id))
+  shrinkLoadedHistory(get, set, downloads, removed ? 1 : 0)
 })
 
 export const removeHistoryRecordsAtom = atom(null, (get, set, ids: string[]) => {
@@ -102,10 +205,13 @@ export const removeHistoryRecordsAtom = atom(null, (get, set, ids: string[]) =>
   }
   const downloads = new Map(get(downloadRecordsAtom))
   const uniqueIds = Array.from(new Set(ids))
+  let removed = 0
   uniqueIds.forEach((id) => {
-    downloads.delete(recordKey('history', id))
+    if (downloads.delete(recordKey('history', id))) {
+      removed++
+    }
   })
-  set(downloadRecordsAtom, downloads)
+  shrinkLoadedHistory(get, set, downloads, removed)
 })
 
 export const removeHistoryRecordsByPlaylistAtom = atom(null, (get, set, playlistId: string) => {
@@ -113,12 +219,14 @@ export const removeHistoryRecordsByPlaylistAtom = atom(null, (get, set, playlist
     return
   }
   const downloads = new Map(get(downloadRecordsAtom))
+  let removed = 0
   for (const [key, item] of downloads.entries()) {
     if (item.entryType === 'history' && item.playlistId === playlistId) {
       downloads.delete(key)
+      removed++
     }
   }
-  set(downloadRecordsAtom, downloads)
+  shrinkLoadedHistory(get, set, downloads, removed)
 })
 
 export const clearHistoryRecordsAtom = atom(null, (get, set) => {
@@ -146,7 +254,29 @@ export const clearHistoryRecordsByStatusAtom = atom(
 
 export const downloadsArrayAtom = atom((get) => {
   const downloads = get(downloadRecordsAtom)
-  return Array.from(downloads.values()).sort((a, b) => b.createdAt - a.createdAt)
+  const historyFilters = get(historyFiltersAtom)
+  const queuedIds = get(downloadQueueStatusAtom)?.queuedIds ?? []
+  const queueOrder = new Map(queuedIds.map((id, index) => [id, index]))
+  // Running downloads first, then waiting ones in queue order, then history
+  const rank = (record: DownloadRecord) => {
+    if (record.entryType === 'history') {
+      return 2
+    }
+    return queueOrder.has(record.id) ? 1 : 0
+  }
+  return Array.from(downloads.values()).sort((a, b) => {
+    const rankDiff = rank(a) - rank(b)
+    if (rankDiff !== 0) {
+      return rankDiff
+    }
+    if (rank(a) === 1) {
+      return (queueOrder.get(a.id) ?? 0) - (queueOrder.get(b.id) ?? 0)
+    }
+    if (rank(a) === 2) {
+      return compareHistoryRecords(a, b, historyFilters)
+    }
+    return b.createdAt - a.createdAt
+  })
 })
 
 export const activeDownloadsArrayAtom = atom((get) =>
@@ -178,7 +308,10 @@ export const downloadStatsAtom = atom((get) => {
       acc.total += 1
       if (
         item.entryType === 'active' &&
-        (item.status === 'downloading' || item.status === 'processing' || item.status === 'pending')
+        (item.status === 'downloading' ||
+          item.status === 'processing' ||
+          item.status === 'pending' ||
+          item.status === 'paused')
       ) {
         acc.active += 1
       }
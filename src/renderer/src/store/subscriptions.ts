@@ -1,4 +1,7 @@
 import type {
+  SubscriptionDownloadProfile,
+  SubscriptionFeedType,
+  SubscriptionFilters,
   SubscriptionResolvedFeed,
   SubscriptionRule,
   SubscriptionUpdatePayload
@@ -33,11 +36,15 @@ export const loadSubscriptionsAtom = atom(null, async (_get, set) => {
 
 export interface CreateSubscriptionForm {
   url: string
+  feedType?: SubscriptionFeedType
   keywords?: string
   tags?: string
   onlyDownloadLatest?: boolean
   downloadDirectory?: string
   namingTemplate?: string
+  checkInterval?: number
+  profile?: SubscriptionDownloadProfile
+  filters?: SubscriptionFilters
   enabled?: boolean
 }
 
@@ -46,11 +53,15 @@ export const createSubscriptionAtom = atom(
   async (_get, _set, payload: CreateSubscriptionForm) => {
     await ipcServices.subscriptions.create({
       url: payload.url,
+      feedType: payload.feedType,
       keywords: normalizeCommaList(payload.keywords),
       tags: normalizeCommaList(payload.tags),
       onlyDownloadLatest: payload.onlyDownloadLatest,
       downloadDirectory: payload.downloadDirectory,
       namingTemplate: payload.namingTemplate,
+      checkInterval: payload.checkInterval,
+      ...payload.profile,
+      ...payload.filters,
       enabled: payload.enabled
     })
   }
@@ -73,7 +84,12 @@ export const refreshSubscriptionAtom = atom(null, async (_get, _set, id?: string
 
 export const resolveFeedAtom = atom(
   null,
-  async (_get, _set, url: string): Promise<SubscriptionResolvedFeed> => {
-    return ipcServices.subscriptions.resolve(url)
+  async (
+    _get,
+    _set,
+    url: string,
+    feedType?: SubscriptionFeedType
+  ): Promise<SubscriptionResolvedFeed> => {
+    return ipcServices.subscriptions.resolve(url, feedType)
   }
 )
@@ -32,6 +32,39 @@ export interface VideoInfo {
   description?: string
   view_count?: number
   uploader?: string
+  channel?: string
+  channel_id?: string
+  // YYYYMMDD
+  upload_date?: string
+  // Upload time in seconds
+  timestamp?: number
+  tags?: string[]
+  chapters?: VideoChapter[]
+  is_live?: boolean
+  live_status?: 'not_live' | 'is_live' | 'is_upcoming' | 'was_live' | 'post_live'
+  // Scheduled start of an upcoming stream or premiere, in seconds
+  release_timestamp?: number
+  // Subtitle tracks by language code, uploaded ones and the site's automatic captions
+  subtitles?: Record<string, SubtitleTrack[]>
+  automatic_captions?: Record<string, SubtitleTrack[]>
+}
+
+// One format a subtitle track is offered in
+export interface SubtitleTrack {
+  ext: string
+  url?: string
+  name?: string
+}
+
+export type SubtitleFormat = 'srt' | 'vtt' | 'ass'
+
+export const SUBTITLE_FORMATS: SubtitleFormat[] = ['srt', 'vtt', 'ass']
+
+export interface VideoChapter {
+  title: string
+  // Seconds
+  start_time: number
+  end_time: number
 }
 
 export interface DownloadProgress {
@@ -46,10 +79,72 @@ export type DownloadStatus =
   | 'pending'
   | 'downloading'
   | 'processing'
+  | 'paused'
   | 'completed'
   | 'error'
   | 'cancelled'
 
+export type DownloadErrorCategory =
+  | 'network'
+  | 'rate-limited'
+  | 'auth-required'
+  | 'geo-blocked'
+  | 'unavailable'
+  | 'ffmpeg'
+  | 'duplicate'
+  | 'live-stream'
+  | 'unknown'
+
+export type PostProcessingStepType =
+  | 'remux-mp4'
+  | 'transcode-h264'
+  | 'extract-audio'
+  | 'normalize-loudness'
+  | 'trim-silence'
+
+export interface PostProcessingStep {
+  type: PostProcessingStepType
+  // Only used by extract-audio
+  audioCodec?: 'mp3' | 'opus'
+  // kbit/s, only used by extract-audio
+  audioBitrate?: number
+}
+
+export interface PostProcessingPreset {
+  id: string
+  name: string
+  steps: PostProcessingStep[]
+  // Keep the file yt-dlp produced next to the processed output
+  keepOriginal: boolean
+}
+
+export interface PostProcessingState {
+  presetId: string
+  step: PostProcessingStepType
+  // 0-based index into the preset's steps
+  stepIndex: number
+  stepCount: number
+}
+
+// How a live or upcoming stream is recorded; stop limits are combined, the earliest wins
+export interface LiveRecordingOptions {
+  // Records from the beginning of the stream instead of from when recording starts
+  fromStart?: boolean
+  // Minutes after recording starts
+  stopAfterMinutes?: number
+  // Clock time as epoch milliseconds
+  stopAt?: number
+}
+
+export interface LiveRecordingStatus {
+  state: 'waiting' | 'recording' | 'stopping'
+  // Epoch milliseconds, the announced start of an upcoming stream
+  scheduledAt?: number
+  startedAt?: number
+  // When the recording stops by itself
+  stopAt?: number
+}
+
 export interface DownloadItem {
   id: string
   url: string
@@ -59,6 +154,9 @@ export interface DownloadItem {
   status: DownloadStatus
   progress?: DownloadProgress
   error?: string
+  errorCategory?: DownloadErrorCategory
+  retryCount?: number
+  postProcessing?: PostProcessingState
   speed?: string
   // Enhanced video information
   duration?: number
@@ -83,8 +181,25 @@ export interface DownloadItem {
   playlistTitle?: string
   playlistIndex?: number
   playlistSize?: number
+  sponsorBlockSummary?: SponsorBlockSummary
+  liveRecording?: LiveRecordingStatus
+  subtitlesOnly?: boolean
+  // File names of the subtitles kept next to the download
+  subtitleFiles?: string[]
+}
+
+export interface DownloadQueueStatus {
+  queued: number
+  active: number
+  paused: number
+  isPaused: boolean
+  activeIds: string[]
+  queuedIds: string[]
+  pausedIds: string[]
 }
 
+export type DownloadQueueMoveDirection = 'up' | 'down'
+
 export interface SubscriptionFeedItem {
   id: string
   url: string
@@ -109,6 +224,7 @@ export interface DownloadHistoryItem {
   downloadedAt: number
   completedAt?: number
   error?: string
+  errorCategory?: DownloadErrorCategory
   // Additional metadata
   description?: string
   channel?: string
@@ -124,8 +240,69 @@ export interface DownloadHistoryItem {
   playlistTitle?: string
   playlistIndex?: number
   playlistSize?: number
+  // Set by the library scan when the saved file is no longer on disk
+  fileMissing?: boolean
+  sponsorBlockSummary?: SponsorBlockSummary
+  // Only the subtitles were downloaded, savedFileName is the first of them
+  subtitlesOnly?: boolean
+  // File names of the subtitles kept next to the download, in downloadPath
+  subtitleFiles?: string[]
 }
 
+export type HistorySortField = 'date' | 'title' | 'size' | 'duration'
+
+/**
+ * Filters, sorting and paging for history queries. Unset fields do not filter, dates are
+ * epoch milliseconds, sizes bytes and durations seconds.
+ */
+export interface HistoryQuery {
+  // Full-text search over title, description, channel, uploader and tags
+  search?: string
+  statuses?: DownloadStatus[]
+  types?: Array<DownloadHistoryItem['type']>
+  origins?: Array<NonNullable<DownloadHistoryItem['origin']>>
+  subscriptionId?: string
+  playlistId?: string
+  dateFrom?: number
+  dateTo?: number
+  minSize?: number
+  maxSize?: number
+  minDuration?: number
+  maxDuration?: number
+  sortBy?: HistorySortField
+  sortOrder?: 'asc' | 'desc'
+  offset?: number
+  limit?: number
+}
+
+export interface HistoryQueryResult {
+  items: DownloadHistoryItem[]
+  // Entries matching the filters, regardless of offset and limit
+  total: number
+}
+
+export interface HistoryPlaylistOption {
+  id: string
+  title: string
+  count: number
+}
+
+export interface SavedHistoryView {
+  id: string
+  name: string
+  query: Omit<HistoryQuery, 'offset' | 'limit'>
+}
+
+// A clip cut from a video, times in the `[[hh:]mm:]ss` form yt-dlp accepts
+export interface DownloadTimeRange {
+  start: string
+  end?: string
+  // Names the part in the history, e.g. the chapter the range came from
+  title?: string
+}
+
+export type DownloadPartsPlaylist = 'm3u' | 'cue'
+
 export interface DownloadOptions {
   url: string
   type: 'video' | 'audio'
@@ -134,12 +311,44 @@ export interface DownloadOptions {
   audioFormatIds?: string[]
   startTime?: string
   endTime?: string
+  // Several clips in one job, each saved as its own file; replaces startTime/endTime
+  timeRanges?: DownloadTimeRange[]
+  // One file per chapter, named from the chapter title
+  splitChapters?: boolean
+  // Playlist written next to the parts of a split or multi-range download
+  partsPlaylist?: DownloadPartsPlaylist
   downloadSubs?: boolean
   customDownloadPath?: string
   customFilenameTemplate?: string
+  // Per-download bandwidth cap in KiB/s, overrides the global limit when set
+  bandwidthLimit?: number
+  // Preset id run after the download; undefined uses the settings default, '' skips processing
+  postProcessingPreset?: string
+  // Preferred subtitle languages in order, the first one the video has a track for is
+  // downloaded and the rest are fallbacks; empty follows the setting
+  subtitleLanguages?: string[]
+  // Allows the site's automatic captions when a language has no uploaded subtitles
+  autoSubtitles?: boolean
+  // Converts the subtitle files, '' keeps the site's format
+  subtitleFormat?: SubtitleFormat | ''
+  // Downloads the subtitles without the video
+  subtitlesOnly?: boolean
+  // Overrides for the matching global embed settings
+  embedSubs?: boolean
+  embedThumbnail?: boolean
+  embedMetadata?: boolean
+  embedChapters?: boolean
+  // Overrides the media library layout setting
+  mediaLibrary?: boolean
+  // Overrides the SponsorBlock setting
+  sponsorBlock?: SponsorBlockOptions
+  // Records the URL when it turns out to be a live or upcoming stream, which fail without it
+  liveRecording?: LiveRecordingOptions
   tags?: string[]
   origin?: 'manual' | 'subscription'
   subscriptionId?: string
+  // Downloads the video even when the download archive already lists it
+  ignoreArchive?: boolean
 }
 
 export interface PlaylistEntry {
@@ -148,6 +357,13 @@ export interface PlaylistEntry {
   url: string
   index: number
   thumbnail?: string
+  // Only some extractors report these in flat-playlist mode
+  publishedAt?: number
+  description?: string
+  // yt-dlp extractor key of the entry, when the listing names it
+  extractor?: string
+  // Set when the download archive already lists the entry
+  archived?: boolean
 }
 
 export interface PlaylistInfo {
@@ -166,6 +382,9 @@ export interface PlaylistDownloadOptions {
   filenameFormat?: string
   folderFormat?: string
   customDownloadPath?: string
+  postProcessingPreset?: string
+  // Queues entries the download archive already lists instead of leaving them out
+  ignoreArchive?: boolean
 }
 
 export interface PlaylistDownloadEntry {
@@ -185,19 +404,251 @@ export interface PlaylistDownloadResult {
   startIndex: number
   endIndex: number
   entries: PlaylistDownloadEntry[]
+  // Entries in the range left out because the download archive lists them
+  skippedCount: number
+}
+
+// SponsorBlock segment categories yt-dlp can remove or mark as chapters
+export type SponsorBlockCategory =
+  | 'sponsor'
+  | 'intro'
+  | 'outro'
+  | 'selfpromo'
+  | 'interaction'
+  | 'music_offtopic'
+
+export const SPONSORBLOCK_CATEGORIES: SponsorBlockCategory[] = [
+  'sponsor',
+  'intro',
+  'outro',
+  'selfpromo',
+  'interaction',
+  'music_offtopic'
+]
+
+export interface SponsorBlockOptions {
+  // Cut out of the file
+  remove: SponsorBlockCategory[]
+  // Kept and added as chapters, ignored for categories that are removed
+  mark: SponsorBlockCategory[]
+}
+
+// Segments cut out of a download, durations in seconds
+export interface SponsorBlockSummary {
+  segments: number
+  // Overlapping segments are counted once
+  removedSeconds: number
+  categories: Partial<Record<SponsorBlockCategory, number>>
+}
+
+// What happens to a video the download archive already lists. Only the download dialog can ask,
+// downloads queued any other way skip the video under 'warn' as they do under 'skip'
+export type DuplicateDownloadAction = 'warn' | 'skip' | 'redownload'
+
+export interface DownloadArchiveEntry {
+  // Lowercased yt-dlp extractor key, as written in --download-archive files
+  extractor: string
+  videoId: string
+  title?: string
+  url?: string
+  historyId?: string
+  downloadedAt: number
+}
+
+export interface DownloadArchiveImportResult {
+  added: number
+  existing: number
+  invalid: number
+}
+
+// Backup types
+export type BackupImportMode = 'merge' | 'replace'
+// What a merge does with history entries and subscriptions that exist on both sides
+export type BackupConflictStrategy = 'skip' | 'overwrite' | 'newest'
+
+export interface BackupExportOptions {
+  includeThumbnails: boolean
+}
+
+export interface BackupImportOptions {
+  mode: BackupImportMode
+  conflict: BackupConflictStrategy
+  includeSettings: boolean
+}
+
+export interface BackupImportCounts {
+  added: number
+  updated: number
+  skipped: number
+}
+
+export interface BackupImportResult {
+  history: BackupImportCounts
+  subscriptions: BackupImportCounts
+  archiveEntries: number
+  thumbnails: number
+  // Imported settings, applied by the caller through the settings service
+  settings?: Partial<AppSettings>
+}
+
+export interface OpmlImportResult {
+  added: number
+  existing: number
+  invalid: number
+}
+
+// Library scan types
+export interface LibraryScanProgress {
+  checked: number
+  total: number
+}
+
+export interface LibraryMissingFile {
+  id: string
+  title: string
+  url: string
+  // Where the file was last seen
+  filePath: string
+}
+
+export interface LibraryRelocatedFile {
+  id: string
+  title: string
+  from: string
+  to: string
+}
+
+export interface DiskUsageGroup {
+  // Channel name, subscription id or playlist id, empty for items without one
+  key: string
+  label: string
+  count: number
+  bytes: number
+}
+
+export interface LibraryScanResult {
+  startedAt: number
+  finishedAt: number
+  checked: number
+  missing: LibraryMissingFile[]
+  relocated: LibraryRelocatedFile[]
+  totalBytes: number
+  usage: {
+    byChannel: DiskUsageGroup[]
+    bySubscription: DiskUsageGroup[]
+    byPlaylist: DiskUsageGroup[]
+  }
 }
 
 // Subscription types
 export type SubscriptionPlatform = 'youtube' | 'bilibili' | 'custom'
 
+// 'ytdlp' polls a channel or playlist page with flat-playlist extraction instead of RSS
+export type SubscriptionFeedType = 'rss' | 'ytdlp'
+
 export type SubscriptionStatus = 'idle' | 'checking' | 'up-to-date' | 'failed'
 
-export interface SubscriptionRule {
+// Per-subscription download settings; unset fields fall back to the global settings
+export interface SubscriptionDownloadProfile {
+  downloadType?: 'video' | 'audio'
+  quality?: OneClickQualityPreset
+  // Explicit yt-dlp format selector, takes precedence over quality
+  formatSelector?: string
+  // Preferred languages with fallbacks, empty keeps the global subtitle behaviour
+  subtitleLanguages: string[]
+  autoSubtitles?: boolean
+  // '' keeps the site's format
+  subtitleFormat?: SubtitleFormat | ''
+  embedSubs?: boolean
+  embedThumbnail?: boolean
+  embedMetadata?: boolean
+  embedChapters?: boolean
+  // Media library layout, undefined follows the setting
+  mediaLibrary?: boolean
+  // Undefined follows the SponsorBlock setting
+  sponsorBlock?: SponsorBlockOptions
+  // Records uploads that turn out to be live or upcoming streams instead of skipping them
+  autoRecordLive?: boolean
+  // MB; items with a larger estimated size are skipped by automatic checks
+  maxFileSize?: number
+  postProcessingPreset?: string
+}
+
+// Extra rules on top of the keyword filter, applied by automatic checks
+export interface SubscriptionFilters {
+  excludeKeywords: string[]
+  // Case-insensitive regular expressions
+  titlePattern?: string
+  descriptionPattern?: string
+  // Seconds; duration limits need a metadata probe per item
+  minDuration?: number
+  maxDuration?: number
+  // Timestamp in ms; older uploads are ignored
+  publishedAfter?: number
+  maxItemsPerRun?: number
+}
+
+export type SubscriptionFilterRejection =
+  | 'keyword'
+  | 'excluded-keyword'
+  | 'title-pattern'
+  | 'description-pattern'
+  | 'published-before'
+  | 'max-items'
+
+export interface SubscriptionFilterPreviewItem {
+  id: string
+  url: string
+  title: string
+  publishedAt: number
+  thumbnail?: string
+  matched: boolean
+  rejection?: SubscriptionFilterRejection
+}
+
+// Emitted by the scheduler after every check, streamed by the local API
+export interface SubscriptionCheckResult {
+  subscriptionId: string
+  title: string
+  status: 'success' | 'failed'
+  checkedAt: number
+  // Items that passed the filters and were not downloaded before
+  newItems: number
+  queued: number
+  // Downloads started by this check, empty when none could be queued
+  downloadIds: string[]
+  error?: string
+}
+
+export type SubscriptionBackfillStatus = 'listing' | 'running' | 'paused' | 'completed' | 'failed'
+
+export interface SubscriptionBackfillOptions {
+  // Newest `count` uploads, or every upload between `from` and `to` (ms timestamps)
+  mode: 'count' | 'date-range'
+  count?: number
+  from?: number
+  to?: number
+  batchSize: number
+  batchIntervalMinutes: number
+}
+
+export interface SubscriptionBackfillState extends SubscriptionBackfillOptions {
+  status: SubscriptionBackfillStatus
+  // Uploads selected for the backfill and how many of them were handled so far
+  total: number
+  processed: number
+  startedAt: number
+  nextBatchAt?: number
+  error?: string
+}
+
+export interface SubscriptionRule extends SubscriptionDownloadProfile, SubscriptionFilters {
   id: string
   title: string
   sourceUrl: string
   feedUrl: string
   platform: SubscriptionPlatform
+  feedType: SubscriptionFeedType
   keywords: string[]
   tags: string[]
   onlyDownloadLatest: boolean
@@ -209,6 +660,11 @@ export interface SubscriptionRule {
   lastSuccessAt?: number
   status: SubscriptionStatus
   lastError?: string
+  // Minutes between checks; unset follows the global setting
+  checkInterval?: number
+  // Failed checks in a row, used to back off
+  consecutiveFailures: number
+  backfill?: SubscriptionBackfillState
   createdAt: number
   updatedAt: number
   downloadDirectory?: string
@@ -220,44 +676,95 @@ export interface SubscriptionResolvedFeed {
   sourceUrl: string
   feedUrl: string
   platform: SubscriptionPlatform
+  feedType: SubscriptionFeedType
 }
 
-export interface SubscriptionCreatePayload {
+export interface SubscriptionCreatePayload
+  extends Partial<SubscriptionDownloadProfile>,
+    Partial<SubscriptionFilters> {
   sourceUrl: string
   feedUrl: string
   platform: SubscriptionPlatform
+  feedType: SubscriptionFeedType
   keywords?: string[]
   tags?: string[]
   onlyDownloadLatest?: boolean
   downloadDirectory?: string
   namingTemplate?: string
+  checkInterval?: number
   enabled?: boolean
 }
 
-export interface SubscriptionUpdatePayload {
+export interface SubscriptionUpdatePayload
+  extends Partial<SubscriptionDownloadProfile>,
+    Partial<SubscriptionFilters> {
   title?: string
   sourceUrl?: string
   feedUrl?: string
   platform?: SubscriptionPlatform
+  feedType?: SubscriptionFeedType
   keywords?: string[]
   tags?: string[]
   onlyDownloadLatest?: boolean
   enabled?: boolean
   downloadDirectory?: string
   namingTemplate?: string
+  checkInterval?: number
   items?: SubscriptionFeedItem[]
 }
 
 // Settings types
 export type OneClickQualityPreset = 'best' | 'good' | 'normal' | 'bad' | 'worst'
 
+export interface BandwidthScheduleRule {
+  id: string
+  // Local time of day as HH:MM; a window may wrap past midnight
+  start: string
+  end: string
+  // KiB/s, 0 means unlimited
+  limit: number
+}
+
+/**
+ * Overrides for the URLs of one site, matched by domain or by yt-dlp extractor key. Unset
+ * fields keep the global setting.
+ */
+export interface SiteRule {
+  id: string
+  name: string
+  enabled: boolean
+  // A domain also covers its subdomains, example.com matches www.example.com
+  domains: string[]
+  // Extractor keys such as BiliBili, only known once the video info has been fetched
+  extractors: string[]
+  // 'none' sends no browser cookies to the site
+  browserForCookies?: string
+  // '' sends no cookies file
+  cookiesPath?: string
+  // '' connects directly
+  proxy?: string
+  quality?: OneClickQualityPreset
+  filenameTemplate?: string
+  downloadPath?: string
+  // Appended to every yt-dlp call for the site, quoted like a command line
+  extraArgs?: string
+}
+
 export interface AppSettings {
   downloadPath: string
   maxConcurrentDownloads: number
+  maxDownloadRetries: number
+  bandwidthLimit: number
+  bandwidthSchedule: BandwidthScheduleRule[]
+  postProcessingPresets: PostProcessingPreset[]
+  // Preset id applied when a download does not choose one, '' for none
+  defaultPostProcessingPreset: string
   browserForCookies: string
   cookiesPath: string
   proxy: string
   configPath: string
+  // Checked in order, the first enabled rule that matches a URL applies
+  siteRules: SiteRule[]
   betaProgram: boolean
   language: LanguageCode
   theme: string
@@ -269,22 +776,85 @@ export interface AppSettings {
   launchAtLogin: boolean
   autoUpdate: boolean
   subscriptionOnlyLatestDefault: boolean
+  // Minutes between checks for subscriptions without their own interval
+  subscriptionCheckInterval: number
+  subscriptionCheckConcurrency: number
+  // No scheduled checks run inside the quiet hours window (HH:MM, may wrap past midnight)
+  subscriptionQuietHoursEnabled: boolean
+  subscriptionQuietHoursStart: string
+  subscriptionQuietHoursEnd: string
   enableAnalytics: boolean
+  // Key required by the local API, empty while no key has been generated
+  apiKey: string
+  // Preferred subtitle languages in order, empty downloads every language when embedding
+  subtitleLanguages: string[]
+  subtitleAutoCaptions: boolean
+  // '' keeps the format the site offers
+  subtitleFormat: SubtitleFormat | ''
   embedSubs: boolean
   embedThumbnail: boolean
   embedMetadata: boolean
   embedChapters: boolean
+  // Show/season/episode folders with .nfo files and artwork for Jellyfin, Plex and Kodi
+  mediaLibraryMode: boolean
+  sponsorBlock: SponsorBlockOptions
+  // Base URL of the SponsorBlock API, a self-hosted mirror works too
+  sponsorBlockApiUrl: string
+  duplicateDownloadAction: DuplicateDownloadAction
+  // Checks the downloaded files in the background after launch and every few hours
+  autoLibraryScan: boolean
+  savedHistoryViews: SavedHistoryView[]
 }
 
+export const DEFAULT_SPONSORBLOCK_API_URL = 'https://sponsor.ajay.app'
+
 export const DEFAULT_SUBSCRIPTION_FILENAME_TEMPLATE = '%(uploader)s/%(title)s.%(ext)s'
 
+export const defaultPostProcessingPresets: PostProcessingPreset[] = [
+  { id: 'remux-mp4', name: 'Remux to MP4', steps: [{ type: 'remux-mp4' }], keepOriginal: false },
+  {
+    id: 'tv-h264',
+    name: 'H.264/AAC (TV compatible)',
+    steps: [{ type: 'transcode-h264' }],
+    keepOriginal: false
+  },
+  {
+    id: 'mp3-320',
+    name: 'MP3 320 kbps',
+    steps: [{ type: 'extract-audio', audioCodec: 'mp3', audioBitrate: 320 }],
+    keepOriginal: false
+  },
+  {
+    id: 'opus-128',
+    name: 'Opus 128 kbps',
+    steps: [{ type: 'extract-audio', audioCodec: 'opus', audioBitrate: 128 }],
+    keepOriginal: false
+  },
+  {
+    id: 'podcast',
+    name: 'Podcast (normalized MP3)',
+    steps: [
+      { type: 'extract-audio', audioCodec: 'mp3', audioBitrate: 192 },
+      { type: 'trim-silence' },
+      { type: 'normalize-loudness' }
+    ],
+    keepOriginal: false
+  }
+]
+
 export const defaultSettings: AppSettings = {
   downloadPath: '',
   maxConcurrentDownloads: 5,
+  maxDownloadRetries: 3,
+  bandwidthLimit: 0,
+  bandwidthSchedule: [],
+  postProcessingPresets: defaultPostProcessingPresets,
+  defaultPostProcessingPreset: '',
   browserForCookies: 'none',
   cookiesPath: '',
   proxy: '',
   configPath: '',
+  siteRules: [],
   betaProgram: false,
   language: defaultLanguageCode,
   theme: 'system',
@@ -296,9 +866,24 @@ export const defaultSettings: AppSettings = {
   launchAtLogin: false,
   autoUpdate: true,
   subscriptionOnlyLatestDefault: true,
+  subscriptionCheckInterval: 180,
+  subscriptionCheckConcurrency: 2,
+  subscriptionQuietHoursEnabled: false,
+  subscriptionQuietHoursStart: '23:00',
+  subscriptionQuietHoursEnd: '07:00',
   enableAnalytics: true,
+  apiKey: '',
+  subtitleLanguages: [],
+  subtitleAutoCaptions: false,
+  subtitleFormat: '',
   embedSubs: true,
   embedThumbnail: true,
   embedMetadata: true,
-  embedChapters: true
+  embedChapters: true,
+  mediaLibraryMode: false,
+  sponsorBlock: { remove: [], mark: [] },
+  sponsorBlockApiUrl: DEFAULT_SPONSORBLOCK_API_URL,
+  duplicateDownloadAction: 'warn',
+  autoLibraryScan: true,
+  savedHistoryViews: []
 }
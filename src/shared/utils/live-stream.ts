@@ -0,0 +1,19 @@
+import type { VideoInfo } from '../types'
+
+export type LiveStreamStatus = 'live' | 'upcoming'
+
+/**
+ * Tells running and upcoming streams apart from regular videos. Streams that have ended
+ * download like any other video.
+ */
+export const resolveLiveStreamStatus = (
+  info?: Pick<VideoInfo, 'is_live' | 'live_status'>
+): LiveStreamStatus | undefined => {
+  if (info?.live_status === 'is_upcoming') {
+    return 'upcoming'
+  }
+  if (info?.live_status === 'is_live' || (info?.is_live && !info.live_status)) {
+    return 'live'
+  }
+  return undefined
+}
@@ -0,0 +1,158 @@
+import type { AppSettings, SiteRule } from '../types'
+
+export interface SiteRuleTarget {
+  url: string
+  // yt-dlp's extractor key, known once the video info has been fetched
+  extractorKey?: string
+}
+
+const getHostname = (url: string): string | undefined => {
+  try {
+    return new URL(url).hostname.toLowerCase()
+  } catch {
+    return undefined
+  }
+}
+
+/**
+ * Reduces what gets typed into a rule's domain list, a bare host or a whole URL, to the host.
+ */
+export const normalizeSiteDomain = (value: string): string => {
+  const trimmed = value.trim().toLowerCase()
+  if (!trimmed) {
+    return ''
+  }
+  const hostname = getHostname(trimmed.includes('://') ? trimmed : `https://${trimmed}`)
+  return hostname?.replace(/^www\./, '') ?? ''
+}
+
+const matchesDomain = (hostname: string, domain: string): boolean =>
+  hostname === domain || hostname.endsWith(`.${domain}`)
+
+export const matchesSiteRule = (rule: SiteRule, target: SiteRuleTarget): boolean => {
+  const hostname = getHostname(target.url)
+  if (
+    hostname &&
+    rule.domains.some((domain) => {
+      const normalized = normalizeSiteDomain(domain)
+      return normalized !== '' && matchesDomain(hostname, normalized)
+    })
+  ) {
+    return true
+  }
+  const extractorKey = target.extractorKey?.toLowerCase()
+  return Boolean(
+    extractorKey &&
+      rule.extractors.some((extractor) => extractor.trim().toLowerCase() === extractorKey)
+  )
+}
+
+/**
+ * The first enabled rule that matches, in the order the rules are listed.
+ */
+export const findSiteRule = (
+  rules: SiteRule[] | undefined,
+  target: SiteRuleTarget
+): SiteRule | undefined => rules?.find((rule) => rule.enabled && matchesSiteRule(rule, target))
+
+/**
+ * The settings a site's downloads run with, the rule's overrides on top of the global ones.
+ * Templates and extra arguments are not settings and are read from the rule itself.
+ */
+export const applySiteRule = (settings: AppSettings, rule?: SiteRule): AppSettings => {
+  if (!rule) {
+    return settings
+  }
+  return {
+    ...settings,
+    browserForCookies: rule.browserForCookies ?? settings.browserForCookies,
+    cookiesPath: rule.cookiesPath ?? settings.cookiesPath,
+    proxy: rule.proxy ?? settings.proxy,
+    oneClickQuality: rule.quality ?? settings.oneClickQuality,
+    downloadPath: rule.downloadPath?.trim() || settings.downloadPath
+  }
+}
+
+export const resolveSiteSettings = (settings: AppSettings, target: SiteRuleTarget): AppSettings =>
+  applySiteRule(settings, findSiteRule(settings.siteRules, target))
+
+/**
+ * Splits extra yt-dlp arguments the way a shell would: whitespace separates them and quotes
+ * keep spaces inside one. Backslashes only escape quotes inside double quotes, so Windows
+ * paths can be typed as they are.
+ */
+export const parseExtraArgs = (value?: string): string[] => {
+  const args: string[] = []
+  let current = ''
+  let quote: '"' | "'" | undefined
+  let started = false
+  const input = value ?? ''
+
+  for (let index = 0; index < input.length; index += 1) {
+    const char = input[index]
+    if (quote) {
+      if (char === quote) {
+        quote = undefined
+      } else if (char === '\\' && quote === '"' && input[index + 1] === '"') {
+        index += 1
+        current += '"'
+      } else {
+        current += char
+      }
+    } else if (char === '"' || char === "'") {
+      quote = char
+      started = true
+    } else if (/\s/.test(char)) {
+      if (started) {
+        args.push(current)
+        current = ''
+        started = false
+      }
+    } else {
+      current += char
+      started = true
+    }
+  }
+  if (started) {
+    args.push(current)
+  }
+  return args
+}
+
+// Long options that run commands or load options, URLs or code from files. yt-dlp accepts
+// unambiguous abbreviations of long options, so prefixes of these are blocked as well.
+const BLOCKED_LONG_OPTIONS = [
+  '--exec',
+  '--exec-before-download',
+  '--batch-file',
+  '--config-location',
+  '--config-locations',
+  '--plugin-dirs',
+  '--netrc-cmd'
+]
+// Options of their own that are also prefixes of a blocked one
+const ALLOWED_LONG_OPTIONS = new Set(['--netrc'])
+
+/**
+ * Whether an extra argument is one a rule may not pass to yt-dlp. `-a` is the short form of
+ * `--batch-file` and may come last in a group of short flags.
+ */
+export const isBlockedExtraArg = (arg: string): boolean => {
+  if (/^-[a-zA-Z]*a/.test(arg)) {
+    return true
+  }
+  const option = arg.split('=')[0]
+  if (!option.startsWith('--') || option.length <= 2 || ALLOWED_LONG_OPTIONS.has(option)) {
+    return false
+  }
+  return BLOCKED_LONG_OPTIONS.some((name) => name.startsWith(option) || option.startsWith(name))
+}
+
+/**
+ * The extra yt-dlp arguments of a rule. A blocked option leaves out all of them, since
+ * dropping only the option would hand its value to yt-dlp as a URL.
+ */
+export const getSiteRuleArgs = (rule?: SiteRule): string[] => {
+  const args = parseExtraArgs(rule?.extraArgs)
+  return args.some(isBlockedExtraArg) ? [] : args
+}
@@ -0,0 +1,66 @@
+import type { AppSettings, SubscriptionRule } from '../types'
+import { getTimeWindowEnd, isTimeWindowActive, type TimeWindow } from './time-window'
+
+const MINUTE_MS = 60 * 1000
+const MIN_CHECK_INTERVAL_MINUTES = 5
+const MAX_BACKOFF_MS = 24 * 60 * MINUTE_MS
+// Doubling stops after this many failures, the 24h cap usually kicks in first
+const MAX_BACKOFF_EXPONENT = 5
+
+type ScheduleSettings = Pick<
+  AppSettings,
+  | 'subscriptionCheckInterval'
+  | 'subscriptionQuietHoursEnabled'
+  | 'subscriptionQuietHoursStart'
+  | 'subscriptionQuietHoursEnd'
+>
+
+type ScheduledSubscription = Pick<
+  SubscriptionRule,
+  'lastCheckedAt' | 'checkInterval' | 'consecutiveFailures'
+>
+
+export const resolveCheckIntervalMinutes = (
+  subscription: Pick<SubscriptionRule, 'checkInterval'>,
+  settings: Pick<AppSettings, 'subscriptionCheckInterval'>
+): number => {
+  const interval = subscription.checkInterval ?? settings.subscriptionCheckInterval
+  return Number.isFinite(interval) && interval > 0
+    ? Math.max(MIN_CHECK_INTERVAL_MINUTES, interval)
+    : MIN_CHECK_INTERVAL_MINUTES
+}
+
+const quietHoursWindow = (settings: ScheduleSettings): TimeWindow => ({
+  start: settings.subscriptionQuietHoursStart,
+  end: settings.subscriptionQuietHoursEnd
+})
+
+export const isWithinQuietHours = (settings: ScheduleSettings, now: Date = new Date()): boolean =>
+  settings.subscriptionQuietHoursEnabled && isTimeWindowActive(quietHoursWindow(settings), now)
+
+/**
+ * Returns when the subscription is due next. Failing subscriptions back off exponentially
+ * and checks that would land in quiet hours move to the end of the window.
+ */
+export const resolveNextCheckAt = (
+  subscription: ScheduledSubscription,
+  settings: ScheduleSettings,
+  now: number = Date.now()
+): number => {
+  const intervalMs = resolveCheckIntervalMinutes(subscription, settings) * MINUTE_MS
+  const failures = Math.min(subscription.consecutiveFailures, MAX_BACKOFF_EXPONENT)
+  const delayMs =
+    failures > 0
+      ? Math.max(intervalMs, Math.min(intervalMs * 2 ** failures, MAX_BACKOFF_MS))
+      : intervalMs
+  const dueAt = subscription.lastCheckedAt ? subscription.lastCheckedAt + delayMs : now
+  const candidate = new Date(Math.max(dueAt, now))
+
+  if (!isWithinQuietHours(settings, candidate)) {
+    return dueAt
+  }
+  return getTimeWindowEnd(quietHoursWindow(settings), candidate).getTime()
+}
+
+// Minutes offered by the interval pickers
+export const subscriptionCheckIntervalOptions = [15, 30, 60, 180, 360, 720, 1440]
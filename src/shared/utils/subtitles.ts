@@ -0,0 +1,75 @@
+import type { VideoInfo } from '../types'
+
+export interface SubtitleLanguageOption {
+  code: string
+  name?: string
+  // Only offered as the site's automatic captions
+  automatic: boolean
+}
+
+type SubtitleTracks = Pick<VideoInfo, 'subtitles' | 'automatic_captions'>
+
+/**
+ * Splits a comma separated language list as typed into settings and subscription forms.
+ */
+export const parseSubtitleLanguages = (value: string): string[] =>
+  Array.from(
+    new Set(
+      value
+        .split(',')
+        .map((lang) => lang.trim())
+        .filter((lang) => lang !== '')
+    )
+  )
+
+const trackName = (tracks?: Array<{ name?: string }>): string | undefined =>
+  tracks?.find((track) => track.name)?.name
+
+/**
+ * The subtitle languages a video offers, uploaded tracks first. `live_chat` is a chat replay
+ * rather than a subtitle track and is left out.
+ */
+export const listSubtitleLanguages = (info?: SubtitleTracks): SubtitleLanguageOption[] => {
+  const uploaded = Object.entries(info?.subtitles ?? {})
+    .filter(([code]) => code !== 'live_chat')
+    .map(([code, tracks]) => ({ code, name: trackName(tracks), automatic: false }))
+  const automatic = Object.entries(info?.automatic_captions ?? {})
+    .filter(([code]) => !info?.subtitles?.[code])
+    .map(([code, tracks]) => ({ code, name: trackName(tracks), automatic: true }))
+  const byCode = (a: SubtitleLanguageOption, b: SubtitleLanguageOption) =>
+    a.code.localeCompare(b.code)
+  return [...uploaded.sort(byCode), ...automatic.sort(byCode)]
+}
+
+export const hasSubtitleTrackList = (info?: SubtitleTracks): boolean =>
+  info?.subtitles !== undefined || info?.automatic_captions !== undefined
+
+// `en` also matches regional tracks such as `en-US`, an exact match is preferred
+const findTrack = (codes: string[], preferred: string): string | undefined => {
+  const wanted = preferred.toLowerCase()
+  return (
+    codes.find((code) => code.toLowerCase() === wanted) ??
+    codes.find((code) => code.toLowerCase().startsWith(`${wanted}-`))
+  )
+}
+
+/**
+ * The track of the first preferred language the video has, walking the fallbacks in order.
+ * Uploaded subtitles win over automatic captions of the same language, which are only
+ * considered when allowed.
+ */
+export const pickSubtitleLanguage = (
+  preferred: string[],
+  info: SubtitleTracks | undefined,
+  allowAutomatic: boolean
+): string | undefined => {
+  const uploaded = Object.keys(info?.subtitles ?? {}).filter((code) => code !== 'live_chat')
+  const automatic = allowAutomatic ? Object.keys(info?.automatic_captions ?? {}) : []
+  for (const language of preferred) {
+    const match = findTrack(uploaded, language) ?? findTrack(automatic, language)
+    if (match) {
+      return match
+    }
+  }
+  return undefined
+}
@@ -0,0 +1,64 @@
+export interface TimeWindow {
+  // Local time of day as HH:MM; a window may wrap past midnight
+  start: string
+  end: string
+}
+
+export const parseTimeOfDay = (value: string): number | null => {
+  const match = value.trim().match(/^(\d{1,2}):(\d{2})$/)
+  if (!match) {
+    return null
+  }
+  const hours = Number(match[1])
+  const minutes = Number(match[2])
+  if (hours > 24 || minutes > 59 || (hours === 24 && minutes > 0)) {
+    return null
+  }
+  return hours * 60 + minutes
+}
+
+export const isTimeWindowActive = (window: TimeWindow, now: Date = new Date()): boolean => {
+  const start = parseTimeOfDay(window.start)
+  const end = parseTimeOfDay(window.end)
+  if (start === null || end === null || start === end) {
+    return false
+  }
+  const minuteOfDay = now.getHours() * 60 + now.getMinutes()
+  if (start < end) {
+    return minuteOfDay >= start && minuteOfDay < end
+  }
+  // Window wraps past midnight, e.g. 22:00-06:00
+  return minuteOfDay >= start || minuteOfDay < end
+}
+
+/**
+ * Returns the next moment the window closes, or `now` when the window is not active.
+ */
+export const getTimeWindowEnd = (window: TimeWindow, now: Date = new Date()): Date => {
+  const end = parseTimeOfDay(window.end)
+  if (end === null || !isTimeWindowActive(window, now)) {
+    return now
+  }
+  const closesAt = new Date(now)
+  closesAt.setHours(Math.floor(end / 60), end % 60, 0, 0)
+  if (closesAt.getTime() <= now.getTime()) {
+    closesAt.setDate(closesAt.getDate() + 1)
+  }
+  return closesAt
+}
+
+/**
+ * Returns the next moment the clock reads `value` (HH:MM), today or tomorrow.
+ */
+export const getNextTimeOfDay = (value: string, now: Date = new Date()): Date | null => {
+  const minuteOfDay = parseTimeOfDay(value)
+  if (minuteOfDay === null) {
+    return null
+  }
+  const next = new Date(now)
+  next.setHours(Math.floor(minuteOfDay / 60), minuteOfDay % 60, 0, 0)
+  if (next.getTime() <= now.getTime()) {
+    next.setDate(next.getDate() + 1)
+  }
+  return next
+}